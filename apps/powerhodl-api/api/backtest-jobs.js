@@ -0,0 +1,149 @@
+/**
+ * Backtest Jobs API - Vercel Serverless Function
+ *
+ * Queue for backtests and optimizations that are too long for one HTTP request.
+ * Jobs are executed by the local worker (scripts/backtest-worker.js), not by this function.
+ *
+ * CRITICAL CONCEPTS:
+ *
+ * 1. SUBMIT → POLL → RESULT
+ *    - POST   { type, ...request }      → 202 { jobId }
+ *    - GET    ?id=<jobId>&since=<n>     → status, progress, partial results after cursor n, result when completed
+ *    - GET    (no id)                   → recent jobs
+ *    - DELETE ?id=<jobId>               → cancel (queued jobs stop immediately, running jobs within a second)
+ *
+ * 2. REQUEST BODIES MATCH THE SYNCHRONOUS ENDPOINTS
+ *    - type 'backtest' / 'walk-forward' / 'robustness': same body as POST /api/backtest
+ *    - type 'optimization':                            same body as POST /api/optimize
+ *    - The completed result is the same `data` those endpoints return
+ *
+ * 3. PARTIAL RESULTS ARE A CURSOR STREAM
+ *    - Walk-forward folds, robustness resamples and optimizer evaluations are appended while the job runs
+ *    - Pass nextCursor back as `since` to only receive new entries
+ *
+ * 4. ABANDONED JOBS FAIL
+ *    - A running job whose worker stopped writing progress for BacktestJobRunner.STALE_AFTER_MS is failed
+ *    - Checked by the workers before each claim and here before a job is polled (no worker may be left to check)
+ */
+
+import { BacktestJobRunner } from '../src/BacktestJobRunner.js';
+import { DatabaseService } from '../lib/services/DatabaseService.js';
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        const dbService = new DatabaseService();
+
+        if (req.method === 'POST') {
+            const { type = 'backtest', ...request } = req.body || {};
+
+            try {
+                BacktestJobRunner.validate(type, request);
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+
+            const job = await dbService.createBacktestJob(type, request);
+
+            return res.status(202).json({
+                success: true,
+                data: {
+                    jobId: job.id,
+                    type: job.job_type,
+                    status: job.status,
+                    createdAt: job.created_at
+                }
+            });
+        }
+
+        if (req.method === 'GET') {
+            if (!req.query.id) {
+                const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+                const jobs = await dbService.getBacktestJobs(limit);
+
+                return res.status(200).json({
+                    success: true,
+                    data: jobs.map(formatJob)
+                });
+            }
+
+            await dbService.failStaleBacktestJobs(BacktestJobRunner.STALE_AFTER_MS);
+            const job = await dbService.getBacktestJob(parseInt(req.query.id));
+
+            if (!job) {
+                return res.status(404).json({ success: false, error: `Job ${req.query.id} not found` });
+            }
+
+            const since = Math.max(0, parseInt(req.query.since) || 0);
+            const partialResults = job.partial_results || [];
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    ...formatJob(job),
+                    partialResults: partialResults.slice(since),
+                    nextCursor: partialResults.length,
+                    result: job.status === 'completed' ? job.result : null
+                }
+            });
+        }
+
+        if (req.method === 'DELETE') {
+            if (!req.query.id) {
+                return res.status(400).json({ success: false, error: 'Missing job id' });
+            }
+
+            const job = await dbService.cancelBacktestJob(parseInt(req.query.id));
+
+            if (!job) {
+                return res.status(409).json({
+                    success: false,
+                    error: `Job ${req.query.id} not found or already finished`
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                data: { jobId: job.id, status: job.status, cancelRequested: job.cancel_requested }
+            });
+        }
+
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+
+    } catch (error) {
+        console.error('❌ [BACKTEST JOBS API] Error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Backtest job request failed',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+/**
+ * Map a backtest_jobs row to the API shape
+ */
+function formatJob(job) {
+    return {
+        jobId: job.id,
+        type: job.job_type,
+        status: job.status,
+        progress: parseFloat(job.progress) || 0,
+        currentStep: job.current_step,
+        error: job.error,
+        cancelRequested: job.cancel_requested,
+        createdAt: job.created_at,
+        startedAt: job.started_at,
+        completedAt: job.completed_at
+    };
+}
@@ -99,7 +99,8 @@ export default async function handler(req, res) {
                         totalValueBTC: results.finalValue,
                         btcAmount: results.portfolioHistory[results.portfolioHistory.length - 1].btcAmount,
                         ethAmount: results.portfolioHistory[results.portfolioHistory.length - 1].ethAmount
-                    }
+                    },
+                    benchmarks: results.benchmarks
                 },
                 metadata: {
                     processingTimeMs: Date.now() - startTime,
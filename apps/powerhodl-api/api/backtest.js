@@ -23,7 +23,7 @@
  * 
  * 4. PERFORMANCE METRICS
  *    - btcGrowthPercent = primary metric (BTC accumulation) [[memory:9297280]]
- *    - tokenAccumulationPercent = total tokens (BTC + ETH) growth
+ *    - tokenAccumulationPercent = total tokens (BTC + ETH) growth (null with a custom initialPortfolio)
  *    - totalFeesBTC = critical to track fee impact
  *    - trades array = for debugging and optimization
  * 
@@ -31,10 +31,56 @@
  *    - Every trade costs money
  *    - Too many trades = negative returns guaranteed
  *    - The optimizer must balance opportunity vs. costs
+ * 
+ * 6. EXECUTION MODEL
+ *    - parameters.executionModel: 'flat' (default), 'cex' or 'dex', or { type, ...options }
+ *    - performance.costBreakdown splits totalFeesBTC into fee, spread, slippage, gas and priceImpact
+ * 
+ * 7. WALK-FORWARD MODE
+ *    - POST { mode: 'walk-forward', walkForward: { trainingBars, testBars, ... } }
+ *    - Optimizes on rolling training windows, scores on the next unseen window
+ *    - Out-of-sample numbers are the honest ones; in-sample numbers are overfit by construction
+ * 
+ * 8. ROBUSTNESS MODE
+ *    - POST { mode: 'robustness', robustness: { method, samples, blockBars, confidence, seed } }
+ *    - Reruns the parameters on block-bootstrapped or regime-shuffled copies of the history
+ *    - Returns confidence intervals per metric and the probability of ending with less BTC
+ * 
+ * 9. TRADING PAIR
+ *    - POST { pair: 'SOL/ETH' } backtests that pair's snapshots (default 'ETH/BTC')
+ *    - Results keep the ETH/BTC field names: eth* = base asset, btc* = quote asset
+ * 
+ * 10. BASKET MODE
+ *    - POST { mode: 'basket', basket: { assets: ['BTC', 'ETH', 'SOL'], ... } }
+ *    - Cross-sectional rotation across N assets (see BasketBacktestEngine), priced from ASSET/BTC snapshots
+ *    - portfolioHistory has per-asset holdings and weights instead of btcAmount/ethAmount
+ * 
+ * 11. TIMEFRAME
+ *    - POST { timeframe: '5m' | '1h' | '4h' | '1d' } runs on candles instead of raw 5-minute snapshots
+ *    - The lookback is then in days ('lookback': '36h' also works) and converted to bars of the timeframe
+ *    - Without a timeframe every stored snapshot is one bar and lookbackDays counts bars (legacy behavior)
+ * 
+ * 12. STARTING BALANCES AND CASH FLOWS (single backtests only)
+ *    - POST { initialPortfolio: { btcAmount, ethAmount }, cashFlows: [{ type, asset, amount, at | every }] }
+ *    - See CashFlowSchedule; returns are then time- and money-weighted
+ * 
+ * 13. EXECUTION DELAY (pair backtests, not basket mode)
+ *    - parameters.executionDelayBars: orders fill that many bars after their signal (default 0)
+ *    - parameters.fillPrice: 'close' (default), 'open' or 'vwap' of the fill bar
+ *    - Strategies whose decisions change when later bars change are rejected (see LookaheadGuard)
  */
 
 import { SimpleBacktestEngine } from '../src/SimpleBacktestEngine.js';
+import { WalkForwardOptimizer } from '../src/WalkForwardOptimizer.js';
+import { RobustnessAnalyzer } from '../src/RobustnessAnalyzer.js';
+import { BasketBacktestEngine } from '../src/BasketBacktestEngine.js';
+import { BacktestResultFormatter } from '../src/BacktestResultFormatter.js';
+import { CashFlowSchedule } from '../src/CashFlowSchedule.js';
+import { LookaheadGuard } from '../src/LookaheadGuard.js';
 import { DatabaseService } from '../lib/services/DatabaseService.js';
+import { CandleService } from '../lib/services/CandleService.js';
+import { TradingPair, DEFAULT_PAIR } from '../../../packages/shared/src/TradingPair.js';
+import { Timeframe } from '../../../packages/shared/src/Timeframe.js';
 
 export default async function handler(req, res) {
     // Set CORS headers
@@ -50,6 +96,13 @@ export default async function handler(req, res) {
 
     try {
         let params, useRealData, backtestPeriod;
+        let mode = 'single';
+        let walkForwardOptions = {};
+        let robustnessOptions = {};
+        let basketOptions = {};
+        let pair = DEFAULT_PAIR;
+        let timeframe = null;
+        let cashFlowOptions = { initialPortfolio: null, cashFlows: [] };
 
         if (req.method === 'GET') {
             // GET: Use default parameters
@@ -81,90 +134,163 @@ export default async function handler(req, res) {
             } else {
                 backtestPeriod = parseInt(body.backtestPeriod) || 30;
             }
+
+            pair = TradingPair.parse(body.pair).symbol;
+            timeframe = body.timeframe ? Timeframe.parse(body.timeframe) : null;
+            mode = body.mode || 'single';
+            walkForwardOptions = body.walkForward || {};
+            robustnessOptions = body.robustness || {};
+            basketOptions = body.basket || {};
+            cashFlowOptions = CashFlowSchedule.resolveOptions(body);
+
+            if (!['single', 'walk-forward', 'robustness', 'basket'].includes(mode)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid mode: ${mode}. Use 'single', 'walk-forward', 'robustness' or 'basket'`
+                });
+            }
+
+            if (mode !== 'single' && (cashFlowOptions.initialPortfolio || cashFlowOptions.cashFlows.length > 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid request: initialPortfolio and cashFlows are only supported in single backtests, not in ${mode} mode`
+                });
+            }
+
+            const execution = LookaheadGuard.resolveExecution(params);
+            if (mode === 'basket' && (execution.delayBars > 0 || execution.fillPrice !== 'close')) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid request: executionDelayBars and fillPrice are not supported in basket mode'
+                });
+            }
         }
 
-        console.log('🚀 [SIMPLE BACKTEST] Starting:', { params, useRealData, backtestPeriod });
+        console.log('🚀 [SIMPLE BACKTEST] Starting:', { params, useRealData, backtestPeriod, mode, pair, timeframe });
 
-        // Fetch real data from database
         const dbService = new DatabaseService();
-        const rawData = await dbService.getHistoricalData(backtestPeriod);
+        const candleService = new CandleService(dbService);
+
+        // Candles or raw snapshots of one pair, normalized for the engines
+        const loadMarketData = async (symbol) => timeframe
+            ? candleService.getMarketData(symbol, timeframe, backtestPeriod)
+            : SimpleBacktestEngine.normalizeMarketData(await dbService.getHistoricalData(backtestPeriod, symbol));
+
+        if (mode === 'basket') {
+            // One ASSET/BTC series per basket asset instead of a single pair
+            const basketParams = BasketBacktestEngine.normalizeParameters(Timeframe.toBarParameters({ ...params, ...basketOptions }, timeframe));
+            const seriesByAsset = {};
+
+            for (const basketPair of BasketBacktestEngine.requiredPairs(basketParams.assets)) {
+                seriesByAsset[TradingPair.parse(basketPair).base] = await loadMarketData(basketPair);
+            }
+
+            const bars = BasketBacktestEngine.alignMarketData(seriesByAsset, basketParams.assets);
+            const results = BasketBacktestEngine.runBacktest(bars, basketParams);
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    ...BacktestResultFormatter.basket({ ...params, ...basketOptions }, results),
+                    metadata: {
+                        processingTimeMs: Date.now() - startTime,
+                        dataPoints: bars.length,
+                        backtestEngine: 'BasketBacktestEngine',
+                        version: '3.0.0',
+                        period: backtestPeriod,
+                        pairs: BasketBacktestEngine.requiredPairs(basketParams.assets),
+                        timeframe,
+                        lookbackBars: basketParams.lookbackDays,
+                        useRealData: useRealData,
+                        actualDataSource: timeframe ? 'candles' : 'database'
+                    }
+                }
+            });
+        }
+
+        // Fetch real data from database (normalized)
+        const marketData = await loadMarketData(pair);
         
-        if (!rawData || rawData.length === 0) {
+        if (marketData.length === 0) {
             throw new Error('No historical data available');
         }
 
-        // Normalize data
-        const marketData = SimpleBacktestEngine.normalizeMarketData(rawData);
-        console.log(`✅ [SIMPLE BACKTEST] Processing ${marketData.length} data points`);
-
-        // Convert parameters to SimpleBacktestEngine format
-        const engineParams = {
-            zScoreThreshold: params.zScoreThreshold || 1.5,
-            rebalancePercent: params.rebalancePercent || params.rebalanceThreshold || 10,
-            transactionCost: params.transactionCost || 0.1,
-            lookbackDays: params.lookbackWindow || 15,
-            maxAllocationShift: params.maxAllocationShift || 0.3 // Max 80/20 or 20/80 allocation
-        };
+        console.log(`✅ [SIMPLE BACKTEST] Processing ${marketData.length} ${timeframe || 'raw'} data points`);
+
+        // Convert parameters to SimpleBacktestEngine format (lookback in bars of the timeframe)
+        const engineParams = SimpleBacktestEngine.normalizeParameters(Timeframe.toBarParameters(params, timeframe));
+
+        if (mode === 'walk-forward') {
+            const walkForward = WalkForwardOptimizer.run(marketData, engineParams, {
+                ...walkForwardOptions,
+                parameterGrid: Timeframe.toBarGrid(walkForwardOptions.parameterGrid || WalkForwardOptimizer.DEFAULT_PARAMETER_GRID, timeframe)
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    ...BacktestResultFormatter.walkForward(params, walkForward),
+                    metadata: {
+                        processingTimeMs: Date.now() - startTime,
+                        dataPoints: marketData.length,
+                        backtestEngine: 'WalkForwardOptimizer',
+                        version: '3.0.0',
+                        period: backtestPeriod,
+                        pair,
+                        timeframe,
+                        lookbackBars: engineParams.lookbackDays,
+                        useRealData: useRealData,
+                        actualDataSource: timeframe ? 'candles' : 'database'
+                    }
+                }
+            });
+        }
+
+        if (mode === 'robustness') {
+            const analysis = RobustnessAnalyzer.run(marketData, engineParams, robustnessOptions);
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    ...BacktestResultFormatter.robustness(params, analysis),
+                    metadata: {
+                        processingTimeMs: Date.now() - startTime,
+                        dataPoints: marketData.length,
+                        backtestEngine: 'RobustnessAnalyzer',
+                        version: '3.0.0',
+                        period: backtestPeriod,
+                        pair,
+                        timeframe,
+                        lookbackBars: engineParams.lookbackDays,
+                        useRealData: useRealData,
+                        actualDataSource: timeframe ? 'candles' : 'database'
+                    }
+                }
+            });
+        }
 
         // Run the backtest
-        const results = SimpleBacktestEngine.runBacktest(marketData, engineParams);
+        const results = SimpleBacktestEngine.runBacktest(marketData, engineParams, {
+            initialPortfolio: cashFlowOptions.initialPortfolio || undefined,
+            cashFlows: cashFlowOptions.cashFlows
+        });
 
         // Format response
         const response = {
             success: true,
             data: {
-                type: 'backtest',
-                parameters: params,
-                result: {
-                    performance: {
-                        btcGrowthPercent: results.metrics.totalReturnPercent,
-                        tokenAccumulationPercent: results.metrics.tokenAccumulationPercent,
-                        totalTrades: results.metrics.totalTrades,
-                        sharpeRatio: results.metrics.sharpeRatio,
-                        maxDrawdown: results.metrics.maxDrawdown,
-                        totalFeesBTC: results.metrics.totalFeesBTC,
-                        winRate: results.metrics.winRate,
-                        winningTrades: results.metrics.winningTrades,
-                        losingTrades: results.metrics.losingTrades,
-                        avgWinBTC: results.metrics.avgWinBTC,
-                        avgLossBTC: results.metrics.avgLossBTC,
-                        profitFactor: results.metrics.profitFactor,
-                        maxConsecutiveLosses: results.metrics.maxConsecutiveLosses
-                    },
-                    trades: results.trades.map(t => ({
-                        timestamp: t.timestamp,
-                        action: t.action,
-                        zScore: t.zScore,
-                        ratio: t.ratio,
-                        ethAmount: t.ethAmount,
-                        btcAmount: t.btcAmount,
-                        fees: t.fees,
-                        targetAllocation: t.targetAllocation,
-                        portfolioValueBefore: t.portfolioValueBefore,
-                        portfolioValueAfter: t.portfolioValueAfter
-                    })),
-                    portfolioHistory: results.portfolioHistory.map(p => ({
-                        timestamp: p.timestamp,
-                        totalValueBTC: p.totalValueBTC,
-                        btcAmount: p.btcAmount,
-                        ethAmount: p.ethAmount,
-                        ethPercentage: p.ethPercentage,
-                        zScore: p.zScore
-                    })),
-                    finalPortfolio: {
-                        totalValueBTC: results.portfolioHistory[results.portfolioHistory.length - 1].totalValueBTC,
-                        btcAmount: results.portfolio.btcAmount,
-                        ethAmount: results.portfolio.ethAmount
-                    }
-                },
+                ...BacktestResultFormatter.backtest(params, results),
                 metadata: {
                     processingTimeMs: Date.now() - startTime,
                     dataPoints: marketData.length,
                     backtestEngine: 'SimpleBacktestEngine',
                     version: '3.0.0',
                     period: backtestPeriod,
+                    pair,
+                    timeframe,
+                    lookbackBars: engineParams.lookbackDays,
                     useRealData: useRealData,
-                    actualDataSource: 'database'
+                    actualDataSource: timeframe ? 'candles' : 'database'
                 }
             }
         };
@@ -174,7 +300,9 @@ export default async function handler(req, res) {
     } catch (error) {
         console.error('❌ [SIMPLE BACKTEST] Error:', error);
         
-        res.status(500).json({
+        // Bad execution model / walk-forward / robustness / basket / timeframe config is the caller's fault
+        const isValidationError = error.message?.startsWith('Invalid');
+        res.status(isValidationError ? 400 : 500).json({
             success: false,
             error: 'Backtest failed',
             message: error.message,
@@ -0,0 +1,123 @@
+/**
+ * Balance Reconciler Cron Job
+ *
+ * Runs every hour to:
+ * - Compare each active portfolio's balances in the database with the exchange / wallet
+ *   balances and with the sum of its recorded trades
+ * - Log every difference to system_events and store the result in balance_reconciliations
+ * - Correct small differences when RECONCILE_AUTO_CORRECT=true
+ * - Halt trading of a portfolio whose drift exceeds MAX_BALANCE_DRIFT (RiskManager), and
+ *   trip the kill switch so trading stays halted until someone resumes it
+ *
+ * See lib/services/BalanceReconciliationService.js.
+ *
+ * Schedule: Every hour (cron format)
+ */
+
+import { TradeExecutionService } from '../../lib/services/TradeExecutionService.js';
+import { DatabaseService } from '../../lib/services/DatabaseService.js';
+import { RiskManager } from '../../lib/services/RiskManager.js';
+import { BalanceReconciliationService } from '../../lib/services/BalanceReconciliationService.js';
+import { KillSwitchService } from '../../lib/services/KillSwitchService.js';
+import { Logger } from '../../lib/utils/Logger.js';
+import { CronValidator } from '../../lib/utils/CronValidator.js';
+import { MigrationRunner } from '../../lib/database/MigrationRunner.js';
+
+const logger = new Logger('BalanceReconciler');
+
+/**
+ * Cron job handler for balance reconciliation
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} services - { dbService, tradeService, riskManager, reconciliationService, killSwitch } to use instead of new instances
+ */
+export default async function handler(req, res, services = {}) {
+    // Validate cron request
+    if (!CronValidator.isValidCronRequest(req)) {
+        return res.status(401).json({ error: 'Unauthorized cron request' });
+    }
+
+    const startTime = Date.now();
+    logger.info('⚖️ Balance reconciliation started');
+
+    try {
+        // Initialize services
+        const dbService = services.dbService || new DatabaseService();
+        const tradeService = services.tradeService || new TradeExecutionService();
+        const riskManager = services.riskManager || new RiskManager();
+
+        // Refuse to write to a database whose schema is behind this code
+        const schema = await MigrationRunner.status(dbService);
+        if (!schema.current) {
+            logger.error('🛑 Database schema is behind - run npm run migrate', { version: schema.version, latest: schema.latest });
+            return res.status(503).json(MigrationRunner.createSchemaBehindResponse(schema));
+        }
+
+        const reconciliationService = services.reconciliationService
+            || new BalanceReconciliationService(dbService, tradeService, riskManager);
+
+        const results = await reconciliationService.reconcileAll();
+        const count = status => results.filter(result => result.status === status).length;
+
+        const killSwitch = services.killSwitch || new KillSwitchService(dbService, riskManager);
+        await killSwitch.checkReconciliation(results, 'balance-reconciler');
+        const tradingHalt = await killSwitch.getState();
+
+        const executionTime = Date.now() - startTime;
+        logger.info(`✅ Balance reconciliation completed in ${executionTime}ms`, {
+            portfolios: results.length,
+            drift: count('drift'),
+            corrected: count('corrected'),
+            halted: count('halted')
+        });
+
+        res.status(200).json({
+            success: true,
+            timestamp: new Date().toISOString(),
+            executionTime,
+            summary: {
+                portfolios: results.length,
+                ok: count('ok'),
+                drift: count('drift'),
+                corrected: count('corrected'),
+                halted: count('halted'),
+                skipped: count('skipped'),
+                failed: count('error')
+            },
+            portfolios: results,
+            tradingHalted: tradingHalt.halted
+        });
+
+    } catch (error) {
+        const executionTime = Date.now() - startTime;
+        logger.error('❌ Balance reconciliation failed', {
+            error: error.message,
+            stack: error.stack,
+            executionTime
+        });
+
+        // Log error to database
+        try {
+            const dbService = services.dbService || new DatabaseService();
+            await dbService.logSystemEvent({
+                event_type: 'cron_error',
+                severity: 'error',
+                message: `Balance reconciliation failed: ${error.message}`,
+                metadata: {
+                    function: 'balance-reconciler',
+                    executionTime,
+                    stack: error.stack
+                }
+            });
+        } catch (logError) {
+            logger.error('Failed to log error to database', logError);
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString(),
+            executionTime
+        });
+    }
+}
@@ -2,22 +2,36 @@
  * Market Monitor Cron Job
  * 
  * Runs every 5 minutes to:
- * - Collect current market data from Binance
+ * - Collect current market data from Binance for every pair an active portfolio trades
+ *   (ETH/BTC is always collected)
  * - Calculate technical indicators (Z-score, moving averages)
- * - Store market snapshot in database
+ * - Store one market snapshot per pair in database
+ * - Roll the new snapshot into the 5m/1h/4h/1d candles
  * - Trigger signal generation if conditions are met
+ * - Halt trading (kill switch) when a live portfolio's drawdown exceeds MAX_DRAWDOWN
  * 
  * Schedule: Every 5 minutes (cron format)
  */
 
 import { MarketDataService } from '../../lib/services/MarketDataService.js';
 import { DatabaseService } from '../../lib/services/DatabaseService.js';
+import { CandleService } from '../../lib/services/CandleService.js';
+import { KillSwitchService } from '../../lib/services/KillSwitchService.js';
 import { Logger } from '../../lib/utils/Logger.js';
 import { CronValidator } from '../../lib/utils/CronValidator.js';
+import { MigrationRunner } from '../../lib/database/MigrationRunner.js';
+import { Clock } from '../../lib/utils/Clock.js';
+import { TradingPair } from '../../../../packages/shared/src/TradingPair.js';
 
 const logger = new Logger('MarketMonitor');
 
-export default async function handler(req, res) {
+/**
+ * Cron job handler for market monitoring
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} services - { marketService, dbService, candleService, riskManager, killSwitch } to use instead of new instances (cron replay)
+ */
+export default async function handler(req, res, services = {}) {
     // Validate this is a legitimate cron request
     if (!CronValidator.isValidCronRequest(req)) {
         return res.status(401).json({ error: 'Unauthorized cron request' });
@@ -28,57 +42,46 @@ export default async function handler(req, res) {
 
     try {
         // Initialize services
-        const marketService = new MarketDataService();
-        const dbService = new DatabaseService();
-
-        // Step 1: Collect current market data from Binance
-        const marketData = await marketService.getCurrentMarketData();
-        logger.info('📊 Market data collected', {
-            ethBtcRatio: marketData.ethBtcRatio,
-            ethPrice: marketData.ethPriceUsd,
-            btcPrice: marketData.btcPriceUsd
-        });
+        const marketService = services.marketService || new MarketDataService();
+        const dbService = services.dbService || new DatabaseService();
+        const candleService = services.candleService || new CandleService(dbService);
 
-        // Step 2: Calculate technical indicators (with historical data if available)
-        const historicalData = await dbService.getRecentMarketData(30);
-        const indicators = await marketService.calculateTechnicalIndicators(marketData, historicalData);
-        logger.info('📈 Technical indicators calculated', {
-            dataPoints: historicalData.length,
-            zScore: indicators.zScore ? indicators.zScore.toFixed(4) : 'N/A',
-            sma15: indicators.sma15 ? indicators.sma15.toFixed(6) : 'N/A',
-            volatility: indicators.volatility.toFixed(4)
-        });
+        // Refuse to write to a database whose schema is behind this code
+        const schema = await MigrationRunner.status(dbService);
+        if (!schema.current) {
+            logger.error('🛑 Database schema is behind - run npm run migrate', { version: schema.version, latest: schema.latest });
+            return res.status(503).json(MigrationRunner.createSchemaBehindResponse(schema));
+        }
 
-        // Step 3: Create market snapshot with correct field mapping
-        const snapshot = {
-            // Map camelCase to snake_case for database
-            eth_price_usd: marketData.ethPriceUsd,
-            btc_price_usd: marketData.btcPriceUsd,
-            eth_btc_ratio: marketData.ethBtcRatio,
-            eth_volume_24h: marketData.ethVolume24h,
-            btc_volume_24h: marketData.btcVolume24h,
-            eth_btc_volume_24h: marketData.ethBtcVolume24h,
-            data_quality: marketData.dataQuality,
-            source: marketData.source,
-            
-            // Technical indicators
-            ...indicators,
-            
-            // Timestamp
-            collected_at: new Date().toISOString()
-        };
-
-        // Step 4: Store in database
-        await dbService.insertMarketSnapshot(snapshot);
-        logger.info('💾 Market snapshot saved to database');
-
-        // Step 5: Check if we should trigger signal generation
-        const shouldGenerateSignal = Math.abs(indicators.zScore) > 0.5; // Pre-filter
-        
-        if (shouldGenerateSignal) {
-            logger.info('🚨 High Z-score detected, signal generation may be triggered');
+        // Step 1: Pairs traded by active portfolios
+        const pairs = await dbService.getActivePairs();
+        const results = [];
+
+        // One unavailable pair must not stop the others from being collected
+        for (const pair of pairs) {
+            try {
+                results.push(await collectPairSnapshot(pair, marketService, dbService, candleService));
+            } catch (error) {
+                logger.error('❌ Pair collection failed', { pair, error: error.message });
+                results.push({ pair, error: error.message });
+            }
         }
 
+        if (results.every(result => result.error)) {
+            throw new Error(`No pair collected: ${results.map(result => `${result.pair} (${result.error})`).join(', ')}`);
+        }
+
+        // Step 7: Drawdown of each live portfolio at the new prices (halts trading when too deep)
+        const killSwitch = services.killSwitch || new KillSwitchService(dbService, services.riskManager);
+        const drawdowns = [];
+        for (const portfolio of await dbService.getActivePortfolios()) {
+            const snapshot = results.find(result => !result.error && result.pair === TradingPair.fromRow(portfolio).symbol);
+            if (snapshot) {
+                drawdowns.push(await killSwitch.checkDrawdown(portfolio, snapshot.ethBtcRatio, 'market-monitor'));
+            }
+        }
+        const tradingHalt = await killSwitch.getState();
+
         const executionTime = Date.now() - startTime;
         logger.info(`✅ Market monitoring completed in ${executionTime}ms`);
 
@@ -88,10 +91,11 @@ export default async function handler(req, res) {
             timestamp: new Date().toISOString(),
             executionTime,
             data: {
-                ethBtcRatio: marketData.ethBtcRatio,
-                zScore: indicators.zScore,
-                shouldGenerateSignal,
-                snapshotId: snapshot.id
+                // First pair (ETH/BTC) at the top level, as before pairs existed
+                ...results[0],
+                pairs: results,
+                drawdowns,
+                tradingHalted: tradingHalt.halted
             }
         });
 
@@ -105,7 +109,7 @@ export default async function handler(req, res) {
 
         // Log error to database for monitoring
         try {
-            const dbService = new DatabaseService();
+            const dbService = services.dbService || new DatabaseService();
             await dbService.logSystemEvent({
                 event_type: 'cron_error',
                 severity: 'error',
@@ -128,3 +132,80 @@ export default async function handler(req, res) {
         });
     }
 }
+
+/**
+ * Collect, enrich and store one snapshot for a pair
+ * @param {string} pair - Trading pair
+ * @param {MarketDataService} marketService - Market data service
+ * @param {DatabaseService} dbService - Database service
+ * @param {CandleService} candleService - Candle service
+ * @returns {Promise<Object>} Summary for the response
+ */
+async function collectPairSnapshot(pair, marketService, dbService, candleService) {
+    // Step 2: Collect current market data from Binance
+    const marketData = await marketService.getCurrentMarketData(pair);
+    logger.info('📊 Market data collected', {
+        pair,
+        ratio: marketData.ethBtcRatio,
+        basePrice: marketData.ethPriceUsd,
+        quotePrice: marketData.btcPriceUsd
+    });
+
+    // Step 3: Calculate technical indicators (with historical data if available)
+    const historicalData = await dbService.getRecentMarketData(30, pair);
+    const indicators = await marketService.calculateTechnicalIndicators(marketData, historicalData);
+    logger.info('📈 Technical indicators calculated', {
+        pair,
+        dataPoints: historicalData.length,
+        zScore: indicators.zScore ? indicators.zScore.toFixed(4) : 'N/A',
+        sma15: indicators.sma15 ? indicators.sma15.toFixed(6) : 'N/A',
+        volatility: indicators.volatility.toFixed(4)
+    });
+
+    // Step 4: Create market snapshot with correct field mapping
+    // (eth_* / btc_* columns hold the pair's base / quote asset)
+    const snapshot = {
+        // Map camelCase to snake_case for database
+        pair: marketData.pair,
+        eth_price_usd: marketData.ethPriceUsd,
+        btc_price_usd: marketData.btcPriceUsd,
+        eth_btc_ratio: marketData.ethBtcRatio,
+        eth_volume_24h: marketData.ethVolume24h,
+        btc_volume_24h: marketData.btcVolume24h,
+        eth_btc_volume_24h: marketData.ethBtcVolume24h,
+        data_quality: marketData.dataQuality,
+        source: marketData.source,
+        
+        // Technical indicators
+        ...indicators,
+        
+        // Timestamp
+        collected_at: Clock.isoString()
+    };
+
+    // Step 5: Store in database
+    const saved = await dbService.insertMarketSnapshot(snapshot);
+    logger.info('💾 Market snapshot saved to database', { pair });
+
+    // Step 5b: Update candles (a failure here must not lose the snapshot; the next run catches up)
+    try {
+        await candleService.refresh(marketData.pair);
+    } catch (error) {
+        logger.warn('⚠️ Candle refresh failed', { pair, error: error.message });
+    }
+
+    // Step 6: Check if we should trigger signal generation
+    const shouldGenerateSignal = Math.abs(indicators.zScore) > 0.5; // Pre-filter
+    
+    if (shouldGenerateSignal) {
+        logger.info('🚨 High Z-score detected, signal generation may be triggered', { pair });
+    }
+
+    return {
+        pair: marketData.pair,
+        ethBtcRatio: marketData.ethBtcRatio,
+        zScore: indicators.zScore,
+        shouldGenerateSignal,
+        snapshotId: saved?.id
+    };
+}
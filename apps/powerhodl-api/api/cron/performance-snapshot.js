@@ -0,0 +1,104 @@
+/**
+ * Performance Snapshot Cron Job
+ *
+ * Runs once a day to:
+ * - Value every active portfolio (live and paper) on candles since it was opened
+ * - Compute its return and risk metrics (PerformanceMetrics - the same as a backtest's)
+ * - Store them in performance_snapshots, read by GET /api/performance and the analytics view
+ *
+ * See lib/services/PerformanceSnapshotService.js.
+ *
+ * Schedule: Every day at 00:15 UTC (cron format)
+ */
+
+import { DatabaseService } from '../../lib/services/DatabaseService.js';
+import { PerformanceSnapshotService } from '../../lib/services/PerformanceSnapshotService.js';
+import { Logger } from '../../lib/utils/Logger.js';
+import { CronValidator } from '../../lib/utils/CronValidator.js';
+import { MigrationRunner } from '../../lib/database/MigrationRunner.js';
+
+const logger = new Logger('PerformanceSnapshotCron');
+
+/**
+ * Cron job handler for performance snapshots
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} services - { dbService, snapshotService } to use instead of new instances
+ */
+export default async function handler(req, res, services = {}) {
+    // Validate cron request
+    if (!CronValidator.isValidCronRequest(req)) {
+        return res.status(401).json({ error: 'Unauthorized cron request' });
+    }
+
+    const startTime = Date.now();
+    logger.info('📈 Performance snapshot started');
+
+    try {
+        const dbService = services.dbService || new DatabaseService();
+
+        // Refuse to write to a database whose schema is behind this code
+        const schema = await MigrationRunner.status(dbService);
+        if (!schema.current) {
+            logger.error('🛑 Database schema is behind - run npm run migrate', { version: schema.version, latest: schema.latest });
+            return res.status(503).json(MigrationRunner.createSchemaBehindResponse(schema));
+        }
+
+        const snapshotService = services.snapshotService || new PerformanceSnapshotService(dbService);
+
+        const results = await snapshotService.snapshotAll();
+        const count = status => results.filter(result => result.status === status).length;
+
+        const executionTime = Date.now() - startTime;
+        logger.info(`✅ Performance snapshot completed in ${executionTime}ms`, {
+            portfolios: results.length,
+            recorded: count('recorded'),
+            skipped: count('skipped')
+        });
+
+        res.status(200).json({
+            success: true,
+            timestamp: new Date().toISOString(),
+            executionTime,
+            summary: {
+                portfolios: results.length,
+                recorded: count('recorded'),
+                skipped: count('skipped'),
+                failed: count('error')
+            },
+            portfolios: results
+        });
+
+    } catch (error) {
+        const executionTime = Date.now() - startTime;
+        logger.error('❌ Performance snapshot failed', {
+            error: error.message,
+            stack: error.stack,
+            executionTime
+        });
+
+        // Log error to database
+        try {
+            const dbService = services.dbService || new DatabaseService();
+            await dbService.logSystemEvent({
+                event_type: 'cron_error',
+                severity: 'error',
+                message: `Performance snapshot failed: ${error.message}`,
+                metadata: {
+                    function: 'performance-snapshot',
+                    executionTime,
+                    stack: error.stack
+                }
+            });
+        } catch (logError) {
+            logger.error('Failed to log error to database', logError);
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString(),
+            executionTime
+        });
+    }
+}
@@ -3,30 +3,49 @@
  * 
  * Executes periodically to generate trading signals based on market conditions.
  * Uses the same SimpleStrategy as backtesting for consistency.
+ * One signal per active portfolio, on the pair that portfolio trades.
+ * Paper portfolios get their own signals, with their own parameter set when they have one.
+ * While the kill switch is halted, live signals are still stored but not to be traded.
+ * Each signal is stored with the report of its portfolio's risk policy (a block rule stops the
+ * trade, a shrink rule sets the size multiplier the trade executor applies).
+ * Parameters with a delayed fill (executionDelayBars) are refused: that timing is backtest-only.
  * 
- * Schedule: Should match tradeFrequencyMinutes parameter
- * Default: Every 2 hours (0 */2 * * *)
+ * Schedule: Should match tradeFrequencyMinutes parameter (see vercel.json)
+ * Default: Every 2 hours
  * Options:
- * - Every hour: 0 * * * *
- * - Every 2 hours: 0 */2 * * * (recommended)
- * - Every 4 hours: 0 */4 * * *
- * - Every 6 hours: 0 */6 * * *
- * - Daily: 0 0 * * *
+ * - Every hour:    0 * * * *
+ * - Every 2 hours: 0 0-23/2 * * * (recommended)
+ * - Every 4 hours: 0 0-23/4 * * *
+ * - Every 6 hours: 0 0-23/6 * * *
+ * - Daily:         0 0 * * *
  */
 
 import { Logger } from '../../lib/utils/Logger.js';
 import { DatabaseService } from '../../lib/services/DatabaseService.js';
 import { SimpleStrategy } from '../../src/SimpleStrategy.js';
+import { KillSwitchService } from '../../lib/services/KillSwitchService.js';
+import { RiskManager } from '../../lib/services/RiskManager.js';
 import { CronValidator } from '../../lib/utils/CronValidator.js';
+import { MigrationRunner } from '../../lib/database/MigrationRunner.js';
+import { Clock } from '../../lib/utils/Clock.js';
+import { SimpleBacktestEngine } from '../../src/SimpleBacktestEngine.js';
+import { RiskPolicy } from '../../src/RiskPolicy.js';
+import { LookaheadGuard } from '../../src/LookaheadGuard.js';
+import { TradingPair } from '../../../../packages/shared/src/TradingPair.js';
+import { StrategyRegistry } from '../../../../packages/shared/src/strategies/index.js';
+import { TechnicalIndicators } from '../../../../packages/shared/src/TechnicalIndicators.js';
 
 const logger = new Logger('SignalCron');
 
 /**
  * Cron job handler for signal generation
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} services - { dbService, riskManager, killSwitch } to use instead of new instances (cron replay)
  */
-export default async function handler(req, res) {
+export default async function handler(req, res, services = {}) {
     // Validate cron request
-    if (!CronValidator.isValid(req)) {
+    if (!CronValidator.isValidCronRequest(req)) {
         logger.warn('Invalid cron request detected', { 
             headers: req.headers,
             ip: req.ip 
@@ -38,127 +57,66 @@ export default async function handler(req, res) {
 
     try {
         // Initialize services
-        const strategy = new SimpleStrategy();
-        const dbService = new DatabaseService();
+        const dbService = services.dbService || new DatabaseService();
 
-        // Step 1: Get active portfolio
-        const portfolio = await dbService.getActivePortfolio();
-        if (!portfolio) {
-            throw new Error('No active portfolio found');
+        // Refuse to write to a database whose schema is behind this code
+        const schema = await MigrationRunner.status(dbService);
+        if (!schema.current) {
+            logger.error('🛑 Database schema is behind - run npm run migrate', { version: schema.version, latest: schema.latest });
+            return res.status(503).json(MigrationRunner.createSchemaBehindResponse(schema));
         }
 
-        logger.info('💼 Active portfolio loaded', {
-            portfolioId: portfolio.id,
-            ethAmount: portfolio.eth_amount,
-            btcAmount: portfolio.btc_amount
-        });
-
-        // Step 2: Get recent market data for analysis
-        const marketHistory = await dbService.getRecentMarketData(strategy.parameters.lookbackDays + 5);
-        if (marketHistory.length < strategy.parameters.lookbackDays) {
-            throw new Error(`Insufficient market data: ${marketHistory.length} points, need at least ${strategy.parameters.lookbackDays}`);
+        const riskManager = services.riskManager || new RiskManager();
+        const killSwitch = services.killSwitch || new KillSwitchService(dbService, riskManager);
+        const tradingHalt = await killSwitch.getState();
+        if (tradingHalt.halted) {
+            logger.warn('🛑 Trading is halted - live signals will not be traded', { reason: tradingHalt.reason, actor: tradingHalt.actor });
         }
 
-        const latestMarket = marketHistory[0]; // Most recent data
-        logger.info('📊 Market data retrieved', {
-            dataPoints: marketHistory.length,
-            latestRatio: latestMarket.eth_btc_ratio,
-            parameters: strategy.parameters
-        });
+        // The strategy must have the active parameters before it signals
+        const strategy = new SimpleStrategy(dbService);
+        await strategy.parametersLoaded;
 
-        // Step 3: Extract ratios for signal generation
-        const historicalRatios = marketHistory.map(m => m.eth_btc_ratio);
-        const currentRatio = latestMarket.eth_btc_ratio;
-
-        // Step 4: Generate trading signal using the same logic as backtesting
-        const signal = strategy.generateSignal(currentRatio, historicalRatios);
-        
-        logger.info('🎯 Trading signal generated', {
-            action: signal.action,
-            shouldTrade: signal.shouldTrade,
-            confidence: signal.confidence * 100,
-            zScore: signal.zScore.toFixed(4),
-            reasoning: signal.reasoning
-        });
-
-        // Step 5: Calculate current portfolio allocation
-        const allocation = strategy.calculateAllocation(
-            portfolio.eth_amount,
-            portfolio.btc_amount,
-            currentRatio
-        );
+        // A delayed fill (executionDelayBars) exists only in the backtest: signalling with it would trade untested
+        try {
+            LookaheadGuard.assertLiveExecution(strategy.parameters);
+        } catch (error) {
+            logger.error('🛑 Active parameters can not be traded live', { error: error.message });
+            return res.status(400).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+        }
 
-        // Step 6: Store signal in database
-        const signalRecord = {
-            action: signal.action,
-            should_trade: signal.shouldTrade,
-            confidence: signal.confidence,
-            z_score: signal.zScore,
-            eth_btc_ratio: currentRatio,
-            eth_price_usd: latestMarket.eth_price_usd,
-            btc_price_usd: latestMarket.btc_price_usd,
-            portfolio_id: portfolio.id,
-            portfolio_btc_value: allocation.totalValueBTC,
-            eth_percentage: allocation.ethPercentage,
-            btc_percentage: allocation.btcPercentage,
-            parameters_used: JSON.stringify(signal.parameters),
-            reasoning: signal.reasoning,
-            created_at: new Date()
-        };
+        // Step 1: Get active portfolios (each trades its own pair)
+        const portfolios = await dbService.getActivePortfolios();
+        const paperPortfolios = await dbService.getActivePortfolios('pair', 'paper');
+        if (portfolios.length === 0 && paperPortfolios.length === 0) {
+            throw new Error('No active portfolio found');
+        }
 
-        const savedSignal = await dbService.insertTradingSignal(signalRecord);
-        logger.info('💾 Signal stored in database', { signalId: savedSignal.id });
+        const results = [];
+        for (const portfolio of portfolios) {
+            results.push(await generatePortfolioSignal(portfolio, strategy, dbService, riskManager, tradingHalt));
+        }
 
-        // Step 7: Check if action is needed and not already executed
-        if (signal.shouldTrade) {
-            // Check if we've already executed a similar trade recently
-            const recentTrades = await dbService.getRecentTrades(1);
-            const lastTrade = recentTrades[0];
-            
-            if (lastTrade) {
-                const timeSinceLastTrade = Date.now() - new Date(lastTrade.executed_at).getTime();
-                const minTimeBetweenTrades = 5 * 60 * 1000; // 5 minutes
-                
-                if (timeSinceLastTrade < minTimeBetweenTrades) {
-                    logger.info('⏰ Skipping trade - too soon since last trade', {
-                        lastTradeTime: lastTrade.executed_at,
-                        minutesAgo: (timeSinceLastTrade / 60000).toFixed(1)
-                    });
-                    signal.shouldTrade = false;
-                    signal.reasoning += ' (Trade skipped - cooldown period)';
-                }
+        // Paper portfolios forward-test their own parameter set; one without data must not stop the others
+        for (const portfolio of paperPortfolios) {
+            try {
+                const paperStrategy = portfolio.parameter_id ? new SimpleStrategy(dbService, portfolio.parameter_id) : strategy;
+                await paperStrategy.parametersLoaded;
+                LookaheadGuard.assertLiveExecution(paperStrategy.parameters);
+                results.push(await generatePortfolioSignal(portfolio, paperStrategy, dbService, riskManager));
+            } catch (error) {
+                logger.error('❌ Paper signal failed', { portfolioId: portfolio.id, error: error.message });
+                results.push({ pair: portfolio.pair, portfolioId: portfolio.id, mode: 'paper', error: error.message });
             }
         }
 
-        // Step 8: Return comprehensive response
+        // First portfolio at the top level, as before pairs existed
         const response = {
             success: true,
             timestamp: new Date().toISOString(),
-            signal: {
-                action: signal.action,
-                shouldTrade: signal.shouldTrade,
-                confidence: signal.confidence,
-                zScore: signal.zScore,
-                reasoning: signal.reasoning
-            },
-            market: {
-                ethBtcRatio: currentRatio,
-                ethPriceUsd: latestMarket.eth_price_usd,
-                btcPriceUsd: latestMarket.btc_price_usd
-            },
-            portfolio: {
-                ethAmount: portfolio.eth_amount,
-                btcAmount: portfolio.btc_amount,
-                totalValueBTC: allocation.totalValueBTC,
-                ethPercentage: allocation.ethPercentage,
-                needsRebalancing: allocation.needsRebalancing
-            },
-            parameters: signal.parameters,
-            metadata: {
-                dataPoints: marketHistory.length,
-                signalId: savedSignal.id,
-                executionTimeMs: Date.now() - new Date().getTime()
-            }
+            ...results[0],
+            portfolios: results,
+            tradingHalted: tradingHalt.halted
         };
 
         logger.info('✅ Signal generation completed successfully');
@@ -177,4 +135,233 @@ export default async function handler(req, res) {
             timestamp: new Date().toISOString()
         });
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Generate, store and summarize the signal for one portfolio on its own pair
+ * @param {Object} portfolio - Active portfolio row
+ * @param {SimpleStrategy} strategy - Strategy with the active parameters
+ * @param {DatabaseService} dbService - Database service
+ * @param {RiskManager} riskManager - Evaluates the portfolio's risk policy
+ * @param {Object|null} tradingHalt - Kill switch state (null for paper portfolios, which trade on while halted)
+ * @returns {Promise<Object>} Summary for the response
+ */
+async function generatePortfolioSignal(portfolio, strategy, dbService, riskManager, tradingHalt = null) {
+    logger.info('💼 Active portfolio loaded', {
+        portfolioId: portfolio.id,
+        mode: portfolio.mode,
+        pair: TradingPair.fromRow(portfolio).symbol,
+        ethAmount: portfolio.eth_amount,
+        btcAmount: portfolio.btc_amount
+    });
+
+    // Step 2: Get recent market data for the portfolio's pair (enough bars for the strategy's warm-up)
+    const pair = TradingPair.fromRow(portfolio).symbol;
+    // (the backtest's first trade comes on the bar after the warm-up bars, so live waits for it too)
+    const marketHistory = await dbService.getRecentMarketData(strategy.requiredBars(), pair);
+    if (marketHistory.length <= strategy.warmupBars()) {
+        throw new Error(`Insufficient ${pair} market data: ${marketHistory.length} points, need more than ${strategy.warmupBars()}`);
+    }
+
+    const latestMarket = marketHistory[0]; // Most recent data
+    logger.info('📊 Market data retrieved', {
+        pair,
+        dataPoints: marketHistory.length,
+        latestRatio: latestMarket.eth_btc_ratio,
+        parameters: strategy.parameters
+    });
+
+    // Step 3: Convert to bars, oldest first (the database returns newest first)
+    const bars = SimpleStrategy.toBars(marketHistory);
+    const currentRatio = bars[bars.length - 1].ethBtcRatio;
+
+    // Step 4: Calculate current portfolio allocation
+    const allocation = strategy.calculateAllocation(
+        parseFloat(portfolio.eth_amount),
+        parseFloat(portfolio.btc_amount),
+        currentRatio
+    );
+
+    // Step 5: Generate trading signal using the same strategy plugin as backtesting
+    // (position-aware strategies size the move from the current allocation)
+    const signal = strategy.generateSignal(bars, { ethAllocation: allocation.ethPercentage / 100 });
+
+    // Amounts needed to reach the strategy's target allocation, when it sets one
+    const tradeAmounts = signal.shouldTrade && signal.targetAllocation !== null
+        ? strategy.calculateTradeAmounts(
+            parseFloat(portfolio.eth_amount),
+            parseFloat(portfolio.btc_amount),
+            currentRatio,
+            signal.targetAllocation * 100
+        )
+        : null;
+    
+    logger.info('🎯 Trading signal generated', {
+        pair,
+        strategy: signal.strategy,
+        action: signal.action,
+        shouldTrade: signal.shouldTrade,
+        confidence: signal.confidence * 100,
+        zScore: signal.zScore.toFixed(4),
+        targetAllocation: signal.targetAllocation,
+        ethToTrade: tradeAmounts?.ethToTrade,
+        reasoning: signal.reasoning
+    });
+
+    // Step 6: Same trade gating as the backtest, decided before the signal is stored
+    // so the trade executor only sees signals that should really be traded
+    if (signal.shouldTrade) {
+        // (a paper portfolio only looks at its own trades, live ones at the live trades)
+        const recentTrades = await dbService.getRecentTrades(1, pair, portfolio.mode === 'paper' ? portfolio.id : null);
+        const lastTrade = recentTrades[0];
+        
+        // Only trade on signal changes, not on every confirmation (SimpleBacktestEngine.runBacktest);
+        // position-aware strategies only signal while the allocation is off target
+        if (lastTrade && lastTrade.trade_type === signal.action && !StrategyRegistry.get(signal.strategy).positionAware) {
+            logger.info('🔁 Skipping trade - same signal as the last trade', { pair, action: signal.action });
+            signal.shouldTrade = false;
+            signal.reasoning += ' (Trade skipped - no signal change since last trade)';
+        }
+        
+        // Check if we've already executed a trade on this pair recently
+        if (signal.shouldTrade && lastTrade) {
+            const timeSinceLastTrade = Clock.now() - new Date(lastTrade.executed_at).getTime();
+            const minTimeBetweenTrades = 5 * 60 * 1000; // 5 minutes
+            
+            if (timeSinceLastTrade < minTimeBetweenTrades) {
+                logger.info('⏰ Skipping trade - too soon since last trade', {
+                    lastTradeTime: lastTrade.executed_at,
+                    minutesAgo: (timeSinceLastTrade / 60000).toFixed(1)
+                });
+                signal.shouldTrade = false;
+                signal.reasoning += ' (Trade skipped - cooldown period)';
+            }
+        }
+
+        // Nothing is traded while halted; resuming must not trade on a signal from the halt
+        if (signal.shouldTrade && tradingHalt?.halted) {
+            logger.info('🛑 Skipping trade - trading is halted', { pair, action: signal.action });
+            signal.shouldTrade = false;
+            signal.reasoning += ` (Trade skipped - trading halted: ${tradingHalt.reason})`;
+        }
+    }
+
+    // Step 7: Evaluate every rule of the portfolio's risk policy (the report is stored with the signal)
+    const riskReport = await evaluateRiskPolicy(portfolio, signal, bars, allocation, dbService, riskManager);
+    if (signal.shouldTrade && riskReport.decision === 'block') {
+        logger.info('🛡️ Skipping trade - blocked by the risk policy', { pair, blockedBy: riskReport.blockedBy });
+        signal.shouldTrade = false;
+        signal.reasoning += ` (Trade blocked by risk policy: ${riskReport.reason})`;
+    }
+
+    // Step 8: Store signal in database (with the parameters the trade executor sizes the trade with)
+    const signalRecord = {
+        pair,
+        action: signal.action,
+        should_trade: signal.shouldTrade,
+        confidence: signal.confidence,
+        z_score: signal.zScore,
+        eth_btc_ratio: currentRatio,
+        eth_price_usd: latestMarket.eth_price_usd,
+        btc_price_usd: latestMarket.btc_price_usd,
+        portfolio_id: portfolio.id,
+        portfolio_btc_value: allocation.totalValueBTC,
+        eth_percentage: allocation.ethPercentage,
+        btc_percentage: allocation.btcPercentage,
+        strategy_params: signal.parameters,
+        market_conditions: {
+            strategy: signal.strategy,
+            ethAllocation: allocation.ethPercentage / 100,
+            targetAllocation: signal.targetAllocation,
+            ethToTrade: tradeAmounts?.ethToTrade ?? null
+        },
+        reasoning: signal.reasoning,
+        risk_report: riskReport,
+        created_at: Clock.isoString()
+    };
+
+    const savedSignal = await dbService.insertTradingSignal(signalRecord);
+    logger.info('💾 Signal stored in database', { pair, signalId: savedSignal.id });
+
+    // Step 9: Return comprehensive response
+    return {
+        pair,
+        portfolioId: portfolio.id,
+        mode: portfolio.mode,
+        signal: {
+            action: signal.action,
+            shouldTrade: signal.shouldTrade,
+            confidence: signal.confidence,
+            zScore: signal.zScore,
+            strategy: signal.strategy,
+            targetAllocation: signal.targetAllocation,
+            tradeAmounts: tradeAmounts,
+            reasoning: signal.reasoning
+        },
+        risk: {
+            decision: riskReport.decision,
+            sizeMultiplier: riskReport.sizeMultiplier,
+            blockedBy: riskReport.blockedBy,
+            warnings: riskReport.warnings,
+            shrunkBy: riskReport.shrunkBy
+        },
+        market: {
+            ethBtcRatio: currentRatio,
+            ethPriceUsd: latestMarket.eth_price_usd,
+            btcPriceUsd: latestMarket.btc_price_usd
+        },
+        portfolio: {
+            ethAmount: portfolio.eth_amount,
+            btcAmount: portfolio.btc_amount,
+            totalValueBTC: allocation.totalValueBTC,
+            ethPercentage: allocation.ethPercentage,
+            needsRebalancing: allocation.needsRebalancing
+        },
+        parameters: signal.parameters,
+        metadata: {
+            dataPoints: marketHistory.length,
+            signalId: savedSignal.id,
+            executionTimeMs: Date.now() - new Date().getTime()
+        }
+    };
+}
+
+/**
+ * Evaluate a portfolio's risk policy for the trade its signal would make
+ * The trade is sized like the trade executor will size it (SimpleBacktestEngine.calculateTradeValueBTC);
+ * without a trade the size rules are skipped, the others are still reported.
+ * @param {Object} portfolio - Portfolio row
+ * @param {Object} signal - Strategy signal
+ * @param {Array<Object>} bars - Bars the signal was generated from, oldest first
+ * @param {Object} allocation - Current allocation (strategy.calculateAllocation)
+ * @param {DatabaseService} dbService - Database service
+ * @param {RiskManager} riskManager - Risk manager
+ * @returns {Promise<Object>} Report (RiskPolicy.evaluate)
+ */
+async function evaluateRiskPolicy(portfolio, signal, bars, allocation, dbService, riskManager) {
+    const pair = TradingPair.fromRow(portfolio).symbol;
+    const policy = riskManager.resolvePolicy(await dbService.getRiskPolicy(portfolio.id));
+    const recentTrades = await dbService.getRecentTrades(
+        RiskPolicy.recentTradesNeeded(policy), pair, portfolio.mode === 'paper' ? portfolio.id : null);
+
+    const ratio = bars[bars.length - 1].ethBtcRatio;
+    const tradeValueBTC = signal.shouldTrade
+        ? SimpleBacktestEngine.calculateTradeValueBTC(
+            signal.action === 'SELL_ETH' ? 'SELL_ETH_BUY_BTC' : 'BUY_ETH_SELL_BTC',
+            { ethAmount: parseFloat(portfolio.eth_amount), btcAmount: parseFloat(portfolio.btc_amount) },
+            ratio,
+            signal.targetAllocation ?? null,
+            SimpleBacktestEngine.normalizeParameters(signal.parameters)
+        )
+        : null;
+
+    return riskManager.evaluatePolicy(policy, {
+        recentTrades,
+        tradeValueBTC,
+        portfolioValueBTC: allocation.totalValueBTC,
+        peakValueBTC: portfolio.peak_value_btc ?? null,
+        confidence: signal.confidence,
+        // Same measure as the market monitor: standard deviation of the last 30 bar returns
+        volatility: TechnicalIndicators.volatility(bars.slice(-30).map(bar => bar.ethBtcRatio))
+    });
+}
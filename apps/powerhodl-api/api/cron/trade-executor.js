@@ -2,10 +2,13 @@
  * Trade Executor Cron Job
  * 
  * Runs every 5 minutes to:
+ * - Poll open orders and apply the fills the exchange confirmed (OrderService)
  * - Check for pending strong signals
- * - Execute trades on Binance exchange
- * - Record trade results and update portfolio
- * - Handle errors and risk management
+ * - Place orders on the exchange, each pair against the portfolio that trades it
+ * - Fill the signals of paper portfolios in simulation, against their own virtual balances
+ * - Record trades and update the portfolio from confirmed fills only
+ * - Handle errors and risk management (no live orders while the kill switch is halted;
+ *   each portfolio's risk policy blocks and shrinks trades)
  * 
  * Schedule: Every 5 minutes (cron format)
  */
@@ -13,12 +16,24 @@
 import { TradeExecutionService } from '../../lib/services/TradeExecutionService.js';
 import { DatabaseService } from '../../lib/services/DatabaseService.js';
 import { RiskManager } from '../../lib/services/RiskManager.js';
+import { OrderService } from '../../lib/services/OrderService.js';
+import { KillSwitchService } from '../../lib/services/KillSwitchService.js';
 import { Logger } from '../../lib/utils/Logger.js';
 import { CronValidator } from '../../lib/utils/CronValidator.js';
+import { MigrationRunner } from '../../lib/database/MigrationRunner.js';
+import { SimpleBacktestEngine } from '../../src/SimpleBacktestEngine.js';
+import { RiskPolicy } from '../../src/RiskPolicy.js';
+import { TradingPair } from '../../../../packages/shared/src/TradingPair.js';
 
 const logger = new Logger('TradeExecutor');
 
-export default async function handler(req, res) {
+/**
+ * Cron job handler for trade execution
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} services - { dbService, tradeService, riskManager, orderService, killSwitch } to use instead of new instances (cron replay)
+ */
+export default async function handler(req, res, services = {}) {
     // Validate cron request
     if (!CronValidator.isValidCronRequest(req)) {
         return res.status(401).json({ error: 'Unauthorized cron request' });
@@ -29,11 +44,33 @@ export default async function handler(req, res) {
 
     try {
         // Initialize services
-        const tradeService = new TradeExecutionService();
-        const dbService = new DatabaseService();
-        const riskManager = new RiskManager();
+        const tradeService = services.tradeService || new TradeExecutionService();
+        const dbService = services.dbService || new DatabaseService();
+        const riskManager = services.riskManager || new RiskManager();
+
+        // Refuse to write to a database whose schema is behind this code
+        const schema = await MigrationRunner.status(dbService);
+        if (!schema.current) {
+            logger.error('🛑 Database schema is behind - run npm run migrate', { version: schema.version, latest: schema.latest });
+            return res.status(503).json(MigrationRunner.createSchemaBehindResponse(schema));
+        }
 
-        // Step 1: Check for executable signals (strong signals from last 10 minutes)
+        const orderService = services.orderService || new OrderService(dbService, tradeService);
+        const killSwitch = services.killSwitch || new KillSwitchService(dbService, riskManager);
+
+        // Step 1: Follow up orders placed by earlier runs (fills, partial fills, stale orders),
+        // also while halted: they are on the exchange already
+        const orderUpdates = await orderService.syncOpenOrders();
+        if (orderUpdates.length > 0) {
+            logger.info(`📬 Synced ${orderUpdates.length} open order(s)`, { orders: orderUpdates });
+        }
+
+        const tradingHalt = await killSwitch.getState();
+        if (tradingHalt.halted) {
+            logger.warn('🛑 Trading is halted - no live orders this run', { reason: tradingHalt.reason, actor: tradingHalt.actor });
+        }
+
+        // Check for executable signals (strong signals from last 10 minutes)
         const executableSignals = await dbService.getExecutableSignals(10); // Last 10 minutes
         
         if (executableSignals.length === 0) {
@@ -42,170 +79,52 @@ export default async function handler(req, res) {
                 success: true,
                 message: 'No signals to execute',
                 timestamp: new Date().toISOString(),
-                executionTime: Date.now() - startTime
+                executionTime: Date.now() - startTime,
+                orders: orderUpdates,
+                tradingHalted: tradingHalt.halted
             });
         }
 
         logger.info(`🎯 Found ${executableSignals.length} executable signal(s)`);
 
-        // Step 2: Get active portfolio and current balances
-        const portfolio = await dbService.getActivePortfolio();
-        if (!portfolio) {
-            throw new Error('No active portfolio found');
-        }
-
-        // Step 3: Risk management checks
-        const riskCheck = await riskManager.validateTradeExecution(portfolio, executableSignals);
-        if (!riskCheck.canTrade) {
-            logger.warn('⚠️ Trade blocked by risk management', {
-                reason: riskCheck.reason,
-                details: riskCheck.details
-            });
-            
-            // Mark signals as skipped
-            for (const signal of executableSignals) {
-                await dbService.updateTradingSignal(signal.id, {
-                    trade_executed: false,
-                    skip_reason: riskCheck.reason
-                });
+        // Step 2: A paper portfolio's signals run against that portfolio, all others
+        // against the active live portfolio trading the signal's pair
+        const groups = new Map();
+        const owners = new Map();
+        for (const signal of executableSignals) {
+            const pair = TradingPair.fromRow(signal).symbol;
+            if (signal.portfolio_id && !owners.has(signal.portfolio_id)) {
+                owners.set(signal.portfolio_id, await dbService.getPortfolio(signal.portfolio_id));
             }
+            const owner = owners.get(signal.portfolio_id);
+            const paperPortfolio = owner?.mode === 'paper' ? owner : null;
+            const key = paperPortfolio ? `paper:${paperPortfolio.id}` : pair;
 
-            return res.status(200).json({
-                success: true,
-                message: 'Trade blocked by risk management',
-                reason: riskCheck.reason,
-                timestamp: new Date().toISOString(),
-                executionTime: Date.now() - startTime
-            });
+            const group = groups.get(key) || { pair, paperPortfolio, signals: [] };
+            group.signals.push(signal);
+            groups.set(key, group);
         }
 
-        // Step 4: Execute trades for each signal
         const tradeResults = [];
-        
-        for (const signal of executableSignals) {
-            try {
-                logger.info('🚀 Executing trade', {
-                    signalId: signal.id,
-                    action: signal.signal_type,
-                    confidence: signal.confidence
-                });
-
-                // Execute the trade
-                const tradeResult = await tradeService.executeTrade(signal, portfolio);
-                
-                if (tradeResult.success) {
-                    // Record successful trade
-                    const tradeRecord = await dbService.insertTrade({
-                        portfolio_id: portfolio.id,
-                        signal_id: signal.id,
-                        trade_type: signal.signal_type,
-                        
-                        // Market data
-                        eth_price_usd: tradeResult.marketData.ethPriceUsd,
-                        btc_price_usd: tradeResult.marketData.btcPriceUsd,
-                        eth_btc_ratio: signal.eth_btc_ratio,
-                        z_score: signal.z_score,
-                        signal_strength: signal.confidence,
-                        
-                        // Trade execution
-                        eth_amount_before: tradeResult.balances.ethBefore,
-                        btc_amount_before: tradeResult.balances.btcBefore,
-                        eth_amount_after: tradeResult.balances.ethAfter,
-                        btc_amount_after: tradeResult.balances.btcAfter,
-                        
-                        // Trade details
-                        trade_value_usd: tradeResult.order.cost,
-                        trade_value_btc: tradeResult.order.cost / tradeResult.marketData.btcPriceUsd,
-                        fees_usd: tradeResult.order.fee?.cost || 0,
-                        fees_btc: (tradeResult.order.fee?.cost || 0) / tradeResult.marketData.btcPriceUsd,
-                        
-                        // Exchange info
-                        exchange_name: 'binance',
-                        exchange_order_id: tradeResult.order.id,
-                        execution_time_ms: tradeResult.executionTime,
-                        
-                        executed_at: new Date().toISOString()
-                    });
-
-                    // Update signal as executed
-                    await dbService.updateTradingSignal(signal.id, {
-                        trade_executed: true,
-                        trade_id: tradeRecord.id
-                    });
-
-                    // Update portfolio balances
-                    await dbService.updatePortfolio(portfolio.id, {
-                        eth_amount: tradeResult.balances.ethAfter,
-                        btc_amount: tradeResult.balances.btcAfter,
-                        updated_at: new Date().toISOString()
-                    });
-
-                    logger.info('✅ Trade executed successfully', {
-                        tradeId: tradeRecord.id,
-                        orderId: tradeResult.order.id,
-                        amount: tradeResult.order.amount,
-                        price: tradeResult.order.price
-                    });
-
-                    tradeResults.push({
-                        signalId: signal.id,
-                        tradeId: tradeRecord.id,
-                        success: true,
-                        order: {
-                            id: tradeResult.order.id,
-                            amount: tradeResult.order.amount,
-                            price: tradeResult.order.price,
-                            cost: tradeResult.order.cost
-                        }
-                    });
+        const blocked = [];
 
-                } else {
-                    // Handle failed trade
-                    logger.error('❌ Trade execution failed', {
-                        signalId: signal.id,
-                        error: tradeResult.error
-                    });
-
-                    // Mark signal as failed
-                    await dbService.updateTradingSignal(signal.id, {
-                        trade_executed: false,
-                        skip_reason: `Execution failed: ${tradeResult.error}`
-                    });
-
-                    tradeResults.push({
-                        signalId: signal.id,
-                        success: false,
-                        error: tradeResult.error
-                    });
-                }
-
-            } catch (error) {
-                logger.error('❌ Trade execution error', {
-                    signalId: signal.id,
-                    error: error.message
-                });
-
-                // Mark signal as error
-                await dbService.updateTradingSignal(signal.id, {
-                    trade_executed: false,
-                    skip_reason: `Error: ${error.message}`
-                });
-
-                tradeResults.push({
-                    signalId: signal.id,
-                    success: false,
-                    error: error.message
-                });
+        for (const { pair, paperPortfolio, signals } of groups.values()) {
+            const outcome = await executePairSignals(pair, signals, { orderService, dbService, riskManager }, paperPortfolio, tradingHalt);
+            tradeResults.push(...outcome.tradeResults);
+            if (outcome.blocked) {
+                blocked.push({ pair, portfolioId: paperPortfolio?.id, reason: outcome.blocked });
             }
         }
 
         const executionTime = Date.now() - startTime;
-        const successfulTrades = tradeResults.filter(r => r.success).length;
+        const successfulTrades = tradeResults.filter(r => r.success && !r.skipped).length;
+        const skippedTrades = tradeResults.filter(r => r.skipped).length;
         
         logger.info(`✅ Trade execution completed in ${executionTime}ms`, {
             totalSignals: executableSignals.length,
             successfulTrades,
-            failedTrades: tradeResults.length - successfulTrades
+            skippedTrades,
+            failedTrades: tradeResults.length - successfulTrades - skippedTrades
         });
 
         res.status(200).json({
@@ -215,9 +134,13 @@ export default async function handler(req, res) {
             summary: {
                 signalsProcessed: executableSignals.length,
                 tradesExecuted: successfulTrades,
-                tradesFailed: tradeResults.length - successfulTrades
+                tradesSkipped: skippedTrades,
+                tradesFailed: tradeResults.length - successfulTrades - skippedTrades
             },
-            trades: tradeResults
+            trades: tradeResults,
+            orders: orderUpdates,
+            blocked,
+            tradingHalted: tradingHalt.halted
         });
 
     } catch (error) {
@@ -230,7 +153,7 @@ export default async function handler(req, res) {
 
         // Log error to database
         try {
-            const dbService = new DatabaseService();
+            const dbService = services.dbService || new DatabaseService();
             await dbService.logSystemEvent({
                 event_type: 'cron_error',
                 severity: 'error',
@@ -253,3 +176,173 @@ export default async function handler(req, res) {
         });
     }
 }
+
+/**
+ * Execute the signals of one pair against the active portfolio trading that pair
+ * @param {string} pair - Trading pair
+ * @param {Array<Object>} signals - Executable signals for the pair
+ * @param {Object} services - { orderService, dbService, riskManager }
+ * @param {Object|null} paperPortfolio - Paper portfolio the signals were generated for (default: the live portfolio of the pair)
+ * @param {Object|null} tradingHalt - Kill switch state (paper portfolios trade on while halted)
+ * @returns {Promise<Object>} { tradeResults, blocked } (blocked = risk reason or null)
+ */
+async function executePairSignals(pair, signals, { orderService, dbService, riskManager }, paperPortfolio = null, tradingHalt = null) {
+    // Step 2: Get the portfolio trading this pair
+    const portfolio = paperPortfolio || await dbService.getActivePortfolio(pair);
+    if (!portfolio || !portfolio.is_active) {
+        const reason = paperPortfolio ? `Paper portfolio ${paperPortfolio.id} is closed` : `No active portfolio for ${pair}`;
+        logger.warn('⚠️ No active portfolio for signals', { pair, reason, signals: signals.length });
+        for (const signal of signals) {
+            await dbService.updateTradingSignal(signal.id, {
+                trade_executed: false,
+                skip_reason: reason
+            });
+        }
+        return { tradeResults: [], blocked: reason };
+    }
+
+    // Step 3: Balances are not final while an order of this portfolio is still open
+    const openOrders = await dbService.getOpenOrders(portfolio.id);
+    if (openOrders.length > 0) {
+        const reason = `Order ${openOrders[0].id} of portfolio ${portfolio.id} is still ${openOrders[0].status}`;
+        logger.warn('⏳ Waiting for open order', { pair, reason });
+        return { tradeResults: [], blocked: reason };
+    }
+
+    // Risk management checks (including the kill switch, a halt by the balance reconciler and the portfolio's risk policy)
+    const policy = riskManager.resolvePolicy(await dbService.getRiskPolicy(portfolio.id));
+    const recentTrades = await dbService.getRecentTrades(RiskPolicy.recentTradesNeeded(policy), pair, paperPortfolio ? portfolio.id : null);
+    const reconciliation = await dbService.getLatestBalanceReconciliation(portfolio.id);
+    const riskCheck = await riskManager.validateTradeExecution(
+        portfolio, signals, recentTrades, reconciliation, paperPortfolio ? null : tradingHalt, policy);
+    if (!riskCheck.canTrade) {
+        logger.warn('⚠️ Trade blocked by risk management', {
+            pair,
+            reason: riskCheck.reason,
+            details: riskCheck.details
+        });
+        
+        // Mark signals as skipped
+        for (const signal of signals) {
+            await dbService.updateTradingSignal(signal.id, {
+                trade_executed: false,
+                skip_reason: riskCheck.reason
+            });
+        }
+
+        return { tradeResults: [], blocked: riskCheck.reason };
+    }
+
+    // Step 4: Current bar of the pair, normalized like the backtest's bars (sizing and fills use it)
+    const [latestSnapshot] = await dbService.getRecentMarketData(1, pair);
+    if (!latestSnapshot) {
+        return { tradeResults: [], blocked: `No ${pair} market data` };
+    }
+    const [marketData] = SimpleBacktestEngine.normalizeMarketData([latestSnapshot]);
+
+    // Step 5: Execute trades for each signal
+    const tradeResults = [];
+    
+    for (const signal of signals) {
+        try {
+            logger.info('🚀 Executing trade', {
+                pair,
+                signalId: signal.id,
+                action: signal.action,
+                confidence: signal.confidence
+            });
+
+            // Place the order and follow it as far as it gets now
+            const tradeResult = await orderService.execute(signal, portfolio, marketData);
+            
+            if (tradeResult.success && ['SKIP', 'HOLD'].includes(tradeResult.action)) {
+                // Nothing to trade (e.g. target allocation already reached)
+                logger.info('⏭️ Trade skipped', { signalId: signal.id, reason: tradeResult.message });
+                await dbService.updateTradingSignal(signal.id, {
+                    trade_executed: false,
+                    skip_reason: tradeResult.message
+                });
+                tradeResults.push({ signalId: signal.id, pair, success: true, skipped: true, reason: tradeResult.message });
+                
+            } else if (tradeResult.success && tradeResult.order) {
+                const { order } = tradeResult;
+
+                // Later signals of this run size from the balances the confirmed fills left
+                portfolio.eth_amount = tradeResult.balances.ethAmount;
+                portfolio.btc_amount = tradeResult.balances.btcAmount;
+
+                logger.info(tradeResult.settled ? '✅ Order settled' : '📤 Order open, fills follow on later runs', {
+                    orderId: order.id,
+                    status: order.status,
+                    tradeId: tradeResult.tradeId,
+                    filled: order.filled_amount,
+                    price: order.average_price
+                });
+
+                tradeResults.push({
+                    signalId: signal.id,
+                    pair,
+                    portfolioId: portfolio.id,
+                    tradeId: tradeResult.tradeId,
+                    success: true,
+                    order: {
+                        id: order.id,
+                        exchangeOrderId: order.exchange_order_id,
+                        status: order.status,
+                        amount: Number(order.amount),
+                        filled: Number(order.filled_amount),
+                        price: order.average_price !== null ? Number(order.average_price) : null,
+                        cost: Number(order.cost)
+                    }
+                });
+
+                // The next signal would size from balances that are not final yet
+                if (!tradeResult.settled) {
+                    break;
+                }
+
+            } else {
+                // Handle failed trade (OrderService has recorded the failed order and the signal's skip reason)
+                const error = tradeResult.error || 'No order was placed';
+                logger.error('❌ Trade execution failed', {
+                    signalId: signal.id,
+                    orderId: tradeResult.order?.id,
+                    error
+                });
+
+                if (!tradeResult.order) {
+                    await dbService.updateTradingSignal(signal.id, {
+                        trade_executed: false,
+                        skip_reason: `Execution failed: ${error}`
+                    });
+                }
+
+                tradeResults.push({
+                    signalId: signal.id,
+                    success: false,
+                    error
+                });
+            }
+
+        } catch (error) {
+            logger.error('❌ Trade execution error', {
+                signalId: signal.id,
+                error: error.message
+            });
+
+            // Mark signal as error
+            await dbService.updateTradingSignal(signal.id, {
+                trade_executed: false,
+                skip_reason: `Error: ${error.message}`
+            });
+
+            tradeResults.push({
+                signalId: signal.id,
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    return { tradeResults, blocked: null };
+}
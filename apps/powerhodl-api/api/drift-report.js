@@ -0,0 +1,201 @@
+/**
+ * Live vs. Backtest Drift Report API - Vercel Serverless Function
+ *
+ * GET /api/drift-report - re-runs SimpleBacktestEngine over the period a parameter set has been
+ * live, on the real snapshots, and compares its trades with the portfolio's trades and signals
+ * (see src/DriftAnalyzer.js).
+ *
+ * Query parameters (all optional):
+ *   parameterId - Parameter set (default: the paper portfolio's own set, else the active set)
+ *   portfolioId - Portfolio, live or paper (default: the live portfolio of `pair`)
+ *   pair        - Pair of the live portfolio (default: the first active portfolio's pair)
+ *   from, to    - Period override, ISO timestamps (default: the set's latest active period,
+ *                 for a paper portfolio with its own set: since the portfolio was opened)
+ *   matchWindowMinutes - How long after a bar its live trade may come (default: one bar interval)
+ *
+ * response.data: { portfolio, parameters, period, availablePeriods, startingBalances,
+ * summary, matched, missed, extra, performance }
+ */
+
+import { DatabaseService } from '../lib/services/DatabaseService.js';
+import { SimpleStrategy } from '../src/SimpleStrategy.js';
+import { SimpleBacktestEngine } from '../src/SimpleBacktestEngine.js';
+import { DriftAnalyzer } from '../src/DriftAnalyzer.js';
+import { TradingPair } from '../../../packages/shared/src/TradingPair.js';
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    const query = req.query || {};
+    let request;
+    try {
+        request = parseQuery(query);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        const dbService = new DatabaseService();
+
+        // Which portfolio
+        const portfolio = request.portfolioId !== null
+            ? await dbService.getPortfolio(request.portfolioId)
+            : await dbService.getActivePortfolio(request.pair?.symbol
+                ?? TradingPair.fromRow((await dbService.getActivePortfolios())[0]).symbol);
+        if (!portfolio) {
+            return res.status(404).json({
+                success: false,
+                error: request.portfolioId !== null ? `Portfolio ${request.portfolioId} not found` : 'No active portfolio'
+            });
+        }
+        const pair = TradingPair.fromRow(portfolio).symbol;
+
+        // Which parameter set
+        const activeParameters = await dbService.getActiveParameters();
+        const parameterId = request.parameterId ?? portfolio.parameter_id ?? activeParameters?.id ?? null;
+        const parameterRow = parameterId !== null ? await dbService.getParameters(parameterId) : null;
+        if (!parameterRow) {
+            return res.status(404).json({ success: false, error: `Parameter set ${parameterId} not found` });
+        }
+
+        // Which period: requested, else the set's latest active period (never before the portfolio existed)
+        const availablePeriods = portfolio.mode === 'paper' && portfolio.parameter_id === parameterRow.id
+            ? [{ active_from: portfolio.created_at, active_to: null }]
+            : await activePeriods(dbService, parameterRow, parameterRow.id === activeParameters?.id);
+        const latest = availablePeriods.at(-1);
+        if (!request.from && !latest) {
+            return res.status(404).json({ success: false, error: `Parameter set ${parameterRow.id} has never been active` });
+        }
+        const period = {
+            from: maxTimestamp(request.from || latest.active_from, portfolio.created_at),
+            to: request.from ? request.to : (request.to || toIso(latest.active_to))
+        };
+
+        // Same parameters and warm-up as the live signals
+        const strategy = new SimpleStrategy(dbService, parameterRow.id);
+        await strategy.parametersLoaded;
+        const params = SimpleBacktestEngine.normalizeParameters(strategy.parameters);
+
+        const [snapshots, trades, signals] = await Promise.all([
+            dbService.getSnapshotsForPeriod(pair, period.from, period.to, strategy.warmupBars()),
+            dbService.getPortfolioTrades(portfolio.id),
+            dbService.getSignalsForPeriod(pair, period.from, period.to, portfolio.id)
+        ]);
+
+        let report;
+        try {
+            report = DriftAnalyzer.analyze({
+                bars: SimpleBacktestEngine.normalizeMarketData(snapshots),
+                params,
+                period,
+                portfolio,
+                trades,
+                signals
+            }, request.matchWindowMinutes !== null ? { matchWindowMinutes: request.matchWindowMinutes } : {});
+        } catch (error) {
+            // No snapshots in the period
+            return res.status(422).json({ success: false, error: error.message });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                portfolio: { id: portfolio.id, name: portfolio.name ?? null, mode: portfolio.mode ?? 'live', pair },
+                parameters: { id: parameterRow.id, name: parameterRow.name, values: params },
+                availablePeriods: availablePeriods.map(p => ({ from: toIso(p.active_from), to: toIso(p.active_to) })),
+                ...report
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ [DRIFT REPORT API] Error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to build drift report',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Validate the query parameters
+ * @param {Object} query - req.query
+ * @returns {Object} { parameterId, portfolioId, pair, from, to, matchWindowMinutes } (null when not given)
+ * @throws {Error} For invalid values
+ */
+function parseQuery(query) {
+    const positiveInt = (name) => {
+        if (query[name] === undefined) {
+            return null;
+        }
+        const value = parseInt(query[name], 10);
+        if (!(value > 0)) {
+            throw new Error(`Invalid ${name}: ${query[name]}`);
+        }
+        return value;
+    };
+    const timestamp = (name) => {
+        if (query[name] === undefined) {
+            return null;
+        }
+        const date = new Date(query[name]);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid ${name}: ${query[name]} (expected an ISO timestamp)`);
+        }
+        return date.toISOString();
+    };
+
+    const request = {
+        parameterId: positiveInt('parameterId'),
+        portfolioId: positiveInt('portfolioId'),
+        pair: query.pair ? TradingPair.parse(query.pair) : null,
+        from: timestamp('from'),
+        to: timestamp('to'),
+        matchWindowMinutes: query.matchWindowMinutes !== undefined ? Number(query.matchWindowMinutes) : null
+    };
+
+    if (request.from && request.to && request.from >= request.to) {
+        throw new Error('from must be before to');
+    }
+    if (request.matchWindowMinutes !== null && !(request.matchWindowMinutes > 0)) {
+        throw new Error(`Invalid matchWindowMinutes: ${query.matchWindowMinutes}`);
+    }
+
+    return request;
+}
+
+/**
+ * Periods the set was active; a set active since before activations were recorded
+ * (the System Default of a new database) counts from its creation
+ * @param {DatabaseService} dbService - Database service
+ * @param {Object} parameterRow - algorithm_parameters row
+ * @param {boolean} isActive - The set is the one the live signals use now
+ * @returns {Promise<Array>} [{ active_from, active_to }], oldest first
+ */
+async function activePeriods(dbService, parameterRow, isActive) {
+    const periods = await dbService.getParameterActivePeriods(parameterRow.id);
+    if (periods.length === 0 && isActive) {
+        return [{ active_from: parameterRow.created_at, active_to: null }];
+    }
+    return periods;
+}
+
+function toIso(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+function maxTimestamp(a, b) {
+    return new Date(Math.max(new Date(a).getTime(), new Date(b || a).getTime())).toISOString();
+}
@@ -2,9 +2,15 @@
  * Vercel Serverless Function - Historical Data API
  * 
  * Historical market data endpoint
+ * GET /api/historical?days=30&pair=SOL/ETH (pair defaults to ETH/BTC)
+ * GET /api/historical?days=30&timeframe=1h returns 1h candles (open/high/low/close of the ratio)
+ * instead of raw snapshots
  */
 
 import { DatabaseService } from '../lib/services/DatabaseService.js';
+import { CandleService } from '../lib/services/CandleService.js';
+import { TradingPair } from '../../../packages/shared/src/TradingPair.js';
+import { Timeframe } from '../../../packages/shared/src/Timeframe.js';
 // Data collector removed - using database only
 
 export default async function handler(req, res) {
@@ -38,6 +44,17 @@ export default async function handler(req, res) {
             });
         }
         
+        let pair, timeframe;
+        try {
+            pair = TradingPair.parse(req.query.pair).symbol;
+            timeframe = req.query.timeframe ? Timeframe.parse(req.query.timeframe) : null;
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        
         // Initialize database service
         const dbService = new DatabaseService();
         
@@ -45,25 +62,51 @@ export default async function handler(req, res) {
         let dataSource = 'unknown';
         
         try {
-            // Try to fetch from database first
-            console.log(`📈 [HISTORICAL API] Fetching ${requestedDays} days from database...`);
-            const dbData = await dbService.getHistoricalData(requestedDays);
-            
-            if (dbData && dbData.length > 0) {
-                historicalData = dbData.map(item => ({
-                    date: extractDateOnly(item.collected_at),
-                    timestamp: normalizeDate(item.collected_at),
-                    ethBtcRatio: parseFloat(item.eth_btc_ratio || 0),
-                    ethPriceUSD: parseFloat(item.eth_price_usd || 0),
-                    btcPriceUSD: parseFloat(item.btc_price_usd || 0),
-                    close: parseFloat(item.eth_btc_ratio || 0), // Use ratio for close, not USD price
-                    volume: parseFloat(item.eth_btc_volume_24h || item.volume_24h || 0),
-                    zScore: parseFloat(item.z_score || 0)
+            if (timeframe) {
+                console.log(`🕯️ [HISTORICAL API] Fetching ${requestedDays} days of ${pair} ${timeframe} candles...`);
+                const candles = await new CandleService(dbService).getMarketData(pair, timeframe, requestedDays);
+                
+                if (candles.length === 0) {
+                    throw new Error(`No ${pair} data found in database`);
+                }
+                
+                historicalData = candles.map(candle => ({
+                    date: extractDateOnly(candle.openTime), // the day the candle covers
+                    timestamp: candle.timestamp,
+                    openTime: candle.openTime,
+                    ethBtcRatio: candle.ethBtcRatio,
+                    ethPriceUSD: candle.ethPrice,
+                    btcPriceUSD: candle.btcPrice,
+                    open: candle.open,
+                    high: candle.high,
+                    low: candle.low,
+                    close: candle.ethBtcRatio,
+                    volume: candle.volume,
+                    zScore: 0 // Candles carry no indicator values
                 }));
-                dataSource = 'database';
-                console.log(`✅ [HISTORICAL API] Retrieved ${historicalData.length} records from database`);
+                dataSource = 'candles';
+                console.log(`✅ [HISTORICAL API] Retrieved ${historicalData.length} candles`);
             } else {
-                throw new Error('No data found in database');
+                // Try to fetch from database first
+                console.log(`📈 [HISTORICAL API] Fetching ${requestedDays} days of ${pair} from database...`);
+                const dbData = await dbService.getHistoricalData(requestedDays, pair);
+            
+                if (dbData && dbData.length > 0) {
+                    historicalData = dbData.map(item => ({
+                        date: extractDateOnly(item.collected_at),
+                        timestamp: normalizeDate(item.collected_at),
+                        ethBtcRatio: parseFloat(item.eth_btc_ratio || 0),
+                        ethPriceUSD: parseFloat(item.eth_price_usd || 0),
+                        btcPriceUSD: parseFloat(item.btc_price_usd || 0),
+                        close: parseFloat(item.eth_btc_ratio || 0), // Use ratio for close, not USD price
+                        volume: parseFloat(item.eth_btc_volume_24h || item.volume_24h || 0),
+                        zScore: parseFloat(item.z_score || 0)
+                    }));
+                    dataSource = 'database';
+                    console.log(`✅ [HISTORICAL API] Retrieved ${historicalData.length} records from database`);
+                } else {
+                    throw new Error(`No ${pair} data found in database`);
+                }
             }
         } catch (dbError) {
             console.error('❌ [HISTORICAL API] Database error:', {
@@ -80,8 +123,8 @@ export default async function handler(req, res) {
             });
         }
         
-        // Filter to requested number of days
-        if (historicalData.length > requestedDays) {
+        // Filter to requested number of days (raw rows; candles are already limited to the period)
+        if (!timeframe && historicalData.length > requestedDays) {
             historicalData = historicalData.slice(-requestedDays);
         }
         
@@ -91,10 +134,12 @@ export default async function handler(req, res) {
         // Build response
         const response = {
             success: true,
+            pair: pair,
             data: historicalData,
             metadata: {
                 requestedDays: requestedDays,
                 actualDays: historicalData.length,
+                timeframe,
                 dataSource: dataSource,
                 executionTime,
                 version: '2.0.0',
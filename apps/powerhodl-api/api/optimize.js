@@ -0,0 +1,118 @@
+/**
+ * Parameter Optimization API - Vercel Serverless Function
+ *
+ * Runs a full parameter search against SimpleBacktestEngine inside the API process
+ * and saves the winner as a new algorithm_parameters row (inactive).
+ * The winner can then be reviewed and activated from ParametersManager.
+ *
+ * POST body:
+ * {
+ *   parameters: { transactionCost, ... },     // base/start parameters
+ *   backtestPeriod: 'ALL' | number,           // days of history
+ *   pair: 'ETH/BTC',                          // trading pair whose history is searched
+ *   strategy: 'grid' | 'random' | 'nelder-mead' | 'gradient-descent',
+ *   objective: 'btcGrowth' | 'tokenAccumulation' | 'sharpe' | 'feePenalized',
+ *   bounds: { zScoreThreshold: { min, max }, lookbackDays: { min, max, integer: true } },
+ *   seed, maxIterations, convergenceThreshold, feePenalty,
+ *   save: true, name, description
+ * }
+ */
+
+import { SimpleBacktestEngine } from '../src/SimpleBacktestEngine.js';
+import { ParameterOptimizer } from '../src/ParameterOptimizer.js';
+import { BacktestResultFormatter } from '../src/BacktestResultFormatter.js';
+import { DatabaseService } from '../lib/services/DatabaseService.js';
+import { TradingPair } from '../../../packages/shared/src/TradingPair.js';
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    const startTime = Date.now();
+
+    try {
+        const body = req.body || {};
+        const backtestPeriod = body.backtestPeriod === 'ALL'
+            ? 365 * 4
+            : parseInt(body.backtestPeriod) || 365;
+        const pair = TradingPair.parse(body.pair).symbol;
+
+        console.log('🚀 [OPTIMIZE API] Starting:', {
+            strategy: body.strategy,
+            objective: body.objective,
+            maxIterations: body.maxIterations,
+            backtestPeriod,
+            pair
+        });
+
+        const dbService = new DatabaseService();
+        const rawData = await dbService.getHistoricalData(backtestPeriod, pair);
+
+        if (!rawData || rawData.length === 0) {
+            throw new Error('No historical data available');
+        }
+
+        const marketData = SimpleBacktestEngine.normalizeMarketData(rawData);
+        const baseParams = SimpleBacktestEngine.normalizeParameters(body.parameters || {});
+
+        const optimization = ParameterOptimizer.run(marketData, baseParams, {
+            strategy: body.strategy,
+            objective: body.objective,
+            bounds: body.bounds,
+            seed: body.seed,
+            maxIterations: body.maxIterations,
+            convergenceThreshold: body.convergenceThreshold,
+            feePenalty: body.feePenalty
+        });
+
+        // Save the winner so it shows up in ParametersManager (never auto-activated)
+        let savedParameters = null;
+        if (body.save !== false) {
+            const winner = BacktestResultFormatter.optimizationWinner(
+                optimization,
+                { ...body, backtestPeriod: body.backtestPeriod || backtestPeriod, pair },
+                marketData.length
+            );
+            savedParameters = await dbService.saveAlgorithmParameters(winner.parameters, winner.performance, winner.name, winner.description);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...BacktestResultFormatter.optimization(optimization),
+                savedParameterId: savedParameters?.id || null,
+                metadata: {
+                    processingTimeMs: Date.now() - startTime,
+                    dataPoints: marketData.length,
+                    backtestEngine: 'SimpleBacktestEngine',
+                    period: backtestPeriod,
+                    pair
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ [OPTIMIZE API] Error:', error);
+
+        const isValidationError = error.message?.startsWith('Invalid');
+        res.status(isValidationError ? 400 : 500).json({
+            success: false,
+            error: 'Optimization failed',
+            message: error.message,
+            metadata: {
+                processingTimeMs: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+}
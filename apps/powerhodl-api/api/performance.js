@@ -0,0 +1,122 @@
+/**
+ * Portfolio Performance API - Vercel Serverless Function
+ *
+ * GET /api/performance - the performance snapshots the daily performance-snapshot cron recorded
+ * for a portfolio (return, Sharpe, Sortino, Calmar, VaR / CVaR, Ulcer index, drawdowns - see
+ * packages/shared/src/PerformanceMetrics.js).
+ *
+ * Query parameters (all optional):
+ *   portfolioId - Portfolio, live or paper (default: the live portfolio of `pair`)
+ *   pair        - Pair of the live portfolio (default: the first active portfolio's pair)
+ *   limit       - Snapshots of the history, newest first (default 30)
+ *
+ * response.data: { portfolio, latest (null before the first snapshot), history }
+ */
+
+import { DatabaseService } from '../lib/services/DatabaseService.js';
+import { TradingPair } from '../../../packages/shared/src/TradingPair.js';
+
+const NUMERIC_COLUMNS = [
+    'total_value_btc', 'total_return_pct', 'benchmark_return_pct', 'excess_return_pct', 'win_rate',
+    'sharpe_ratio', 'max_drawdown_pct', 'annualized_return_pct', 'volatility_pct', 'sortino_ratio',
+    'calmar_ratio', 'var_pct', 'cvar_pct', 'ulcer_index', 'longest_drawdown_days', 'time_to_recovery_days',
+    'bars_per_year'
+];
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    const query = req.query || {};
+    let request;
+    try {
+        request = parseQuery(query);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        const dbService = new DatabaseService();
+
+        const portfolio = request.portfolioId !== null
+            ? await dbService.getPortfolio(request.portfolioId)
+            : await findLivePortfolio(dbService, request.pair);
+        if (!portfolio) {
+            return res.status(404).json({
+                success: false,
+                error: request.portfolioId !== null ? `Portfolio ${request.portfolioId} not found` : 'No active portfolio'
+            });
+        }
+
+        const history = (await dbService.getPerformanceSnapshots(portfolio.id, request.limit)).map(formatSnapshot);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                portfolio: {
+                    id: portfolio.id,
+                    pair: TradingPair.fromRow(portfolio).symbol,
+                    mode: portfolio.mode,
+                    createdAt: portfolio.created_at
+                },
+                latest: history[0] || null,
+                history
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ [PERFORMANCE API] Error:', error);
+        return res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+function parseQuery(query) {
+    const positiveInt = (name) => {
+        if (query[name] === undefined) {
+            return null;
+        }
+        const value = parseInt(query[name], 10);
+        if (!(value > 0)) {
+            throw new Error(`Invalid ${name}: ${query[name]}`);
+        }
+        return value;
+    };
+
+    return {
+        portfolioId: positiveInt('portfolioId'),
+        pair: query.pair ? TradingPair.parse(query.pair) : null,
+        limit: positiveInt('limit') ?? 30
+    };
+}
+
+async function findLivePortfolio(dbService, pair) {
+    if (pair) {
+        return dbService.getActivePortfolio(pair.symbol);
+    }
+    const [first] = await dbService.getActivePortfolios();
+    return first ? dbService.getActivePortfolio(TradingPair.fromRow(first).symbol) : null;
+}
+
+/**
+ * Snapshot row with its NUMERIC columns as numbers (pg returns them as strings)
+ * @param {Object} row - performance_snapshots row
+ * @returns {Object} Row
+ */
+function formatSnapshot(row) {
+    const snapshot = { ...row };
+    for (const column of NUMERIC_COLUMNS) {
+        snapshot[column] = row[column] != null ? parseFloat(row[column]) : null;
+    }
+    return snapshot;
+}
@@ -2,10 +2,18 @@
  * Vercel Serverless Function - Portfolio API
  * 
  * Portfolio management and status endpoint
+ * 
+ * GET /api/portfolio?pair=SOL/ETH - portfolio trading that pair
+ * (default: the first active portfolio). Amounts keep the ETH/BTC field names:
+ * eth* = the pair's base asset, btc* = its quote asset (see response.pair).
+ * GET /api/portfolio?portfolioId=7 - one portfolio by id. Paper portfolios (virtual accounts)
+ * report their balances from the database; live ones from the wallet / exchange.
+ * response.availablePortfolios lists every active live and paper portfolio.
  */
 
 import { DatabaseService } from '../lib/services/DatabaseService.js';
 import { SimpleStrategy } from '../src/SimpleStrategy.js';
+import { TradingPair } from '../../../packages/shared/src/TradingPair.js';
 import { ethers } from 'ethers';
 
 export default async function handler(req, res) {
@@ -31,12 +39,53 @@ export default async function handler(req, res) {
         // Initialize database service
         const dbService = new DatabaseService();
         
+        // Which pair: ?pair=, else the pair of the first active portfolio
+        let pair;
+        let activePortfolios = [];
+        let paperPortfolios = [];
+        try {
+            pair = req.query?.pair ? TradingPair.parse(req.query.pair) : null;
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        
+        const portfolioId = req.query?.portfolioId !== undefined ? parseInt(req.query.portfolioId, 10) : null;
+        if (portfolioId !== null && !(portfolioId > 0)) {
+            return res.status(400).json({ success: false, error: `Invalid portfolioId: ${req.query.portfolioId}` });
+        }
+        
+        try {
+            activePortfolios = await dbService.getActivePortfolios();
+            paperPortfolios = await dbService.getActivePortfolios('pair', 'paper');
+        } catch (error) {
+            console.warn('⚠️ [PORTFOLIO API] Could not list active portfolios:', error.message);
+        }
+        
+        // ?portfolioId= selects one portfolio (live or paper) and its pair
+        let portfolioRow = null;
+        if (portfolioId !== null) {
+            portfolioRow = await dbService.getPortfolio(portfolioId);
+            if (!portfolioRow) {
+                return res.status(404).json({ success: false, error: `Portfolio ${portfolioId} not found` });
+            }
+            pair = TradingPair.fromRow(portfolioRow);
+        } else {
+            pair = pair || TradingPair.fromRow(activePortfolios[0]);
+            portfolioRow = activePortfolios.find(p => TradingPair.fromRow(p).symbol === pair.symbol) || null;
+        }
+        const isPaper = portfolioRow?.mode === 'paper';
+        
         // Get current portfolio state from REAL wallet/exchange (PRIMARY SOURCE)
         let currentPortfolio;
         let portfolioSource = 'unknown';
         
         try {
-            // PRIMARY: Get real wallet balances directly from wallet/exchange
+            if (isPaper) {
+                // Paper portfolios only exist in the database
+                currentPortfolio = await getPaperBalances(portfolioRow, pair, dbService);
+                portfolioSource = 'paper';
+            } else {
+                // PRIMARY: Get real wallet balances directly from wallet/exchange
                 const { TradeExecutionService } = await import('../lib/services/TradeExecutionService.js');
                 const { ModernMetaMaskService } = await import('../lib/services/ModernMetaMaskService.js');
                 
@@ -49,17 +98,17 @@ export default async function handler(req, res) {
                     portfolioSource = 'metamask';
                 } else {
                     const tradeService = new TradeExecutionService();
-                    walletBalances = await tradeService.getAccountBalance();
+                    walletBalances = await tradeService.getAccountBalance(pair.symbol);
                     portfolioSource = 'exchange';
                 }
                 
-                // Convert wallet balances to portfolio format
+                // Convert wallet balances to portfolio format (eth* = base, btc* = quote)
                 const ethAmount = tradingMode === 'metamask' 
                     ? parseFloat(ethers.formatEther(walletBalances.ETH || 0))
-                    : walletBalances.ETH?.total || 0;
+                    : walletBalances[pair.base]?.total || 0;
                 const btcAmount = tradingMode === 'metamask'
                     ? parseFloat(ethers.formatUnits(walletBalances.WBTC || 0, 8))
-                    : walletBalances.BTC?.total || 0;
+                    : walletBalances[pair.quote]?.total || 0;
                     
                 // Get current market data for conversion
                 const { MarketDataService } = await import('../lib/services/MarketDataService.js');
@@ -67,7 +116,7 @@ export default async function handler(req, res) {
                 let ethBtcRatio = 0.037; // Fallback ratio
                 
                 try {
-                    const marketData = await marketService.getCurrentMarketData();
+                    const marketData = await marketService.getCurrentMarketData(pair.symbol);
                     ethBtcRatio = marketData.ethBtcRatio;
                 } catch (marketError) {
                     console.warn('Could not fetch current market data, using fallback ratio');
@@ -84,6 +133,7 @@ export default async function handler(req, res) {
                 };
                 
                 console.log(`✅ [PORTFOLIO API] Using real wallet balances from ${portfolioSource}`);
+            }
         } catch (walletError) {
             console.error('❌ [PORTFOLIO API] Could not access real wallet:', walletError.message);
             
@@ -96,7 +146,7 @@ export default async function handler(req, res) {
         let recentTrades = [];
         let tradesError = null;
         try {
-            recentTrades = await dbService.getRecentTrades(10);
+            recentTrades = await dbService.getRecentTrades(10, pair.symbol, isPaper ? portfolioRow.id : null);
         } catch (error) {
             console.error('❌ [PORTFOLIO API] Could not fetch trades from database:', error.message);
             tradesError = error.message;
@@ -107,7 +157,7 @@ export default async function handler(req, res) {
         const strategy = new SimpleStrategy();
         
         // Calculate performance metrics
-        const initialValue = 0.5; // Starting BTC value
+        const initialValue = isPaper ? parseFloat(portfolioRow.initial_value_btc) : 0.5; // Starting BTC value
         const currentValue = currentPortfolio.totalValueBTC;
         const growthPercent = ((currentValue - initialValue) / initialValue) * 100;
         
@@ -117,7 +167,20 @@ export default async function handler(req, res) {
         // Build response
         const response = {
             success: true,
+            pair: pair.symbol,
+            assets: { base: pair.base, quote: pair.quote },
+            availablePairs: [...new Set(activePortfolios.map(p => TradingPair.fromRow(p).symbol))],
+            availablePortfolios: [...activePortfolios, ...paperPortfolios].map(p => ({
+                id: p.id,
+                name: p.name || `Portfolio ${p.id}`,
+                pair: TradingPair.fromRow(p).symbol,
+                mode: p.mode
+            })),
             portfolio: {
+                id: portfolioRow?.id ?? null,
+                name: portfolioRow?.name ?? null,
+                mode: portfolioRow?.mode ?? 'live',
+                parameterId: portfolioRow?.parameter_id ?? null,
                 current: currentPortfolio,
                 performance: {
                     totalValueBTC: currentValue,
@@ -165,3 +228,29 @@ export default async function handler(req, res) {
         });
     }
 }
+
+/**
+ * Balances of a paper portfolio, valued at the pair's latest snapshot
+ * @param {Object} portfolioRow - Paper portfolios row
+ * @param {TradingPair} pair - Its pair
+ * @param {DatabaseService} dbService - Database service
+ * @returns {Promise<Object>} Same shape as the wallet balances
+ */
+async function getPaperBalances(portfolioRow, pair, dbService) {
+    const ethAmount = parseFloat(portfolioRow.eth_amount);
+    const btcAmount = parseFloat(portfolioRow.btc_amount);
+    const [latest] = await dbService.getRecentMarketData(1, pair.symbol);
+    // Latest snapshot of the pair; without one, the ratio of the last stored valuation
+    const ethBtcRatio = latest
+        ? parseFloat(latest.eth_btc_ratio)
+        : (ethAmount > 0 ? (parseFloat(portfolioRow.total_value_btc) - btcAmount) / ethAmount : 0);
+    const ethValueBTC = ethAmount * ethBtcRatio;
+
+    return {
+        totalValueBTC: btcAmount + ethValueBTC,
+        btcAmount,
+        ethAmount,
+        ethValueBTC,
+        lastUpdated: portfolioRow.updated_at ? new Date(portfolioRow.updated_at).toISOString() : new Date().toISOString()
+    };
+}
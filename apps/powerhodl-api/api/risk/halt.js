@@ -0,0 +1,110 @@
+/**
+ * Trading Halt (Kill Switch) API - Vercel Serverless Function
+ *
+ * GET  /api/risk/halt  - Current state and recent halts / resumes
+ * POST /api/risk/halt  - { action: 'halt' | 'resume', reason, actor }
+ *                        Requires Authorization: Bearer <RISK_ADMIN_TOKEN>
+ *
+ * The state is persisted (lib/services/KillSwitchService.js) and read by every cron; a halt
+ * stops live orders until it is resumed here, including halts the crons trip on their own.
+ *
+ * response.data: { state: { halted, reason, actor, source, since, details }, history, changed (POST) }
+ */
+
+import { DatabaseService } from '../../lib/services/DatabaseService.js';
+import { KillSwitchService } from '../../lib/services/KillSwitchService.js';
+import { AdminAuth } from '../../lib/utils/AdminAuth.js';
+
+const ACTIONS = ['halt', 'resume'];
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!['GET', 'POST'].includes(req.method)) {
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    try {
+        const killSwitch = new KillSwitchService(new DatabaseService());
+
+        if (req.method === 'GET') {
+            const limit = Math.min(parseInt(req.query?.limit) || 20, 100);
+            const [state, history] = await Promise.all([killSwitch.getState(), killSwitch.getHistory(limit)]);
+
+            return res.status(200).json({
+                success: true,
+                data: { state, history },
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!AdminAuth.isConfigured()) {
+            return res.status(503).json({ success: false, error: 'RISK_ADMIN_TOKEN is not configured on the server' });
+        }
+        if (!AdminAuth.isAuthorized(req)) {
+            return res.status(401).json({ success: false, error: 'Invalid or missing admin token' });
+        }
+
+        let request;
+        try {
+            request = parseBody(req.body);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        const { changed, state } = request.action === 'halt'
+            ? await killSwitch.halt({ reason: request.reason, actor: request.actor, source: 'manual' })
+            : await killSwitch.resume({ reason: request.reason, actor: request.actor });
+
+        if (!changed) {
+            return res.status(409).json({
+                success: false,
+                error: request.action === 'halt' ? 'Trading is already halted' : 'Trading is not halted',
+                data: { state }
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: { state, changed },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ [RISK HALT API] Error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to handle trading halt request',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Validate the POST body
+ * @param {Object} body - req.body
+ * @returns {Object} { action, reason, actor }
+ * @throws {Error} For invalid values
+ */
+function parseBody(body = {}) {
+    const { action, reason, actor } = body || {};
+
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`Invalid action: ${action} (expected ${ACTIONS.join(' or ')})`);
+    }
+    if (typeof reason !== 'string' || reason.trim().length === 0 || reason.length > 500) {
+        throw new Error('A reason (up to 500 characters) is required');
+    }
+    if (typeof actor !== 'string' || actor.trim().length === 0 || actor.length > 100) {
+        throw new Error('An actor (who is doing this, up to 100 characters) is required');
+    }
+
+    return { action, reason: reason.trim(), actor: actor.trim() };
+}
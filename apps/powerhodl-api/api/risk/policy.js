@@ -0,0 +1,163 @@
+/**
+ * Risk Policy API - Vercel Serverless Function
+ *
+ * GET /api/risk/policy?portfolioId=1  - The portfolio's policy, the rule types and its latest report
+ *                                       (without portfolioId: the live portfolio of ?pair, default ETH/BTC)
+ * PUT /api/risk/policy                - { portfolioId, rules, actor } (rules: null = back to the default)
+ *                                       Requires Authorization: Bearer <RISK_ADMIN_TOKEN>
+ *
+ * Every edit is kept (risk_policies, migration 011); the next signal of the portfolio is
+ * evaluated against it (src/RiskPolicy.js).
+ *
+ * response.data: { portfolio, policy: { rules, isDefault, updatedBy, updatedAt }, defaultPolicy,
+ *                  ruleTypes, actions, severities, latestReport: { signalId, action, shouldTrade, createdAt, report } | null }
+ */
+
+import { DatabaseService } from '../../lib/services/DatabaseService.js';
+import { RiskManager } from '../../lib/services/RiskManager.js';
+import { AdminAuth } from '../../lib/utils/AdminAuth.js';
+import { RiskPolicy } from '../../src/RiskPolicy.js';
+import { TradingPair, DEFAULT_PAIR } from '../../../../packages/shared/src/TradingPair.js';
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!['GET', 'PUT'].includes(req.method)) {
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    try {
+        const dbService = new DatabaseService();
+        const riskManager = new RiskManager();
+
+        if (req.method === 'GET') {
+            const portfolio = req.query?.portfolioId
+                ? await dbService.getPortfolio(parseInt(req.query.portfolioId))
+                : await dbService.getActivePortfolio(req.query?.pair || DEFAULT_PAIR);
+            if (!portfolio) {
+                return res.status(404).json({ success: false, error: 'Portfolio not found' });
+            }
+
+            return res.status(200).json({
+                success: true,
+                data: await describePolicy(portfolio, dbService, riskManager),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!AdminAuth.isConfigured()) {
+            return res.status(503).json({ success: false, error: 'RISK_ADMIN_TOKEN is not configured on the server' });
+        }
+        if (!AdminAuth.isAuthorized(req)) {
+            return res.status(401).json({ success: false, error: 'Invalid or missing admin token' });
+        }
+
+        let request;
+        try {
+            request = parseBody(req.body);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        const portfolio = await dbService.getPortfolio(request.portfolioId);
+        if (!portfolio) {
+            return res.status(404).json({ success: false, error: 'Portfolio not found' });
+        }
+
+        const previous = riskManager.resolvePolicy(await dbService.getRiskPolicy(portfolio.id));
+        await dbService.insertRiskPolicy({ portfolio_id: portfolio.id, rules: request.rules, updated_by: request.actor });
+
+        await dbService.logSystemEvent({
+            event_type: 'risk_policy_updated',
+            severity: 'info',
+            message: request.rules
+                ? `Risk policy of portfolio ${portfolio.id} set to ${request.rules.length} rule${request.rules.length === 1 ? '' : 's'} by ${request.actor}`
+                : `Risk policy of portfolio ${portfolio.id} reset to the default by ${request.actor}`,
+            metadata: { portfolioId: portfolio.id, actor: request.actor, rules: request.rules, previousRules: previous.rules }
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: await describePolicy(portfolio, dbService, riskManager),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ [RISK POLICY API] Error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to handle risk policy request',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Response data for a portfolio
+ * @param {Object} portfolio - portfolios row
+ * @param {DatabaseService} dbService - Database service
+ * @param {RiskManager} riskManager - Env limits of the default policy
+ * @returns {Promise<Object>} See the header
+ */
+async function describePolicy(portfolio, dbService, riskManager) {
+    const [policyRow, latestSignal] = await Promise.all([
+        dbService.getRiskPolicy(portfolio.id),
+        dbService.getLatestRiskReport(portfolio.id)
+    ]);
+
+    return {
+        portfolio: {
+            id: portfolio.id,
+            name: portfolio.name,
+            mode: portfolio.mode,
+            pair: TradingPair.fromRow(portfolio).symbol
+        },
+        policy: riskManager.resolvePolicy(policyRow),
+        defaultPolicy: riskManager.defaultPolicy(),
+        ruleTypes: RiskPolicy.RULE_TYPES,
+        actions: RiskPolicy.ACTIONS,
+        severities: RiskPolicy.SEVERITIES,
+        latestReport: latestSignal
+            ? {
+                signalId: latestSignal.id,
+                action: latestSignal.action,
+                shouldTrade: latestSignal.should_trade,
+                createdAt: new Date(latestSignal.created_at).toISOString(),
+                report: typeof latestSignal.risk_report === 'string' ? JSON.parse(latestSignal.risk_report) : latestSignal.risk_report
+            }
+            : null
+    };
+}
+
+/**
+ * Validate the PUT body
+ * @param {Object} body - req.body
+ * @returns {Object} { portfolioId, rules (normalized, null = default), actor }
+ * @throws {Error} For invalid values
+ */
+function parseBody(body = {}) {
+    const { portfolioId, rules, actor } = body || {};
+
+    if (!Number.isInteger(Number(portfolioId)) || Number(portfolioId) <= 0) {
+        throw new Error(`Invalid portfolioId: ${portfolioId}`);
+    }
+    if (typeof actor !== 'string' || actor.trim().length === 0 || actor.length > 100) {
+        throw new Error('An actor (who is doing this, up to 100 characters) is required');
+    }
+    if (rules === undefined) {
+        throw new Error('rules is required (null resets the portfolio to the default policy)');
+    }
+
+    return {
+        portfolioId: Number(portfolioId),
+        rules: rules === null ? null : RiskPolicy.validate({ rules }).rules,
+        actor: actor.trim()
+    };
+}
@@ -3,10 +3,14 @@
  * 
  * Real-time trading signal generation endpoint
  * Uses the same SimpleStrategy as backtesting and cron jobs
+ * 
+ * GET /api/signal?pair=SOL/ETH - signal for that pair
+ * (default: the pair of the first active portfolio, ETH/BTC without one)
  */
 
 import { SimpleStrategy } from '../src/SimpleStrategy.js';
 import { DatabaseService } from '../lib/services/DatabaseService.js';
+import { TradingPair } from '../../../packages/shared/src/TradingPair.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -38,10 +42,21 @@ export default async function handler(req, res) {
         const strategy = new SimpleStrategy();
         console.log(`📊 [SIGNAL API] Strategy initialized: Z-Score ±${strategy.parameters.zScoreThreshold}, ${strategy.parameters.lookbackDays}d lookback`);
         
-        // Fetch market data from database
+        // Which pair: ?pair=, else the pair of the first active portfolio
+        let requestedPair;
+        try {
+            requestedPair = req.query?.pair ? TradingPair.parse(req.query.pair).symbol : null;
+        } catch (error) {
+            return res.status(400).json({ error: error.message, code: 'INVALID_PAIR' });
+        }
+        
         const dbService = new DatabaseService();
-        const marketHistory = await dbService.getRecentMarketData(strategy.parameters.lookbackDays + 5);
-        console.log(`📊 [SIGNAL API] Retrieved ${marketHistory.length} days from database`);
+        const portfolio = await dbService.getActivePortfolio(requestedPair);
+        const pair = requestedPair || TradingPair.fromRow(portfolio).symbol;
+        
+        // Fetch market data from database
+        const marketHistory = await dbService.getRecentMarketData(strategy.requiredBars(), pair);
+        console.log(`📊 [SIGNAL API] Retrieved ${marketHistory.length} ${pair} days from database`);
         
         // Validate data availability
         if (!marketHistory || marketHistory.length < strategy.parameters.lookbackDays) {
@@ -49,40 +64,45 @@ export default async function handler(req, res) {
             return res.status(503).json({
                 error: 'Insufficient market data',
                 code: 'INSUFFICIENT_DATA',
-                details: `Need ${strategy.parameters.lookbackDays} days, got ${marketHistory?.length || 0}`,
+                details: `Need ${strategy.parameters.lookbackDays} days of ${pair}, got ${marketHistory?.length || 0}`,
                 retryAfter: 300
             });
         }
         
-        // Extract ratios and generate signal
-        const historicalRatios = marketHistory.map(m => m.eth_btc_ratio);
-        const currentRatio = marketHistory[0].eth_btc_ratio; // Most recent
-        const signal = strategy.generateSignal(currentRatio, historicalRatios);
+        // Convert to bars (oldest first)
+        const bars = SimpleStrategy.toBars(marketHistory);
+        const currentRatio = bars[bars.length - 1].ethBtcRatio; // Most recent
         
-        // Get portfolio for allocation info
-        const portfolio = await dbService.getActivePortfolio();
+        // Portfolio trading this pair, for allocation info
         let allocation = null;
         
         if (portfolio) {
             allocation = strategy.calculateAllocation(
-                portfolio.eth_amount,
-                portfolio.btc_amount,
+                parseFloat(portfolio.eth_amount),
+                parseFloat(portfolio.btc_amount),
                 currentRatio
             );
         }
         
+        // Generate signal (position-aware strategies use the current allocation)
+        const signal = strategy.generateSignal(bars, allocation ? { ethAllocation: allocation.ethPercentage / 100 } : null);
+        
         const executionTime = Date.now() - startTime;
         console.log(`✅ [SIGNAL API] Signal generated in ${executionTime}ms: ${signal.action} (confidence: ${(signal.confidence * 100).toFixed(0)}%)`);
         
         // Return structured response
         res.status(200).json({
             success: true,
+            pair: pair,
             signal: {
                 action: signal.action,
                 shouldTrade: signal.shouldTrade,
                 confidence: signal.confidence * 100, // Convert to percentage
                 reasoning: signal.reasoning,
                 zScore: signal.zScore,
+                strategy: signal.strategy,
+                targetAllocation: signal.targetAllocation,
+                indicators: signal.indicators,
                 ethBtcRatio: signal.ethBtcRatio,
                 timestamp: signal.timestamp,
                 parameters: signal.parameters
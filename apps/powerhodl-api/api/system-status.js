@@ -29,36 +29,18 @@ export async function handler(req, res) {
     }
     
     try {
-        // Get latest market snapshot to check data freshness
-        const latestSnapshot = await dbService.sql`
-            SELECT collected_at, source 
-            FROM market_snapshots 
-            ORDER BY collected_at DESC 
-            LIMIT 1
-        `;
-        
-        // Get latest trading signal to check cron job activity
-        const latestSignal = await dbService.sql`
-            SELECT created_at 
-            FROM trading_signals 
-            ORDER BY created_at DESC 
-            LIMIT 1
-        `;
-        
-        // Get system events for monitoring
-        const recentEvents = await dbService.sql`
-            SELECT event_type, created_at, message 
-            FROM system_events 
-            WHERE severity IN ('error', 'warn')
-            AND created_at > NOW() - INTERVAL '24 hours'
-            ORDER BY created_at DESC 
-            LIMIT 10
-        `;
+        // Latest snapshot and signal show whether the crons are running;
+        // errors and warnings of the last 24 hours are reported
+        const [latestSnapshot, latestSignal, recentEvents] = await Promise.all([
+            dbService.getLatestSnapshot(),
+            dbService.getLatestSignal(),
+            dbService.getRecentSystemEvents({ severities: ['error', 'warn'], hours: 24, limit: 10 })
+        ]);
         
         // Calculate data freshness
         const now = new Date();
-        const lastDataTime = latestSnapshot[0]?.collected_at ? new Date(latestSnapshot[0].collected_at) : null;
-        const lastSignalTime = latestSignal[0]?.created_at ? new Date(latestSignal[0].created_at) : null;
+        const lastDataTime = latestSnapshot?.collected_at ? new Date(latestSnapshot.collected_at) : null;
+        const lastSignalTime = latestSignal?.created_at ? new Date(latestSignal.created_at) : null;
         
         const dataAge = lastDataTime ? now - lastDataTime : null;
         const signalAge = lastSignalTime ? now - lastSignalTime : null;
@@ -73,7 +55,7 @@ export async function handler(req, res) {
             dataIngestion: {
                 lastUpdate: lastDataTime?.toISOString() || null,
                 ageMinutes: dataAge ? Math.floor(dataAge / 60000) : null,
-                source: latestSnapshot[0]?.source || 'unknown',
+                source: latestSnapshot?.source || 'unknown',
                 status: dataFresh ? 'active' : 'stale'
             },
             signalGeneration: {
@@ -0,0 +1,961 @@
+/**
+ * In-Memory Database Service
+ *
+ * The 'memory' storage backend (DATABASE_BACKEND=memory): every DatabaseService method
+ * on plain arrays, with the same ordering, filtering and row shapes as the SQL queries.
+ * Runs the whole API offline; the cron replay harness uses a private instance.
+ *
+ * CRITICAL CONCEPTS:
+ *
+ * 1. SAME CONTRACT, NO DATABASE
+ *    - Method names, arguments and row shapes match DatabaseService (snake_case columns)
+ *    - Numbers are stored as numbers and JSON columns as objects; callers parse them anyway
+ *    - Rows are returned as copies, like rows read from a database
+ *
+ * 2. PROCESS-WIDE STORE
+ *    - shared() is the store behind `new DatabaseService()` for the memory backend, so every
+ *      handler of the process sees the same data; it is lost when the process exits
+ *    - A fresh store holds what the migrations insert: the active 'System Default' parameters
+ *    - It counts as migrated to the latest version (see MigrationRunner)
+ *
+ * 3. SIMULATED TIME
+ *    - Default timestamps and time windows come from Clock, so replays are deterministic
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { Clock } from '../utils/Clock.js';
+import { HistoryFileReader } from '../utils/HistoryFileReader.js';
+import { MigrationRunner } from './MigrationRunner.js';
+import { HistoryImporter } from '../../src/HistoryImporter.js';
+import { TradingPair, DEFAULT_PAIR } from '../../../../packages/shared/src/TradingPair.js';
+
+// Parameters migration 001 activates in a new database
+const SYSTEM_DEFAULT_PARAMETERS = {
+    zScoreThreshold: 1.5,
+    rebalancePercent: 10.0,
+    transactionCost: 1.66,
+    lookbackWindow: 15,
+    tradeFrequencyMinutes: 720,
+    maxAllocationShift: 0.3,
+    neutralZone: 0.5,
+    minAllocation: 0.25,
+    maxAllocation: 0.75
+};
+
+let sharedInstance = null;
+
+export class InMemoryDatabaseService {
+    /**
+     * @param {Object} options - { parameters: active algorithm parameters (default: the migrations' System Default) }
+     */
+    constructor({ parameters = null } = {}) {
+        this.logger = new Logger('InMemoryDatabaseService');
+        this.backend = 'memory';
+        this.tables = {
+            market_snapshots: [],
+            candles: [],
+            portfolios: [],
+            portfolio_holdings: [],
+            trading_signals: [],
+            trades: [],
+            orders: [],
+            order_events: [],
+            balance_reconciliations: [],
+            trading_halts: [],
+            risk_policies: [],
+            performance_snapshots: [],
+            system_events: [],
+            algorithm_parameters: [],
+            parameter_history: [],
+            backtest_jobs: []
+        };
+        this.nextId = 1;
+
+        this.insert('algorithm_parameters', {
+            ...InMemoryDatabaseService.parameterColumns(parameters || SYSTEM_DEFAULT_PARAMETERS),
+            name: parameters ? 'Replay' : 'System Default',
+            description: parameters ? 'Parameters given to the replay' : 'Conservative default parameters for safe trading',
+            parameters: parameters || SYSTEM_DEFAULT_PARAMETERS,
+            backtest_performance: {},
+            is_active: true,
+            is_default: true,
+            created_by: 'system',
+            created_at: Clock.isoString(),
+            updated_at: Clock.isoString()
+        });
+    }
+
+    /**
+     * Store shared by every DatabaseService of the process
+     * @returns {InMemoryDatabaseService} Shared instance
+     */
+    static shared() {
+        if (!sharedInstance) {
+            sharedInstance = new InMemoryDatabaseService();
+            sharedInstance.logger.info('In-memory database initialized (data is lost when the process exits)');
+        }
+        return sharedInstance;
+    }
+
+    /**
+     * Fill the store with a recorded history file (MEMORY_DATABASE_SEED_FILE, offline development)
+     * Adds the file's bars as market snapshots plus a 1 BTC portfolio split 50/50 at the first bar,
+     * the backtest's starting point, so the crons and the portfolio API have something to work on.
+     * @param {string} file - CSV or JSON file (formats of scripts/import-history.js)
+     * @param {Object} options - HistoryImporter options (pair, mapping, timezone, ...)
+     * @returns {Promise<Object>} Import report (see HistoryImporter.prepare)
+     */
+    async seedFromFile(file, options = {}) {
+        const records = await HistoryFileReader.read(file);
+        const { snapshots, report } = HistoryImporter.prepare(records, options);
+
+        if (snapshots.length === 0) {
+            throw new Error(`Invalid seed file ${file}: no valid bars`);
+        }
+
+        await this.insertMarketSnapshots(snapshots);
+        if (!(await this.getActivePortfolio(report.pair))) {
+            const ratio = Number(snapshots[0].eth_btc_ratio);
+            await this.createPortfolio({ pair: report.pair, eth_amount: 0.5 / ratio, btc_amount: 0.5 });
+        }
+
+        this.logger.info(`Seeded ${snapshots.length} ${report.pair} bars from ${file}`);
+        return report;
+    }
+
+    /**
+     * Insert a row into a table
+     * @param {string} table - Table name
+     * @param {Object} row - Row without id
+     * @returns {Object} Copy of the stored row
+     * @private
+     */
+    insert(table, row) {
+        const stored = { id: this.nextId++, ...structuredClone(row) };
+        this.tables[table].push(stored);
+        return structuredClone(stored);
+    }
+
+    /**
+     * Rows sorted by a timestamp column (ties by id)
+     * @param {Array<Object>} rows - Rows
+     * @param {string} column - Timestamp column
+     * @param {boolean} descending - Newest first
+     * @returns {Array<Object>} Sorted copy
+     * @private
+     */
+    static sortBy(rows, column, descending = false) {
+        const sign = descending ? -1 : 1;
+        return [...rows].sort((a, b) => sign * (new Date(a[column]) - new Date(b[column])) || sign * (a.id - b.id));
+    }
+
+    /**
+     * Copies of rows (results must not alias the store)
+     * @param {Array<Object>} rows - Stored rows
+     * @returns {Array<Object>} Copies
+     * @private
+     */
+    static copy(rows) {
+        return rows.map(row => structuredClone(row));
+    }
+
+    /**
+     * Column values of algorithm_parameters derived from a parameter set
+     * @param {Object} params - Parameters
+     * @returns {Object} Columns
+     * @private
+     */
+    static parameterColumns(params) {
+        return {
+            z_score_threshold: params.zScoreThreshold || 1.5,
+            rebalance_percent: params.rebalancePercent || 10.0,
+            transaction_cost: params.transactionCost || 1.66,
+            lookback_window: params.lookbackWindow || 15,
+            trade_frequency_minutes: params.tradeFrequencyMinutes || 720,
+            max_allocation_shift: params.maxAllocationShift || 0.3,
+            neutral_zone: params.neutralZone || 0.5,
+            min_allocation: params.minAllocation || 0.25,
+            max_allocation: params.maxAllocation || 0.75,
+            position_adjustment_factor: params.positionAdjustmentFactor || 0.5
+        };
+    }
+
+    // ==================== Market data ====================
+
+    async insertMarketSnapshot(snapshot) {
+        return this.insert('market_snapshots', {
+            ...snapshot,
+            pair: snapshot.pair || DEFAULT_PAIR,
+            collected_at: snapshot.collected_at || Clock.isoString()
+        });
+    }
+
+    async insertMarketSnapshots(snapshots) {
+        for (const snapshot of snapshots) {
+            this.insert('market_snapshots', {
+                pair: snapshot.pair ?? DEFAULT_PAIR,
+                eth_price_usd: snapshot.eth_price_usd ?? 0,
+                btc_price_usd: snapshot.btc_price_usd ?? 0,
+                eth_btc_ratio: snapshot.eth_btc_ratio ?? 0,
+                eth_volume_24h: snapshot.eth_volume_24h ?? 0,
+                eth_btc_volume_24h: snapshot.eth_btc_volume_24h ?? 0,
+                source: snapshot.source ?? 'import',
+                collected_at: snapshot.collected_at
+            });
+        }
+
+        this.logger.info(`Inserted ${snapshots.length} market snapshots`);
+        return snapshots.length;
+    }
+
+    async getSnapshotTimestamps(pair, from, to) {
+        const [start, end] = [new Date(from).getTime(), new Date(to).getTime()];
+        return new Set(this.tables.market_snapshots
+            .filter(row => row.pair === pair)
+            .map(row => new Date(row.collected_at).getTime())
+            .filter(time => time >= start && time <= end));
+    }
+
+    async getRecentMarketData(limit = 30, pair = DEFAULT_PAIR) {
+        const rows = this.tables.market_snapshots.filter(row => row.pair === pair);
+        return InMemoryDatabaseService.copy(InMemoryDatabaseService.sortBy(rows, 'collected_at', true).slice(0, limit));
+    }
+
+    async getHistoricalData(days = 30, pair = DEFAULT_PAIR) {
+        const rows = this.tables.market_snapshots.filter(row => row.pair === pair);
+        return InMemoryDatabaseService.copy(InMemoryDatabaseService.sortBy(rows, 'collected_at').slice(0, days * 288));
+    }
+
+    async getSnapshotsSince(pair, since = null) {
+        const from = since ? new Date(since).getTime() : -Infinity;
+        const rows = this.tables.market_snapshots.filter(row => row.pair === pair && new Date(row.collected_at).getTime() >= from);
+        return InMemoryDatabaseService.copy(InMemoryDatabaseService.sortBy(rows, 'collected_at'));
+    }
+
+    async getSnapshotsForPeriod(pair, from, to = null, warmupBars = 0) {
+        const start = new Date(from).getTime();
+        const end = to ? new Date(to).getTime() : Infinity;
+        const rows = InMemoryDatabaseService.sortBy(this.tables.market_snapshots.filter(row => row.pair === pair), 'collected_at');
+        const time = row => new Date(row.collected_at).getTime();
+        const before = rows.filter(row => time(row) < start);
+        const period = rows.filter(row => time(row) >= start && time(row) <= end);
+        return InMemoryDatabaseService.copy([...(warmupBars > 0 ? before.slice(-warmupBars) : []), ...period]);
+    }
+
+    async getLatestSnapshot() {
+        const [latest] = InMemoryDatabaseService.sortBy(this.tables.market_snapshots, 'collected_at', true);
+        return latest ? { collected_at: latest.collected_at, source: latest.source, pair: latest.pair } : null;
+    }
+
+    async getMarketDataStats(pair = DEFAULT_PAIR) {
+        const rows = InMemoryDatabaseService.sortBy(this.tables.market_snapshots.filter(row => row.pair === pair), 'collected_at');
+        return {
+            count: rows.length,
+            from: rows[0]?.collected_at ?? null,
+            to: rows.at(-1)?.collected_at ?? null,
+            averageRatio: rows.length > 0 ? rows.reduce((sum, row) => sum + Number(row.eth_btc_ratio), 0) / rows.length : null
+        };
+    }
+
+    // ==================== Candles ====================
+
+    async getLatestCandleOpenTimes(pair) {
+        const latest = {};
+        for (const candle of this.tables.candles.filter(row => row.pair === pair)) {
+            const openTime = new Date(candle.open_time);
+            if (!latest[candle.timeframe] || openTime > latest[candle.timeframe]) {
+                latest[candle.timeframe] = openTime;
+            }
+        }
+        return latest;
+    }
+
+    async upsertCandles(candles) {
+        for (const candle of candles) {
+            const openTime = new Date(candle.open_time).getTime();
+            const existing = this.tables.candles.find(row =>
+                row.pair === candle.pair && row.timeframe === candle.timeframe && new Date(row.open_time).getTime() === openTime);
+
+            if (existing) {
+                Object.assign(existing, structuredClone(candle), { updated_at: Clock.isoString() });
+            } else {
+                this.insert('candles', { ...candle, updated_at: Clock.isoString() });
+            }
+        }
+        return candles.length;
+    }
+
+    async getCandles(pair, timeframe, limit) {
+        const rows = this.tables.candles.filter(row => row.pair === pair && row.timeframe === timeframe);
+        return InMemoryDatabaseService.copy(InMemoryDatabaseService.sortBy(rows, 'open_time').slice(0, limit));
+    }
+
+    // ==================== Portfolios ====================
+
+    async createPortfolio({ pair = DEFAULT_PAIR, eth_amount, btc_amount, name = 'Main portfolio', mode = 'live', parameter_id = null, total_value_btc = 0 }) {
+        const portfolio = this.insert('portfolios', {
+            name,
+            pair,
+            kind: 'pair',
+            mode,
+            parameter_id,
+            is_active: true,
+            eth_amount,
+            btc_amount,
+            total_value_btc,
+            initial_value_btc: total_value_btc,
+            peak_value_btc: null,
+            created_at: Clock.isoString(),
+            updated_at: Clock.isoString()
+        });
+
+        const { base, quote } = TradingPair.fromRow(portfolio);
+        await this.setPortfolioHoldings(portfolio.id, { [base]: eth_amount, [quote]: btc_amount });
+        return portfolio;
+    }
+
+    async deactivatePortfolio(portfolioId) {
+        const portfolio = this.tables.portfolios.find(p => p.id === portfolioId);
+        if (portfolio) {
+            Object.assign(portfolio, { is_active: false, updated_at: Clock.isoString() });
+        }
+        return portfolio ? structuredClone(portfolio) : null;
+    }
+
+    async getActivePortfolio(pair = null) {
+        const portfolio = this.tables.portfolios.find(p => p.is_active && p.kind === 'pair' && p.mode === 'live' && (!pair || p.pair === pair));
+        return portfolio ? structuredClone(portfolio) : null;
+    }
+
+    async getPortfolio(portfolioId) {
+        const portfolio = this.tables.portfolios.find(p => p.id === portfolioId);
+        return portfolio ? structuredClone(portfolio) : null;
+    }
+
+    async getActivePortfolios(kind = 'pair', mode = 'live') {
+        return InMemoryDatabaseService.copy(this.tables.portfolios.filter(p => p.is_active && p.kind === kind && p.mode === mode));
+    }
+
+    async getActivePairs() {
+        const basketIds = new Set(this.tables.portfolios.filter(p => p.is_active && p.kind === 'basket').map(p => p.id));
+        const basketAssets = this.tables.portfolio_holdings
+            .filter(h => basketIds.has(h.portfolio_id) && h.asset !== 'BTC')
+            .map(h => `${h.asset}/BTC`);
+
+        return [...new Set([
+            DEFAULT_PAIR,
+            ...this.tables.portfolios.filter(p => p.is_active && p.kind === 'pair').map(p => p.pair),
+            ...basketAssets
+        ])];
+    }
+
+    async updatePortfolio(portfolioId, updates) {
+        const portfolio = this.tables.portfolios.find(p => p.id === portfolioId);
+        if (!portfolio) {
+            return undefined;
+        }
+
+        Object.assign(portfolio, {
+            eth_amount: updates.eth_amount,
+            btc_amount: updates.btc_amount,
+            total_value_btc: updates.total_value_btc || 0,
+            last_rebalance_at: updates.last_rebalance_at || Clock.isoString(),
+            updated_at: Clock.isoString()
+        });
+
+        const { base, quote } = TradingPair.fromRow(portfolio);
+        await this.setPortfolioHoldings(portfolioId, { [base]: updates.eth_amount, [quote]: updates.btc_amount });
+        return structuredClone(portfolio);
+    }
+
+    async getPortfolioHoldings(portfolioId) {
+        return Object.fromEntries(this.tables.portfolio_holdings
+            .filter(row => row.portfolio_id === portfolioId)
+            .sort((a, b) => a.asset.localeCompare(b.asset))
+            .map(row => [row.asset, { amount: row.amount, targetWeight: row.target_weight }]));
+    }
+
+    async setPortfolioHoldings(portfolioId, amounts) {
+        for (const [asset, amount] of Object.entries(amounts)) {
+            const row = this.tables.portfolio_holdings.find(h => h.portfolio_id === portfolioId && h.asset === asset);
+            if (row) {
+                Object.assign(row, { amount, updated_at: Clock.isoString() });
+            } else {
+                this.insert('portfolio_holdings', { portfolio_id: portfolioId, asset, amount, target_weight: null, updated_at: Clock.isoString() });
+            }
+        }
+        return await this.getPortfolioHoldings(portfolioId);
+    }
+
+    // ==================== Signals and trades ====================
+
+    async insertTradingSignal(signal) {
+        return this.insert('trading_signals', {
+            pair: signal.pair || DEFAULT_PAIR,
+            portfolio_id: signal.portfolio_id ?? null,
+            action: signal.action,
+            should_trade: signal.should_trade,
+            z_score: signal.z_score || 0,
+            confidence: signal.confidence || 0,
+            eth_btc_ratio: signal.eth_btc_ratio || 0,
+            signal_strength: signal.signal_strength || 0,
+            reasoning: signal.reasoning || '',
+            strategy_params: signal.strategy_params || {},
+            market_conditions: signal.market_conditions || {},
+            risk_report: signal.risk_report || null,
+            trade_executed: false,
+            created_at: signal.created_at || Clock.isoString()
+        });
+    }
+
+    async getSignalsForPeriod(pair, from, to = null, portfolioId = null) {
+        const start = new Date(from).getTime();
+        const end = to ? new Date(to).getTime() : Infinity;
+        const rows = this.tables.trading_signals.filter(row => {
+            const time = new Date(row.created_at).getTime();
+            return row.pair === pair && time >= start && time <= end
+                && (portfolioId === null || row.portfolio_id === portfolioId);
+        });
+        return InMemoryDatabaseService.copy(InMemoryDatabaseService.sortBy(rows, 'created_at'));
+    }
+
+    async getExecutableSignals(minutesBack = 10) {
+        const cutoff = Clock.now() - minutesBack * 60 * 1000;
+        const rows = this.tables.trading_signals.filter(row =>
+            row.should_trade && !row.trade_executed && new Date(row.created_at).getTime() >= cutoff
+            && !this.tables.orders.some(order => order.signal_id === row.id));
+        return InMemoryDatabaseService.copy(InMemoryDatabaseService.sortBy(rows, 'created_at', true));
+    }
+
+    async getLatestSignal() {
+        const [latest] = InMemoryDatabaseService.sortBy(this.tables.trading_signals, 'created_at', true);
+        return latest ? { created_at: latest.created_at, pair: latest.pair } : null;
+    }
+
+    async updateTradingSignal(signalId, updates) {
+        const signal = this.tables.trading_signals.find(row => row.id === signalId);
+        if (signal) {
+            Object.assign(signal, {
+                trade_executed: updates.trade_executed || false,
+                trade_id: updates.trade_id ?? null,
+                skip_reason: updates.skip_reason ?? null,
+                updated_at: Clock.isoString()
+            });
+        }
+        return signal ? structuredClone(signal) : undefined;
+    }
+
+    async insertTrade(trade) {
+        return this.insert('trades', {
+            signal_id: trade.signal_id,
+            portfolio_id: trade.portfolio_id ?? null,
+            order_id: trade.order_id ?? null,
+            pair: trade.pair || DEFAULT_PAIR,
+            trade_type: trade.trade_type,
+            from_currency: trade.from_currency,
+            to_currency: trade.to_currency,
+            from_amount: trade.from_amount,
+            to_amount: trade.to_amount,
+            exchange_rate: trade.exchange_rate,
+            trade_value_btc: trade.trade_value_btc || 0,
+            fees_btc: trade.fees_btc || 0,
+            fees_usd: trade.fees_usd || 0,
+            net_value_btc: trade.net_value_btc || 0,
+            exchange: trade.exchange || 'binance',
+            status: trade.status || 'filled',
+            eth_price_usd: trade.eth_price_usd ?? null,
+            btc_price_usd: trade.btc_price_usd ?? null,
+            eth_btc_ratio: trade.eth_btc_ratio ?? null,
+            z_score: trade.z_score ?? null,
+            signal_strength: trade.signal_strength ?? null,
+            eth_amount_before: trade.eth_amount_before ?? null,
+            btc_amount_before: trade.btc_amount_before ?? null,
+            eth_amount_after: trade.eth_amount_after ?? null,
+            btc_amount_after: trade.btc_amount_after ?? null,
+            exchange_order_id: trade.exchange_order_id ?? null,
+            execution_time_ms: trade.execution_time_ms ?? null,
+            executed_at: trade.executed_at || Clock.isoString()
+        });
+    }
+
+    async getRecentTrades(limit = 10, pair = null, portfolioId = null) {
+        const paperIds = new Set(this.tables.portfolios.filter(p => p.mode === 'paper').map(p => p.id));
+        const rows = this.tables.trades.filter(row => (!pair || row.pair === pair)
+            && (portfolioId === null ? !paperIds.has(row.portfolio_id) : row.portfolio_id === portfolioId));
+        return InMemoryDatabaseService.copy(InMemoryDatabaseService.sortBy(rows, 'executed_at', true).slice(0, limit));
+    }
+
+    async getPortfolioTrades(portfolioId) {
+        return InMemoryDatabaseService.copy(InMemoryDatabaseService.sortBy(
+            this.tables.trades.filter(row => row.portfolio_id === portfolioId), 'executed_at'));
+    }
+
+    // ==================== Orders ====================
+
+    async createOrder(order) {
+        const now = Clock.isoString();
+        const created = this.insert('orders', {
+            portfolio_id: order.portfolio_id,
+            signal_id: order.signal_id ?? null,
+            pair: order.pair || DEFAULT_PAIR,
+            action: order.action,
+            side: order.side,
+            status: 'pending',
+            amount: order.amount,
+            filled_amount: 0,
+            average_price: null,
+            cost: 0,
+            fee_cost: 0,
+            fee_currency: null,
+            eth_applied: 0,
+            btc_applied: 0,
+            exchange: order.exchange,
+            exchange_order_id: null,
+            context: order.context || {},
+            error: null,
+            trade_id: null,
+            submitted_at: null,
+            last_checked_at: null,
+            completed_at: null,
+            created_at: now,
+            updated_at: now
+        });
+        this.insert('order_events', {
+            order_id: created.id, from_status: null, to_status: 'pending', filled_amount: 0,
+            message: 'Order created', metadata: {}, created_at: now
+        });
+        return created;
+    }
+
+    async updateOrder(orderId, fromStatus, updates, event = null) {
+        const order = this.tables.orders.find(row => row.id === orderId && row.status === fromStatus);
+        if (!order) {
+            return null;
+        }
+
+        const now = Clock.isoString();
+        Object.entries(updates).forEach(([column, value]) => {
+            if (value !== undefined && value !== null) {
+                order[column] = value;
+            }
+        });
+        order.updated_at = now;
+
+        if (event) {
+            this.insert('order_events', {
+                order_id: orderId, from_status: fromStatus, to_status: order.status, filled_amount: order.filled_amount,
+                message: event.message ?? null, metadata: event.metadata || {}, created_at: now
+            });
+        }
+        return structuredClone(order);
+    }
+
+    async applyOrderFill(order, updates, event, delta) {
+        const row = this.tables.orders.find(candidate => candidate.id === order.id
+            && candidate.status === order.status
+            && Number(candidate.eth_applied) === Number(order.eth_applied)
+            && Number(candidate.btc_applied) === Number(order.btc_applied));
+        if (!row) {
+            return null;
+        }
+
+        // Everything up to the portfolio write happens without yielding, like the single statement
+        const updated = await this.updateOrder(order.id, order.status, updates, event);
+
+        if (delta.ethDelta !== 0 || delta.btcDelta !== 0) {
+            const portfolio = this.tables.portfolios.find(p => p.id === updated.portfolio_id);
+            const ethAmount = parseFloat(portfolio.eth_amount) + delta.ethDelta;
+            const btcAmount = parseFloat(portfolio.btc_amount) + delta.btcDelta;
+
+            await this.updatePortfolio(portfolio.id, {
+                eth_amount: ethAmount,
+                btc_amount: btcAmount,
+                total_value_btc: btcAmount + ethAmount * delta.ratio,
+                last_rebalance_at: Clock.isoString()
+            });
+        }
+        return updated;
+    }
+
+    async getOpenOrders(portfolioId = null) {
+        const rows = this.tables.orders.filter(row =>
+            ['pending', 'submitted', 'partially_filled'].includes(row.status) && (portfolioId === null || row.portfolio_id === portfolioId));
+        return InMemoryDatabaseService.copy(InMemoryDatabaseService.sortBy(rows, 'created_at'));
+    }
+
+    async getOrderEvents(orderId) {
+        return InMemoryDatabaseService.copy(InMemoryDatabaseService.sortBy(this.tables.order_events.filter(row => row.order_id === orderId), 'created_at'));
+    }
+
+    // ==================== Balance Reconciliation ====================
+
+    async insertBalanceReconciliation(reconciliation) {
+        return this.insert('balance_reconciliations', {
+            portfolio_id: reconciliation.portfolio_id,
+            pair: reconciliation.pair || DEFAULT_PAIR,
+            status: reconciliation.status,
+            source: reconciliation.source ?? null,
+            db_eth_amount: reconciliation.db_eth_amount,
+            db_btc_amount: reconciliation.db_btc_amount,
+            external_eth_amount: reconciliation.external_eth_amount ?? null,
+            external_btc_amount: reconciliation.external_btc_amount ?? null,
+            ledger_eth_amount: reconciliation.ledger_eth_amount ?? null,
+            ledger_btc_amount: reconciliation.ledger_btc_amount ?? null,
+            drift_btc: reconciliation.drift_btc || 0,
+            drift_pct: reconciliation.drift_pct || 0,
+            message: reconciliation.message ?? null,
+            details: reconciliation.details || {},
+            created_at: Clock.isoString()
+        });
+    }
+
+    async getLatestBalanceReconciliation(portfolioId) {
+        const [latest] = InMemoryDatabaseService.sortBy(
+            this.tables.balance_reconciliations.filter(row => row.portfolio_id === portfolioId), 'created_at', true);
+        return latest ? structuredClone(latest) : null;
+    }
+
+    // ==================== Kill Switch ====================
+
+    async insertTradingHalt(halt) {
+        return this.insert('trading_halts', {
+            halted: halt.halted,
+            reason: halt.reason,
+            actor: halt.actor,
+            source: halt.source || 'manual',
+            details: halt.details || {},
+            created_at: Clock.isoString()
+        });
+    }
+
+    async getTradingHalts(limit = 20) {
+        return InMemoryDatabaseService.copy(InMemoryDatabaseService.sortBy(this.tables.trading_halts, 'created_at', true).slice(0, limit));
+    }
+
+    async updatePortfolioPeak(portfolioId, valueBTC) {
+        const portfolio = this.tables.portfolios.find(p => p.id === portfolioId);
+        if (!portfolio) {
+            return null;
+        }
+
+        portfolio.peak_value_btc = Math.max(portfolio.peak_value_btc ?? valueBTC, valueBTC);
+        return structuredClone(portfolio);
+    }
+
+    async resetPortfolioPeaks() {
+        const portfolios = this.tables.portfolios.filter(p => p.mode === 'live' && p.peak_value_btc != null);
+        portfolios.forEach(p => { p.peak_value_btc = null; });
+        return portfolios.length;
+    }
+
+    // ==================== Risk Policies ====================
+
+    async insertRiskPolicy(policy) {
+        return this.insert('risk_policies', {
+            portfolio_id: policy.portfolio_id,
+            rules: policy.rules || null,
+            updated_by: policy.updated_by,
+            created_at: Clock.isoString()
+        });
+    }
+
+    async getRiskPolicy(portfolioId) {
+        const [latest] = InMemoryDatabaseService.sortBy(
+            this.tables.risk_policies.filter(row => row.portfolio_id === portfolioId), 'created_at', true);
+        return latest ? structuredClone(latest) : null;
+    }
+
+    async getLatestRiskReport(portfolioId) {
+        const [latest] = InMemoryDatabaseService.sortBy(
+            this.tables.trading_signals.filter(row => row.portfolio_id === portfolioId && row.risk_report), 'created_at', true);
+        if (!latest) {
+            return null;
+        }
+
+        const { id, action, should_trade, risk_report, created_at } = latest;
+        return structuredClone({ id, action, should_trade, risk_report, created_at });
+    }
+
+    // ==================== Performance Snapshots ====================
+
+    async insertPerformanceSnapshot(snapshot) {
+        return this.insert('performance_snapshots', {
+            ...snapshot,
+            metrics: snapshot.metrics || {},
+            created_at: Clock.isoString()
+        });
+    }
+
+    async getPerformanceSnapshots(portfolioId, limit = 30) {
+        return InMemoryDatabaseService.copy(InMemoryDatabaseService.sortBy(
+            this.tables.performance_snapshots.filter(row => row.portfolio_id === portfolioId), 'created_at', true).slice(0, limit));
+    }
+
+    // ==================== System ====================
+
+    async logSystemEvent(event) {
+        return this.insert('system_events', {
+            event_type: event.event_type,
+            severity: event.severity || 'info',
+            message: event.message,
+            metadata: event.metadata || {},
+            created_at: Clock.isoString()
+        });
+    }
+
+    async getRecentSystemEvents({ severities = ['error', 'warn'], hours = 24, limit = 10 } = {}) {
+        const since = Clock.now() - hours * 3600000;
+        const rows = this.tables.system_events
+            .filter(row => severities.includes(row.severity) && new Date(row.created_at).getTime() > since)
+            .map(({ event_type, severity, message, created_at, id }) => ({ id, event_type, severity, message, created_at }));
+        return InMemoryDatabaseService.sortBy(rows, 'created_at', true).slice(0, limit);
+    }
+
+    async testConnection() {
+        return true;
+    }
+
+    // ==================== Schema Migrations ====================
+
+    async getAppliedMigrations() {
+        // A new store always has the latest schema
+        return MigrationRunner.load().map(({ version, name }) => ({ version, name, applied_at: null }));
+    }
+
+    async runMigration(migration) {
+        throw new Error(`The memory backend has no SQL schema to migrate (migration ${migration.version}_${migration.name})`);
+    }
+
+    // ==================== Algorithm Parameters ====================
+
+    async getActiveParameters() {
+        const active = InMemoryDatabaseService.sortBy(this.tables.algorithm_parameters.filter(row => row.is_active), 'updated_at', true)[0]
+            || this.tables.algorithm_parameters.find(row => row.is_default);
+        return active ? structuredClone(active) : null;
+    }
+
+    async getParameters(parameterId) {
+        const row = this.tables.algorithm_parameters.find(p => p.id === parameterId);
+        return row ? structuredClone(row) : null;
+    }
+
+    async saveAlgorithmParameters(params, performance, name, description = '') {
+        const row = this.insert('algorithm_parameters', {
+            ...InMemoryDatabaseService.parameterColumns(params),
+            name,
+            description,
+            parameters: params,
+            backtest_performance: performance,
+            is_active: false,
+            is_default: false,
+            created_by: 'user',
+            created_at: Clock.isoString(),
+            updated_at: Clock.isoString()
+        });
+
+        this.logger.info(`Saved new algorithm parameters: ${name}`);
+        return row;
+    }
+
+    async activateParameters(parameterId) {
+        const target = this.tables.algorithm_parameters.find(row => row.id === parameterId);
+        if (!target) {
+            throw new Error(`Parameter set ${parameterId} not found`);
+        }
+
+        const previous = InMemoryDatabaseService.sortBy(this.tables.algorithm_parameters.filter(row => row.is_active), 'updated_at', true)[0];
+        for (const row of this.tables.algorithm_parameters) {
+            if (row.is_active || row.id === parameterId) {
+                Object.assign(row, { is_active: row.id === parameterId, updated_at: Clock.isoString() });
+            }
+        }
+
+        this.insert('parameter_history', {
+            parameter_id: parameterId,
+            action: 'ACTIVATED',
+            previous_parameter_id: previous?.id ?? null,
+            performance_metrics: {},
+            notes: 'Activated via frontend',
+            created_at: Clock.isoString()
+        });
+
+        this.logger.info(`Activated parameter set: ${parameterId}`);
+        return true;
+    }
+
+    async getAllParameters(limit = 50, offset = 0) {
+        return InMemoryDatabaseService.copy(InMemoryDatabaseService.sortBy(this.tables.algorithm_parameters, 'created_at', true).slice(offset, offset + limit));
+    }
+
+    async getParameterActivePeriods(parameterId) {
+        const activations = InMemoryDatabaseService.sortBy(this.tables.parameter_history.filter(row => row.action === 'ACTIVATED'), 'created_at');
+        return activations
+            .map((row, i) => ({ parameter_id: row.parameter_id, active_from: row.created_at, active_to: activations[i + 1]?.created_at ?? null }))
+            .filter(period => period.parameter_id === parameterId)
+            .map(({ active_from, active_to }) => ({ active_from, active_to }));
+    }
+
+    async getParameterHistory(parameterId = null) {
+        const names = new Map(this.tables.algorithm_parameters.map(row => [row.id, row.name]));
+        const rows = this.tables.parameter_history.filter(row => !parameterId || row.parameter_id === parameterId);
+
+        return InMemoryDatabaseService.sortBy(rows, 'created_at', true)
+            .slice(0, parameterId ? undefined : 100)
+            .map(row => ({
+                ...structuredClone(row),
+                parameter_name: names.get(row.parameter_id) ?? null,
+                previous_parameter_name: names.get(row.previous_parameter_id) ?? null
+            }));
+    }
+
+    // ==================== Backtest Jobs ====================
+
+    /**
+     * Stored job by id
+     * @param {number} jobId - Job ID
+     * @returns {Object|undefined} Stored row (not a copy)
+     * @private
+     */
+    findJob(jobId) {
+        return this.tables.backtest_jobs.find(row => row.id === Number(jobId));
+    }
+
+    async createBacktestJob(jobType, request) {
+        const job = this.insert('backtest_jobs', {
+            job_type: jobType,
+            status: 'queued',
+            request,
+            progress: 0,
+            current_step: 'Queued',
+            partial_results: [],
+            result: null,
+            error: null,
+            cancel_requested: false,
+            worker_id: null,
+            created_at: Clock.isoString(),
+            started_at: null,
+            completed_at: null,
+            updated_at: Clock.isoString()
+        });
+
+        this.logger.info('Backtest job queued', { id: job.id, jobType });
+        return job;
+    }
+
+    async getBacktestJob(jobId) {
+        const job = this.findJob(jobId);
+        return job ? structuredClone(job) : null;
+    }
+
+    async getBacktestJobs(limit = 20) {
+        return InMemoryDatabaseService.sortBy(this.tables.backtest_jobs, 'created_at', true)
+            .slice(0, limit)
+            .map(({ id, job_type, status, progress, current_step, error, cancel_requested, worker_id, created_at, started_at, completed_at }) =>
+                ({ id, job_type, status, progress, current_step, error, cancel_requested, worker_id, created_at, started_at, completed_at }));
+    }
+
+    async claimNextBacktestJob(workerId) {
+        const [job] = InMemoryDatabaseService.sortBy(this.tables.backtest_jobs.filter(row => row.status === 'queued'), 'created_at');
+        if (!job) {
+            return null;
+        }
+
+        Object.assign(job, {
+            status: 'running',
+            worker_id: workerId,
+            current_step: 'Starting...',
+            started_at: Clock.isoString(),
+            updated_at: Clock.isoString()
+        });
+        return structuredClone(job);
+    }
+
+    async failStaleBacktestJobs(staleAfterMs) {
+        const cutoff = Clock.now() - staleAfterMs;
+        const stale = this.tables.backtest_jobs.filter(row => row.status === 'running' && Date.parse(row.updated_at) < cutoff);
+
+        for (const job of stale) {
+            Object.assign(job, {
+                status: 'failed',
+                current_step: 'Failed',
+                error: `Worker ${job.worker_id || 'unknown'} stopped responding`,
+                completed_at: Clock.isoString(),
+                updated_at: Clock.isoString()
+            });
+        }
+
+        if (stale.length > 0) {
+            this.logger.warn('Failed abandoned backtest jobs', { ids: stale.map(job => job.id) });
+        }
+        return stale.map(job => ({ id: job.id, worker_id: job.worker_id }));
+    }
+
+    async updateBacktestJobProgress(jobId, update) {
+        const job = this.findJob(jobId);
+        if (!job) {
+            return undefined;
+        }
+
+        Object.assign(job, {
+            progress: update.progress,
+            current_step: update.currentStep,
+            partial_results: [...job.partial_results, ...structuredClone(update.partialResults || [])],
+            updated_at: Clock.isoString()
+        });
+        return { status: job.status, cancel_requested: job.cancel_requested };
+    }
+
+    async completeBacktestJob(jobId, resultData) {
+        const job = this.findJob(jobId);
+        if (!job) {
+            return undefined;
+        }
+
+        Object.assign(job, {
+            status: 'completed',
+            progress: 100,
+            current_step: 'Completed',
+            result: structuredClone(resultData),
+            completed_at: Clock.isoString(),
+            updated_at: Clock.isoString()
+        });
+
+        this.logger.info('Backtest job completed', { id: job.id });
+        return { id: job.id, status: job.status };
+    }
+
+    async finishBacktestJob(jobId, status, message) {
+        const job = this.findJob(jobId);
+        if (!job) {
+            return undefined;
+        }
+
+        Object.assign(job, {
+            status,
+            current_step: status === 'cancelled' ? 'Cancelled' : 'Failed',
+            error: message,
+            completed_at: Clock.isoString(),
+            updated_at: Clock.isoString()
+        });
+
+        this.logger.info(`Backtest job ${status}`, { id: job.id, message });
+        return { id: job.id, status: job.status };
+    }
+
+    async cancelBacktestJob(jobId) {
+        const job = this.findJob(jobId);
+        if (!job || !['queued', 'running'].includes(job.status)) {
+            return null;
+        }
+
+        const queued = job.status === 'queued';
+        Object.assign(job, {
+            cancel_requested: true,
+            status: queued ? 'cancelled' : job.status,
+            current_step: queued ? 'Cancelled' : 'Cancelling...',
+            completed_at: queued ? Clock.isoString() : job.completed_at,
+            updated_at: Clock.isoString()
+        });
+        return { id: job.id, status: job.status, cancel_requested: job.cancel_requested };
+    }
+}
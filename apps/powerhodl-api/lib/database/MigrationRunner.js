@@ -0,0 +1,231 @@
+/**
+ * Migration Runner
+ *
+ * Versioned schema migrations for the Postgres backends. The schema is defined only by the
+ * numbered files in database/migrations; schema_migrations records which of them a database
+ * has applied. Used by scripts/migrate.js and by the crons' startup check.
+ *
+ * CRITICAL CONCEPTS:
+ *
+ * 1. MIGRATION FILES
+ *    - NNN_name.up.sql applies a change, NNN_name.down.sql reverts it; both are required
+ *    - Versions are applied in ascending order and never renumbered or edited once merged -
+ *      a schema change is always a new file
+ *    - Statements end with ';' (outside quotes and -- comments); no parameters
+ *
+ * 2. ONE MIGRATION = ONE TRANSACTION
+ *    - A migration's statements and its schema_migrations row commit together (sql.script),
+ *      so a failed migration leaves the database at the previous version
+ *
+ * 3. STARTUP CHECK
+ *    - The crons call status() first and refuse to run while migrations are pending:
+ *      writing to a schema that is behind the code fails halfway or drops columns silently
+ *    - The memory backend is always at the latest version
+ *    - The migrations directory is outside the API's Vercel root: vercel.json ships it with
+ *      the crons (includeFiles); a deployment without it fails the check instead of passing it
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+export class MigrationRunner {
+    static DIRECTORY = fileURLToPath(new URL('../../../../database/migrations/', import.meta.url));
+
+    /**
+     * Load the migrations on disk
+     * @param {string} directory - Migrations directory (default: database/migrations)
+     * @returns {Array<Object>} [{ version, name, up: [statements], down: [statements] }] by version
+     */
+    static load(directory = this.DIRECTORY) {
+        if (!fs.existsSync(directory)) {
+            throw new Error(`Migrations directory not found: ${directory} (deployments must include database/migrations, see includeFiles in vercel.json)`);
+        }
+
+        const migrations = new Map();
+
+        for (const file of fs.readdirSync(directory).sort()) {
+            const match = file.match(FILE_PATTERN);
+            if (!match) {
+                continue;
+            }
+
+            const [, number, name, direction] = match;
+            const version = parseInt(number, 10);
+            const migration = migrations.get(version) || { version, name };
+
+            if (migration.name !== name) {
+                throw new Error(`Migration ${version} has two names: ${migration.name} and ${name}`);
+            }
+
+            migration[direction] = this.splitStatements(fs.readFileSync(path.join(directory, file), 'utf8'));
+            migrations.set(version, migration);
+        }
+
+        for (const migration of migrations.values()) {
+            if (!migration.up || !migration.down) {
+                throw new Error(`Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql file`);
+            }
+        }
+
+        return [...migrations.values()].sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Split a SQL file into statements
+     * @param {string} sql - File contents
+     * @returns {Array<string>} Statements without the trailing ';' (comment-only chunks dropped)
+     */
+    static splitStatements(sql) {
+        const statements = [];
+        let current = '';
+        let inString = false;
+        let inComment = false;
+
+        for (let i = 0; i < sql.length; i++) {
+            const char = sql[i];
+
+            if (inComment) {
+                inComment = char !== '\n';
+            } else if (inString) {
+                inString = char !== "'";
+            } else if (char === '-' && sql[i + 1] === '-') {
+                inComment = true;
+            } else if (char === "'") {
+                inString = true;
+            } else if (char === ';') {
+                statements.push(current);
+                current = '';
+                continue;
+            }
+
+            current += char;
+        }
+        statements.push(current);
+
+        // Keep statements that have SQL besides comments
+        return statements
+            .map(statement => statement.trim())
+            .filter(statement => statement.replace(/--.*$/gm, '').trim().length > 0);
+    }
+
+    /**
+     * Compare the migrations on disk with those the database has applied
+     * @param {DatabaseService} dbService - Database to check
+     * @returns {Promise<Object>} { current, version, latest, applied, pending, unknown }
+     */
+    static async status(dbService) {
+        const migrations = this.load();
+        const applied = await dbService.getAppliedMigrations();
+        const appliedVersions = new Set(applied.map(row => Number(row.version)));
+        const knownVersions = new Set(migrations.map(m => m.version));
+        const pending = migrations.filter(m => !appliedVersions.has(m.version));
+
+        return {
+            current: pending.length === 0,
+            version: applied.length > 0 ? Math.max(...appliedVersions) : 0,
+            latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+            applied: applied.map(row => ({
+                version: Number(row.version),
+                name: row.name,
+                appliedAt: row.applied_at
+            })),
+            pending: pending.map(m => ({ version: m.version, name: m.name })),
+            // Applied by a newer checkout than this one
+            unknown: [...appliedVersions].filter(version => !knownVersions.has(version))
+        };
+    }
+
+    /**
+     * Apply pending migrations in order
+     * @param {DatabaseService} dbService - Database to migrate
+     * @param {Object} options - { to: last version to apply (default: all) }
+     * @returns {Promise<Array<Object>>} Applied migrations [{ version, name }]
+     */
+    static async up(dbService, options = {}) {
+        const { pending } = await this.status(dbService);
+        const migrations = this.load();
+        const applied = [];
+
+        for (const { version } of pending) {
+            if (options.to !== undefined && version > options.to) {
+                break;
+            }
+
+            const migration = migrations.find(m => m.version === version);
+            await dbService.runMigration(migration, 'up');
+            applied.push({ version, name: migration.name });
+        }
+
+        return applied;
+    }
+
+    /**
+     * Revert the most recently applied migrations
+     * @param {DatabaseService} dbService - Database to migrate
+     * @param {Object} options - { steps: migrations to revert (default 1), to: version to end at (overrides steps) }
+     * @returns {Promise<Array<Object>>} Reverted migrations [{ version, name }]
+     */
+    static async down(dbService, options = {}) {
+        const { applied } = await this.status(dbService);
+        const migrations = this.load();
+        const newestFirst = [...applied].reverse();
+        const targets = options.to !== undefined
+            ? newestFirst.filter(m => m.version > options.to)
+            : newestFirst.slice(0, options.steps ?? 1);
+        const reverted = [];
+
+        for (const { version } of targets) {
+            const migration = migrations.find(m => m.version === version);
+            if (!migration) {
+                throw new Error(`Migration ${version} is applied but has no files in ${this.DIRECTORY}`);
+            }
+
+            await dbService.runMigration(migration, 'down');
+            reverted.push({ version, name: migration.name });
+        }
+
+        return reverted;
+    }
+
+    /**
+     * Create the files of a new migration (next free version)
+     * @param {string} name - Short description, e.g. 'add_order_events'
+     * @param {string} directory - Migrations directory (default: database/migrations)
+     * @returns {Array<string>} Paths of the created .up.sql and .down.sql files
+     */
+    static create(name, directory = this.DIRECTORY) {
+        const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+        if (!slug) {
+            throw new Error('Migration name is required');
+        }
+
+        const migrations = this.load(directory);
+        const version = (migrations.length > 0 ? migrations[migrations.length - 1].version : 0) + 1;
+        const prefix = `${String(version).padStart(3, '0')}_${slug}`;
+
+        return ['up', 'down'].map(direction => {
+            const file = path.join(directory, `${prefix}.${direction}.sql`);
+            const title = `-- ${String(version).padStart(3, '0')} ${slug.replace(/_/g, ' ')}${direction === 'down' ? ' (revert)' : ''}`;
+            fs.writeFileSync(file, `${title}\n\n`);
+            return file;
+        });
+    }
+
+    /**
+     * Response for a cron that refuses to run on an outdated schema
+     * @param {Object} status - Result of status()
+     * @returns {Object} Error response body
+     */
+    static createSchemaBehindResponse(status) {
+        return {
+            error: 'Database schema is behind',
+            message: `Database is at migration ${status.version}, code needs ${status.latest}. Run "npm run migrate" first.`,
+            pending: status.pending,
+            timestamp: new Date().toISOString(),
+            code: 'SCHEMA_BEHIND'
+        };
+    }
+}
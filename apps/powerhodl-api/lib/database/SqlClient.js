@@ -0,0 +1,115 @@
+/**
+ * SQL Client
+ *
+ * Postgres drivers behind one interface: a tagged template that runs a parameterized
+ * query and resolves to the result rows, plus sql.script(statements) for migrations.
+ * DatabaseService writes its queries once against this interface; DATABASE_BACKEND picks
+ * the driver.
+ *
+ * CRITICAL CONCEPTS:
+ *
+ * 1. DRIVERS
+ *    - neon: @neondatabase/serverless over HTTP (Vercel, no connection to keep open)
+ *    - pg: node-postgres pool over TCP (local Postgres, Docker, CI)
+ *    - Both return NUMERIC as strings and timestamps as Dates, so callers parse the same way
+ *
+ * 2. ONE STATEMENT = ONE TRANSACTION
+ *    - Neon's HTTP driver has no session, so BEGIN / COMMIT across calls does nothing
+ *    - Changes that must be atomic are written as a single statement (CTEs)
+ *    - sql.script runs several raw statements as one transaction (neon: sql.transaction,
+ *      pg: BEGIN / COMMIT on one pooled connection); used for schema migrations only
+ */
+
+import { neon } from '@neondatabase/serverless';
+import pg from 'pg';
+
+// One pool per connection string; handlers create a DatabaseService per request
+const pools = new Map();
+
+export class SqlClient {
+    static DRIVERS = ['neon', 'pg'];
+
+    /**
+     * Create a tagged-template query function
+     * @param {string} driver - 'neon' | 'pg'
+     * @param {string} databaseUrl - Postgres connection string
+     * @returns {Function} sql`...` → Promise<Array<Object>> of rows
+     */
+    static create(driver, databaseUrl) {
+        switch (driver) {
+            case 'neon':
+                return this.createNeon(databaseUrl);
+            case 'pg':
+                return this.createPg(databaseUrl);
+            default:
+                throw new Error(`Invalid SQL driver: ${driver} (use ${this.DRIVERS.join(' or ')})`);
+        }
+    }
+
+    /**
+     * Tagged template over Neon's HTTP driver
+     * @param {string} databaseUrl - Postgres connection string
+     * @returns {Function} sql`...` → Promise<Array<Object>> of rows
+     * @private
+     */
+    static createNeon(databaseUrl) {
+        const sql = neon(databaseUrl);
+
+        // One HTTP request, committed or rolled back as a whole
+        sql.script = (statements) => sql.transaction(statements.map(text => sql(text, [])));
+        return sql;
+    }
+
+    /**
+     * Tagged template over a shared node-postgres pool
+     * @param {string} databaseUrl - Postgres connection string
+     * @returns {Function} sql`...` → Promise<Array<Object>> of rows
+     * @private
+     */
+    static createPg(databaseUrl) {
+        if (!pools.has(databaseUrl)) {
+            pools.set(databaseUrl, new pg.Pool({
+                connectionString: databaseUrl,
+                max: parseInt(process.env.PG_POOL_SIZE) || 5,
+                idleTimeoutMillis: 10000,
+                allowExitOnIdle: true // Scripts exit without closing the pool
+            }));
+        }
+        const pool = pools.get(databaseUrl);
+
+        const sql = async (strings, ...values) => {
+            const text = strings.reduce((query, part, i) => `${query}$${i}${part}`);
+            const result = await pool.query(text, values);
+            return result.rows;
+        };
+
+        sql.script = async (statements) => {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const results = [];
+                for (const text of statements) {
+                    results.push((await client.query(text)).rows);
+                }
+                await client.query('COMMIT');
+                return results;
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+        };
+
+        return sql;
+    }
+
+    /**
+     * Close all pg pools (tests, graceful shutdown)
+     * @returns {Promise<void>}
+     */
+    static async closeAll() {
+        await Promise.all([...pools.values()].map(pool => pool.end()));
+        pools.clear();
+    }
+}
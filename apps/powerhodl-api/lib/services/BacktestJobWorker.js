@@ -0,0 +1,266 @@
+/**
+ * Backtest Job Worker
+ *
+ * Drains the backtest_jobs queue. Each job runs in its own worker thread
+ * (lib/workers/backtestJobThread.js) while this class relays progress to the database.
+ *
+ * CRITICAL CONCEPTS:
+ *
+ * 1. ONE JOB AT A TIME PER WORKER
+ *    - Backtests are CPU bound; start more worker processes to run jobs in parallel
+ *    - Jobs are claimed with SKIP LOCKED, so two workers never take the same job
+ *
+ * 2. PROGRESS IS BATCHED
+ *    - The thread reports every fold/evaluation; the database is written at most once per flushIntervalMs
+ *    - Each flush also reads cancel_requested back
+ *
+ * 3. CANCELLATION TERMINATES THE THREAD
+ *    - The engine is synchronous and can not check a flag between bars
+ *    - Terminating the thread is the only way to stop it mid-run; partial results already flushed are kept
+ *    - A job failed elsewhere while it runs (see 5) is stopped the same way
+ *
+ * 4. OPTIMIZATION WINNERS ARE SAVED LIKE /api/optimize
+ *    - New algorithm_parameters row, never activated automatically
+ *
+ * 5. ABANDONED JOBS ARE FAILED
+ *    - The progress flush is the heartbeat: it sets updated_at every flushIntervalMs
+ *    - Before claiming, running jobs without a heartbeat for staleAfterMs are failed (not requeued:
+ *      a job that crashes its worker would crash the next one too)
+ */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { DatabaseService } from './DatabaseService.js';
+import { CandleService } from './CandleService.js';
+import { SimpleBacktestEngine } from '../../src/SimpleBacktestEngine.js';
+import { BacktestJobRunner } from '../../src/BacktestJobRunner.js';
+import { Logger } from '../utils/Logger.js';
+
+const THREAD_ENTRY = new URL('../workers/backtestJobThread.js', import.meta.url);
+
+export class BacktestJobWorker {
+    /**
+     * @param {Object} options - Worker configuration
+     * @param {DatabaseService} options.dbService - Database service (default: new instance)
+     * @param {number} options.pollIntervalMs - Wait between queue checks when the queue is empty
+     * @param {number} options.flushIntervalMs - Interval for writing progress and checking cancellation
+     * @param {number} options.staleAfterMs - Heartbeat age after which another worker's running job is failed
+     */
+    constructor(options = {}) {
+        this.logger = new Logger('BacktestJobWorker');
+        this.dbService = options.dbService || new DatabaseService();
+        this.candleService = new CandleService(this.dbService);
+        this.pollIntervalMs = options.pollIntervalMs || 5000;
+        this.flushIntervalMs = options.flushIntervalMs || 1000;
+        this.staleAfterMs = options.staleAfterMs || BacktestJobRunner.STALE_AFTER_MS;
+        this.workerId = `${os.hostname()}-${process.pid}`;
+        this.running = false;
+    }
+
+    /**
+     * Process jobs until stop() is called
+     * @returns {Promise<void>} Resolves once the loop has stopped
+     */
+    async start() {
+        this.running = true;
+        this.logger.info(`Worker ${this.workerId} polling for backtest jobs`);
+
+        while (this.running) {
+            try {
+                const processed = await this.runOnce();
+                if (!processed) {
+                    await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+                }
+            } catch (error) {
+                this.logger.error('Worker loop error', error);
+                await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+            }
+        }
+
+        this.logger.info(`Worker ${this.workerId} stopped`);
+    }
+
+    /**
+     * Stop after the current job finishes
+     */
+    stop() {
+        this.running = false;
+    }
+
+    /**
+     * Claim and process a single job
+     * @returns {Promise<boolean>} True if a job was processed
+     */
+    async runOnce() {
+        await this.dbService.failStaleBacktestJobs(this.staleAfterMs);
+
+        const job = await this.dbService.claimNextBacktestJob(this.workerId);
+        if (!job) {
+            return false;
+        }
+
+        await this.processJob(job);
+        return true;
+    }
+
+    /**
+     * Run one claimed job and record its outcome
+     * @param {Object} job - backtest_jobs row
+     * @private
+     */
+    async processJob(job) {
+        const startTime = Date.now();
+        this.logger.info(`Processing job ${job.id}`, { jobType: job.job_type });
+
+        try {
+            const period = BacktestJobRunner.resolvePeriod(job.request);
+            const pair = BacktestJobRunner.resolvePair(job.request);
+            const timeframe = BacktestJobRunner.resolveTimeframe(job.request);
+            const request = { ...job.request, backtestPeriod: job.request.backtestPeriod || period, pair };
+
+            await this.dbService.updateBacktestJobProgress(job.id, { progress: 0, currentStep: 'Fetching historical data...' });
+            const marketData = timeframe
+                ? await this.candleService.getMarketData(pair, timeframe, period)
+                : SimpleBacktestEngine.normalizeMarketData(await this.dbService.getHistoricalData(period, pair));
+
+            if (marketData.length === 0) {
+                throw new Error('No historical data available');
+            }
+
+            const outcome = await this.runInThread(job, request, marketData);
+
+            if (outcome.cancelled) {
+                await this.dbService.finishBacktestJob(job.id, 'cancelled', 'Cancelled by user');
+                return;
+            }
+            if (outcome.abandoned) {
+                return;
+            }
+
+            let savedParameterId = null;
+            if (outcome.winner) {
+                const saved = await this.dbService.saveAlgorithmParameters(
+                    outcome.winner.parameters,
+                    outcome.winner.performance,
+                    outcome.winner.name,
+                    outcome.winner.description
+                );
+                savedParameterId = saved?.id || null;
+            }
+
+            await this.dbService.completeBacktestJob(job.id, {
+                ...outcome.data,
+                ...(job.job_type === 'optimization' ? { savedParameterId } : {}),
+                metadata: {
+                    processingTimeMs: Date.now() - startTime,
+                    dataPoints: marketData.length,
+                    backtestEngine: job.job_type === 'walk-forward' ? 'WalkForwardOptimizer' : 'SimpleBacktestEngine',
+                    period,
+                    pair,
+                    timeframe,
+                    actualDataSource: timeframe ? 'candles' : 'database',
+                    jobId: job.id
+                }
+            });
+
+        } catch (error) {
+            this.logger.error(`Job ${job.id} failed`, error);
+            await this.dbService.finishBacktestJob(job.id, 'failed', error.message);
+        }
+    }
+
+    /**
+     * Run the job in a worker thread, flushing progress and watching for cancellation
+     * @returns {Promise<Object>} { data, winner }, { cancelled: true } or { abandoned: true }
+     * @private
+     */
+    runInThread(job, request, marketData) {
+        return new Promise((resolve, reject) => {
+            const thread = new Worker(THREAD_ENTRY, {
+                workerData: { jobType: job.job_type, request, marketData }
+            });
+
+            let latest = null;
+            let pendingResults = [];
+            let settled = false;
+            let inFlight = null;
+
+            const finish = (callback) => {
+                if (settled) return;
+                settled = true;
+                clearInterval(timer);
+                callback();
+            };
+
+            const flush = async () => {
+                if (inFlight || settled) return;
+                inFlight = writeProgress();
+                await inFlight;
+                inFlight = null;
+            };
+
+            const writeProgress = async () => {
+                try {
+                    const partialResults = pendingResults;
+                    pendingResults = [];
+
+                    const state = await this.dbService.updateBacktestJobProgress(job.id, {
+                        progress: latest ? Math.min(99, latest.progress) : 0,
+                        currentStep: latest ? latest.currentStep : 'Running...',
+                        partialResults
+                    });
+
+                    if (state?.cancel_requested) {
+                        this.logger.info(`Job ${job.id} cancel requested, terminating thread`);
+                        finish(() => {
+                            thread.terminate();
+                            resolve({ cancelled: true });
+                        });
+                    } else if (state && state.status !== 'running') {
+                        // Failed as abandoned (e.g. progress writes stalled for staleAfterMs): the result is no longer wanted
+                        this.logger.warn(`Job ${job.id} is ${state.status}, terminating thread`);
+                        finish(() => {
+                            thread.terminate();
+                            resolve({ abandoned: true });
+                        });
+                    }
+                } catch (error) {
+                    // Progress is best effort; the final result is what matters
+                    this.logger.warn(`Failed to flush progress for job ${job.id}`, { message: error.message });
+                }
+            };
+
+            const timer = setInterval(flush, this.flushIntervalMs);
+
+            thread.on('message', (message) => {
+                if (message.type === 'progress') {
+                    latest = message;
+                    if (message.partialResult) {
+                        pendingResults.push(message.partialResult);
+                    }
+                } else if (message.type === 'result') {
+                    // Write the last partial results before the job is marked complete
+                    finish(async () => {
+                        // A flush still in flight must not land after the job is marked complete
+                        await inFlight;
+                        if (pendingResults.length > 0) {
+                            await this.dbService.updateBacktestJobProgress(job.id, {
+                                progress: 99,
+                                currentStep: 'Saving results...',
+                                partialResults: pendingResults
+                            }).catch(() => {});
+                        }
+                        resolve({ data: message.data, winner: message.winner });
+                    });
+                } else if (message.type === 'error') {
+                    finish(() => reject(new Error(message.message)));
+                }
+            });
+
+            thread.on('error', (error) => finish(() => reject(error)));
+            thread.on('exit', (code) => {
+                finish(() => reject(new Error(`Backtest thread exited with code ${code}`)));
+            });
+        });
+    }
+}
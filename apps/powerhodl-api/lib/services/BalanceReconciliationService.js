@@ -0,0 +1,370 @@
+/**
+ * Balance Reconciliation Service
+ *
+ * Compares what the database says a portfolio holds (portfolios.eth_amount / btc_amount)
+ * with what the exchange or wallet actually holds and with the sum of the portfolio's
+ * recorded trades. Run by the balance-reconciler cron; each run is stored in
+ * balance_reconciliations and every difference is logged to system_events.
+ *
+ * CRITICAL CONCEPTS:
+ *
+ * 1. THREE SOURCES
+ *    - database: the balances the trade-executor sizes trades from
+ *    - external: getAccountBalance (cex / live) or getWalletBalances (metamask); not available
+ *      in simulation, or when another active portfolio holds one of the same assets (the
+ *      account total cannot be split between portfolios)
+ *    - ledger: the first trade's balances before it plus every trade's from/to amounts since
+ *
+ * 2. DRIFT IS MEASURED IN PORTFOLIO VALUE
+ *    - Both asset differences are valued in the quote asset at the latest ratio, and divided by
+ *      the portfolio's value; the largest of the two comparisons is the portfolio's drift
+ *    - Differences under DUST (decimal rounding) count as none
+ *
+ * 3. WHAT HAPPENS TO A DIFFERENCE
+ *    - Above RiskManager.maxBalanceDrift (MAX_BALANCE_DRIFT): status 'halted' - the
+ *      trade-executor skips the portfolio until a later run finds the balances within the limit
+ *    - Within RECONCILE_TOLERANCE and RECONCILE_AUTO_CORRECT=true: the database balances are set
+ *      to the external ones (or the ledger's without external balances) - status 'corrected'
+ *    - Otherwise status 'drift': logged, nothing changed
+ *    - Portfolios with open orders are not reconciled: their fills are still being applied
+ */
+
+import { ethers } from 'ethers';
+import { Logger } from '../utils/Logger.js';
+import { Clock } from '../utils/Clock.js';
+import { TradingPair } from '../../../../packages/shared/src/TradingPair.js';
+
+// Differences below this (per asset) are rounding, not drift
+const DUST = 1e-8;
+
+export class BalanceReconciliationService {
+    /**
+     * @param {DatabaseService} dbService - Database
+     * @param {TradeExecutionService} tradeService - Exchange / wallet access
+     * @param {RiskManager} riskManager - Decides when drift halts trading
+     */
+    constructor(dbService, tradeService, riskManager) {
+        this.logger = new Logger('BalanceReconciliation');
+        this.dbService = dbService;
+        this.tradeService = tradeService;
+        this.riskManager = riskManager;
+        this.tolerance = parseFloat(process.env.RECONCILE_TOLERANCE) || 0.001; // 0.1% of portfolio value
+        this.autoCorrect = process.env.RECONCILE_AUTO_CORRECT === 'true';
+        this.metaMaskService = null;
+    }
+
+    /**
+     * Reconcile every active pair portfolio
+     * @returns {Promise<Array<Object>>} One result per portfolio (see reconcile())
+     */
+    async reconcileAll() {
+        const portfolios = await this.dbService.getActivePortfolios();
+        const results = [];
+
+        // One failing portfolio must not stop the others from being checked
+        for (const portfolio of portfolios) {
+            try {
+                results.push(await this.reconcile(portfolio, portfolios));
+            } catch (error) {
+                this.logger.error('❌ Reconciliation failed', { portfolioId: portfolio.id, error: error.message });
+                results.push({ portfolioId: portfolio.id, pair: portfolio.pair, status: 'error', error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Reconcile one portfolio
+     * @param {Object} portfolio - portfolios row
+     * @param {Array<Object>} activePortfolios - All active pair portfolios (shared assets)
+     * @returns {Promise<Object>} { portfolioId, pair, status, driftPct, driftBtc, message, reconciliationId, comparisons }
+     */
+    async reconcile(portfolio, activePortfolios = [portfolio]) {
+        const pair = TradingPair.fromRow(portfolio);
+
+        const openOrders = await this.dbService.getOpenOrders(portfolio.id);
+        if (openOrders.length > 0) {
+            return {
+                portfolioId: portfolio.id,
+                pair: pair.symbol,
+                status: 'skipped',
+                message: `Order ${openOrders[0].id} is still ${openOrders[0].status}`
+            };
+        }
+
+        const database = { ethAmount: parseFloat(portfolio.eth_amount), btcAmount: parseFloat(portfolio.btc_amount) };
+        const trades = await this.dbService.getPortfolioTrades(portfolio.id);
+        const ledger = BalanceReconciliationService.ledgerBalances(trades, pair);
+        const external = await this.getExternalBalances(portfolio, pair, activePortfolios);
+        const ratio = await this.getRatio(pair, trades);
+
+        const comparisons = [
+            external.balances && { source: external.source, ...BalanceReconciliationService.compare(database, external.balances, ratio) },
+            ledger && { source: 'ledger', ...BalanceReconciliationService.compare(database, ledger, ratio) }
+        ].filter(Boolean);
+        const worst = comparisons.reduce((max, c) => (!max || c.driftPct > max.driftPct ? c : max), null);
+
+        const record = {
+            portfolio_id: portfolio.id,
+            pair: pair.symbol,
+            status: 'ok',
+            source: external.balances ? external.source : null,
+            db_eth_amount: database.ethAmount,
+            db_btc_amount: database.btcAmount,
+            external_eth_amount: external.balances?.ethAmount ?? null,
+            external_btc_amount: external.balances?.btcAmount ?? null,
+            ledger_eth_amount: ledger?.ethAmount ?? null,
+            ledger_btc_amount: ledger?.btcAmount ?? null,
+            drift_btc: worst?.driftBtc || 0,
+            drift_pct: worst?.driftPct || 0,
+            message: 'Balances agree',
+            details: {
+                ratio,
+                comparisons,
+                trades: trades.length,
+                ledgerGaps: ledger?.gaps || [],
+                externalUnavailable: external.reason || null
+            }
+        };
+
+        if (worst && worst.driftBtc > 0) {
+            const summary = comparisons
+                .filter(c => c.driftBtc > 0)
+                .map(c => `${c.source} ${BalanceReconciliationService.formatDiff(c, pair)}`)
+                .join('; ');
+            const driftCheck = this.riskManager.checkBalanceDrift(worst.driftPct);
+            // Correct towards the exchange / wallet when there is one, otherwise towards the trades
+            const reference = comparisons[0];
+
+            if (!driftCheck.passed) {
+                record.status = 'halted';
+                record.message = `${driftCheck.reason} - trading halted (${summary})`;
+            } else if (this.autoCorrect && worst.driftPct <= this.tolerance && reference.driftBtc > 0) {
+                await this.correct(portfolio, reference, ratio);
+                record.status = 'corrected';
+                record.message = `Database balances set to ${reference.source} (${summary})`;
+            } else {
+                record.status = 'drift';
+                record.message = `Balance drift ${(worst.driftPct * 100).toFixed(4)}% (${summary})`;
+            }
+        }
+
+        const stored = await this.dbService.insertBalanceReconciliation(record);
+        await this.logDrift(record, stored);
+
+        return {
+            portfolioId: portfolio.id,
+            pair: pair.symbol,
+            status: record.status,
+            driftPct: record.drift_pct,
+            driftBtc: record.drift_btc,
+            message: record.message,
+            reconciliationId: stored?.id ?? null,
+            comparisons
+        };
+    }
+
+    /**
+     * Balances implied by the recorded trades
+     * Starts from the first trade's balances before it; trades without them (recorded before
+     * migration 006) leave the ledger unavailable.
+     * @param {Array<Object>} trades - The portfolio's trades, oldest first
+     * @param {TradingPair} pair - Portfolio pair
+     * @returns {Object|null} { ethAmount, btcAmount, gaps } - gaps: trades whose balances before
+     *                        differ from the running total (a trade is missing in between)
+     */
+    static ledgerBalances(trades, pair) {
+        const first = trades[0];
+        if (!first || first.eth_amount_before === null || first.eth_amount_before === undefined) {
+            return null;
+        }
+
+        let ethAmount = parseFloat(first.eth_amount_before);
+        let btcAmount = parseFloat(first.btc_amount_before);
+        const gaps = [];
+
+        for (const trade of trades) {
+            const before = { ethAmount: parseFloat(trade.eth_amount_before), btcAmount: parseFloat(trade.btc_amount_before) };
+            if (Number.isFinite(before.ethAmount) && (Math.abs(before.ethAmount - ethAmount) > DUST || Math.abs(before.btcAmount - btcAmount) > DUST)) {
+                gaps.push({ tradeId: trade.id, expected: { ethAmount, btcAmount }, recorded: before });
+            }
+
+            const fromAmount = parseFloat(trade.from_amount) || 0;
+            const toAmount = parseFloat(trade.to_amount) || 0;
+            ethAmount += (trade.to_currency === pair.base ? toAmount : 0) - (trade.from_currency === pair.base ? fromAmount : 0);
+            btcAmount += (trade.to_currency === pair.quote ? toAmount : 0) - (trade.from_currency === pair.quote ? fromAmount : 0);
+        }
+
+        return { ethAmount, btcAmount, gaps };
+    }
+
+    /**
+     * Difference of another source from the database balances
+     * @param {Object} database - { ethAmount, btcAmount }
+     * @param {Object} other - { ethAmount, btcAmount }
+     * @param {number} ratio - Quote per base
+     * @returns {Object} { ethDiff, btcDiff, driftBtc, driftPct } - diffs are other - database
+     */
+    static compare(database, other, ratio) {
+        const ethDiff = Math.abs(other.ethAmount - database.ethAmount) > DUST ? other.ethAmount - database.ethAmount : 0;
+        const btcDiff = Math.abs(other.btcAmount - database.btcAmount) > DUST ? other.btcAmount - database.btcAmount : 0;
+        const driftBtc = Math.abs(ethDiff) * ratio + Math.abs(btcDiff);
+        const value = database.btcAmount + database.ethAmount * ratio;
+
+        return {
+            ethDiff,
+            btcDiff,
+            driftBtc,
+            // An empty portfolio with anything on the other side is off by all of it
+            driftPct: value > 0 ? driftBtc / value : (driftBtc > 0 ? 1 : 0)
+        };
+    }
+
+    /**
+     * @param {Object} comparison - Result of compare()
+     * @param {TradingPair} pair - Portfolio pair
+     * @returns {string} e.g. "ETH +0.01200000, BTC -0.00010000"
+     * @private
+     */
+    static formatDiff(comparison, pair) {
+        const format = diff => `${diff >= 0 ? '+' : ''}${diff.toFixed(8)}`;
+        return [
+            comparison.ethDiff !== 0 && `${pair.base} ${format(comparison.ethDiff)}`,
+            comparison.btcDiff !== 0 && `${pair.quote} ${format(comparison.btcDiff)}`
+        ].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Balances of the portfolio's assets on the exchange or in the wallet
+     * @param {Object} portfolio - portfolios row
+     * @param {TradingPair} pair - Portfolio pair
+     * @param {Array<Object>} activePortfolios - All active pair portfolios
+     * @returns {Promise<Object>} { source, balances: { ethAmount, btcAmount } | null, reason }
+     * @private
+     */
+    async getExternalBalances(portfolio, pair, activePortfolios) {
+        const { tradingMode, isSimulationMode } = this.tradeService;
+
+        if (isSimulationMode) {
+            return { source: null, balances: null, reason: 'Simulation mode has no exchange balances' };
+        }
+
+        const sharing = activePortfolios.find(other => other.id !== portfolio.id
+            && [TradingPair.fromRow(other).base, TradingPair.fromRow(other).quote].some(asset => [pair.base, pair.quote].includes(asset)));
+        if (sharing) {
+            return { source: null, balances: null, reason: `Portfolio ${sharing.id} holds the same assets on the account` };
+        }
+
+        if (tradingMode === 'metamask') {
+            if (pair.symbol !== 'ETH/BTC') {
+                return { source: null, balances: null, reason: `The wallet only reports ETH and WBTC, not ${pair.symbol}` };
+            }
+
+            if (!this.metaMaskService) {
+                const { ModernMetaMaskService } = await import('./ModernMetaMaskService.js');
+                this.metaMaskService = new ModernMetaMaskService();
+            }
+
+            const wallet = await this.metaMaskService.getWalletBalances();
+            if (wallet.simulation) {
+                return { source: null, balances: null, reason: 'Wallet is in simulation mode' };
+            }
+
+            return {
+                source: 'metamask',
+                balances: {
+                    ethAmount: parseFloat(ethers.formatEther(wallet.ETH || 0)),
+                    btcAmount: parseFloat(ethers.formatUnits(wallet.WBTC || 0, 8))
+                }
+            };
+        }
+
+        const balance = await this.tradeService.getAccountBalance(pair.symbol);
+        return {
+            source: 'exchange',
+            balances: {
+                ethAmount: Number(balance[pair.base]?.total) || 0,
+                btcAmount: Number(balance[pair.quote]?.total) || 0
+            }
+        };
+    }
+
+    /**
+     * Latest ratio of the pair (latest snapshot, else the last trade's price)
+     * @param {TradingPair} pair - Portfolio pair
+     * @param {Array<Object>} trades - The portfolio's trades, oldest first
+     * @returns {Promise<number>} Quote per base
+     * @private
+     */
+    async getRatio(pair, trades) {
+        const [snapshot] = await this.dbService.getRecentMarketData(1, pair.symbol);
+        const ratio = parseFloat(snapshot?.eth_btc_ratio) || parseFloat(trades.at(-1)?.exchange_rate);
+
+        if (!ratio) {
+            throw new Error(`No ${pair.symbol} price to value the balances with`);
+        }
+        return ratio;
+    }
+
+    /**
+     * Set the database balances to those of the reference source
+     * @param {Object} portfolio - portfolios row
+     * @param {Object} reference - Comparison with the reference source
+     * @param {number} ratio - Quote per base
+     * @private
+     */
+    async correct(portfolio, reference, ratio) {
+        const ethAmount = parseFloat(portfolio.eth_amount) + reference.ethDiff;
+        const btcAmount = parseFloat(portfolio.btc_amount) + reference.btcDiff;
+
+        await this.dbService.updatePortfolio(portfolio.id, {
+            eth_amount: ethAmount,
+            btc_amount: btcAmount,
+            total_value_btc: btcAmount + ethAmount * ratio,
+            last_rebalance_at: portfolio.last_rebalance_at,
+            updated_at: Clock.isoString()
+        });
+
+        this.logger.warn('🔧 Portfolio balances corrected', {
+            portfolioId: portfolio.id,
+            source: reference.source,
+            ethDiff: reference.ethDiff,
+            btcDiff: reference.btcDiff
+        });
+    }
+
+    /**
+     * Log a difference to system_events (nothing when the balances agree)
+     * @param {Object} record - Reconciliation record
+     * @param {Object} stored - Stored balance_reconciliations row
+     * @private
+     */
+    async logDrift(record, stored) {
+        if (record.status === 'ok') {
+            this.logger.info('✅ Balances reconciled', { portfolioId: record.portfolio_id, pair: record.pair });
+            return;
+        }
+
+        const severity = { corrected: 'warn', drift: record.drift_pct > this.tolerance ? 'error' : 'warn', halted: 'error' }[record.status];
+        this.logger[severity](record.status === 'halted' ? '🛑 Balance drift - trading halted' : '⚠️ Balance drift', {
+            portfolioId: record.portfolio_id,
+            pair: record.pair,
+            message: record.message
+        });
+
+        await this.dbService.logSystemEvent({
+            event_type: record.status === 'halted' ? 'trading_halted' : 'balance_drift',
+            severity,
+            message: `Portfolio ${record.portfolio_id} (${record.pair}): ${record.message}`,
+            metadata: {
+                reconciliationId: stored?.id ?? null,
+                portfolioId: record.portfolio_id,
+                status: record.status,
+                driftPct: record.drift_pct,
+                driftBtc: record.drift_btc,
+                comparisons: record.details.comparisons
+            }
+        });
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * Candle Service
+ *
+ * Keeps the candles table in step with market_snapshots and serves candles to the
+ * backtest and historical APIs.
+ *
+ * CRITICAL CONCEPTS:
+ *
+ * 1. INCREMENTAL REFRESH
+ *    - Each timeframe resumes at its newest stored candle (which may still be partial)
+ *    - Only the snapshots from there on are read and re-aggregated, so a 5-minute refresh stays cheap
+ *    - Called by market-monitor after each snapshot and by import-history after an import
+ *
+ * 2. SELF-HEALING READS
+ *    - A timeframe with no candles yet (new pair, fresh import) is built from all snapshots on first read
+ */
+
+import { DatabaseService } from './DatabaseService.js';
+import { CandleAggregator } from '../../src/CandleAggregator.js';
+import { Logger } from '../utils/Logger.js';
+import { TIMEFRAMES, Timeframe } from '../../../../packages/shared/src/Timeframe.js';
+
+export class CandleService {
+    /**
+     * @param {DatabaseService} dbService - Database service (default: new instance)
+     */
+    constructor(dbService = null) {
+        this.logger = new Logger('CandleService');
+        this.dbService = dbService || new DatabaseService();
+    }
+
+    /**
+     * Rebuild candles from the snapshots that are newer than what is stored
+     * @param {string} pair - Trading pair
+     * @param {Array<string>} timeframes - Timeframes to refresh (default: all)
+     * @param {string|null} since - Rebuild from this instant instead of the newest candle (after imports)
+     * @returns {Promise<Object>} { timeframe: candles written }
+     */
+    async refresh(pair, timeframes = Object.keys(TIMEFRAMES), since = null) {
+        timeframes.forEach(timeframe => Timeframe.parse(timeframe));
+
+        const latest = since ? {} : await this.dbService.getLatestCandleOpenTimes(pair);
+
+        // Resume point per timeframe; a timeframe without candles starts from the first snapshot
+        const resumeAt = Object.fromEntries(timeframes.map(timeframe => [
+            timeframe,
+            since ? Timeframe.bucketStart(since, timeframe) : latest[timeframe]?.getTime() ?? null
+        ]));
+
+        const starts = Object.values(resumeAt);
+        const readFrom = starts.includes(null) ? null : new Date(Math.min(...starts)).toISOString();
+        const snapshots = await this.dbService.getSnapshotsSince(pair, readFrom);
+
+        const written = {};
+        for (const timeframe of timeframes) {
+            const candles = CandleAggregator.aggregate(snapshots, timeframe, pair)
+                .filter(candle => resumeAt[timeframe] === null || new Date(candle.open_time).getTime() >= resumeAt[timeframe]);
+
+            written[timeframe] = candles.length > 0 ? await this.dbService.upsertCandles(candles) : 0;
+        }
+
+        this.logger.info(`Candles refreshed for ${pair}`, { snapshots: snapshots.length, written });
+        return written;
+    }
+
+    /**
+     * Candles covering a number of days, built on first use
+     * @param {string} pair - Trading pair
+     * @param {string} timeframe - '5m' | '1h' | '4h' | '1d'
+     * @param {number} days - Days of history
+     * @returns {Promise<Array<Object>>} Normalized bars (see CandleAggregator.toMarketData), oldest first
+     */
+    async getMarketData(pair, timeframe, days) {
+        const limit = Timeframe.barsFor(days, timeframe);
+        let candles = await this.dbService.getCandles(pair, timeframe, limit);
+
+        if (candles.length === 0) {
+            this.logger.info(`No ${pair} ${timeframe} candles yet, building them from snapshots`);
+            await this.refresh(pair, [timeframe]);
+            candles = await this.dbService.getCandles(pair, timeframe, limit);
+        }
+
+        return CandleAggregator.toMarketData(candles);
+    }
+}
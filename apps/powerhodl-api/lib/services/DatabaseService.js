@@ -2,7 +2,8 @@
  * Database Service
  * 
  * Handles all database operations for the trading system.
- * Uses Neon serverless Postgres as the backend database.
+ * Handlers and services only call these repository methods - no raw SQL outside this file.
+ * The storage backend is chosen by DATABASE_BACKEND (see concept 7).
  * 
  * CRITICAL CONCEPTS:
  * 
@@ -25,35 +26,78 @@
  *    - Index on collected_at for time-based queries
  *    - Batch inserts for seeding large datasets
  *    - Connection pooling handled by Neon
+ * 
+ * 5. TRADING PAIRS
+ *    - Snapshots, signals, portfolios and trades have a pair column (default 'ETH/BTC')
+ *    - Market data queries take a pair; eth_* / btc_* columns are the pair's base / quote
+ *    - Each active portfolio trades its own pair (see TradingPair.js)
+ * 
+ * 6. PORTFOLIO HOLDINGS
+ *    - portfolio_holdings has one row per (portfolio, asset), so a basket can hold N assets
+ *    - Pair portfolios (kind 'pair') keep eth_amount/btc_amount and mirror them into holdings
+ *    - Basket portfolios (kind 'basket') only have holdings; the pair crons skip them
+ * 
+ * 7. STORAGE BACKENDS (DATABASE_BACKEND)
+ *    - neon (default): Neon serverless Postgres over HTTP
+ *    - pg: any Postgres over TCP (local install, Docker) via node-postgres
+ *    - memory: process-local InMemoryDatabaseService, no database needed (offline development);
+ *      optional MEMORY_DATABASE_SEED_FILE is imported by server.js at startup
+ *    - neon and pg run the same SQL (lib/database/SqlClient.js)
  */
 
-import { neon } from '@neondatabase/serverless';
+import { SqlClient } from '../database/SqlClient.js';
+import { InMemoryDatabaseService } from '../database/InMemoryDatabaseService.js';
 import { Logger } from '../utils/Logger.js';
+import { Clock } from '../utils/Clock.js';
+import { TradingPair, DEFAULT_PAIR } from '../../../../packages/shared/src/TradingPair.js';
 
 export class DatabaseService {
+    static BACKENDS = ['neon', 'pg', 'memory'];
+
     constructor() {
+        // The memory backend is a separate implementation of the same methods;
+        // every DatabaseService of the process shares its data
+        if (DatabaseService.resolveBackend() === 'memory') {
+            return InMemoryDatabaseService.shared();
+        }
+
         this.logger = new Logger('DatabaseService');
         this.sql = null;
         this.initialize();
     }
 
     /**
-     * Initialize Neon database client
+     * Storage backend from DATABASE_BACKEND
+     * @returns {string} 'neon' | 'pg' | 'memory'
+     */
+    static resolveBackend() {
+        const backend = (process.env.DATABASE_BACKEND || 'neon').toLowerCase();
+
+        if (!this.BACKENDS.includes(backend)) {
+            throw new Error(`Invalid DATABASE_BACKEND: ${backend} (use ${this.BACKENDS.join(', ')})`);
+        }
+        return backend;
+    }
+
+    /**
+     * Initialize the SQL client of the configured backend
      * @private
      */
     initialize() {
+        const backend = DatabaseService.resolveBackend();
+
         try {
             const databaseUrl = process.env.DATABASE_URL || process.env.NEON_DATABASE_URL || process.env.POSTGRES_URL;
 
             if (!databaseUrl) {
-                throw new Error('Missing Neon database configuration. Set DATABASE_URL, NEON_DATABASE_URL, or POSTGRES_URL environment variable.');
+                throw new Error('Missing database configuration. Set DATABASE_URL, NEON_DATABASE_URL, or POSTGRES_URL environment variable (or DATABASE_BACKEND=memory).');
             }
 
-            this.sql = neon(databaseUrl);
-            this.logger.info('Neon database client initialized');
+            this.sql = SqlClient.create(backend, databaseUrl);
+            this.logger.info(`Database client initialized (${backend})`);
 
         } catch (error) {
-            this.logger.error('Failed to initialize Neon database client', error);
+            this.logger.error(`Failed to initialize ${backend} database client`, error);
             throw error;
         }
     }
@@ -67,10 +111,11 @@ export class DatabaseService {
         try {
             const result = await this.sql`
                 INSERT INTO market_snapshots (
-                    eth_price_usd, btc_price_usd, eth_btc_ratio, eth_volume_24h, 
+                    pair, eth_price_usd, btc_price_usd, eth_btc_ratio, eth_volume_24h, 
                     btc_volume_24h, eth_btc_volume_24h, sma_15d, sma_30d, 
                     std_dev_15d, z_score, rsi, source, data_quality, collected_at
                 ) VALUES (
+                    ${snapshot.pair || DEFAULT_PAIR},
                     ${snapshot.eth_price_usd}, ${snapshot.btc_price_usd}, ${snapshot.eth_btc_ratio},
                     ${snapshot.eth_volume_24h || 0}, ${snapshot.btc_volume_24h || 0}, ${snapshot.eth_btc_volume_24h || 0},
                     ${snapshot.sma_15d || 0}, ${snapshot.sma_30d || 0}, ${snapshot.std_dev_15d || 0},
@@ -80,7 +125,7 @@ export class DatabaseService {
             `;
 
             const data = result[0];
-            this.logger.debug('Market snapshot inserted', { id: data.id });
+            this.logger.debug('Market snapshot inserted', { id: data.id, pair: data.pair });
             return data;
 
         } catch (error) {
@@ -89,20 +134,89 @@ export class DatabaseService {
         }
     }
 
+    /**
+     * Insert many market snapshots (historical imports), in batches
+     * @param {Array<Object>} snapshots - Rows as built by HistoryImporter (pair, prices, ratio, volumes, source, collected_at)
+     * @param {number} batchSize - Rows per INSERT statement
+     * @returns {Promise<number>} Number of inserted rows
+     */
+    async insertMarketSnapshots(snapshots, batchSize = 500) {
+        try {
+            let inserted = 0;
+
+            for (let i = 0; i < snapshots.length; i += batchSize) {
+                const batch = snapshots.slice(i, i + batchSize);
+                const column = (name, fallback) => batch.map(s => s[name] ?? fallback);
+
+                const result = await this.sql`
+                    INSERT INTO market_snapshots (
+                        pair, eth_price_usd, btc_price_usd, eth_btc_ratio,
+                        eth_volume_24h, eth_btc_volume_24h, source, collected_at
+                    )
+                    SELECT * FROM UNNEST(
+                        ${column('pair', DEFAULT_PAIR)}::varchar[],
+                        ${column('eth_price_usd', 0)}::numeric[],
+                        ${column('btc_price_usd', 0)}::numeric[],
+                        ${column('eth_btc_ratio', 0)}::numeric[],
+                        ${column('eth_volume_24h', 0)}::numeric[],
+                        ${column('eth_btc_volume_24h', 0)}::numeric[],
+                        ${column('source', 'import')}::varchar[],
+                        ${column('collected_at', null)}::timestamptz[]
+                    )
+                    RETURNING id
+                `;
+
+                inserted += result.length;
+                this.logger.debug(`Inserted market snapshot batch ${i / batchSize + 1}`, { rows: result.length });
+            }
+
+            this.logger.info(`Inserted ${inserted} market snapshots`);
+            return inserted;
+
+        } catch (error) {
+            this.logger.error('Failed to insert market snapshots', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Timestamps already stored for a pair (de-duplication of imports)
+     * @param {string} pair - Trading pair
+     * @param {string} from - ISO start (inclusive)
+     * @param {string} to - ISO end (inclusive)
+     * @returns {Promise<Set<number>>} Epoch milliseconds of stored snapshots
+     */
+    async getSnapshotTimestamps(pair, from, to) {
+        try {
+            const data = await this.sql`
+                SELECT collected_at FROM market_snapshots
+                WHERE pair = ${pair} AND collected_at BETWEEN ${from} AND ${to}
+            `;
+
+            return new Set(data.map(row => new Date(row.collected_at).getTime()));
+
+        } catch (error) {
+            this.logger.error('Failed to get snapshot timestamps', error);
+            throw error;
+        }
+    }
+
     /**
      * Get recent market data for analysis
      * @param {number} limit - Number of records to fetch
-     * @returns {Promise<Array>} Market data records
+     * @param {string} pair - Trading pair (defaults to ETH/BTC)
+     * @returns {Promise<Array>} Market data records, newest first
      */
-    async getRecentMarketData(limit = 30) {
+    async getRecentMarketData(limit = 30, pair = DEFAULT_PAIR) {
         try {
             const data = await this.sql`
                 SELECT * FROM market_snapshots 
+                WHERE pair = ${pair}
                 ORDER BY collected_at DESC 
                 LIMIT ${limit}
             `;
 
-            this.logger.debug(`Retrieved ${data.length} market data records`);
+            this.logger.debug(`Retrieved ${data.length} ${pair} market data records`);
             return data;
 
         } catch (error) {
@@ -114,19 +228,21 @@ export class DatabaseService {
     /**
      * Get historical market data for backtesting
      * @param {number} days - Number of days to fetch
+     * @param {string} pair - Trading pair (defaults to ETH/BTC)
      * @returns {Promise<Array>} Historical market data records
      */
-    async getHistoricalData(days = 30) {
+    async getHistoricalData(days = 30, pair = DEFAULT_PAIR) {
         try {
             // Get data starting from the oldest available data (for backtesting historical periods)
             // This ensures we test on actual historical data, not just recent market conditions
             const data = await this.sql`
                 SELECT * FROM market_snapshots 
+                WHERE pair = ${pair}
                 ORDER BY collected_at ASC
                 LIMIT ${days * 288}
             `;
 
-            this.logger.info(`Retrieved ${data.length} historical records starting from oldest data (requested ${days} days worth)`);
+            this.logger.info(`Retrieved ${data.length} ${pair} historical records starting from oldest data (requested ${days} days worth)`);
             return data;
 
         } catch (error) {
@@ -136,17 +252,188 @@ export class DatabaseService {
     }
 
     /**
-     * Get active portfolio
-     * @returns {Promise<Object|null>} Active portfolio or null
+     * Snapshots of a pair collected at or after an instant (input for candle aggregation)
+     * @param {string} pair - Trading pair
+     * @param {string|null} since - ISO timestamp; null = all snapshots of the pair
+     * @returns {Promise<Array>} Snapshots, oldest first
+     */
+    async getSnapshotsSince(pair, since = null) {
+        try {
+            return since
+                ? await this.sql`
+                    SELECT collected_at, eth_btc_ratio, eth_price_usd, btc_price_usd, eth_volume_24h, eth_btc_volume_24h
+                    FROM market_snapshots
+                    WHERE pair = ${pair} AND collected_at >= ${since}
+                    ORDER BY collected_at ASC
+                `
+                : await this.sql`
+                    SELECT collected_at, eth_btc_ratio, eth_price_usd, btc_price_usd, eth_volume_24h, eth_btc_volume_24h
+                    FROM market_snapshots
+                    WHERE pair = ${pair}
+                    ORDER BY collected_at ASC
+                `;
+
+        } catch (error) {
+            this.logger.error('Failed to get snapshots', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Snapshots of a pair within a period, plus the bars before it a strategy needs to warm up
+     * @param {string} pair - Trading pair
+     * @param {string} from - ISO timestamp, start of the period
+     * @param {string|null} to - ISO timestamp, end of the period (null = until now)
+     * @param {number} warmupBars - Snapshots before `from` to include
+     * @returns {Promise<Array>} Snapshots, oldest first
+     */
+    async getSnapshotsForPeriod(pair, from, to = null, warmupBars = 0) {
+        try {
+            return await this.sql`
+                SELECT * FROM (
+                    (SELECT * FROM market_snapshots
+                     WHERE pair = ${pair} AND collected_at < ${from}
+                     ORDER BY collected_at DESC
+                     LIMIT ${warmupBars})
+                    UNION ALL
+                    (SELECT * FROM market_snapshots
+                     WHERE pair = ${pair} AND collected_at >= ${from}
+                       AND (${to}::TIMESTAMPTZ IS NULL OR collected_at <= ${to}))
+                ) period
+                ORDER BY collected_at ASC
+            `;
+
+        } catch (error) {
+            this.logger.error('Failed to get snapshots for period', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Open time of the newest candle per timeframe
+     * @param {string} pair - Trading pair
+     * @returns {Promise<Object>} { timeframe: Date } (timeframes without candles are missing)
      */
-    async getActivePortfolio() {
+    async getLatestCandleOpenTimes(pair) {
         try {
             const data = await this.sql`
-                SELECT * FROM portfolios 
-                WHERE is_active = true 
-                LIMIT 1
+                SELECT timeframe, MAX(open_time) AS open_time FROM candles
+                WHERE pair = ${pair}
+                GROUP BY timeframe
+            `;
+
+            return Object.fromEntries(data.map(row => [row.timeframe, new Date(row.open_time)]));
+
+        } catch (error) {
+            this.logger.error('Failed to get latest candles', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Insert or overwrite candles (the newest candle is rewritten while it fills up)
+     * @param {Array<Object>} candles - Rows from CandleAggregator.aggregate()
+     * @param {number} batchSize - Rows per statement
+     * @returns {Promise<number>} Number of written rows
+     */
+    async upsertCandles(candles, batchSize = 500) {
+        try {
+            let written = 0;
+
+            for (let i = 0; i < candles.length; i += batchSize) {
+                const batch = candles.slice(i, i + batchSize);
+                const column = (name) => batch.map(c => c[name]);
+
+                const result = await this.sql`
+                    INSERT INTO candles (
+                        pair, timeframe, open_time, close_time, open, high, low, close,
+                        base_price_usd, quote_price_usd, volume_24h, snapshot_count
+                    )
+                    SELECT * FROM UNNEST(
+                        ${column('pair')}::varchar[],
+                        ${column('timeframe')}::varchar[],
+                        ${column('open_time')}::timestamptz[],
+                        ${column('close_time')}::timestamptz[],
+                        ${column('open')}::numeric[],
+                        ${column('high')}::numeric[],
+                        ${column('low')}::numeric[],
+                        ${column('close')}::numeric[],
+                        ${column('base_price_usd')}::numeric[],
+                        ${column('quote_price_usd')}::numeric[],
+                        ${column('volume_24h')}::numeric[],
+                        ${column('snapshot_count')}::integer[]
+                    )
+                    ON CONFLICT (pair, timeframe, open_time) DO UPDATE SET
+                        high = EXCLUDED.high,
+                        low = EXCLUDED.low,
+                        close = EXCLUDED.close,
+                        open = EXCLUDED.open,
+                        base_price_usd = EXCLUDED.base_price_usd,
+                        quote_price_usd = EXCLUDED.quote_price_usd,
+                        volume_24h = EXCLUDED.volume_24h,
+                        snapshot_count = EXCLUDED.snapshot_count,
+                        updated_at = NOW()
+                    RETURNING id
+                `;
+
+                written += result.length;
+            }
+
+            this.logger.debug(`Upserted ${written} candles`);
+            return written;
+
+        } catch (error) {
+            this.logger.error('Failed to upsert candles', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get candles for backtesting (starting from the oldest, like getHistoricalData)
+     * @param {string} pair - Trading pair
+     * @param {string} timeframe - '5m' | '1h' | '4h' | '1d'
+     * @param {number} limit - Number of candles
+     * @returns {Promise<Array>} Candles, oldest first
+     */
+    async getCandles(pair, timeframe, limit) {
+        try {
+            const data = await this.sql`
+                SELECT * FROM candles
+                WHERE pair = ${pair} AND timeframe = ${timeframe}
+                ORDER BY open_time ASC
+                LIMIT ${limit}
             `;
 
+            this.logger.info(`Retrieved ${data.length} ${pair} ${timeframe} candles`);
+            return data;
+
+        } catch (error) {
+            this.logger.error('Failed to get candles', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get active live portfolio (paper portfolios are never returned)
+     * @param {string|null} pair - Only a portfolio trading this pair (any pair when null)
+     * @returns {Promise<Object|null>} Active portfolio or null
+     */
+    async getActivePortfolio(pair = null) {
+        try {
+            const data = pair
+                ? await this.sql`
+                    SELECT * FROM portfolios 
+                    WHERE is_active = true AND kind = 'pair' AND mode = 'live' AND pair = ${pair}
+                    ORDER BY id ASC
+                    LIMIT 1
+                `
+                : await this.sql`
+                    SELECT * FROM portfolios 
+                    WHERE is_active = true AND kind = 'pair' AND mode = 'live'
+                    ORDER BY id ASC
+                    LIMIT 1
+                `;
+
             return data.length > 0 ? data[0] : null;
 
         } catch (error) {
@@ -155,15 +442,140 @@ export class DatabaseService {
         }
     }
 
+    /**
+     * Get a portfolio by ID (active or not)
+     * @param {number} portfolioId - Portfolio ID
+     * @returns {Promise<Object|null>} Portfolio or null
+     */
+    async getPortfolio(portfolioId) {
+        try {
+            const data = await this.sql`SELECT * FROM portfolios WHERE id = ${portfolioId}`;
+            return data.length > 0 ? data[0] : null;
+
+        } catch (error) {
+            this.logger.error('Failed to get portfolio', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a pair portfolio with its holdings
+     * @param {Object} portfolio - { pair, eth_amount, btc_amount, name, mode ('live' | 'paper'), parameter_id,
+     *                             total_value_btc (also stored as the initial value) }
+     * @returns {Promise<Object>} Portfolio row
+     */
+    async createPortfolio({ pair = DEFAULT_PAIR, eth_amount, btc_amount, name = 'Main portfolio', mode = 'live', parameter_id = null, total_value_btc = 0 }) {
+        try {
+            const { base, quote } = TradingPair.parse(pair);
+            const result = await this.sql`
+                INSERT INTO portfolios (
+                    name, pair, kind, mode, parameter_id, is_active,
+                    eth_amount, btc_amount, total_value_btc, initial_value_btc, created_at, updated_at
+                ) VALUES (
+                    ${name}, ${pair}, 'pair', ${mode}, ${parameter_id}, true,
+                    ${eth_amount}, ${btc_amount}, ${total_value_btc}, ${total_value_btc},
+                    ${Clock.isoString()}, ${Clock.isoString()}
+                ) RETURNING *
+            `;
+
+            const data = result[0];
+            await this.setPortfolioHoldings(data.id, { [base]: eth_amount, [quote]: btc_amount });
+
+            this.logger.info('Portfolio created', { id: data.id, pair, mode });
+            return data;
+
+        } catch (error) {
+            this.logger.error('Failed to create portfolio', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Deactivate a portfolio (its rows and trades are kept)
+     * @param {number} portfolioId - Portfolio ID
+     * @returns {Promise<Object|null>} Updated portfolio or null
+     */
+    async deactivatePortfolio(portfolioId) {
+        try {
+            const result = await this.sql`
+                UPDATE portfolios SET is_active = false, updated_at = ${Clock.isoString()}
+                WHERE id = ${portfolioId}
+                RETURNING *
+            `;
+
+            return result[0] || null;
+
+        } catch (error) {
+            this.logger.error('Failed to deactivate portfolio', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all active portfolios of one kind (pair portfolios each trade their own pair)
+     * @param {string} kind - 'pair' or 'basket'
+     * @param {string} mode - 'live' or 'paper' (virtual accounts, see migration 009)
+     * @returns {Promise<Array>} Active portfolios, oldest first
+     */
+    async getActivePortfolios(kind = 'pair', mode = 'live') {
+        try {
+            return await this.sql`
+                SELECT * FROM portfolios 
+                WHERE is_active = true AND kind = ${kind} AND mode = ${mode}
+                ORDER BY id ASC
+            `;
+
+        } catch (error) {
+            this.logger.error('Failed to get active portfolios', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pairs to collect market data for: every pair an active portfolio (live or paper) trades,
+     * ASSET/BTC for every asset of an active basket, plus ETH/BTC
+     * @returns {Promise<Array<string>>} Pair symbols
+     */
+    async getActivePairs() {
+        try {
+            const data = await this.sql`
+                SELECT DISTINCT pair FROM portfolios 
+                WHERE is_active = true AND kind = 'pair'
+            `;
+
+            const basketAssets = await this.sql`
+                SELECT DISTINCT h.asset FROM portfolio_holdings h
+                JOIN portfolios p ON p.id = h.portfolio_id
+                WHERE p.is_active = true AND p.kind = 'basket' AND h.asset <> 'BTC'
+            `;
+
+            return [...new Set([
+                DEFAULT_PAIR,
+                ...data.map(row => row.pair),
+                ...basketAssets.map(row => `${row.asset}/BTC`)
+            ])];
+
+        } catch (error) {
+            this.logger.error('Failed to get active pairs', error);
+            throw error;
+        }
+    }
+
     /**
      * Get recent trades
      * @param {number} limit - Number of trades to fetch
+     * @param {string|null} pair - Only trades on this pair (all pairs when null)
+     * @param {number|null} portfolioId - Only this portfolio's trades (default: live trades, without paper portfolios')
      * @returns {Promise<Array>} Recent trades
      */
-    async getRecentTrades(limit = 10) {
+    async getRecentTrades(limit = 10, pair = null, portfolioId = null) {
         try {
             const data = await this.sql`
                 SELECT * FROM trades 
+                WHERE (${pair}::TEXT IS NULL OR pair = ${pair})
+                  AND (${portfolioId}::INTEGER IS NULL
+                        AND (portfolio_id IS NULL OR portfolio_id NOT IN (SELECT id FROM portfolios WHERE mode = 'paper'))
+                       OR portfolio_id = ${portfolioId})
                 ORDER BY executed_at DESC 
                 LIMIT ${limit}
             `;
@@ -177,6 +589,25 @@ export class DatabaseService {
         }
     }
 
+    /**
+     * Every trade of a portfolio, oldest first (balance reconciliation)
+     * @param {number} portfolioId - Portfolio ID
+     * @returns {Promise<Array>} Trades
+     */
+    async getPortfolioTrades(portfolioId) {
+        try {
+            return await this.sql`
+                SELECT * FROM trades 
+                WHERE portfolio_id = ${portfolioId}
+                ORDER BY executed_at ASC, id ASC
+            `;
+
+        } catch (error) {
+            this.logger.error('Failed to get portfolio trades', error);
+            throw error;
+        }
+    }
+
     /**
      * Insert trading signal
      * @param {Object} signal - Trading signal data
@@ -186,19 +617,22 @@ export class DatabaseService {
         try {
             const result = await this.sql`
                 INSERT INTO trading_signals (
-                    action, should_trade, z_score, confidence, 
+                    pair, portfolio_id, action, should_trade, z_score, confidence, 
                     eth_btc_ratio, signal_strength, reasoning, 
-                    strategy_params, market_conditions, created_at
+                    strategy_params, market_conditions, risk_report, created_at
                 ) VALUES (
+                    ${signal.pair || DEFAULT_PAIR}, ${signal.portfolio_id ?? null},
                     ${signal.action}, ${signal.should_trade}, ${signal.z_score || 0},
                     ${signal.confidence || 0}, ${signal.eth_btc_ratio || 0}, ${signal.signal_strength || 0},
                     ${signal.reasoning || ''}, ${JSON.stringify(signal.strategy_params || {})},
-                    ${JSON.stringify(signal.market_conditions || {})}, ${signal.created_at || new Date().toISOString()}
+                    ${JSON.stringify(signal.market_conditions || {})},
+                    ${signal.risk_report ? JSON.stringify(signal.risk_report) : null},
+                    ${signal.created_at || new Date().toISOString()}
                 ) RETURNING *
             `;
 
             const data = result[0];
-            this.logger.debug('Trading signal inserted', { id: data.id, action: signal.action });
+            this.logger.debug('Trading signal inserted', { id: data.id, pair: data.pair, action: signal.action });
             return data;
 
         } catch (error) {
@@ -208,20 +642,47 @@ export class DatabaseService {
     }
 
     /**
-     * Get executable signals (strong signals from recent time)
+     * Signals of a pair within a period, oldest first (live vs. backtest drift report)
+     * @param {string} pair - Trading pair
+     * @param {string} from - ISO timestamp
+     * @param {string|null} to - ISO timestamp (null = until now)
+     * @param {number|null} portfolioId - Only this portfolio's signals (null = every portfolio)
+     * @returns {Promise<Array>} Signals
+     */
+    async getSignalsForPeriod(pair, from, to = null, portfolioId = null) {
+        try {
+            return await this.sql`
+                SELECT * FROM trading_signals
+                WHERE pair = ${pair} AND created_at >= ${from}
+                  AND (${to}::TIMESTAMPTZ IS NULL OR created_at <= ${to})
+                  AND (${portfolioId}::INTEGER IS NULL OR portfolio_id = ${portfolioId})
+                ORDER BY created_at ASC, id ASC
+            `;
+
+        } catch (error) {
+            this.logger.error('Failed to get signals for period', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get executable signals (signals the strategy wants traded, from recent time)
+     * should_trade already is the strategy's decision, so there is no extra confidence
+     * gate here - the backtest trades on the same decision.
+     * Signals that already have an order (open, filled or failed) are not traded again.
      * @param {number} minutesBack - How many minutes back to look
      * @returns {Promise<Array>} Executable signals
      */
     async getExecutableSignals(minutesBack = 10) {
         try {
-            const cutoffTime = new Date(Date.now() - minutesBack * 60 * 1000).toISOString();
+            const cutoffTime = new Date(Clock.now() - minutesBack * 60 * 1000).toISOString();
 
             const data = await this.sql`
                 SELECT * FROM trading_signals 
                 WHERE should_trade = true 
                   AND trade_executed = false 
                   AND created_at >= ${cutoffTime}
-                  AND confidence >= 0.7
+                  AND NOT EXISTS (SELECT 1 FROM orders WHERE orders.signal_id = trading_signals.id)
                 ORDER BY created_at DESC
             `;
 
@@ -243,15 +704,24 @@ export class DatabaseService {
         try {
             const result = await this.sql`
                 INSERT INTO trades (
-                    signal_id, trade_type, from_currency, to_currency,
+                    signal_id, portfolio_id, order_id, pair, trade_type, from_currency, to_currency,
                     from_amount, to_amount, exchange_rate, trade_value_btc,
-                    fees_btc, net_value_btc, exchange, status, executed_at
+                    fees_btc, fees_usd, net_value_btc, exchange, status,
+                    eth_price_usd, btc_price_usd, eth_btc_ratio, z_score, signal_strength,
+                    eth_amount_before, btc_amount_before, eth_amount_after, btc_amount_after,
+                    exchange_order_id, execution_time_ms, executed_at
                 ) VALUES (
-                    ${trade.signal_id}, ${trade.trade_type}, ${trade.from_currency},
+                    ${trade.signal_id}, ${trade.portfolio_id ?? null}, ${trade.order_id ?? null}, ${trade.pair || DEFAULT_PAIR}, ${trade.trade_type}, ${trade.from_currency},
                     ${trade.to_currency}, ${trade.from_amount}, ${trade.to_amount},
                     ${trade.exchange_rate}, ${trade.trade_value_btc || 0}, ${trade.fees_btc || 0},
-                    ${trade.net_value_btc || 0}, ${trade.exchange || 'binance'}, 
-                    ${trade.status || 'completed'}, ${trade.executed_at || new Date().toISOString()}
+                    ${trade.fees_usd || 0}, ${trade.net_value_btc || 0}, ${trade.exchange || 'binance'}, 
+                    ${trade.status || 'filled'},
+                    ${trade.eth_price_usd ?? null}, ${trade.btc_price_usd ?? null}, ${trade.eth_btc_ratio ?? null},
+                    ${trade.z_score ?? null}, ${trade.signal_strength ?? null},
+                    ${trade.eth_amount_before ?? null}, ${trade.btc_amount_before ?? null},
+                    ${trade.eth_amount_after ?? null}, ${trade.btc_amount_after ?? null},
+                    ${trade.exchange_order_id ?? null}, ${trade.execution_time_ms ?? null},
+                    ${trade.executed_at || new Date().toISOString()}
                 ) RETURNING *
             `;
 
@@ -269,99 +739,737 @@ export class DatabaseService {
         }
     }
 
+    // ==================== Orders ====================
+
     /**
-     * Update trading signal
-     * @param {string} signalId - Signal ID to update
-     * @param {Object} updates - Fields to update
-     * @returns {Promise<Object>} Updated signal
+     * Create an order in the 'pending' state, with its first order_events row
+     * @param {Object} order - { portfolio_id, signal_id, pair, action, side, amount, exchange, context }
+     * @returns {Promise<Object>} Order row
      */
-    async updateTradingSignal(signalId, updates) {
+    async createOrder(order) {
         try {
-            const setClause = Object.keys(updates)
-                .map(key => `${key} = $${key}`)
-                .join(', ');
-            
+            const now = Clock.isoString();
             const result = await this.sql`
-                UPDATE trading_signals 
-                SET trade_executed = ${updates.trade_executed || false},
-                    updated_at = ${new Date().toISOString()}
-                WHERE id = ${signalId}
-                RETURNING *
+                WITH created AS (
+                    INSERT INTO orders (
+                        portfolio_id, signal_id, pair, action, side, status, amount,
+                        exchange, context, created_at, updated_at
+                    ) VALUES (
+                        ${order.portfolio_id}, ${order.signal_id ?? null}, ${order.pair || DEFAULT_PAIR},
+                        ${order.action}, ${order.side}, 'pending', ${order.amount},
+                        ${order.exchange}, ${JSON.stringify(order.context || {})}, ${now}, ${now}
+                    ) RETURNING *
+                ), event AS (
+                    INSERT INTO order_events (order_id, from_status, to_status, filled_amount, message, created_at)
+                    SELECT id, NULL, status, 0, 'Order created', ${now} FROM created
+                )
+                SELECT * FROM created
             `;
 
             const data = result[0];
-            this.logger.debug('Trading signal updated', { id: signalId });
+            this.logger.debug('Order created', { id: data.id, pair: data.pair, side: data.side });
             return data;
 
         } catch (error) {
-            this.logger.error('Failed to update trading signal', error);
+            this.logger.error('Failed to create order', error);
             throw error;
         }
     }
 
     /**
-     * Update portfolio
-     * @param {string} portfolioId - Portfolio ID to update
-     * @param {Object} updates - Fields to update
-     * @returns {Promise<Object>} Updated portfolio
+     * Update an order if it is still in the expected state; records an order_events row when
+     * an event is given. Fills that change the portfolio go through applyOrderFill.
+     * @param {number} orderId - Order ID
+     * @param {string} fromStatus - State the order must be in
+     * @param {Object} updates - Columns to set (status, filled_amount, average_price, cost, fee_cost,
+     *                           fee_currency, eth_applied, btc_applied, exchange_order_id, error,
+     *                           trade_id, submitted_at, last_checked_at, completed_at); others keep their value
+     * @param {Object|null} event - { message, metadata } of the transition, or null
+     * @returns {Promise<Object|null>} Updated order, null when it was no longer in fromStatus
      */
-    async updatePortfolio(portfolioId, updates) {
+    async updateOrder(orderId, fromStatus, updates, event = null) {
         try {
+            const now = Clock.isoString();
             const result = await this.sql`
-                UPDATE portfolios 
-                SET eth_amount = ${updates.eth_amount},
-                    btc_amount = ${updates.btc_amount},
-                    total_value_btc = ${updates.total_value_btc || 0},
-                    last_rebalance_at = ${updates.last_rebalance_at || new Date().toISOString()},
-                    updated_at = ${new Date().toISOString()}
-                WHERE id = ${portfolioId}
-                RETURNING *
+                WITH updated AS (
+                    UPDATE orders SET
+                        status = ${updates.status ?? fromStatus},
+                        filled_amount = COALESCE(${updates.filled_amount ?? null}, filled_amount),
+                        average_price = COALESCE(${updates.average_price ?? null}, average_price),
+                        cost = COALESCE(${updates.cost ?? null}, cost),
+                        fee_cost = COALESCE(${updates.fee_cost ?? null}, fee_cost),
+                        fee_currency = COALESCE(${updates.fee_currency ?? null}, fee_currency),
+                        eth_applied = COALESCE(${updates.eth_applied ?? null}, eth_applied),
+                        btc_applied = COALESCE(${updates.btc_applied ?? null}, btc_applied),
+                        exchange_order_id = COALESCE(${updates.exchange_order_id ?? null}, exchange_order_id),
+                        error = COALESCE(${updates.error ?? null}, error),
+                        trade_id = COALESCE(${updates.trade_id ?? null}, trade_id),
+                        submitted_at = COALESCE(${updates.submitted_at ?? null}, submitted_at),
+                        last_checked_at = COALESCE(${updates.last_checked_at ?? null}, last_checked_at),
+                        completed_at = COALESCE(${updates.completed_at ?? null}, completed_at),
+                        updated_at = ${now}
+                    WHERE id = ${orderId} AND status = ${fromStatus}
+                    RETURNING *
+                ), event AS (
+                    INSERT INTO order_events (order_id, from_status, to_status, filled_amount, message, metadata, created_at)
+                    SELECT id, ${fromStatus}, status, filled_amount, ${event?.message ?? null},
+                        ${JSON.stringify(event?.metadata || {})}, ${now}
+                    FROM updated
+                    WHERE ${event !== null}
+                )
+                SELECT * FROM updated
             `;
 
-            const data = result[0];
-            this.logger.info('Portfolio updated', { 
-                id: portfolioId,
-                ethAmount: updates.eth_amount,
-                btcAmount: updates.btc_amount 
-            });
+            const data = result[0] || null;
+            if (!data) {
+                this.logger.warn('Order not updated - state changed meanwhile', { id: orderId, expected: fromStatus });
+            }
             return data;
 
         } catch (error) {
-            this.logger.error('Failed to update portfolio', error);
+            this.logger.error('Failed to update order', error);
             throw error;
         }
     }
 
     /**
-     * Log system event
-     * @param {Object} event - Event data
-     * @returns {Promise<Object>} Inserted event record
+     * Apply a fill in one statement: move the order, record the event and add the part of the fill
+     * the portfolio has not had yet to its balances (and holdings)
+     * The order must still be in its state AND have the same eth_applied/btc_applied as when it was
+     * read, so two crons polling the same partial fill cannot both credit it; a crash can not leave
+     * the order and the portfolio out of step.
+     * @param {Object} order - orders row as read (id, status, eth_applied, btc_applied)
+     * @param {Object} updates - Order columns to set (see updateOrder), including the new eth_applied/btc_applied
+     * @param {Object} event - { message, metadata } of the transition
+     * @param {Object} delta - { ethDelta, btcDelta, ratio }: balance changes not applied yet, and the
+     *                         ratio the portfolio's total_value_btc is valued at
+     * @returns {Promise<Object|null>} Updated order, null when another run changed it first
      */
-    async logSystemEvent(event) {
+    async applyOrderFill(order, updates, event, delta) {
         try {
+            const now = Clock.isoString();
+            const changesPortfolio = delta.ethDelta !== 0 || delta.btcDelta !== 0;
             const result = await this.sql`
-                INSERT INTO system_events (
-                    event_type, severity, message, metadata, created_at
-                ) VALUES (
-                    ${event.event_type}, ${event.severity || 'info'}, ${event.message},
-                    ${JSON.stringify(event.metadata || {})}, ${new Date().toISOString()}
-                ) RETURNING *
+                WITH updated AS (
+                    UPDATE orders SET
+                        status = ${updates.status ?? order.status},
+                        filled_amount = COALESCE(${updates.filled_amount ?? null}, filled_amount),
+                        average_price = COALESCE(${updates.average_price ?? null}, average_price),
+                        cost = COALESCE(${updates.cost ?? null}, cost),
+                        fee_cost = COALESCE(${updates.fee_cost ?? null}, fee_cost),
+                        fee_currency = COALESCE(${updates.fee_currency ?? null}, fee_currency),
+                        eth_applied = COALESCE(${updates.eth_applied ?? null}, eth_applied),
+                        btc_applied = COALESCE(${updates.btc_applied ?? null}, btc_applied),
+                        error = COALESCE(${updates.error ?? null}, error),
+                        last_checked_at = COALESCE(${updates.last_checked_at ?? null}, last_checked_at),
+                        completed_at = COALESCE(${updates.completed_at ?? null}, completed_at),
+                        updated_at = ${now}
+                    WHERE id = ${order.id}
+                      AND status = ${order.status}
+                      AND eth_applied = ${order.eth_applied}
+                      AND btc_applied = ${order.btc_applied}
+                    RETURNING *
+                ), event AS (
+                    INSERT INTO order_events (order_id, from_status, to_status, filled_amount, message, metadata, created_at)
+                    SELECT id, ${order.status}, status, filled_amount, ${event.message ?? null},
+                        ${JSON.stringify(event.metadata || {})}, ${now}
+                    FROM updated
+                ), portfolio AS (
+                    UPDATE portfolios SET
+                        eth_amount = portfolios.eth_amount + ${delta.ethDelta},
+                        btc_amount = portfolios.btc_amount + ${delta.btcDelta},
+                        total_value_btc = portfolios.btc_amount + ${delta.btcDelta}
+                            + (portfolios.eth_amount + ${delta.ethDelta}) * ${delta.ratio},
+                        last_rebalance_at = ${now},
+                        updated_at = ${now}
+                    FROM updated
+                    WHERE portfolios.id = updated.portfolio_id AND ${changesPortfolio}
+                    RETURNING portfolios.id, portfolios.pair, portfolios.eth_amount, portfolios.btc_amount
+                ), holdings AS (
+                    INSERT INTO portfolio_holdings (portfolio_id, asset, amount, updated_at)
+                    SELECT id, split_part(pair, '/', 1), eth_amount, ${now} FROM portfolio
+                    UNION ALL
+                    SELECT id, split_part(pair, '/', 2), btc_amount, ${now} FROM portfolio
+                    ON CONFLICT (portfolio_id, asset)
+                    DO UPDATE SET amount = EXCLUDED.amount, updated_at = EXCLUDED.updated_at
+                )
+                SELECT * FROM updated
             `;
 
-            return result[0];
+            const data = result[0] || null;
+            if (!data) {
+                this.logger.warn('Fill not applied - order changed meanwhile', { id: order.id, expected: order.status });
+            } else if (changesPortfolio) {
+                this.logger.info('💰 Confirmed fill applied to portfolio', { orderId: order.id, ethDelta: delta.ethDelta, btcDelta: delta.btcDelta });
+            }
+            return data;
 
         } catch (error) {
-            this.logger.error('Failed to log system event', error);
-            // Don't throw here to avoid cascading errors
-            return null;
+            this.logger.error('Failed to apply order fill', error);
+            throw error;
         }
     }
 
     /**
-     * Test database connection
-     * @returns {Promise<boolean>} Connection status
+     * Orders that are not done yet (pending, submitted, partially_filled), oldest first
+     * @param {number|null} portfolioId - Only this portfolio's orders (default: all)
+     * @returns {Promise<Array>} Order rows
      */
-    async testConnection() {
+    async getOpenOrders(portfolioId = null) {
+        try {
+            return await this.sql`
+                SELECT * FROM orders
+                WHERE status IN ('pending', 'submitted', 'partially_filled')
+                  AND (${portfolioId}::INTEGER IS NULL OR portfolio_id = ${portfolioId})
+                ORDER BY created_at ASC, id ASC
+            `;
+
+        } catch (error) {
+            this.logger.error('Failed to get open orders', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Transitions of an order, oldest first
+     * @param {number} orderId - Order ID
+     * @returns {Promise<Array>} order_events rows
+     */
+    async getOrderEvents(orderId) {
+        try {
+            return await this.sql`
+                SELECT * FROM order_events
+                WHERE order_id = ${orderId}
+                ORDER BY created_at ASC, id ASC
+            `;
+
+        } catch (error) {
+            this.logger.error('Failed to get order events', error);
+            throw error;
+        }
+    }
+
+    // ==================== Balance Reconciliation ====================
+
+    /**
+     * Record the result of reconciling one portfolio
+     * @param {Object} reconciliation - balance_reconciliations columns (see migration 008)
+     * @returns {Promise<Object>} Inserted row
+     */
+    async insertBalanceReconciliation(reconciliation) {
+        try {
+            const result = await this.sql`
+                INSERT INTO balance_reconciliations (
+                    portfolio_id, pair, status, source, db_eth_amount, db_btc_amount,
+                    external_eth_amount, external_btc_amount, ledger_eth_amount, ledger_btc_amount,
+                    drift_btc, drift_pct, message, details, created_at
+                ) VALUES (
+                    ${reconciliation.portfolio_id}, ${reconciliation.pair || DEFAULT_PAIR}, ${reconciliation.status},
+                    ${reconciliation.source ?? null}, ${reconciliation.db_eth_amount}, ${reconciliation.db_btc_amount},
+                    ${reconciliation.external_eth_amount ?? null}, ${reconciliation.external_btc_amount ?? null},
+                    ${reconciliation.ledger_eth_amount ?? null}, ${reconciliation.ledger_btc_amount ?? null},
+                    ${reconciliation.drift_btc || 0}, ${reconciliation.drift_pct || 0}, ${reconciliation.message ?? null},
+                    ${JSON.stringify(reconciliation.details || {})}, ${Clock.isoString()}
+                ) RETURNING *
+            `;
+
+            return result[0];
+
+        } catch (error) {
+            this.logger.error('Failed to insert balance reconciliation', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Most recent reconciliation of a portfolio
+     * @param {number} portfolioId - Portfolio ID
+     * @returns {Promise<Object|null>} balance_reconciliations row or null
+     */
+    async getLatestBalanceReconciliation(portfolioId) {
+        try {
+            const data = await this.sql`
+                SELECT * FROM balance_reconciliations
+                WHERE portfolio_id = ${portfolioId}
+                ORDER BY created_at DESC, id DESC
+                LIMIT 1
+            `;
+
+            return data[0] || null;
+
+        } catch (error) {
+            this.logger.error('Failed to get balance reconciliation', error);
+            throw error;
+        }
+    }
+
+    // ==================== Kill Switch ====================
+
+    /**
+     * Record a halt or resume of trading (the latest row is the kill switch state)
+     * @param {Object} halt - { halted, reason, actor, source ('manual' | 'drawdown' | 'reconciliation'), details }
+     * @returns {Promise<Object>} Inserted trading_halts row
+     */
+    async insertTradingHalt(halt) {
+        try {
+            const result = await this.sql`
+                INSERT INTO trading_halts (halted, reason, actor, source, details, created_at)
+                VALUES (
+                    ${halt.halted}, ${halt.reason}, ${halt.actor}, ${halt.source || 'manual'},
+                    ${JSON.stringify(halt.details || {})}, ${Clock.isoString()}
+                ) RETURNING *
+            `;
+
+            return result[0];
+
+        } catch (error) {
+            this.logger.error('Failed to record trading halt', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Halts and resumes, newest first
+     * @param {number} limit - Maximum rows
+     * @returns {Promise<Array>} trading_halts rows (the first is the current state)
+     */
+    async getTradingHalts(limit = 20) {
+        try {
+            return await this.sql`
+                SELECT * FROM trading_halts
+                ORDER BY created_at DESC, id DESC
+                LIMIT ${limit}
+            `;
+
+        } catch (error) {
+            this.logger.error('Failed to get trading halts', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Raise a portfolio's peak value to its current value
+     * @param {number} portfolioId - Portfolio ID
+     * @param {number} valueBTC - Current value in the quote asset
+     * @returns {Promise<Object|null>} Updated portfolio (peak_value_btc = highest value seen) or null
+     */
+    async updatePortfolioPeak(portfolioId, valueBTC) {
+        try {
+            const result = await this.sql`
+                UPDATE portfolios
+                SET peak_value_btc = GREATEST(COALESCE(peak_value_btc, ${valueBTC}), ${valueBTC})
+                WHERE id = ${portfolioId}
+                RETURNING *
+            `;
+
+            return result[0] || null;
+
+        } catch (error) {
+            this.logger.error('Failed to update portfolio peak', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Forget the peak value of every live portfolio (drawdowns restart from the next value seen)
+     * @returns {Promise<number>} Portfolios reset
+     */
+    async resetPortfolioPeaks() {
+        try {
+            const result = await this.sql`
+                UPDATE portfolios
+                SET peak_value_btc = NULL
+                WHERE mode = 'live' AND peak_value_btc IS NOT NULL
+                RETURNING id
+            `;
+
+            return result.length;
+
+        } catch (error) {
+            this.logger.error('Failed to reset portfolio peaks', error);
+            throw error;
+        }
+    }
+
+    // ==================== Risk Policies ====================
+
+    /**
+     * Record a portfolio's risk policy (the latest row of a portfolio is its policy)
+     * @param {Object} policy - { portfolio_id, rules (null = back to the default policy), updated_by }
+     * @returns {Promise<Object>} Inserted risk_policies row
+     */
+    async insertRiskPolicy(policy) {
+        try {
+            const result = await this.sql`
+                INSERT INTO risk_policies (portfolio_id, rules, updated_by, created_at)
+                VALUES (
+                    ${policy.portfolio_id}, ${policy.rules ? JSON.stringify(policy.rules) : null},
+                    ${policy.updated_by}, ${Clock.isoString()}
+                ) RETURNING *
+            `;
+
+            return result[0];
+
+        } catch (error) {
+            this.logger.error('Failed to record risk policy', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Current risk policy of a portfolio
+     * @param {number} portfolioId - Portfolio ID
+     * @returns {Promise<Object|null>} Latest risk_policies row or null (default policy)
+     */
+    async getRiskPolicy(portfolioId) {
+        try {
+            const data = await this.sql`
+                SELECT * FROM risk_policies
+                WHERE portfolio_id = ${portfolioId}
+                ORDER BY created_at DESC, id DESC
+                LIMIT 1
+            `;
+
+            return data[0] || null;
+
+        } catch (error) {
+            this.logger.error('Failed to get risk policy', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Newest signal of a portfolio with its risk report
+     * @param {number} portfolioId - Portfolio ID
+     * @returns {Promise<Object|null>} { id, action, should_trade, risk_report, created_at } or null
+     */
+    async getLatestRiskReport(portfolioId) {
+        try {
+            const data = await this.sql`
+                SELECT id, action, should_trade, risk_report, created_at
+                FROM trading_signals
+                WHERE portfolio_id = ${portfolioId} AND risk_report IS NOT NULL
+                ORDER BY created_at DESC, id DESC
+                LIMIT 1
+            `;
+
+            return data[0] || null;
+
+        } catch (error) {
+            this.logger.error('Failed to get latest risk report', error);
+            throw error;
+        }
+    }
+
+    // ==================== Performance Snapshots ====================
+
+    /**
+     * Record a portfolio's performance metrics (performance-snapshot cron)
+     * @param {Object} snapshot - performance_snapshots columns (metrics: PerformanceMetrics.compute() result)
+     * @returns {Promise<Object>} Inserted performance_snapshots row
+     */
+    async insertPerformanceSnapshot(snapshot) {
+        try {
+            const result = await this.sql`
+                INSERT INTO performance_snapshots (
+                    portfolio_id, total_value_btc, total_return_pct, benchmark_return_pct, excess_return_pct,
+                    total_trades, win_rate, sharpe_ratio, max_drawdown_pct, annualized_return_pct, volatility_pct,
+                    sortino_ratio, calmar_ratio, var_pct, cvar_pct, ulcer_index, longest_drawdown_days,
+                    time_to_recovery_days, bars_per_year, metrics, period_start, period_end, created_at
+                ) VALUES (
+                    ${snapshot.portfolio_id}, ${snapshot.total_value_btc}, ${snapshot.total_return_pct},
+                    ${snapshot.benchmark_return_pct}, ${snapshot.excess_return_pct}, ${snapshot.total_trades},
+                    ${snapshot.win_rate}, ${snapshot.sharpe_ratio}, ${snapshot.max_drawdown_pct},
+                    ${snapshot.annualized_return_pct}, ${snapshot.volatility_pct}, ${snapshot.sortino_ratio},
+                    ${snapshot.calmar_ratio}, ${snapshot.var_pct}, ${snapshot.cvar_pct}, ${snapshot.ulcer_index},
+                    ${snapshot.longest_drawdown_days}, ${snapshot.time_to_recovery_days}, ${snapshot.bars_per_year},
+                    ${JSON.stringify(snapshot.metrics || {})}, ${snapshot.period_start}, ${snapshot.period_end},
+                    ${Clock.isoString()}
+                ) RETURNING *
+            `;
+
+            return result[0];
+
+        } catch (error) {
+            this.logger.error('Failed to record performance snapshot', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Performance snapshots of a portfolio
+     * @param {number} portfolioId - Portfolio ID
+     * @param {number} limit - Number of snapshots
+     * @returns {Promise<Array>} performance_snapshots rows, newest first
+     */
+    async getPerformanceSnapshots(portfolioId, limit = 30) {
+        try {
+            return await this.sql`
+                SELECT * FROM performance_snapshots
+                WHERE portfolio_id = ${portfolioId}
+                ORDER BY created_at DESC, id DESC
+                LIMIT ${limit}
+            `;
+
+        } catch (error) {
+            this.logger.error('Failed to get performance snapshots', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update trading signal
+     * @param {string} signalId - Signal ID to update
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object>} Updated signal
+     */
+    async updateTradingSignal(signalId, updates) {
+        try {
+            const setClause = Object.keys(updates)
+                .map(key => `${key} = $${key}`)
+                .join(', ');
+            
+            const result = await this.sql`
+                UPDATE trading_signals 
+                SET trade_executed = ${updates.trade_executed || false},
+                    trade_id = ${updates.trade_id ?? null},
+                    skip_reason = ${updates.skip_reason ?? null},
+                    updated_at = ${new Date().toISOString()}
+                WHERE id = ${signalId}
+                RETURNING *
+            `;
+
+            const data = result[0];
+            this.logger.debug('Trading signal updated', { id: signalId });
+            return data;
+
+        } catch (error) {
+            this.logger.error('Failed to update trading signal', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update portfolio
+     * @param {string} portfolioId - Portfolio ID to update
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object>} Updated portfolio
+     */
+    async updatePortfolio(portfolioId, updates) {
+        try {
+            const result = await this.sql`
+                UPDATE portfolios 
+                SET eth_amount = ${updates.eth_amount},
+                    btc_amount = ${updates.btc_amount},
+                    total_value_btc = ${updates.total_value_btc || 0},
+                    last_rebalance_at = ${updates.last_rebalance_at || new Date().toISOString()},
+                    updated_at = ${new Date().toISOString()}
+                WHERE id = ${portfolioId}
+                RETURNING *
+            `;
+
+            const data = result[0];
+
+            // Keep the generic holdings in step with the pair columns
+            if (data) {
+                const { base, quote } = TradingPair.fromRow(data);
+                await this.setPortfolioHoldings(portfolioId, {
+                    [base]: updates.eth_amount,
+                    [quote]: updates.btc_amount
+                });
+            }
+
+            this.logger.info('Portfolio updated', { 
+                id: portfolioId,
+                ethAmount: updates.eth_amount,
+                btcAmount: updates.btc_amount 
+            });
+            return data;
+
+        } catch (error) {
+            this.logger.error('Failed to update portfolio', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Holdings of a portfolio
+     * @param {number} portfolioId - Portfolio ID
+     * @returns {Promise<Object>} { ASSET: { amount, targetWeight } }
+     */
+    async getPortfolioHoldings(portfolioId) {
+        try {
+            const data = await this.sql`
+                SELECT asset, amount, target_weight FROM portfolio_holdings 
+                WHERE portfolio_id = ${portfolioId}
+                ORDER BY asset ASC
+            `;
+
+            return Object.fromEntries(data.map(row => [row.asset, {
+                amount: parseFloat(row.amount),
+                targetWeight: row.target_weight !== null ? parseFloat(row.target_weight) : null
+            }]));
+
+        } catch (error) {
+            this.logger.error('Failed to get portfolio holdings', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set the amounts of some assets of a portfolio (other assets are left as they are)
+     * @param {number} portfolioId - Portfolio ID
+     * @param {Object} amounts - { ASSET: amount }
+     * @returns {Promise<Object>} Holdings after the update (see getPortfolioHoldings)
+     */
+    async setPortfolioHoldings(portfolioId, amounts) {
+        try {
+            const updatedAt = new Date().toISOString();
+
+            for (const [asset, amount] of Object.entries(amounts)) {
+                await this.sql`
+                    INSERT INTO portfolio_holdings (portfolio_id, asset, amount, updated_at)
+                    VALUES (${portfolioId}, ${asset}, ${amount}, ${updatedAt})
+                    ON CONFLICT (portfolio_id, asset) 
+                    DO UPDATE SET amount = EXCLUDED.amount, updated_at = EXCLUDED.updated_at
+                `;
+            }
+
+            this.logger.info('Portfolio holdings updated', { id: portfolioId, assets: Object.keys(amounts) });
+            return await this.getPortfolioHoldings(portfolioId);
+
+        } catch (error) {
+            this.logger.error('Failed to update portfolio holdings', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Log system event
+     * @param {Object} event - Event data
+     * @returns {Promise<Object>} Inserted event record
+     */
+    async logSystemEvent(event) {
+        try {
+            const result = await this.sql`
+                INSERT INTO system_events (
+                    event_type, severity, message, metadata, created_at
+                ) VALUES (
+                    ${event.event_type}, ${event.severity || 'info'}, ${event.message},
+                    ${JSON.stringify(event.metadata || {})}, ${new Date().toISOString()}
+                ) RETURNING *
+            `;
+
+            return result[0];
+
+        } catch (error) {
+            this.logger.error('Failed to log system event', error);
+            // Don't throw here to avoid cascading errors
+            return null;
+        }
+    }
+
+    /**
+     * Recent system events of some severities (system status)
+     * @param {Object} options - { severities, hours, limit }
+     * @returns {Promise<Array>} Events, newest first
+     */
+    async getRecentSystemEvents({ severities = ['error', 'warn'], hours = 24, limit = 10 } = {}) {
+        try {
+            const since = new Date(Clock.now() - hours * 3600000).toISOString();
+
+            return await this.sql`
+                SELECT event_type, severity, message, created_at 
+                FROM system_events 
+                WHERE severity = ANY(${severities})
+                  AND created_at > ${since}
+                ORDER BY created_at DESC 
+                LIMIT ${limit}
+            `;
+
+        } catch (error) {
+            this.logger.error('Failed to get system events', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Newest market snapshot of any pair (data freshness)
+     * @returns {Promise<Object|null>} { collected_at, source, pair } or null
+     */
+    async getLatestSnapshot() {
+        try {
+            const data = await this.sql`
+                SELECT collected_at, source, pair 
+                FROM market_snapshots 
+                ORDER BY collected_at DESC 
+                LIMIT 1
+            `;
+
+            return data[0] || null;
+
+        } catch (error) {
+            this.logger.error('Failed to get latest snapshot', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Newest trading signal of any pair (cron activity)
+     * @returns {Promise<Object|null>} { created_at, pair } or null
+     */
+    async getLatestSignal() {
+        try {
+            const data = await this.sql`
+                SELECT created_at, pair 
+                FROM trading_signals 
+                ORDER BY created_at DESC 
+                LIMIT 1
+            `;
+
+            return data[0] || null;
+
+        } catch (error) {
+            this.logger.error('Failed to get latest signal', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Summary of the stored market data of a pair
+     * @param {string} pair - Trading pair (defaults to ETH/BTC)
+     * @returns {Promise<Object>} { count, from, to, averageRatio }
+     */
+    async getMarketDataStats(pair = DEFAULT_PAIR) {
+        try {
+            const [stats] = await this.sql`
+                SELECT 
+                    COUNT(*) AS count,
+                    MIN(collected_at) AS min_date,
+                    MAX(collected_at) AS max_date,
+                    AVG(eth_btc_ratio) AS avg_ratio
+                FROM market_snapshots
+                WHERE pair = ${pair}
+            `;
+
+            return {
+                count: parseInt(stats.count),
+                from: stats.min_date,
+                to: stats.max_date,
+                averageRatio: stats.avg_ratio !== null ? parseFloat(stats.avg_ratio) : null
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to get market data stats', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Test database connection
+     * @returns {Promise<boolean>} Connection status
+     */
+    async testConnection() {
         try {
             const result = await this.sql`SELECT 1 as test`;
             
@@ -378,6 +1486,59 @@ export class DatabaseService {
         }
     }
 
+    // ==================== Schema Migrations ====================
+
+    /**
+     * Migrations recorded in schema_migrations (see MigrationRunner)
+     * @returns {Promise<Array<Object>>} [{ version, name, applied_at }] by version; empty before the first migrate
+     */
+    async getAppliedMigrations() {
+        try {
+            const [{ exists }] = await this.sql`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`;
+            if (!exists) {
+                return [];
+            }
+
+            return await this.sql`
+                SELECT version, name, applied_at FROM schema_migrations ORDER BY version
+            `;
+
+        } catch (error) {
+            this.logger.error('Failed to get applied migrations', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply or revert one migration and record it, in one transaction
+     * @param {Object} migration - { version, name, up: [statements], down: [statements] } from MigrationRunner.load
+     * @param {string} direction - 'up' | 'down'
+     * @returns {Promise<void>}
+     */
+    async runMigration(migration, direction) {
+        // version and name come from the file name (digits and [a-z0-9_]), safe to inline
+        const record = direction === 'up'
+            ? `INSERT INTO schema_migrations (version, name) VALUES (${Number(migration.version)}, '${migration.name}')`
+            : `DELETE FROM schema_migrations WHERE version = ${Number(migration.version)}`;
+
+        try {
+            await this.sql.script([
+                `CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version INTEGER PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL,
+                    applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+                )`,
+                ...migration[direction],
+                record
+            ]);
+            this.logger.info(`Migration ${migration.version}_${migration.name} ${direction === 'up' ? 'applied' : 'reverted'}`);
+
+        } catch (error) {
+            this.logger.error(`Migration ${migration.version}_${migration.name} (${direction}) failed`, error);
+            throw error;
+        }
+    }
+
     // ==================== Algorithm Parameters Methods ====================
 
     /**
@@ -410,6 +1571,21 @@ export class DatabaseService {
         }
     }
 
+    /**
+     * Get one parameter set by ID (active or not)
+     * @param {number} parameterId - algorithm_parameters ID
+     * @returns {Promise<Object|null>} algorithm_parameters row or null
+     */
+    async getParameters(parameterId) {
+        try {
+            const result = await this.sql`SELECT * FROM algorithm_parameters WHERE id = ${parameterId}`;
+            return result[0] || null;
+        } catch (error) {
+            this.logger.error('Failed to get parameters', error);
+            throw error;
+        }
+    }
+
     /**
      * Save new algorithm parameters from backtest
      * @param {Object} params - Parameter configuration
@@ -433,6 +1609,7 @@ export class DatabaseService {
                     neutral_zone,
                     min_allocation,
                     max_allocation,
+                    position_adjustment_factor,
                     backtest_performance,
                     created_by
                 ) VALUES (
@@ -448,6 +1625,7 @@ export class DatabaseService {
                     ${params.neutralZone || 0.5},
                     ${params.minAllocation || 0.25},
                     ${params.maxAllocation || 0.75},
+                    ${params.positionAdjustmentFactor || 0.5},
                     ${JSON.stringify(performance)}::jsonb,
                     'user'
                 )
@@ -469,53 +1647,43 @@ export class DatabaseService {
      */
     async activateParameters(parameterId) {
         try {
-            // Start transaction
-            await this.sql`BEGIN`;
-            
-            // Get current active params
-            const currentActive = await this.sql`
-                SELECT id FROM algorithm_parameters 
-                WHERE is_active = true
-            `;
-            
-            // Deactivate current params
-            if (currentActive.length > 0) {
-                await this.sql`
-                    UPDATE algorithm_parameters 
-                    SET is_active = false, updated_at = NOW() 
+            // One statement, so the switch is atomic on every driver (see SqlClient)
+            const result = await this.sql`
+                WITH previous AS (
+                    SELECT id FROM algorithm_parameters 
                     WHERE is_active = true
-                `;
-            }
-            
-            // Activate new params
-            await this.sql`
-                UPDATE algorithm_parameters 
-                SET is_active = true, updated_at = NOW() 
-                WHERE id = ${parameterId}
-            `;
-            
-            // Record in history
-            await this.sql`
+                    ORDER BY updated_at DESC
+                    LIMIT 1
+                ),
+                switched AS (
+                    UPDATE algorithm_parameters 
+                    SET is_active = (id = ${parameterId}), updated_at = NOW() 
+                    WHERE (is_active = true OR id = ${parameterId})
+                      AND EXISTS (SELECT 1 FROM algorithm_parameters WHERE id = ${parameterId})
+                    RETURNING id
+                )
                 INSERT INTO parameter_history (
                     parameter_id,
                     action,
                     previous_parameter_id,
                     notes
-                ) VALUES (
+                )
+                SELECT
                     ${parameterId},
                     'ACTIVATED',
-                    ${currentActive[0]?.id || null},
+                    (SELECT id FROM previous),
                     'Activated via frontend'
-                )
+                WHERE EXISTS (SELECT 1 FROM switched WHERE id = ${parameterId})
+                RETURNING id
             `;
             
-            // Commit transaction
-            await this.sql`COMMIT`;
+            if (result.length === 0) {
+                throw new Error(`Parameter set ${parameterId} not found`);
+            }
             
             this.logger.info(`Activated parameter set: ${parameterId}`);
             return true;
         } catch (error) {
-            await this.sql`ROLLBACK`;
             this.logger.error('Failed to activate parameters', error);
             throw error;
         }
@@ -542,6 +1710,32 @@ export class DatabaseService {
         }
     }
 
+    /**
+     * Periods a parameter set was the active one, oldest first
+     * A period ends when another set is activated; the current period has active_to = null.
+     * @param {number} parameterId - Parameter set ID
+     * @returns {Promise<Array>} [{ active_from, active_to }]
+     */
+    async getParameterActivePeriods(parameterId) {
+        try {
+            return await this.sql`
+                SELECT active_from, active_to FROM (
+                    SELECT
+                        parameter_id,
+                        created_at AS active_from,
+                        LEAD(created_at) OVER (ORDER BY created_at, id) AS active_to
+                    FROM parameter_history
+                    WHERE action = 'ACTIVATED'
+                ) activations
+                WHERE parameter_id = ${parameterId}
+                ORDER BY active_from ASC
+            `;
+        } catch (error) {
+            this.logger.error('Failed to get parameter active periods', error);
+            throw error;
+        }
+    }
+
     /**
      * Get parameter history
      * @param {number} parameterId - Optional parameter ID to filter by
@@ -582,4 +1776,243 @@ export class DatabaseService {
         }
     }
 
+    /**
+     * Queue a backtest job
+     * @param {string} jobType - backtest | walk-forward | optimization
+     * @param {Object} request - Request body the worker will run
+     * @returns {Promise<Object>} Inserted job
+     */
+    async createBacktestJob(jobType, request) {
+        try {
+            const result = await this.sql`
+                INSERT INTO backtest_jobs (job_type, status, request, current_step)
+                VALUES (${jobType}, 'queued', ${JSON.stringify(request)}::jsonb, 'Queued')
+                RETURNING *
+            `;
+
+            this.logger.info('Backtest job queued', { id: result[0].id, jobType });
+            return result[0];
+
+        } catch (error) {
+            this.logger.error('Failed to queue backtest job', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a backtest job including partial results and final result
+     * @param {number} jobId - Job ID
+     * @returns {Promise<Object|null>} Job or null
+     */
+    async getBacktestJob(jobId) {
+        try {
+            const result = await this.sql`
+                SELECT * FROM backtest_jobs WHERE id = ${jobId}
+            `;
+
+            return result.length > 0 ? result[0] : null;
+
+        } catch (error) {
+            this.logger.error('Failed to get backtest job', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List recent backtest jobs (without request, partial results or result payloads)
+     * @param {number} limit - Number of jobs to return
+     * @returns {Promise<Array>} Jobs, newest first
+     */
+    async getBacktestJobs(limit = 20) {
+        try {
+            return await this.sql`
+                SELECT id, job_type, status, progress, current_step, error,
+                       cancel_requested, worker_id, created_at, started_at, completed_at
+                FROM backtest_jobs
+                ORDER BY created_at DESC
+                LIMIT ${limit}
+            `;
+
+        } catch (error) {
+            this.logger.error('Failed to list backtest jobs', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Claim the oldest queued job for a worker
+     * SKIP LOCKED lets several workers drain the same queue without taking the same job
+     * @param {string} workerId - Worker identifier
+     * @returns {Promise<Object|null>} Claimed job or null when the queue is empty
+     */
+    async claimNextBacktestJob(workerId) {
+        try {
+            const result = await this.sql`
+                UPDATE backtest_jobs
+                SET status = 'running',
+                    worker_id = ${workerId},
+                    current_step = 'Starting...',
+                    started_at = NOW(),
+                    updated_at = NOW()
+                WHERE id = (
+                    SELECT id FROM backtest_jobs
+                    WHERE status = 'queued'
+                    ORDER BY created_at ASC
+                    LIMIT 1
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING *
+            `;
+
+            return result.length > 0 ? result[0] : null;
+
+        } catch (error) {
+            this.logger.error('Failed to claim backtest job', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fail running jobs whose worker stopped reporting progress
+     * (a running job's worker writes progress every second; a crashed worker leaves it running forever)
+     * @param {number} staleAfterMs - Time since the last progress write after which a job is abandoned
+     * @returns {Promise<Array>} Failed jobs { id, worker_id }
+     */
+    async failStaleBacktestJobs(staleAfterMs) {
+        try {
+            const result = await this.sql`
+                UPDATE backtest_jobs
+                SET status = 'failed',
+                    current_step = 'Failed',
+                    error = 'Worker ' || COALESCE(worker_id, 'unknown') || ' stopped responding',
+                    completed_at = NOW(),
+                    updated_at = NOW()
+                WHERE status = 'running'
+                  AND updated_at < NOW() - ${staleAfterMs / 1000}::float8 * INTERVAL '1 second'
+                RETURNING id, worker_id
+            `;
+
+            if (result.length > 0) {
+                this.logger.warn('Failed abandoned backtest jobs', { ids: result.map(row => row.id) });
+            }
+            return result;
+
+        } catch (error) {
+            this.logger.error('Failed to fail stale backtest jobs', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record job progress and append partial results
+     * @param {number} jobId - Job ID
+     * @param {Object} update - { progress, currentStep, partialResults }
+     * @returns {Promise<Object>} { status, cancel_requested } so the worker can stop early
+     */
+    async updateBacktestJobProgress(jobId, update) {
+        try {
+            const result = await this.sql`
+                UPDATE backtest_jobs
+                SET progress = ${update.progress},
+                    current_step = ${update.currentStep},
+                    partial_results = partial_results || ${JSON.stringify(update.partialResults || [])}::jsonb,
+                    updated_at = NOW()
+                WHERE id = ${jobId}
+                RETURNING status, cancel_requested
+            `;
+
+            return result[0];
+
+        } catch (error) {
+            this.logger.error('Failed to update backtest job progress', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a job as completed with its final result
+     * @param {number} jobId - Job ID
+     * @param {Object} resultData - Same shape as the synchronous endpoint's data
+     * @returns {Promise<Object>} Updated job
+     */
+    async completeBacktestJob(jobId, resultData) {
+        try {
+            const result = await this.sql`
+                UPDATE backtest_jobs
+                SET status = 'completed',
+                    progress = 100,
+                    current_step = 'Completed',
+                    result = ${JSON.stringify(resultData)}::jsonb,
+                    completed_at = NOW(),
+                    updated_at = NOW()
+                WHERE id = ${jobId}
+                RETURNING id, status
+            `;
+
+            this.logger.info('Backtest job completed', { id: jobId });
+            return result[0];
+
+        } catch (error) {
+            this.logger.error('Failed to complete backtest job', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a job as failed or cancelled
+     * @param {number} jobId - Job ID
+     * @param {string} status - failed | cancelled
+     * @param {string} message - Error message or cancellation note
+     * @returns {Promise<Object>} Updated job
+     */
+    async finishBacktestJob(jobId, status, message) {
+        try {
+            const result = await this.sql`
+                UPDATE backtest_jobs
+                SET status = ${status},
+                    current_step = ${status === 'cancelled' ? 'Cancelled' : 'Failed'},
+                    error = ${message},
+                    completed_at = NOW(),
+                    updated_at = NOW()
+                WHERE id = ${jobId}
+                RETURNING id, status
+            `;
+
+            this.logger.info(`Backtest job ${status}`, { id: jobId, message });
+            return result[0];
+
+        } catch (error) {
+            this.logger.error(`Failed to mark backtest job ${status}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Request cancellation of a job
+     * Queued jobs are cancelled immediately; running jobs are flagged and stopped by their worker
+     * @param {number} jobId - Job ID
+     * @returns {Promise<Object|null>} Updated job, or null if it was already finished
+     */
+    async cancelBacktestJob(jobId) {
+        try {
+            const result = await this.sql`
+                UPDATE backtest_jobs
+                SET cancel_requested = TRUE,
+                    status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+                    current_step = CASE WHEN status = 'queued' THEN 'Cancelled' ELSE 'Cancelling...' END,
+                    completed_at = CASE WHEN status = 'queued' THEN NOW() ELSE completed_at END,
+                    updated_at = NOW()
+                WHERE id = ${jobId}
+                  AND status IN ('queued', 'running')
+                RETURNING id, status, cancel_requested
+            `;
+
+            return result.length > 0 ? result[0] : null;
+
+        } catch (error) {
+            this.logger.error('Failed to cancel backtest job', error);
+            throw error;
+        }
+    }
+
 }
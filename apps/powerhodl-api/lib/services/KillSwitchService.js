@@ -0,0 +1,223 @@
+/**
+ * Kill Switch Service
+ *
+ * The persisted trading halt: halting stops every live portfolio from placing orders until
+ * someone resumes it, across all cron runs and instances (RiskManager.enableEmergencyStop only
+ * lasts for one instance, EMERGENCY_STOP needs a redeploy).
+ *
+ * CRITICAL CONCEPTS:
+ *
+ * 1. STATE = LATEST trading_halts ROW
+ *    - Every halt and resume is a row with its reason, actor and source (migration 010), so the
+ *      history of who stopped trading and why is kept; no rows = trading
+ *    - EMERGENCY_STOP=true halts on top of it (source 'environment'); only a redeploy lifts it
+ *
+ * 2. WHO HALTS
+ *    - 'manual': POST /api/risk/halt (authenticated)
+ *    - 'drawdown': market-monitor, when a live portfolio falls more than RiskManager.maxDrawdown
+ *      (MAX_DRAWDOWN) below the highest value it reached
+ *    - 'reconciliation': balance-reconciler, when a portfolio's balance drift halts it
+ *    - Automatic halts stay until a person resumes; a resume restarts the drawdown peaks from
+ *      the current values, so the same drawdown does not halt again right away
+ *
+ * 3. WHAT A HALT STOPS
+ *    - The trade-executor places no live orders (open ones are still followed up) and the
+ *      signal-generator stores live signals as not to be traded
+ *    - Market data collection, reconciliation and paper portfolios (no real orders) carry on
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { RiskManager } from './RiskManager.js';
+import { TradingPair } from '../../../../packages/shared/src/TradingPair.js';
+
+export class KillSwitchService {
+    /**
+     * @param {DatabaseService} dbService - Database
+     * @param {RiskManager} riskManager - Drawdown limit and EMERGENCY_STOP
+     */
+    constructor(dbService, riskManager = new RiskManager()) {
+        this.logger = new Logger('KillSwitch');
+        this.dbService = dbService;
+        this.riskManager = riskManager;
+    }
+
+    /**
+     * Current kill switch state
+     * @returns {Promise<Object>} { halted, reason, actor, source, since, details }
+     */
+    async getState() {
+        if (this.riskManager.emergencyStopEnabled) {
+            return {
+                halted: true,
+                reason: 'EMERGENCY_STOP is set in the environment',
+                actor: 'environment',
+                source: 'environment',
+                since: null,
+                details: {}
+            };
+        }
+
+        const [latest] = await this.dbService.getTradingHalts(1);
+        return KillSwitchService.toState(latest);
+    }
+
+    /**
+     * Halts and resumes, newest first
+     * @param {number} limit - Maximum entries
+     * @returns {Promise<Array<Object>>} States (see getState)
+     */
+    async getHistory(limit = 20) {
+        const rows = await this.dbService.getTradingHalts(limit);
+        return rows.map(row => KillSwitchService.toState(row));
+    }
+
+    /**
+     * Halt trading (does nothing while already halted: the first reason stays)
+     * @param {Object} halt - { reason, actor, source ('manual' | 'drawdown' | 'reconciliation'), details }
+     * @returns {Promise<Object>} { changed, state }
+     */
+    async halt({ reason, actor, source = 'manual', details = {} }) {
+        const current = await this.getPersistedState();
+        if (current.halted) {
+            return { changed: false, state: current };
+        }
+
+        const row = await this.dbService.insertTradingHalt({ halted: true, reason, actor, source, details });
+        this.logger.error('🛑 Trading HALTED', { reason, actor, source });
+
+        await this.dbService.logSystemEvent({
+            event_type: 'kill_switch_halted',
+            severity: 'error',
+            message: `Trading halted by ${actor} (${source}): ${reason}`,
+            metadata: { haltId: row.id, actor, source, details }
+        });
+
+        return { changed: true, state: KillSwitchService.toState(row) };
+    }
+
+    /**
+     * Resume trading (does nothing unless halted)
+     * @param {Object} resume - { reason, actor }
+     * @returns {Promise<Object>} { changed, state }
+     */
+    async resume({ reason, actor }) {
+        const current = await this.getPersistedState();
+        if (!current.halted) {
+            return { changed: false, state: current };
+        }
+
+        const row = await this.dbService.insertTradingHalt({
+            halted: false,
+            reason,
+            actor,
+            source: 'manual',
+            details: { resumedHalt: current }
+        });
+        const peaksReset = await this.dbService.resetPortfolioPeaks();
+        this.logger.info('✅ Trading RESUMED', { reason, actor, peaksReset });
+
+        await this.dbService.logSystemEvent({
+            event_type: 'kill_switch_resumed',
+            severity: 'info',
+            message: `Trading resumed by ${actor}: ${reason}`,
+            metadata: { haltId: row.id, actor, resumedHalt: current }
+        });
+
+        return { changed: true, state: KillSwitchService.toState(row) };
+    }
+
+    /**
+     * Track a live portfolio's peak value and halt when it has fallen too far below it
+     * @param {Object} portfolio - portfolios row
+     * @param {number} ratio - Current price of the pair (quote per base)
+     * @param {string} actor - Cron checking it
+     * @returns {Promise<Object>} { portfolioId, valueBTC, peakValueBTC, drawdown, halted }
+     */
+    async checkDrawdown(portfolio, ratio, actor) {
+        const valueBTC = parseFloat(portfolio.btc_amount) + parseFloat(portfolio.eth_amount) * ratio;
+        const updated = await this.dbService.updatePortfolioPeak(portfolio.id, valueBTC);
+        const check = this.riskManager.checkDrawdown({ ...updated, total_value_btc: valueBTC });
+        const peakValueBTC = parseFloat(updated.peak_value_btc);
+
+        const result = {
+            portfolioId: portfolio.id,
+            valueBTC,
+            peakValueBTC,
+            drawdown: peakValueBTC > 0 ? (peakValueBTC - valueBTC) / peakValueBTC : 0,
+            halted: false
+        };
+
+        if (!check.passed) {
+            const pair = TradingPair.fromRow(portfolio).symbol;
+            const { changed } = await this.halt({
+                reason: `${check.reason} on portfolio ${portfolio.id} (${pair})`,
+                actor,
+                source: 'drawdown',
+                details: {
+                    portfolioId: portfolio.id,
+                    pair,
+                    ratio,
+                    valueBTC,
+                    peakValueBTC,
+                    drawdown: result.drawdown,
+                    maxDrawdown: this.riskManager.maxDrawdown
+                }
+            });
+            result.halted = changed;
+        }
+
+        return result;
+    }
+
+    /**
+     * Halt when the balance reconciler halted a portfolio
+     * @param {Array<Object>} results - BalanceReconciliationService.reconcileAll results
+     * @param {string} actor - Cron checking it
+     * @returns {Promise<boolean>} True when this call halted trading
+     */
+    async checkReconciliation(results, actor) {
+        const halted = results.filter(result => result.status === 'halted');
+        if (halted.length === 0) {
+            return false;
+        }
+
+        const { changed } = await this.halt({
+            reason: halted.map(result => `Portfolio ${result.portfolioId} (${result.pair}): ${result.message}`).join('; '),
+            actor,
+            source: 'reconciliation',
+            details: { reconciliationIds: halted.map(result => result.reconciliationId) }
+        });
+        return changed;
+    }
+
+    /**
+     * State from the table alone (EMERGENCY_STOP is not a row and cannot be resumed)
+     * @returns {Promise<Object>} State (see getState)
+     * @private
+     */
+    async getPersistedState() {
+        const [latest] = await this.dbService.getTradingHalts(1);
+        return KillSwitchService.toState(latest);
+    }
+
+    /**
+     * State of a trading_halts row
+     * @param {Object|undefined} row - trading_halts row (undefined = never halted)
+     * @returns {Object} { halted, reason, actor, source, since, details }
+     * @private
+     */
+    static toState(row) {
+        if (!row) {
+            return { halted: false, reason: null, actor: null, source: null, since: null, details: {} };
+        }
+
+        return {
+            halted: row.halted,
+            reason: row.reason,
+            actor: row.actor,
+            source: row.source,
+            since: new Date(row.created_at).toISOString(),
+            details: typeof row.details === 'string' ? JSON.parse(row.details) : (row.details || {})
+        };
+    }
+}
@@ -3,11 +3,15 @@
  * 
  * Handles all market data collection and technical indicator calculations.
  * Implements clean separation of concerns with error handling and logging.
+ * 
+ * Works on any BASE/QUOTE pair (default ETH/BTC). Results keep the ETH/BTC field
+ * names: eth* = base asset, btc* = quote asset (see TradingPair.js).
  */
 
 import ccxt from 'ccxt';
 import { Logger } from '../utils/Logger.js';
-import { TechnicalIndicators } from '../utils/TechnicalIndicators.js';
+import { TechnicalIndicators } from '../../../../packages/shared/src/TechnicalIndicators.js';
+import { TradingPair, DEFAULT_PAIR } from '../../../../packages/shared/src/TradingPair.js';
 
 export class MarketDataService {
     constructor() {
@@ -44,20 +48,28 @@ export class MarketDataService {
 
     /**
      * Get current market data from Coinbase Advanced Trade
+     * @param {string} pair - Trading pair (defaults to ETH/BTC)
      * @returns {Promise<Object>} Market data with prices and volumes
      */
-    async getCurrentMarketData() {
+    async getCurrentMarketData(pair = DEFAULT_PAIR) {
         try {
-            this.logger.debug('Fetching current market data from Coinbase Advanced Trade');
+            const { base, quote } = TradingPair.parse(pair);
+            const tickers = TradingPair.tickers(pair);
+            this.logger.debug(`Fetching current ${tickers.pair} market data from Coinbase Advanced Trade`);
 
             // Fetch all required tickers in parallel for speed
             const [ethBtcTicker, ethUsdTicker, btcUsdTicker] = await Promise.all([
-                this.exchange.fetchTicker('ETH/BTC'),
-                this.exchange.fetchTicker('ETH/USD'),
-                this.exchange.fetchTicker('BTC/USD')
+                this.exchange.fetchTicker(tickers.pair),
+                this.exchange.fetchTicker(tickers.baseUsd),
+                this.exchange.fetchTicker(tickers.quoteUsd)
             ]);
 
             const marketData = {
+                // Pair the prices belong to (eth* = base, btc* = quote)
+                pair: tickers.pair,
+                baseAsset: base,
+                quoteAsset: quote,
+
                 // Core price data
                 ethBtcRatio: ethBtcTicker.last,
                 ethPriceUsd: ethUsdTicker.last,
@@ -78,6 +90,7 @@ export class MarketDataService {
             };
 
             this.logger.debug('Market data fetched successfully', {
+                pair: marketData.pair,
                 ethBtcRatio: marketData.ethBtcRatio,
                 ethPrice: marketData.ethPriceUsd,
                 btcPrice: marketData.btcPriceUsd,
@@ -194,17 +207,19 @@ export class MarketDataService {
 
     /**
      * Test exchange connection
+     * @param {string} pair - Pair to fetch a ticker for (defaults to ETH/BTC)
      * @returns {Promise<boolean>} Connection status
      */
-    async testConnection() {
+    async testConnection(pair = DEFAULT_PAIR) {
         try {
             this.logger.info('Testing exchange connection');
             
             await this.exchange.loadMarkets();
-            const ticker = await this.exchange.fetchTicker('ETH/BTC');
+            const ticker = await this.exchange.fetchTicker(TradingPair.parse(pair).symbol);
             
             this.logger.info('Exchange connection test successful', {
-                ethBtcPrice: ticker.last
+                pair,
+                price: ticker.last
             });
             
             return true;
@@ -216,9 +231,10 @@ export class MarketDataService {
 
     /**
      * Get exchange status and limits
+     * @param {Array<string>} pairs - Pairs to check availability for (defaults to ETH/BTC)
      * @returns {Promise<Object>} Exchange status information
      */
-    async getExchangeStatus() {
+    async getExchangeStatus(pairs = [DEFAULT_PAIR]) {
         try {
             const status = await this.exchange.fetchStatus();
             const markets = await this.exchange.loadMarkets();
@@ -228,6 +244,9 @@ export class MarketDataService {
                 updated: status.updated,
                 markets: Object.keys(markets).length,
                 ethBtcMarket: markets['ETH/BTC'] ? 'Available' : 'Not Available',
+                pairMarkets: Object.fromEntries(
+                    pairs.map(pair => [pair, markets[pair] ? 'Available' : 'Not Available'])
+                ),
                 rateLimits: this.exchange.rateLimit
             };
         } catch (error) {
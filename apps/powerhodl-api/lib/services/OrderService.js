@@ -0,0 +1,456 @@
+/**
+ * Order Service
+ *
+ * Takes a signal from order to confirmed fill. Every order is stored in `orders` and every
+ * state change in `order_events` (states in src/OrderStateMachine.js); the portfolio and the
+ * trades table only change by fills the exchange has confirmed.
+ *
+ * CRITICAL CONCEPTS:
+ *
+ * 1. ORDER FIRST, THEN THE EXCHANGE
+ *    - The order row is created 'pending' before anything is sent, and its id goes to the
+ *      exchange as clientOrderId, so an order is never on the exchange without a row here
+ *    - Simulation fills go through the same states (pending → submitted → filled)
+ *    - Paper portfolios are always filled by the simulation (exchange 'paper'), whatever
+ *      TRADING_MODE says; only their own balances and trades change
+ *
+ * 2. FILLS ARE APPLIED AS DELTAS
+ *    - orders.eth_applied / btc_applied hold what the portfolio already got from the order;
+ *      each poll applies only the difference to what the exchange now reports
+ *    - The order row and the portfolio change in one statement (dbService.applyOrderFill), only
+ *      while the order still has the state and applied amounts it was read with, so two
+ *      overlapping crons cannot apply the same fill twice and a crash can not split them
+ *
+ * 3. POLLING AND STALE ORDERS
+ *    - The trade-executor cron calls syncOpenOrders() on every run (ccxt fetchOrder)
+ *    - An order still open after ORDER_STALE_MINUTES (default 15) is cancelled; what filled
+ *      before the cancel stays applied
+ *    - A trades row is written once an order is done and has filled something
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { Clock } from '../utils/Clock.js';
+import { TradeExecutionService } from './TradeExecutionService.js';
+import { OrderStateMachine } from '../../src/OrderStateMachine.js';
+import { TradingPair } from '../../../../packages/shared/src/TradingPair.js';
+
+export class OrderService {
+    /**
+     * @param {DatabaseService} dbService - Database
+     * @param {TradeExecutionService} tradeService - Exchange access and trade sizing
+     */
+    constructor(dbService, tradeService) {
+        this.logger = new Logger('OrderService');
+        this.dbService = dbService;
+        this.tradeService = tradeService;
+        this.staleMinutes = parseFloat(process.env.ORDER_STALE_MINUTES) || 15;
+    }
+
+    /**
+     * Place the order of a signal and follow it as far as it gets now
+     * @param {Object} signal - trading_signals row
+     * @param {Object} portfolio - Portfolio row trading the signal's pair
+     * @param {Object} marketData - Current bar of the pair (see SimpleBacktestEngine.normalizeMarketData)
+     * @returns {Promise<Object>} { success, action, message } for HOLD / SKIP,
+     *   { success, action, order, trade, balances } once placed (trade null while the order is open),
+     *   { success: false, error, order } when it failed
+     */
+    async execute(signal, portfolio, marketData) {
+        let order = null;
+
+        try {
+            const prepared = await this.tradeService.prepareTrade(signal, portfolio, marketData);
+            if (prepared.result) {
+                return prepared.result.balances
+                    ? await this.recordSettledResult(prepared.result, signal, portfolio, marketData)
+                    : prepared.result;
+            }
+
+            const { tradeParams } = prepared;
+            const paper = portfolio.mode === 'paper';
+            const simulation = paper || this.tradeService.isSimulationMode;
+            order = await this.dbService.createOrder({
+                portfolio_id: portfolio.id,
+                signal_id: signal.id,
+                pair: tradeParams.symbol,
+                action: tradeParams.action,
+                side: tradeParams.action === 'SELL_ETH' ? 'sell' : 'buy',
+                amount: tradeParams.amount,
+                exchange: paper ? 'paper' : simulation ? 'simulation' : (process.env.EXCHANGE || 'coinbase'),
+                context: this.orderContext(signal, tradeParams.holdings, marketData)
+            });
+
+            if (simulation) {
+                const fill = await this.tradeService.simulateTrade(tradeParams);
+                order = await this.transition(order, { status: 'submitted', exchange_order_id: fill.order.id }, paper ? 'Paper order' : 'Simulated order');
+                order = await this.applyFill(order, {
+                    status: 'filled',
+                    filled: Math.abs(fill.balances.ethAfter - fill.balances.ethBefore),
+                    averagePrice: fill.order.price,
+                    cost: fill.order.cost,
+                    fee: fill.order.fee,
+                    ethDelta: fill.balances.ethAfter - fill.balances.ethBefore,
+                    btcDelta: fill.balances.btcAfter - fill.balances.btcBefore
+                }, 'Simulated fill');
+            } else {
+                const exchangeOrder = await this.tradeService.submitOrder(tradeParams, `powerhodl-${order.id}`);
+                order = await this.transition(order, { status: 'submitted', exchange_order_id: exchangeOrder.id }, 'Submitted to exchange');
+                // Market orders are usually done by the time the exchange answers
+                order = await this.applyExchangeOrder(order, exchangeOrder);
+            }
+
+            return await this.outcome(order);
+
+        } catch (error) {
+            this.logger.error('❌ Order failed', { signalId: signal.id, orderId: order?.id, error: error.message });
+
+            if (order && OrderStateMachine.canTransition(order.status, 'failed')) {
+                order = await this.transition(order, { status: 'failed', error: error.message, completed_at: Clock.isoString() }, error.message);
+                await this.finishSignal(order);
+            }
+
+            return { success: false, error: error.message, action: signal.action, order };
+        }
+    }
+
+    /**
+     * Poll every open order and apply what the exchange reports
+     * @returns {Promise<Array<Object>>} [{ orderId, pair, from, status, filled, trade }] per order checked
+     */
+    async syncOpenOrders() {
+        const openOrders = await this.dbService.getOpenOrders();
+        const results = [];
+
+        for (const order of openOrders) {
+            try {
+                const synced = await this.sync(order);
+                results.push({
+                    orderId: order.id,
+                    pair: order.pair,
+                    from: order.status,
+                    status: synced?.status ?? order.status,
+                    filled: synced ? Number(synced.filled_amount) : Number(order.filled_amount),
+                    tradeId: synced?.trade_id ?? null
+                });
+            } catch (error) {
+                this.logger.error('❌ Order sync failed', { orderId: order.id, error: error.message });
+                results.push({ orderId: order.id, pair: order.pair, from: order.status, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Bring one open order up to date: poll the exchange, apply new fills, cancel when stale
+     * @param {Object} order - orders row
+     * @returns {Promise<Object|null>} Updated order (null when another run moved it first)
+     */
+    async sync(order) {
+        const stale = Clock.now() - new Date(order.submitted_at || order.created_at).getTime() > this.staleMinutes * 60000;
+
+        // Never confirmed as sent (the run died in between): nothing to poll
+        if (order.status === 'pending' || !order.exchange_order_id) {
+            if (!stale) {
+                return order;
+            }
+            const failed = await this.transition(order, {
+                status: 'failed',
+                error: 'Never confirmed as submitted - check the exchange for the client order id',
+                completed_at: Clock.isoString()
+            }, `powerhodl-${order.id} not confirmed within ${this.staleMinutes} minutes`);
+            await this.finishSignal(failed);
+            return failed;
+        }
+
+        if (['simulation', 'paper'].includes(order.exchange)) {
+            // Simulated orders settle when placed; one left open cannot fill any more
+            return stale ? this.applyFill(order, { ...this.currentFill(order), status: 'cancelled' }, 'Stale simulated order') : order;
+        }
+
+        const exchangeOrder = stale
+            ? await this.tradeService.cancelOrder(order.exchange_order_id, order.pair)
+            : await this.tradeService.fetchOrder(order.exchange_order_id, order.pair);
+
+        // Still open after a cancel request: leave it for the next run
+        return this.applyExchangeOrder(order, exchangeOrder, stale ? `Timed out after ${this.staleMinutes} minutes` : null);
+    }
+
+    /**
+     * Apply the state the exchange reports for an order
+     * @param {Object} order - orders row
+     * @param {Object} exchangeOrder - OrderStateMachine.fromExchange result
+     * @param {string|null} reason - Why it was polled (e.g. timed out), added to the event message
+     * @returns {Promise<Object|null>} Updated order
+     * @private
+     */
+    async applyExchangeOrder(order, exchangeOrder, reason = null) {
+        const pair = TradingPair.parse(order.pair);
+        const { ethDelta, btcDelta } = OrderStateMachine.fillDeltas(order.side, exchangeOrder, pair);
+        const message = [`Exchange reports ${exchangeOrder.status} (${exchangeOrder.filled} ${pair.base} filled)`, reason]
+            .filter(Boolean).join(' - ');
+
+        return this.applyFill(order, {
+            status: exchangeOrder.status,
+            filled: exchangeOrder.filled,
+            averagePrice: exchangeOrder.averagePrice,
+            cost: exchangeOrder.cost,
+            fee: exchangeOrder.fee,
+            ethDelta,
+            btcDelta
+        }, message);
+    }
+
+    /**
+     * Move an order to a new fill state; the portfolio gets the part of the fill it has not had yet
+     * @param {Object} order - orders row
+     * @param {Object} fill - { status, filled, averagePrice, cost, fee, ethDelta, btcDelta } totals so far
+     * @param {string} message - Event message
+     * @returns {Promise<Object|null>} Updated order
+     * @private
+     */
+    async applyFill(order, fill, message) {
+        const now = Clock.isoString();
+        const unchanged = fill.status === order.status && fill.filled === Number(order.filled_amount);
+
+        if (unchanged) {
+            return this.dbService.updateOrder(order.id, order.status, { last_checked_at: now });
+        }
+
+        OrderStateMachine.assertTransition(order.status, fill.status);
+        const updated = await this.dbService.applyOrderFill(order, {
+            status: fill.status,
+            filled_amount: fill.filled,
+            average_price: fill.averagePrice,
+            cost: fill.cost,
+            fee_cost: fill.fee?.cost ?? 0,
+            fee_currency: fill.fee?.currency ?? null,
+            eth_applied: fill.ethDelta,
+            btc_applied: fill.btcDelta,
+            last_checked_at: now,
+            completed_at: OrderStateMachine.isTerminal(fill.status) ? now : null,
+            error: fill.status === 'failed' ? message : null
+        }, { message, metadata: { filled: fill.filled, cost: fill.cost, fee: fill.fee } }, {
+            ethDelta: fill.ethDelta - Number(order.eth_applied),
+            btcDelta: fill.btcDelta - Number(order.btc_applied),
+            ratio: Number(TradeExecutionService.parseJson(order.context).ethBtcRatio) || Number(fill.averagePrice) || Number(order.average_price) || 0
+        });
+
+        if (!updated) {
+            return null;
+        }
+
+        if (OrderStateMachine.isTerminal(updated.status)) {
+            return this.finishSignal(updated);
+        }
+        return updated;
+    }
+
+    /**
+     * Record the result of a finished order: a trades row when it filled, and the signal's outcome
+     * @param {Object} order - orders row in a terminal state
+     * @returns {Promise<Object>} Order (with trade_id when a trade was written)
+     * @private
+     */
+    async finishSignal(order) {
+        if (!order) {
+            return order;
+        }
+
+        if (Number(order.filled_amount) > 0) {
+            const trade = await this.dbService.insertTrade(this.tradeRecord(order));
+            order = await this.dbService.updateOrder(order.id, order.status, { trade_id: trade.id }) || order;
+
+            if (order.signal_id) {
+                await this.dbService.updateTradingSignal(order.signal_id, { trade_executed: true, trade_id: trade.id });
+            }
+            this.logger.info('✅ Order finished', { orderId: order.id, status: order.status, tradeId: trade.id });
+
+        } else if (order.signal_id) {
+            await this.dbService.updateTradingSignal(order.signal_id, {
+                trade_executed: false,
+                skip_reason: `Order ${order.status}${order.error ? `: ${order.error}` : ''}`
+            });
+        }
+
+        return order;
+    }
+
+    /**
+     * trades row of a finished order (amounts and rates in the pair's base / quote asset)
+     * @param {Object} order - orders row
+     * @returns {Object} insertTrade argument
+     * @private
+     */
+    tradeRecord(order) {
+        const context = TradeExecutionService.parseJson(order.context);
+        const sides = TradingPair.sides(order.action, order.pair);
+        const ethApplied = Number(order.eth_applied);
+        const btcApplied = Number(order.btc_applied);
+        const selling = order.side === 'sell';
+        const cost = Number(order.cost);
+        const fees = Number(order.fee_cost);
+
+        return {
+            portfolio_id: order.portfolio_id,
+            signal_id: order.signal_id,
+            order_id: order.id,
+            pair: order.pair,
+            trade_type: order.action,
+            from_currency: sides.from,
+            to_currency: sides.to,
+            from_amount: selling ? -ethApplied : -btcApplied,
+            to_amount: selling ? btcApplied : ethApplied,
+            exchange_rate: Number(order.average_price),
+            exchange: order.exchange,
+            status: order.status,
+
+            // Market data when the order was placed
+            eth_price_usd: context.ethPriceUsd,
+            btc_price_usd: context.btcPriceUsd,
+            eth_btc_ratio: context.signalRatio,
+            z_score: context.zScore,
+            signal_strength: context.signalStrength,
+
+            // Balances around the fill
+            eth_amount_before: context.ethBefore,
+            btc_amount_before: context.btcBefore,
+            eth_amount_after: context.ethBefore + ethApplied,
+            btc_amount_after: context.btcBefore + btcApplied,
+
+            // Order cost and fee are in the quote asset
+            trade_value_btc: cost,
+            fees_btc: fees,
+            fees_usd: fees * (context.btcPriceUsd || 0),
+            net_value_btc: cost - fees,
+
+            exchange_order_id: order.exchange_order_id,
+            execution_time_ms: new Date(order.completed_at || Clock.isoString()).getTime() - new Date(order.created_at).getTime(),
+            executed_at: Clock.isoString()
+        };
+    }
+
+    /**
+     * Order outcome in the shape the trade-executor reports
+     * @param {Object} order - orders row
+     * @returns {Promise<Object>} { success, action, order, trade, balances }
+     * @private
+     */
+    async outcome(order) {
+        const portfolio = await this.dbService.getPortfolio(order.portfolio_id);
+
+        return {
+            success: order.status !== 'failed',
+            action: order.action,
+            order,
+            settled: OrderStateMachine.isTerminal(order.status),
+            tradeId: order.trade_id ?? null,
+            balances: {
+                ethAmount: parseFloat(portfolio.eth_amount),
+                btcAmount: parseFloat(portfolio.btc_amount)
+            },
+            error: order.status === 'failed' ? order.error : undefined
+        };
+    }
+
+    /**
+     * Track a trade that was settled outside the exchange flow (MetaMask swap) as a filled order
+     * @param {Object} result - Settled trade result { action, order, balances }
+     * @param {Object} signal - trading_signals row
+     * @param {Object} portfolio - Portfolio row
+     * @param {Object} marketData - Current bar
+     * @returns {Promise<Object>} Outcome (see outcome())
+     * @private
+     */
+    async recordSettledResult(result, signal, portfolio, marketData) {
+        if (!result.success) {
+            return result;
+        }
+
+        const { balances } = result;
+        let order = await this.dbService.createOrder({
+            portfolio_id: portfolio.id,
+            signal_id: signal.id,
+            pair: TradingPair.fromRow(portfolio).symbol,
+            action: signal.action,
+            side: signal.action === 'SELL_ETH' ? 'sell' : 'buy',
+            amount: Math.abs(balances.ethAfter - balances.ethBefore),
+            exchange: this.tradeService.tradingMode,
+            context: this.orderContext(signal, { ethAmount: balances.ethBefore, btcAmount: balances.btcBefore }, marketData)
+        });
+        order = await this.transition(order, { status: 'submitted', exchange_order_id: result.order?.id ?? result.transactionHash ?? null }, 'Swap sent');
+        order = await this.applyFill(order, {
+            status: 'filled',
+            filled: Math.abs(balances.ethAfter - balances.ethBefore),
+            averagePrice: result.order?.price ?? marketData.ethBtcRatio,
+            cost: result.order?.cost ?? Math.abs(balances.btcAfter - balances.btcBefore),
+            fee: result.order?.fee ?? null,
+            ethDelta: balances.ethAfter - balances.ethBefore,
+            btcDelta: balances.btcAfter - balances.btcBefore
+        }, 'Swap confirmed');
+
+        return this.outcome(order);
+    }
+
+    /**
+     * State change without a fill (submitted, failed)
+     * @param {Object} order - orders row
+     * @param {Object} updates - Columns including the new status
+     * @param {string} message - Event message
+     * @returns {Promise<Object>} Updated order
+     * @private
+     */
+    async transition(order, updates, message) {
+        OrderStateMachine.assertTransition(order.status, updates.status);
+
+        const now = Clock.isoString();
+        const updated = await this.dbService.updateOrder(order.id, order.status, {
+            submitted_at: updates.status === 'submitted' ? now : null,
+            last_checked_at: now,
+            ...updates
+        }, { message });
+
+        if (!updated) {
+            throw new Error(`Order ${order.id} changed state while being updated`);
+        }
+        return updated;
+    }
+
+    /**
+     * Fill figures an order already has (to end it without new fills)
+     * @param {Object} order - orders row
+     * @returns {Object} { filled, averagePrice, cost, fee, ethDelta, btcDelta }
+     * @private
+     */
+    currentFill(order) {
+        return {
+            filled: Number(order.filled_amount),
+            averagePrice: order.average_price !== null ? Number(order.average_price) : null,
+            cost: Number(order.cost),
+            fee: { cost: Number(order.fee_cost), currency: order.fee_currency },
+            ethDelta: Number(order.eth_applied),
+            btcDelta: Number(order.btc_applied)
+        };
+    }
+
+    /**
+     * Market data and balances an order was placed with (written to its trade later)
+     * @param {Object} signal - trading_signals row
+     * @param {Object} holdings - { ethAmount, btcAmount } before the order
+     * @param {Object} marketData - Current bar
+     * @returns {Object} orders.context
+     * @private
+     */
+    orderContext(signal, holdings, marketData) {
+        return {
+            ethPriceUsd: marketData.ethPrice,
+            btcPriceUsd: marketData.btcPrice,
+            ethBtcRatio: marketData.ethBtcRatio,
+            signalRatio: signal.eth_btc_ratio,
+            zScore: signal.z_score,
+            signalStrength: signal.confidence,
+            ethBefore: holdings.ethAmount,
+            btcBefore: holdings.btcAmount
+        };
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * Performance Snapshot Service
+ *
+ * Records the performance metrics of every active portfolio (live and paper) in
+ * performance_snapshots. Run daily by the performance-snapshot cron; read by GET /api/performance
+ * and the analytics view.
+ *
+ * CRITICAL CONCEPTS:
+ *
+ * 1. VALUE SERIES OF A PORTFOLIO
+ *    - The pair's snapshots since the portfolio was opened, aggregated into PERFORMANCE_TIMEFRAME
+ *      candles (default 1h)
+ *    - Holdings start at the first trade's balances before it (the current balances without trades)
+ *      and change by every trade's before/after amounts once it executed
+ *    - Each candle values the holdings of its close at its close ratio, in the quote asset
+ *
+ * 2. SAME METRICS AS A BACKTEST
+ *    - PerformanceMetrics.compute() over that series (annualized for the candle timeframe)
+ *    - benchmark_return_pct is the 50/50 buy and hold of BenchmarkSuite over the same candles
+ *    - win_rate comes from the trades paired into round trips (RoundTripAnalyzer), as a fraction
+ *
+ * 3. ONE ROW PER PORTFOLIO AND RUN
+ *    - Every run covers the portfolio's whole life (period_start = when it was opened)
+ *    - A portfolio without two candles yet is skipped, not recorded
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { SimpleStrategy } from '../../src/SimpleStrategy.js';
+import { SimpleBacktestEngine } from '../../src/SimpleBacktestEngine.js';
+import { CandleAggregator } from '../../src/CandleAggregator.js';
+import { BenchmarkSuite } from '../../src/BenchmarkSuite.js';
+import { RoundTripAnalyzer } from '../../src/RoundTripAnalyzer.js';
+import { DriftAnalyzer } from '../../src/DriftAnalyzer.js';
+import { PerformanceMetrics } from '../../../../packages/shared/src/PerformanceMetrics.js';
+import { Timeframe } from '../../../../packages/shared/src/Timeframe.js';
+import { TradingPair } from '../../../../packages/shared/src/TradingPair.js';
+
+export class PerformanceSnapshotService {
+    /**
+     * @param {DatabaseService} dbService - Database
+     */
+    constructor(dbService) {
+        this.logger = new Logger('PerformanceSnapshot');
+        this.dbService = dbService;
+        this.timeframe = Timeframe.parse(process.env.PERFORMANCE_TIMEFRAME || '1h');
+    }
+
+    /**
+     * Record a snapshot of every active pair portfolio, live and paper
+     * @returns {Promise<Array<Object>>} One result per portfolio (see snapshot())
+     */
+    async snapshotAll() {
+        const portfolios = [
+            ...await this.dbService.getActivePortfolios('pair', 'live'),
+            ...await this.dbService.getActivePortfolios('pair', 'paper')
+        ];
+        const results = [];
+
+        // One failing portfolio must not stop the others from being recorded
+        for (const portfolio of portfolios) {
+            try {
+                results.push(await this.snapshot(portfolio));
+            } catch (error) {
+                this.logger.error('❌ Performance snapshot failed', { portfolioId: portfolio.id, error: error.message });
+                results.push({ portfolioId: portfolio.id, pair: portfolio.pair, mode: portfolio.mode, status: 'error', error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Compute and record one portfolio's metrics
+     * @param {Object} portfolio - portfolios row
+     * @returns {Promise<Object>} { portfolioId, pair, mode, status: 'recorded' | 'skipped', snapshotId,
+     *                            totalReturnPercent, sharpeRatio, sortinoRatio, maxDrawdownPercent, reason }
+     */
+    async snapshot(portfolio) {
+        const pair = TradingPair.fromRow(portfolio).symbol;
+        const from = new Date(portfolio.created_at).toISOString();
+        const result = { portfolioId: portfolio.id, pair, mode: portfolio.mode };
+
+        const [snapshots, trades] = await Promise.all([
+            this.dbService.getSnapshotsForPeriod(pair, from),
+            this.dbService.getPortfolioTrades(portfolio.id)
+        ]);
+
+        const bars = CandleAggregator.toMarketData(CandleAggregator.aggregate(snapshots, this.timeframe, pair));
+        if (bars.length < 2) {
+            return { ...result, status: 'skipped', reason: `Fewer than 2 ${this.timeframe} candles since the portfolio was opened` };
+        }
+
+        const history = this.valueHistory(bars, portfolio, trades, from);
+        const metrics = PerformanceMetrics.compute(history);
+
+        // 50/50 buy and hold from the first candle (rebalancing benchmarks pay the portfolio's costs)
+        const strategy = new SimpleStrategy(this.dbService, portfolio.parameter_id ?? null);
+        await strategy.parametersLoaded;
+        const benchmarks = BenchmarkSuite.compare(bars, {
+            startIndex: 0,
+            initialValueBTC: history[0].totalValueBTC,
+            portfolioHistory: history.slice(1),
+            params: SimpleBacktestEngine.normalizeParameters(strategy.parameters)
+        });
+        const hold = benchmarks.benchmarks.find(benchmark => benchmark.id === 'hold-50-50');
+
+        const roundTrips = RoundTripAnalyzer.analyze(this.roundTripTrades(trades));
+
+        const row = await this.dbService.insertPerformanceSnapshot({
+            portfolio_id: portfolio.id,
+            total_value_btc: history[history.length - 1].totalValueBTC,
+            total_return_pct: metrics.totalReturnPercent,
+            benchmark_return_pct: hold.totalReturnPercent,
+            excess_return_pct: hold.excessReturnPercent,
+            total_trades: trades.length,
+            win_rate: roundTrips.summary.winRate / 100,
+            sharpe_ratio: metrics.sharpeRatio,
+            max_drawdown_pct: metrics.maxDrawdownPercent,
+            annualized_return_pct: metrics.annualizedReturnPercent,
+            volatility_pct: metrics.volatilityPercent,
+            sortino_ratio: metrics.sortinoRatio,
+            calmar_ratio: metrics.calmarRatio,
+            var_pct: metrics.valueAtRiskPercent,
+            cvar_pct: metrics.conditionalValueAtRiskPercent,
+            ulcer_index: metrics.ulcerIndex,
+            longest_drawdown_days: metrics.longestDrawdownDays,
+            time_to_recovery_days: metrics.timeToRecoveryDays,
+            bars_per_year: metrics.barsPerYear,
+            metrics: {
+                ...metrics,
+                timeframe: this.timeframe,
+                roundTrips: roundTrips.summary,
+                benchmarks: benchmarks.benchmarks.map(({ values, ...benchmark }) => benchmark)
+            },
+            period_start: from,
+            period_end: history[history.length - 1].timestamp
+        });
+
+        this.logger.info(`📈 Portfolio ${portfolio.id} (${pair}, ${portfolio.mode}) recorded`, {
+            totalReturnPercent: metrics.totalReturnPercent.toFixed(3),
+            sortinoRatio: metrics.sortinoRatio.toFixed(3),
+            maxDrawdownPercent: metrics.maxDrawdownPercent.toFixed(3)
+        });
+
+        return {
+            ...result,
+            status: 'recorded',
+            snapshotId: row.id,
+            totalReturnPercent: metrics.totalReturnPercent,
+            sharpeRatio: metrics.sharpeRatio,
+            sortinoRatio: metrics.sortinoRatio,
+            maxDrawdownPercent: metrics.maxDrawdownPercent
+        };
+    }
+
+    /**
+     * Value of the portfolio at the close of every candle
+     * @param {Array<Object>} bars - Candles (timestamp = close time), oldest first
+     * @param {Object} portfolio - portfolios row (current balances)
+     * @param {Array<Object>} trades - Every trades row of the portfolio, oldest first
+     * @param {string} from - When the portfolio was opened
+     * @returns {Array<Object>} [{ timestamp (candle close), totalValueBTC, ethAmount, btcAmount }]
+     */
+    valueHistory(bars, portfolio, trades, from) {
+        const holdings = { ...DriftAnalyzer.startingState(trades, portfolio, from).holdings };
+        const changes = trades
+            .filter(trade => trade.eth_amount_before != null && trade.eth_amount_after != null)
+            .map(trade => ({
+                at: new Date(trade.executed_at).getTime(),
+                ethDelta: parseFloat(trade.eth_amount_after) - parseFloat(trade.eth_amount_before),
+                btcDelta: parseFloat(trade.btc_amount_after) - parseFloat(trade.btc_amount_before)
+            }))
+            .filter(change => change.at >= new Date(from).getTime());
+        let next = 0;
+
+        return bars.map(bar => {
+            const close = new Date(bar.timestamp).getTime();
+            while (next < changes.length && changes[next].at < close) {
+                holdings.ethAmount += changes[next].ethDelta;
+                holdings.btcAmount += changes[next].btcDelta;
+                next++;
+            }
+
+            return {
+                timestamp: new Date(close).toISOString(),
+                totalValueBTC: holdings.btcAmount + holdings.ethAmount * bar.ethBtcRatio,
+                ethAmount: holdings.ethAmount,
+                btcAmount: holdings.btcAmount
+            };
+        });
+    }
+
+    /**
+     * Trades rows in the shape RoundTripAnalyzer pairs (backtest actions, signed amounts)
+     * @param {Array<Object>} trades - trades rows, oldest first
+     * @returns {Array<Object>} Trades
+     * @private
+     */
+    roundTripTrades(trades) {
+        const actions = Object.fromEntries(Object.entries(DriftAnalyzer.LIVE_ACTIONS).map(([backtest, live]) => [live, backtest]));
+
+        return trades
+            .filter(trade => actions[trade.trade_type] && trade.eth_amount_before != null && trade.eth_amount_after != null)
+            .map(trade => ({
+                action: actions[trade.trade_type],
+                timestamp: new Date(trade.executed_at).toISOString(),
+                ethAmount: parseFloat(trade.eth_amount_after) - parseFloat(trade.eth_amount_before),
+                btcAmount: parseFloat(trade.btc_amount_after) - parseFloat(trade.btc_amount_before),
+                ratio: parseFloat(trade.eth_btc_ratio) || parseFloat(trade.exchange_rate),
+                zScore: trade.z_score != null ? parseFloat(trade.z_score) : null,
+                fees: parseFloat(trade.fees_btc) || 0
+            }));
+    }
+}
@@ -3,9 +3,14 @@
  * 
  * Implements risk controls and safety checks for automated trading.
  * Prevents excessive trading, manages position sizes, and enforces safety limits.
+ * The per-trade limits are each portfolio's risk policy (src/RiskPolicy.js); the env limits
+ * below make up the default policy. Emergency stop, kill switch and reconciliation halts
+ * always apply.
  */
 
 import { Logger } from '../utils/Logger.js';
+import { Clock } from '../utils/Clock.js';
+import { RiskPolicy } from '../../src/RiskPolicy.js';
 
 export class RiskManager {
     constructor() {
@@ -16,6 +21,7 @@ export class RiskManager {
         this.maxTradeSize = parseFloat(process.env.MAX_TRADE_SIZE) || 0.1; // 10% of portfolio
         this.maxDrawdown = parseFloat(process.env.MAX_DRAWDOWN) || 0.2; // 20% max drawdown
         this.cooldownPeriod = parseInt(process.env.TRADE_COOLDOWN_MINUTES) || 30; // 30 minutes
+        this.maxBalanceDrift = parseFloat(process.env.MAX_BALANCE_DRIFT) || 0.02; // 2% of portfolio value
         this.emergencyStopEnabled = process.env.EMERGENCY_STOP === 'true';
         
         this.logger.info('🛡️ Risk manager initialized', {
@@ -23,19 +29,68 @@ export class RiskManager {
             maxTradeSize: this.maxTradeSize,
             maxDrawdown: this.maxDrawdown,
             cooldownPeriod: this.cooldownPeriod,
+            maxBalanceDrift: this.maxBalanceDrift,
             emergencyStopEnabled: this.emergencyStopEnabled
         });
     }
     
     /**
-     * Validate if a trade should be executed based on risk parameters
-     * @param {Object} signal - Trading signal
+     * Risk policy of a portfolio
+     * @param {Object|null} policyRow - Latest risk_policies row of the portfolio (DatabaseService.getRiskPolicy)
+     * @returns {Object} { rules, isDefault, updatedBy, updatedAt } (the default policy without rules)
+     */
+    resolvePolicy(policyRow) {
+        const rules = typeof policyRow?.rules === 'string' ? JSON.parse(policyRow.rules) : policyRow?.rules;
+        const policy = rules ? RiskPolicy.validate({ rules }) : this.defaultPolicy();
+        
+        return {
+            ...policy,
+            isDefault: !rules,
+            updatedBy: policyRow?.updated_by ?? null,
+            updatedAt: policyRow ? new Date(policyRow.created_at).toISOString() : null
+        };
+    }
+    
+    /**
+     * Policy of portfolios without their own, from the env limits
+     * @returns {Object} Policy
+     */
+    defaultPolicy() {
+        return RiskPolicy.defaultPolicy(this);
+    }
+    
+    /**
+     * Evaluate a risk policy for a trade (rules whose input is not in the context are skipped)
+     * @param {Object} policy - Portfolio's policy (resolvePolicy)
+     * @param {Object} context - See RiskPolicy.evaluate (now defaults to the clock)
+     * @returns {Object} Report (RiskPolicy.evaluate)
+     */
+    evaluatePolicy(policy, context) {
+        const report = RiskPolicy.evaluate(policy, { now: Clock.now(), ...context });
+        
+        if (report.decision === 'block' || report.warnings.length > 0 || report.shrunkBy.length > 0) {
+            this.logger.warn('⚠️ Risk policy triggered', {
+                decision: report.decision,
+                blockedBy: report.blockedBy,
+                warnings: report.warnings,
+                shrunkBy: report.shrunkBy,
+                sizeMultiplier: report.sizeMultiplier
+            });
+        }
+        
+        return report;
+    }
+    
+    /**
+     * Validate if a trade should be executed: emergency stop, then every rule of the risk policy
+     * @param {Object} signal - Trading signal ({ action, strength, tradeValueBTC })
      * @param {Object} portfolio - Current portfolio state
      * @param {Object} marketData - Current market data
-     * @param {Array} recentTrades - Recent trade history
-     * @returns {Object} Validation result
+     * @param {Array} recentTrades - Recent trade history, newest first
+     * @param {Object} policy - Portfolio's risk policy (default: from the env limits)
+     * @returns {Object} Validation result ({ approved, reason, riskLevel, sizeMultiplier, report })
      */
-    async validateTrade(signal, portfolio, marketData, recentTrades = []) {
+    async validateTrade(signal, portfolio, marketData, recentTrades = [], policy = this.defaultPolicy()) {
         try {
             this.logger.info('🔍 Validating trade risk', {
                 action: signal.action,
@@ -51,63 +106,21 @@ export class RiskManager {
                 };
             }
             
-            // Check daily trade limit
-            const dailyTradeCheck = this.checkDailyTradeLimit(recentTrades);
-            if (!dailyTradeCheck.passed) {
-                return {
-                    approved: false,
-                    reason: dailyTradeCheck.reason,
-                    riskLevel: 'HIGH'
-                };
-            }
-            
-            // Check cooldown period
-            const cooldownCheck = this.checkCooldownPeriod(recentTrades);
-            if (!cooldownCheck.passed) {
-                return {
-                    approved: false,
-                    reason: cooldownCheck.reason,
-                    riskLevel: 'MEDIUM'
-                };
-            }
-            
-            // Check trade size limits
-            const tradeSizeCheck = this.checkTradeSize(signal, portfolio);
-            if (!tradeSizeCheck.passed) {
-                return {
-                    approved: false,
-                    reason: tradeSizeCheck.reason,
-                    riskLevel: 'HIGH'
-                };
-            }
-            
-            // Check portfolio drawdown
-            const drawdownCheck = this.checkDrawdown(portfolio);
-            if (!drawdownCheck.passed) {
-                return {
-                    approved: false,
-                    reason: drawdownCheck.reason,
-                    riskLevel: 'CRITICAL'
-                };
-            }
-            
-            // Check signal strength threshold
-            const signalCheck = this.checkSignalStrength(signal);
-            if (!signalCheck.passed) {
-                return {
-                    approved: false,
-                    reason: signalCheck.reason,
-                    riskLevel: 'LOW'
-                };
-            }
+            const report = this.evaluatePolicy(policy, {
+                recentTrades,
+                tradeValueBTC: signal.tradeValueBTC ?? null,
+                portfolioValueBTC: parseFloat(portfolio.total_value_btc) || null,
+                peakValueBTC: portfolio.peak_value_btc ?? null,
+                confidence: signal.strength ?? null,
+                volatility: marketData?.volatility ?? null
+            });
             
-            // Check market volatility
-            const volatilityCheck = this.checkMarketVolatility(marketData);
-            if (!volatilityCheck.passed) {
+            if (report.decision === 'block') {
                 return {
                     approved: false,
-                    reason: volatilityCheck.reason,
-                    riskLevel: 'MEDIUM'
+                    reason: report.reason,
+                    riskLevel: report.severity.toUpperCase(),
+                    report
                 };
             }
             
@@ -119,7 +132,9 @@ export class RiskManager {
             return {
                 approved: true,
                 reason: 'All risk checks passed',
-                riskLevel: 'ACCEPTABLE'
+                riskLevel: 'ACCEPTABLE',
+                sizeMultiplier: report.sizeMultiplier,
+                report
             };
             
         } catch (error) {
@@ -133,78 +148,82 @@ export class RiskManager {
     }
     
     /**
-     * Check if daily trade limit is exceeded
-     * @param {Array} recentTrades - Recent trades
-     * @returns {Object} Check result
+     * Gate a batch of signals for one portfolio before the trade executor runs them
+     * (emergency stop, kill switch, balance drift halt, then the risk policy's rules on the trade
+     * history - daily trades, cooldown; the rest were evaluated into each signal's risk_report)
+     * @param {Object} portfolio - Portfolio the signals would trade
+     * @param {Array} signals - Executable signals for the portfolio's pair
+     * @param {Array} recentTrades - Recent trades on the pair, newest first
+     * @param {Object|null} reconciliation - Latest balance_reconciliations row of the portfolio
+     * @param {Object|null} tradingHalt - Kill switch state (KillSwitchService.getState), null = not checked
+     * @param {Object} policy - Portfolio's risk policy (default: from the env limits)
+     * @returns {Promise<Object>} { canTrade, reason, details }
      */
-    checkDailyTradeLimit(recentTrades) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        const todayTrades = recentTrades.filter(trade => {
-            const tradeDate = new Date(trade.created_at);
-            return tradeDate >= today;
-        });
-        
-        if (todayTrades.length >= this.maxDailyTrades) {
+    async validateTradeExecution(portfolio, signals, recentTrades = [], reconciliation = null, tradingHalt = null, policy = this.defaultPolicy()) {
+        if (this.emergencyStopEnabled) {
             return {
-                passed: false,
-                reason: `Daily trade limit exceeded (${todayTrades.length}/${this.maxDailyTrades})`
+                canTrade: false,
+                reason: 'Emergency stop is enabled - all trading halted',
+                details: { riskLevel: 'CRITICAL' }
             };
         }
         
-        return {
-            passed: true,
-            todayTrades: todayTrades.length,
-            limit: this.maxDailyTrades
-        };
-    }
-    
-    /**
-     * Check if cooldown period has passed since last trade
-     * @param {Array} recentTrades - Recent trades
-     * @returns {Object} Check result
-     */
-    checkCooldownPeriod(recentTrades) {
-        if (recentTrades.length === 0) {
-            return { passed: true };
+        const haltCheck = this.checkTradingHalt(tradingHalt);
+        if (!haltCheck.passed) {
+            return {
+                canTrade: false,
+                reason: haltCheck.reason,
+                details: { riskLevel: 'CRITICAL', portfolioId: portfolio.id, haltedBy: tradingHalt.actor, source: tradingHalt.source }
+            };
         }
         
-        const lastTrade = recentTrades[0]; // Assuming sorted by most recent
-        const lastTradeTime = new Date(lastTrade.created_at);
-        const cooldownEnd = new Date(lastTradeTime.getTime() + (this.cooldownPeriod * 60 * 1000));
-        const now = new Date();
+        const reconciliationCheck = this.checkReconciliation(reconciliation);
+        if (!reconciliationCheck.passed) {
+            return {
+                canTrade: false,
+                reason: reconciliationCheck.reason,
+                details: { riskLevel: 'CRITICAL', portfolioId: portfolio.id, reconciliationId: reconciliation.id }
+            };
+        }
         
-        if (now < cooldownEnd) {
-            const remainingMinutes = Math.ceil((cooldownEnd - now) / (60 * 1000));
+        const report = this.evaluatePolicy(policy, { recentTrades });
+        if (report.decision === 'block') {
             return {
-                passed: false,
-                reason: `Cooldown period active - ${remainingMinutes} minutes remaining`
+                canTrade: false,
+                reason: report.reason,
+                details: { riskLevel: report.severity.toUpperCase(), portfolioId: portfolio.id, signals: signals.length, blockedBy: report.blockedBy }
             };
         }
         
-        return { passed: true };
+        return { canTrade: true, reason: null, details: { portfolioId: portfolio.id, signals: signals.length } };
     }
     
     /**
-     * Check if trade size is within acceptable limits
-     * @param {Object} signal - Trading signal
-     * @param {Object} portfolio - Current portfolio
+     * Check if daily trade limit is exceeded
+     * @param {Array} recentTrades - Recent trades
      * @returns {Object} Check result
      */
-    checkTradeSize(signal, portfolio) {
-        // For now, assume maximum trade size as percentage of total portfolio
-        // This would be calculated more precisely in the trade execution service
-        const estimatedTradeSize = 0.05; // Placeholder - 5% of portfolio
+    checkDailyTradeLimit(recentTrades) {
+        const today = Clock.date();
+        today.setHours(0, 0, 0, 0);
         
-        if (estimatedTradeSize > this.maxTradeSize) {
+        const todayTrades = recentTrades.filter(trade => {
+            const tradeDate = new Date(trade.executed_at || trade.created_at);
+            return tradeDate >= today;
+        });
+        
+        if (todayTrades.length >= this.maxDailyTrades) {
             return {
                 passed: false,
-                reason: `Trade size too large (${(estimatedTradeSize * 100).toFixed(1)}% > ${(this.maxTradeSize * 100).toFixed(1)}%)`
+                reason: `Daily trade limit exceeded (${todayTrades.length}/${this.maxDailyTrades})`
             };
         }
         
-        return { passed: true };
+        return {
+            passed: true,
+            todayTrades: todayTrades.length,
+            limit: this.maxDailyTrades
+        };
     }
     
     /**
@@ -213,13 +232,11 @@ export class RiskManager {
      * @returns {Object} Check result
      */
     checkDrawdown(portfolio) {
-        // Calculate current portfolio value vs initial/peak value
-        const currentValue = portfolio.total_usd_value || 0;
-        const initialValue = portfolio.initial_usd_value || currentValue;
-        const peakValue = portfolio.peak_usd_value || currentValue;
+        // Current value vs the highest value reached, both in the quote asset (peak_value_btc, migration 010)
+        const currentValue = parseFloat(portfolio.total_value_btc) || 0;
+        const peakValue = Math.max(parseFloat(portfolio.peak_value_btc) || 0, currentValue);
         
-        const drawdownFromPeak = (peakValue - currentValue) / peakValue;
-        const drawdownFromInitial = (initialValue - currentValue) / initialValue;
+        const drawdownFromPeak = peakValue > 0 ? (peakValue - currentValue) / peakValue : 0;
         
         if (drawdownFromPeak > this.maxDrawdown) {
             return {
@@ -236,17 +253,31 @@ export class RiskManager {
     }
     
     /**
-     * Check signal strength meets minimum threshold
-     * @param {Object} signal - Trading signal
-     * @returns {Object} Check result
+     * Check the difference between a portfolio's recorded and actual balances
+     * @param {number} driftPct - Largest balance difference as a fraction of portfolio value
+     * @returns {Object} Check result (not passed = trading must halt)
      */
-    checkSignalStrength(signal) {
-        const minStrength = 0.7; // Minimum signal strength for execution
+    checkBalanceDrift(driftPct) {
+        if (driftPct > this.maxBalanceDrift) {
+            return {
+                passed: false,
+                reason: `Balance drift too high (${(driftPct * 100).toFixed(2)}% > ${(this.maxBalanceDrift * 100).toFixed(2)}%)`
+            };
+        }
         
-        if (signal.strength < minStrength) {
+        return { passed: true, drift: driftPct, maxBalanceDrift: this.maxBalanceDrift };
+    }
+    
+    /**
+     * Check the kill switch is not halting trading
+     * @param {Object|null} tradingHalt - Kill switch state (KillSwitchService.getState)
+     * @returns {Object} Check result
+     */
+    checkTradingHalt(tradingHalt) {
+        if (tradingHalt?.halted) {
             return {
                 passed: false,
-                reason: `Signal strength too low (${signal.strength.toFixed(2)} < ${minStrength})`
+                reason: `Trading halted by ${tradingHalt.actor} (${tradingHalt.source}): ${tradingHalt.reason}`
             };
         }
         
@@ -254,18 +285,16 @@ export class RiskManager {
     }
     
     /**
-     * Check market volatility levels
-     * @param {Object} marketData - Current market data
+     * Check the portfolio's latest balance reconciliation did not halt trading
+     * The halt lasts until a later reconciliation finds the balances within the limit.
+     * @param {Object|null} reconciliation - Latest balance_reconciliations row
      * @returns {Object} Check result
      */
-    checkMarketVolatility(marketData) {
-        const maxVolatility = 0.1; // 10% maximum volatility
-        const currentVolatility = marketData.volatility || 0;
-        
-        if (currentVolatility > maxVolatility) {
+    checkReconciliation(reconciliation) {
+        if (reconciliation?.status === 'halted') {
             return {
                 passed: false,
-                reason: `Market volatility too high (${(currentVolatility * 100).toFixed(1)}% > ${(maxVolatility * 100).toFixed(1)}%)`
+                reason: `Trading halted by balance reconciliation ${reconciliation.id}: ${reconciliation.message}`
             };
         }
         
@@ -341,7 +370,7 @@ export class RiskManager {
     }
     
     /**
-     * Enable emergency stop (halt all trading)
+     * Enable emergency stop (halt all trading checked by this instance; KillSwitchService.halt persists a halt)
      * @param {string} reason - Reason for emergency stop
      */
     enableEmergencyStop(reason = 'Manual trigger') {
@@ -3,10 +3,22 @@
  * 
  * Handles trade execution on cryptocurrency exchanges.
  * Currently supports simulation mode and planned Binance integration.
+ * 
+ * Trades are sized like the backtest (SimpleBacktestEngine.calculateTradeValueBTC) and
+ * simulation mode fills them with the backtest's ExecutionModel, so a simulated run over
+ * recorded history reproduces the backtest trade for trade (see lib/replay).
+ *
+ * This service talks to the exchange; OrderService tracks each order from submission to
+ * its confirmed fill and is what the trade-executor cron calls.
  */
 
 import ccxt from 'ccxt';
 import { Logger } from '../utils/Logger.js';
+import { Clock } from '../utils/Clock.js';
+import { SimpleBacktestEngine } from '../../src/SimpleBacktestEngine.js';
+import { ExecutionModel } from '../../src/ExecutionModel.js';
+import { OrderStateMachine } from '../../src/OrderStateMachine.js';
+import { TradingPair, DEFAULT_PAIR } from '../../../../packages/shared/src/TradingPair.js';
 
 export class TradeExecutionService {
     constructor() {
@@ -147,237 +159,277 @@ export class TradeExecutionService {
     }
     
     /**
-     * Execute a trade based on signal
-     * @param {Object} signal - Trading signal with action, strength, etc.
-     * @param {Object} portfolio - Current portfolio state
-     * @param {Object} marketData - Current market data
-     * @returns {Object} Trade result
+     * Decide what a signal trades, before any order exists
+     * @param {Object} signal - trading_signals row (action, pair, strategy_params, market_conditions)
+     * @param {Object} portfolio - Active portfolio row trading the signal's pair
+     * @param {Object} marketData - Current bar of the pair (see SimpleBacktestEngine.normalizeMarketData)
+     * @returns {Promise<Object>} { tradeParams } to place an order with, or { result } when there is
+     *                            no order to track: HOLD / SKIP (with a message) or a settled MetaMask swap
      */
-    async executeTrade(signal, portfolio, marketData) {
-        try {
-            this.logger.info('🔄 Executing trade', {
-                action: signal.action,
-                strength: signal.strength,
-                tradingMode: this.tradingMode,
-                simulationMode: this.isSimulationMode
-            });
-            
-            if (signal.action === 'HOLD') {
-                return {
+    async prepareTrade(signal, portfolio, marketData) {
+        this.logger.info('🔄 Preparing trade', {
+            action: signal.action,
+            strength: signal.strength,
+            tradingMode: this.tradingMode,
+            simulationMode: this.isSimulationMode
+        });
+        
+        if (signal.action === 'HOLD') {
+            return {
+                result: {
                     success: true,
                     action: 'HOLD',
                     message: 'No trade executed - holding position'
-                };
-            }
-            
-            // Route to appropriate trading service
-            if (this.tradingMode === 'metamask' && this.metamaskService) {
-                return await this.metamaskService.executeTrade(signal, portfolio, marketData);
+                }
+            };
+        }
+        
+        // Route to appropriate trading service (paper portfolios are always filled by simulateTrade)
+        if (this.tradingMode === 'metamask' && this.metamaskService && portfolio.mode !== 'paper') {
+            // The on-chain route only swaps ETH <-> WBTC
+            const pair = TradingPair.parse(signal.pair || portfolio.pair).symbol;
+            if (pair !== DEFAULT_PAIR) {
+                throw new Error(`MetaMask trading supports ${DEFAULT_PAIR} only, not ${pair}`);
             }
-            
-            // Calculate trade parameters for CEX trading
-            const tradeParams = await this.calculateTradeParameters(signal, portfolio, marketData);
-            
-            if (!tradeParams.shouldExecute) {
-                return {
+            return { result: await this.metamaskService.executeTrade(signal, portfolio, marketData) };
+        }
+        
+        // Calculate trade parameters for CEX trading
+        const tradeParams = await this.calculateTradeParameters(signal, portfolio, marketData);
+        
+        if (!tradeParams.shouldExecute) {
+            return {
+                result: {
                     success: true,
                     action: 'SKIP',
                     message: tradeParams.reason
-                };
-            }
-            
-            // Execute trade (simulation or real)
-            const tradeResult = this.isSimulationMode 
-                ? await this.simulateTrade(tradeParams)
-                : await this.executeRealTrade(tradeParams);
-            
-            this.logger.info('✅ Trade executed successfully', {
-                action: tradeResult.action,
-                amount: tradeResult.amount,
-                price: tradeResult.price,
-                cost: tradeResult.cost
-            });
-            
-            return tradeResult;
-            
-        } catch (error) {
-            this.logger.error('❌ Trade execution failed', {
-                error: error.message,
-                signal: signal.action
-            });
-            
-            return {
-                success: false,
-                error: error.message,
-                action: signal.action
+                }
             };
         }
+        
+        return { tradeParams };
     }
     
     /**
      * Calculate trade parameters based on signal and portfolio
+     * Sized exactly like the backtest (SimpleBacktestEngine.calculateTradeValueBTC) with the
+     * parameters the signal was generated with, then scaled down by the shrink rules of the
+     * portfolio's risk policy (signal.risk_report.sizeMultiplier).
      * @param {Object} signal - Trading signal
      * @param {Object} portfolio - Current portfolio
-     * @param {Object} marketData - Current market data
+     * @param {Object} marketData - Current bar of the pair
      * @returns {Object} Trade parameters
      */
     async calculateTradeParameters(signal, portfolio, marketData) {
-        const rebalanceThreshold = 0.4979; // From mega-optimal strategy
-        const transactionCost = 0.0166; // 1.66% transaction cost
-        
-        const ethPrice = marketData.eth_price;
-        const btcPrice = marketData.btc_price;
-        const currentRatio = ethPrice / btcPrice;
+        const params = SimpleBacktestEngine.normalizeParameters(TradeExecutionService.parseJson(signal.strategy_params));
+        const conditions = TradeExecutionService.parseJson(signal.market_conditions);
         
-        // Calculate current portfolio allocation
-        const ethValue = portfolio.eth_balance * ethPrice;
-        const btcValue = portfolio.btc_balance * btcPrice;
-        const totalValue = ethValue + btcValue;
-        const ethAllocation = ethValue / totalValue;
+        const ratio = Number(marketData.ethBtcRatio);
+        const holdings = {
+            ethAmount: parseFloat(portfolio.eth_amount),
+            btcAmount: parseFloat(portfolio.btc_amount)
+        };
+        const ethValueBTC = holdings.ethAmount * ratio;
+        const ethAllocation = ethValueBTC / (holdings.btcAmount + ethValueBTC);
         
         this.logger.info('📊 Current portfolio state', {
-            ethBalance: portfolio.eth_balance,
-            btcBalance: portfolio.btc_balance,
-            ethValue: ethValue.toFixed(2),
-            btcValue: btcValue.toFixed(2),
-            totalValue: totalValue.toFixed(2),
+            ethAmount: holdings.ethAmount,
+            btcAmount: holdings.btcAmount,
             ethAllocation: (ethAllocation * 100).toFixed(1) + '%',
-            currentRatio: currentRatio.toFixed(6)
+            currentRatio: ratio.toFixed(6)
         });
         
-        // Determine if rebalancing is needed
-        let targetEthAllocation = 0.5; // Default 50/50
-        let shouldExecute = false;
-        let reason = '';
-        
-        if (signal.action === 'BUY_ETH' && ethAllocation < 0.5 - rebalanceThreshold) {
-            targetEthAllocation = 0.5;
-            shouldExecute = true;
-        } else if (signal.action === 'SELL_ETH' && ethAllocation > 0.5 + rebalanceThreshold) {
-            targetEthAllocation = 0.5;
-            shouldExecute = true;
-        } else {
-            reason = `Portfolio already balanced. ETH allocation: ${(ethAllocation * 100).toFixed(1)}%`;
-        }
+        // Position-aware strategies store their (already capped) target with the signal
+        const targetAllocation = conditions.targetAllocation ?? null;
+        const tradeAction = signal.action === 'SELL_ETH' ? 'SELL_ETH_BUY_BTC' : 'BUY_ETH_SELL_BTC';
+        const sizeMultiplier = TradeExecutionService.parseJson(signal.risk_report).sizeMultiplier ?? 1;
+        const valueBTC = SimpleBacktestEngine.calculateTradeValueBTC(tradeAction, holdings, ratio, targetAllocation, params)
+            * sizeMultiplier;
         
-        if (!shouldExecute) {
-            return { shouldExecute: false, reason };
+        if (!(valueBTC > 0)) {
+            return {
+                shouldExecute: false,
+                reason: targetAllocation !== null
+                    ? `ETH allocation ${(ethAllocation * 100).toFixed(1)}% already past target ${(targetAllocation * 100).toFixed(1)}%`
+                    : `Nothing to ${signal.action === 'SELL_ETH' ? 'sell' : 'spend'}`
+            };
         }
         
-        // Calculate trade amount
-        const targetEthValue = totalValue * targetEthAllocation;
-        const ethToTrade = (targetEthValue - ethValue) / ethPrice;
-        const tradeAmount = Math.abs(ethToTrade);
-        
-        // Account for transaction costs
-        const adjustedAmount = tradeAmount * (1 - transactionCost);
-        
         return {
             shouldExecute: true,
             action: signal.action,
-            symbol: 'ETH/BTC',
-            amount: adjustedAmount,
-            price: currentRatio,
-            cost: adjustedAmount * currentRatio,
-            targetAllocation: targetEthAllocation,
-            estimatedCost: tradeAmount * transactionCost
+            tradeAction,
+            // BUY_ETH / SELL_ETH buy / sell the base asset of the portfolio's pair
+            symbol: TradingPair.parse(signal.pair || portfolio.pair).symbol,
+            amount: valueBTC / ratio, // Base asset units
+            price: ratio,
+            valueBTC,
+            sizeMultiplier,
+            holdings,
+            bar: marketData,
+            params
         };
     }
     
     /**
-     * Simulate trade execution for testing/development
+     * Simulate trade execution, filled by the same execution model as the backtest
      * @param {Object} tradeParams - Trade parameters
      * @returns {Object} Simulated trade result
      */
     async simulateTrade(tradeParams) {
-        // Simulate small delay
-        await new Promise(resolve => setTimeout(resolve, 100));
+        const executionModel = ExecutionModel.create(tradeParams.params.executionModel, {
+            transactionCost: tradeParams.params.transactionCost
+        });
+        
+        const fill = executionModel.fill({
+            side: tradeParams.tradeAction,
+            valueBTC: tradeParams.valueBTC,
+            ratio: tradeParams.price,
+            bar: tradeParams.bar,
+            timestamp: Clock.isoString()
+        });
+        
+        if (!fill.filled) {
+            throw new Error(`Simulated order not filled: ${fill.reason}`);
+        }
         
-        // Add small price slippage simulation
-        const slippage = 0.001; // 0.1% slippage
-        const slippageMultiplier = tradeParams.action === 'BUY_ETH' ? (1 + slippage) : (1 - slippage);
-        const executionPrice = tradeParams.price * slippageMultiplier;
+        // Same balance arithmetic as SimpleBacktestEngine.runBacktest
+        const { ethAmount, btcAmount } = tradeParams.holdings;
+        const sellingEth = tradeParams.tradeAction === 'SELL_ETH_BUY_BTC';
+        const ethDelta = sellingEth ? -(tradeParams.valueBTC / tradeParams.price) : fill.netValueBTC / tradeParams.price;
+        const btcDelta = sellingEth ? fill.netValueBTC : -tradeParams.valueBTC;
         
         this.logger.info('🎭 Simulated trade execution', {
             action: tradeParams.action,
             amount: tradeParams.amount.toFixed(6),
             requestedPrice: tradeParams.price.toFixed(6),
-            executionPrice: executionPrice.toFixed(6),
-            slippage: (slippage * 100).toFixed(2) + '%'
+            effectivePrice: fill.effectiveRatio.toFixed(6),
+            costsBTC: fill.totalCostBTC.toFixed(8)
         });
         
         return {
             success: true,
             action: tradeParams.action,
-            symbol: tradeParams.symbol,
-            amount: tradeParams.amount,
-            price: executionPrice,
-            cost: tradeParams.amount * executionPrice,
-            fee: tradeParams.estimatedCost,
-            orderId: `SIM_${Date.now()}`,
-            timestamp: new Date().toISOString(),
+            order: {
+                id: `SIM_${Clock.now()}`,
+                symbol: tradeParams.symbol,
+                side: sellingEth ? 'sell' : 'buy',
+                amount: tradeParams.amount,
+                price: fill.effectiveRatio,
+                cost: tradeParams.valueBTC,
+                fee: { cost: fill.totalCostBTC, currency: 'BTC' },
+                timestamp: Clock.isoString()
+            },
+            balances: {
+                ethBefore: ethAmount,
+                btcBefore: btcAmount,
+                ethAfter: ethAmount + ethDelta,
+                btcAfter: btcAmount + btcDelta
+            },
             simulation: true
         };
     }
     
     /**
-     * Execute real trade on exchange
+     * Submit a market order to the exchange
+     * The order is not done when this returns - OrderService polls it until the exchange
+     * confirms the fill (see OrderStateMachine).
      * @param {Object} tradeParams - Trade parameters
-     * @returns {Object} Real trade result
+     * @param {string} clientOrderId - Our order reference, so the order can be found on the exchange
+     * @returns {Promise<Object>} Exchange order (OrderStateMachine.fromExchange)
      */
-    async executeRealTrade(tradeParams) {
+    async submitOrder(tradeParams, clientOrderId) {
         if (!this.exchange) {
             throw new Error('Exchange not initialized');
         }
         
         try {
-            // Check account balance first
-            const balance = await this.exchange.fetchBalance();
-            
-            // Execute market order
             const order = await this.exchange.createMarketOrder(
                 tradeParams.symbol,
                 tradeParams.action === 'BUY_ETH' ? 'buy' : 'sell',
-                tradeParams.amount
+                tradeParams.amount,
+                undefined,
+                { clientOrderId }
             );
             
-            this.logger.info('🔗 Real trade executed on Binance', {
+            this.logger.info('🔗 Order submitted to exchange', {
                 orderId: order.id,
+                clientOrderId,
                 symbol: order.symbol,
                 side: order.side,
                 amount: order.amount,
-                price: order.average || order.price,
-                cost: order.cost,
-                fee: order.fee
+                status: order.status,
+                filled: order.filled
             });
             
-            return {
-                success: true,
-                action: tradeParams.action,
-                symbol: order.symbol,
-                amount: order.amount,
-                price: order.average || order.price,
-                cost: order.cost,
-                fee: order.fee,
-                orderId: order.id,
-                timestamp: order.timestamp ? new Date(order.timestamp).toISOString() : new Date().toISOString(),
-                simulation: false
-            };
+            return OrderStateMachine.fromExchange({ ...order, amount: order.amount ?? tradeParams.amount });
             
         } catch (error) {
-            throw new Error(`Exchange trade failed: ${error.message}`);
+            throw new Error(`Exchange order failed: ${error.message}`);
         }
     }
     
+    /**
+     * Current state of an exchange order (ccxt fetchOrder)
+     * @param {string} exchangeOrderId - Exchange order ID
+     * @param {string} symbol - Pair symbol
+     * @returns {Promise<Object>} Exchange order (OrderStateMachine.fromExchange)
+     */
+    async fetchOrder(exchangeOrderId, symbol) {
+        if (!this.exchange) {
+            throw new Error('Exchange not initialized');
+        }
+        
+        return OrderStateMachine.fromExchange(await this.exchange.fetchOrder(exchangeOrderId, symbol));
+    }
+    
+    /**
+     * Cancel an exchange order and return its final state (fills before the cancel included)
+     * @param {string} exchangeOrderId - Exchange order ID
+     * @param {string} symbol - Pair symbol
+     * @returns {Promise<Object>} Exchange order (OrderStateMachine.fromExchange)
+     */
+    async cancelOrder(exchangeOrderId, symbol) {
+        if (!this.exchange) {
+            throw new Error('Exchange not initialized');
+        }
+        
+        try {
+            await this.exchange.cancelOrder(exchangeOrderId, symbol);
+        } catch (error) {
+            // Filled or cancelled meanwhile - the fetch below has the final state
+            this.logger.warn('⚠️ Cancel rejected by exchange', { exchangeOrderId, error: error.message });
+        }
+        
+        return this.fetchOrder(exchangeOrderId, symbol);
+    }
+    
+    /**
+     * Read a JSONB column that may arrive as a string
+     * @param {Object|string|null} value - Column value
+     * @returns {Object} Parsed object ({} when empty)
+     */
+    static parseJson(value) {
+        if (!value) {
+            return {};
+        }
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+    
     /**
      * Get account balance from exchange
-     * @returns {Object} Account balance
+     * @param {string} pair - Pair whose base and quote balances to return (defaults to ETH/BTC)
+     * @returns {Object} Account balance keyed by asset symbol, plus base/quote names
      */
-    async getAccountBalance() {
+    async getAccountBalance(pair = DEFAULT_PAIR) {
+        const { base, quote } = TradingPair.parse(pair);
+        
         if (this.isSimulationMode) {
             return {
-                ETH: { free: 1.0, used: 0.0, total: 1.0 },
-                BTC: { free: 0.05, used: 0.0, total: 0.05 },
+                [base]: { free: 1.0, used: 0.0, total: 1.0 },
+                [quote]: { free: 0.05, used: 0.0, total: 0.05 },
+                base,
+                quote,
                 simulation: true
             };
         }
@@ -388,8 +440,10 @@ export class TradeExecutionService {
         
         const balance = await this.exchange.fetchBalance();
         return {
-            ETH: balance.ETH || { free: 0, used: 0, total: 0 },
-            BTC: balance.BTC || { free: 0, used: 0, total: 0 },
+            [base]: balance[base] || { free: 0, used: 0, total: 0 },
+            [quote]: balance[quote] || { free: 0, used: 0, total: 0 },
+            base,
+            quote,
             simulation: false
         };
     }
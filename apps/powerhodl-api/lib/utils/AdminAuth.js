@@ -0,0 +1,51 @@
+/**
+ * Admin Auth Utility
+ *
+ * Validates requests to endpoints that change how the system trades (e.g. POST /api/risk/halt).
+ * They need `Authorization: Bearer <RISK_ADMIN_TOKEN>`; unlike the cron endpoints there is no
+ * fallback - without RISK_ADMIN_TOKEN every such request is refused.
+ */
+
+import crypto from 'crypto';
+import { Logger } from './Logger.js';
+
+export class AdminAuth {
+    static logger = new Logger('AdminAuth');
+
+    /**
+     * Whether admin requests can be authorized at all
+     * @returns {boolean} True when RISK_ADMIN_TOKEN is set
+     */
+    static isConfigured() {
+        return Boolean(process.env.RISK_ADMIN_TOKEN);
+    }
+
+    /**
+     * Validate the request's bearer token against RISK_ADMIN_TOKEN
+     * @param {Object} req - Request
+     * @returns {boolean} True if the token matches
+     */
+    static isAuthorized(req) {
+        if (!this.isConfigured()) {
+            this.logger.warn('RISK_ADMIN_TOKEN is not set - refusing admin request');
+            return false;
+        }
+
+        const authHeader = req.headers?.authorization || '';
+        const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+
+        // Compare digests so neither the length nor the content leaks through timing
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        const authorized = token.length > 0
+            && crypto.timingSafeEqual(digest(token), digest(process.env.RISK_ADMIN_TOKEN));
+
+        if (!authorized) {
+            this.logger.warn('Invalid admin token', {
+                hasAuth: Boolean(authHeader),
+                ip: req.headers?.['x-forwarded-for'] || req.connection?.remoteAddress
+            });
+        }
+
+        return authorized;
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * Clock Utility
+ *
+ * Current time for code whose decisions depend on it: snapshot and signal timestamps,
+ * the executable-signal window, trade cooldowns and daily limits.
+ * Wall clock by default; the cron replay harness (lib/replay) sets a simulated time
+ * so recorded history can be fed through the crons bar by bar.
+ */
+
+export class Clock {
+    static simulatedTime = null;
+
+    /**
+     * Current time
+     * @returns {number} Epoch milliseconds (simulated time when set)
+     */
+    static now() {
+        return this.simulatedTime ?? Date.now();
+    }
+
+    /**
+     * Current time as a Date
+     * @returns {Date} Current time
+     */
+    static date() {
+        return new Date(this.now());
+    }
+
+    /**
+     * Current time as an ISO string
+     * @returns {string} ISO timestamp
+     */
+    static isoString() {
+        return this.date().toISOString();
+    }
+
+    /**
+     * Freeze the clock at a simulated time
+     * @param {number|string|Date} time - Simulated time
+     */
+    static set(time) {
+        const ms = new Date(time).getTime();
+        if (isNaN(ms)) {
+            throw new Error(`Invalid simulated time: ${time}`);
+        }
+        this.simulatedTime = ms;
+    }
+
+    /**
+     * Return to the wall clock
+     */
+    static reset() {
+        this.simulatedTime = null;
+    }
+
+    /**
+     * Whether a simulated time is set
+     * @returns {boolean} True while replaying
+     */
+    static isSimulated() {
+        return this.simulatedTime !== null;
+    }
+}
@@ -0,0 +1,49 @@
+/**
+ * History File Reader
+ *
+ * Reads recorded OHLCV files (CSV or JSON) into raw records for HistoryImporter.prepare.
+ * Shared by the import-history and replay-crons scripts.
+ */
+
+import csv from 'csv-parser';
+import fs from 'fs';
+import path from 'path';
+
+export class HistoryFileReader {
+    /**
+     * File format from its extension
+     * @param {string} file - File path
+     * @returns {string} 'json' or 'csv'
+     */
+    static formatOf(file) {
+        return path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv';
+    }
+
+    /**
+     * Read the records of a history file
+     * @param {string} file - File path
+     * @param {string} format - 'csv' | 'json' (default: from the extension)
+     * @returns {Promise<Array<Object>>} Raw records (CSV rows keyed by trimmed header)
+     */
+    static async read(file, format = this.formatOf(file)) {
+        if (format === 'json') {
+            const parsed = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            const records = Array.isArray(parsed) ? parsed : parsed.data;
+
+            if (!Array.isArray(records)) {
+                throw new Error('Invalid JSON file: expected an array of bars or { data: [...] }');
+            }
+            return records;
+        }
+
+        return new Promise((resolve, reject) => {
+            const records = [];
+            fs.createReadStream(file)
+                .on('error', reject)
+                .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+                .on('data', (row) => records.push(row))
+                .on('end', () => resolve(records))
+                .on('error', reject);
+        });
+    }
+}
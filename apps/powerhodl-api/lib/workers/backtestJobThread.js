@@ -0,0 +1,27 @@
+/**
+ * Backtest Job Thread
+ *
+ * worker_threads entry point started by BacktestJobWorker for one job.
+ * Backtests are synchronous CPU work; running them in a thread keeps the worker's
+ * event loop free to flush progress and to terminate the thread on cancellation.
+ *
+ * Messages posted to the parent:
+ *   { type: 'progress', progress, currentStep, partialResult }
+ *   { type: 'result', data, winner }
+ *   { type: 'error', message }
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { BacktestJobRunner } from '../../src/BacktestJobRunner.js';
+
+const { jobType, request, marketData } = workerData;
+
+try {
+    const { data, winner } = BacktestJobRunner.run(jobType, request, marketData, (update) => {
+        parentPort.postMessage({ type: 'progress', ...update });
+    });
+
+    parentPort.postMessage({ type: 'result', data, winner });
+} catch (error) {
+    parentPort.postMessage({ type: 'error', message: error.message });
+}
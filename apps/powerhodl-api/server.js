@@ -15,6 +15,16 @@ import signalHandler from './api/signal.js';
 import backtestHandler from './api/backtest.js';
 import portfolioHandler from './api/portfolio.js';
 import historicalHandler from './api/historical.js';
+import optimizeHandler from './api/optimize.js';
+import backtestJobsHandler from './api/backtest-jobs.js';
+import driftReportHandler from './api/drift-report.js';
+import performanceHandler from './api/performance.js';
+import riskHaltHandler from './api/risk/halt.js';
+import riskPolicyHandler from './api/risk/policy.js';
+import { BacktestJobWorker } from './lib/services/BacktestJobWorker.js';
+import { DatabaseService } from './lib/services/DatabaseService.js';
+import { CandleService } from './lib/services/CandleService.js';
+import { MigrationRunner } from './lib/database/MigrationRunner.js';
 
 // Load environment variables from multiple locations
 dotenv.config(); // Load from current directory
@@ -75,6 +85,16 @@ app.post('/api/backtest', adaptVercelHandler(backtestHandler));
 app.get('/api/backtest', adaptVercelHandler(backtestHandler));
 app.get('/api/portfolio', adaptVercelHandler(portfolioHandler));
 app.get('/api/historical', adaptVercelHandler(historicalHandler));
+app.post('/api/optimize', adaptVercelHandler(optimizeHandler));
+app.get('/api/backtest-jobs', adaptVercelHandler(backtestJobsHandler));
+app.post('/api/backtest-jobs', adaptVercelHandler(backtestJobsHandler));
+app.delete('/api/backtest-jobs', adaptVercelHandler(backtestJobsHandler));
+app.get('/api/drift-report', adaptVercelHandler(driftReportHandler));
+app.get('/api/performance', adaptVercelHandler(performanceHandler));
+app.get('/api/risk/halt', adaptVercelHandler(riskHaltHandler));
+app.post('/api/risk/halt', adaptVercelHandler(riskHaltHandler));
+app.get('/api/risk/policy', adaptVercelHandler(riskPolicyHandler));
+app.put('/api/risk/policy', adaptVercelHandler(riskPolicyHandler));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -101,17 +121,50 @@ app.use((err, req, res, next) => {
     });
 });
 
+// Offline development (DATABASE_BACKEND=memory): fill the in-memory database with recorded history
+if (DatabaseService.resolveBackend() === 'memory' && process.env.MEMORY_DATABASE_SEED_FILE) {
+    const dbService = new DatabaseService();
+    const report = await dbService.seedFromFile(
+        path.resolve(process.env.MEMORY_DATABASE_SEED_FILE),
+        process.env.MEMORY_DATABASE_SEED_PAIR ? { pair: process.env.MEMORY_DATABASE_SEED_PAIR } : {}
+    );
+    await new CandleService(dbService).refresh(report.pair);
+    console.log(`🧪 In-memory database seeded with ${report.validBars} ${report.pair} bars`);
+}
+
+// Warn early when the database is missing migrations (the crons refuse to run until it is migrated)
+try {
+    const schema = await MigrationRunner.status(new DatabaseService());
+    if (!schema.current) {
+        console.warn(`⚠️  Database schema is at migration ${schema.version}, code needs ${schema.latest} - run npm run migrate`);
+    }
+} catch (error) {
+    console.warn(`⚠️  Could not check the database schema: ${error.message}`);
+}
+
 // Start server
 app.listen(PORT, () => {
     console.log(`🚀 PowerHODL API Development Server Started`);
-    console.log(`📊 API: http://localhost:${PORT}`);
+    console.log(`📊 API: http://localhost:${PORT} (database: ${DatabaseService.resolveBackend()})`);
     console.log(`❤️  Health Check: http://localhost:${PORT}/health`);
     console.log('\nAvailable API endpoints:');
     console.log('   GET  /api/signal     - Current trading signal');
     console.log('   POST /api/backtest   - Run backtest');
     console.log('   GET  /api/portfolio  - Portfolio status');
     console.log('   GET  /api/historical - Historical data');
+    console.log('   POST /api/optimize   - Run parameter optimization');
+    console.log('   *    /api/backtest-jobs - Submit/poll/cancel queued backtests');
+    console.log('   GET  /api/drift-report - Live trading vs. the backtest of its parameters');
+    console.log('   GET  /api/performance - Recorded performance and risk metrics of a portfolio');
+    console.log('   *    /api/risk/halt  - Kill switch state / halt and resume trading (admin token)');
+    console.log('   *    /api/risk/policy - Risk policy of a portfolio / edit its rules (admin token)');
     console.log(`\n🌐 Frontend should connect to: http://localhost:${PORT}`);
+
+    // Drain the backtest job queue in-process (otherwise run scripts/backtest-worker.js)
+    if (process.env.BACKTEST_WORKER === 'inline') {
+        new BacktestJobWorker().start();
+        console.log('⚙️  Backtest job worker running in-process');
+    }
 });
 
 export default app;
@@ -0,0 +1,207 @@
+import { SimpleBacktestEngine } from './SimpleBacktestEngine.js';
+import { WalkForwardOptimizer } from './WalkForwardOptimizer.js';
+import { ParameterOptimizer } from './ParameterOptimizer.js';
+import { BacktestResultFormatter } from './BacktestResultFormatter.js';
+import { ExecutionModel } from './ExecutionModel.js';
+import { RobustnessAnalyzer } from './RobustnessAnalyzer.js';
+import { CashFlowSchedule } from './CashFlowSchedule.js';
+import { LookaheadGuard } from './LookaheadGuard.js';
+import { StrategyRegistry } from '../../../packages/shared/src/strategies/index.js';
+import { TradingPair } from '../../../packages/shared/src/TradingPair.js';
+import { Timeframe } from '../../../packages/shared/src/Timeframe.js';
+
+/**
+ * BacktestJobRunner - Executes one queued backtest job
+ *
+ * Pure: receives the job request and the market data, returns the response data.
+ * No database access, so it can run inside a worker thread (see lib/workers/backtestJobThread.js).
+ *
+ * CRITICAL CONCEPTS:
+ * 1. JOB TYPES MIRROR THE SYNCHRONOUS ENDPOINTS
+ *    - backtest:      same request/result as POST /api/backtest
+ *    - walk-forward:  same as POST /api/backtest with mode 'walk-forward'
+ *    - robustness:    same as POST /api/backtest with mode 'robustness'
+ *    - optimization:  same as POST /api/optimize
+ *
+ * 2. PROGRESS AND PARTIAL RESULTS
+ *    - onProgress({ progress, currentStep, partialResult }) is called while the job runs
+ *    - walk-forward streams one fold summary per fold, robustness one metric set per resample,
+ *      optimization one evaluation per backtest
+ *    - A single backtest is one engine call and only reports start/finish
+ *
+ * 3. VALIDATE BEFORE QUEUEING
+ *    - validate() runs in the API handler so bad requests fail with 400, not as a failed job later
+ *
+ * 4. TIMEFRAME
+ *    - request.timeframe ('5m', '1h', '4h', '1d') runs on candles; the lookback is then given in days
+ *      and converted to bars here (see Timeframe.toBarParameters)
+ *    - Optimizations stay on raw snapshots: their winner is saved for the live signal, which counts raw rows
+ */
+export class BacktestJobRunner {
+    static JOB_TYPES = ['backtest', 'walk-forward', 'robustness', 'optimization'];
+
+    /**
+     * A running job without a progress write for this long has lost its worker and is failed
+     * (workers write progress every second while a job runs)
+     */
+    static STALE_AFTER_MS = 5 * 60 * 1000;
+
+    /**
+     * Validate a job request
+     * @param {string} jobType - One of JOB_TYPES
+     * @param {Object} request - Request body for that job type
+     * @throws {Error} "Invalid ..." message when the request can not be run
+     */
+    static validate(jobType, request) {
+        if (!this.JOB_TYPES.includes(jobType)) {
+            throw new Error(`Invalid job type: ${jobType}. Use one of ${this.JOB_TYPES.join(', ')}`);
+        }
+
+        if (jobType !== 'optimization' && !request.parameters) {
+            throw new Error('Invalid request: missing parameters');
+        }
+
+        this.resolvePair(request);
+
+        if (this.resolveTimeframe(request) && jobType === 'optimization') {
+            throw new Error('Invalid request: timeframe is not supported for optimization');
+        }
+
+        const { initialPortfolio, cashFlows } = CashFlowSchedule.resolveOptions(request);
+        if (jobType !== 'backtest' && (initialPortfolio || cashFlows.length > 0)) {
+            throw new Error('Invalid request: initialPortfolio and cashFlows are only supported in backtest jobs');
+        }
+
+        if (request.parameters?.executionModel) {
+            ExecutionModel.create(request.parameters.executionModel);
+        }
+
+        // Negative / fractional delays, unknown fill prices, open or vwap fills on the signal bar
+        if (request.parameters) {
+            LookaheadGuard.resolveExecution(request.parameters);
+        }
+
+        // Unknown strategy or out-of-range strategy parameters
+        if (request.parameters) {
+            StrategyRegistry.get(request.parameters.signalStrategy).init(request.parameters);
+        }
+
+        if (jobType === 'walk-forward') {
+            const objective = request.walkForward?.objective || 'btcGrowth';
+            if (!ParameterOptimizer.OBJECTIVES[objective]) {
+                throw new Error(`Invalid objective: ${objective}. Use one of ${Object.keys(ParameterOptimizer.OBJECTIVES).join(', ')}`);
+            }
+        }
+
+        if (jobType === 'robustness') {
+            RobustnessAnalyzer.resolveOptions(request.robustness);
+        }
+
+        if (jobType === 'optimization') {
+            ParameterOptimizer.resolveOptions(request);
+        }
+    }
+
+    /**
+     * Number of days of history to load for a request ('ALL' = 4 years)
+     * @param {Object} request - Job request
+     * @returns {number} Days
+     */
+    static resolvePeriod(request) {
+        if (request.backtestPeriod === 'ALL') {
+            return 365 * 4;
+        }
+        return parseInt(request.backtestPeriod) || 365;
+    }
+
+    /**
+     * Trading pair whose history the request runs on (default ETH/BTC)
+     * @param {Object} request - Job request
+     * @returns {string} Normalized pair symbol
+     * @throws {Error} "Invalid trading pair ..." for malformed symbols
+     */
+    static resolvePair(request) {
+        return TradingPair.parse(request.pair).symbol;
+    }
+
+    /**
+     * Candle timeframe the request runs on
+     * @param {Object} request - Job request
+     * @returns {string|null} Timeframe, or null for raw snapshots
+     * @throws {Error} "Invalid timeframe ..." for unknown timeframes
+     */
+    static resolveTimeframe(request) {
+        return request.timeframe ? Timeframe.parse(request.timeframe) : null;
+    }
+
+    /**
+     * Run a job
+     * @param {string} jobType - One of JOB_TYPES
+     * @param {Object} request - Request body for that job type
+     * @param {Array<Object>} marketData - Normalized market data (candles when request.timeframe is set)
+     * @param {Function} onProgress - Called with { progress, currentStep, partialResult }
+     * @returns {Object} { data, winner } - response data, plus the parameters to save for optimizations
+     */
+    static run(jobType, request, marketData, onProgress = () => {}) {
+        const params = request.parameters || {};
+        const timeframe = this.resolveTimeframe(request);
+        const engineParams = SimpleBacktestEngine.normalizeParameters(Timeframe.toBarParameters(params, timeframe));
+
+        if (jobType === 'backtest') {
+            onProgress({ progress: 10, currentStep: `Backtesting ${marketData.length} bars...` });
+            const { initialPortfolio, cashFlows } = CashFlowSchedule.resolveOptions(request);
+            const results = SimpleBacktestEngine.runBacktest(marketData, engineParams, {
+                initialPortfolio: initialPortfolio || undefined,
+                cashFlows
+            });
+            return { data: BacktestResultFormatter.backtest(params, results), winner: null };
+        }
+
+        if (jobType === 'walk-forward') {
+            const walkForward = WalkForwardOptimizer.run(marketData, engineParams, {
+                ...request.walkForward,
+                parameterGrid: Timeframe.toBarGrid(request.walkForward?.parameterGrid || WalkForwardOptimizer.DEFAULT_PARAMETER_GRID, timeframe),
+                onProgress: ({ folds, totalFolds, fold }) => onProgress({
+                    progress: (folds / totalFolds) * 100,
+                    currentStep: `Fold ${folds}/${totalFolds}`,
+                    partialResult: BacktestResultFormatter.walkForwardFold(fold)
+                })
+            });
+            return { data: BacktestResultFormatter.walkForward(params, walkForward), winner: null };
+        }
+
+        if (jobType === 'robustness') {
+            const analysis = RobustnessAnalyzer.run(marketData, engineParams, {
+                ...request.robustness,
+                onProgress: ({ samples, totalSamples, sample }) => onProgress({
+                    progress: (samples / totalSamples) * 100,
+                    currentStep: `Resample ${samples}/${totalSamples}`,
+                    partialResult: sample
+                })
+            });
+            return { data: BacktestResultFormatter.robustness(params, analysis), winner: null };
+        }
+
+        const optimization = ParameterOptimizer.run(marketData, engineParams, {
+            strategy: request.strategy,
+            objective: request.objective,
+            bounds: request.bounds,
+            seed: request.seed,
+            maxIterations: request.maxIterations,
+            convergenceThreshold: request.convergenceThreshold,
+            feePenalty: request.feePenalty,
+            onProgress: ({ evaluations, maxIterations, evaluation }) => onProgress({
+                progress: (evaluations / maxIterations) * 100,
+                currentStep: `Evaluation ${evaluations}/${maxIterations}`,
+                partialResult: BacktestResultFormatter.optimizationEvaluation(evaluation)
+            })
+        });
+
+        return {
+            data: BacktestResultFormatter.optimization(optimization),
+            winner: request.save !== false
+                ? BacktestResultFormatter.optimizationWinner(optimization, request, marketData.length)
+                : null
+        };
+    }
+}
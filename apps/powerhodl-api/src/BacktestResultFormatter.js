@@ -0,0 +1,341 @@
+import { StrategyRegistry } from '../../../packages/shared/src/strategies/index.js';
+import { DEFAULT_PAIR } from '../../../packages/shared/src/TradingPair.js';
+
+/**
+ * BacktestResultFormatter - API response shapes for backtest, walk-forward, basket and optimization runs
+ *
+ * The same run can be answered synchronously (/api/backtest, /api/optimize) or
+ * through the job queue (/api/backtest-jobs). Both go through these functions
+ * so the frontend transforms one shape, whichever path produced it.
+ *
+ * CRITICAL CONCEPTS:
+ * 1. ENGINE NAMES vs API NAMES
+ *    - Engine: totalReturnPercent, lookbackDays
+ *    - API/frontend: btcGrowthPercent, lookbackWindow (lookbackDays kept for SimpleStrategy)
+ *
+ * 2. NO METADATA HERE
+ *    - Timing, data source and period are added by the caller
+ *    - Everything returned here is plain JSON (safe to store in JSONB or post between threads)
+ */
+export class BacktestResultFormatter {
+    /**
+     * Format a single backtest
+     * @param {Object} params - Parameters as sent by the client
+     * @param {Object} results - SimpleBacktestEngine.runBacktest() result
+     * @returns {Object} Response data ({ type: 'backtest', parameters, result })
+     */
+    static backtest(params, results) {
+        return {
+            type: 'backtest',
+            parameters: params,
+            result: {
+                performance: {
+                    btcGrowthPercent: results.metrics.totalReturnPercent,
+                    // Equal to btcGrowthPercent without deposits / withdrawals (see CashFlowSchedule)
+                    moneyWeightedReturnPercent: results.metrics.moneyWeightedReturnPercent,
+                    moneyWeightedAnnualizedPercent: results.metrics.moneyWeightedAnnualizedPercent,
+                    initialValueBTC: results.metrics.initialValueBTC,
+                    finalValueBTC: results.metrics.finalValueBTC,
+                    totalDepositedBTC: results.metrics.totalDepositedBTC,
+                    totalWithdrawnBTC: results.metrics.totalWithdrawnBTC,
+                    tokenAccumulationPercent: results.metrics.tokenAccumulationPercent,
+                    totalTrades: results.metrics.totalTrades,
+                    sharpeRatio: results.metrics.sharpeRatio,
+                    sortinoRatio: results.metrics.sortinoRatio,
+                    calmarRatio: results.metrics.calmarRatio,
+                    maxDrawdown: results.metrics.maxDrawdown,
+                    // VaR / CVaR, Ulcer index, drawdown durations and table (PerformanceMetrics.compute)
+                    riskMetrics: results.metrics.riskMetrics,
+                    totalFeesBTC: results.metrics.totalFeesBTC,
+                    winRate: results.metrics.winRate,
+                    roundTrips: results.metrics.roundTrips,
+                    winningTrades: results.metrics.winningTrades,
+                    losingTrades: results.metrics.losingTrades,
+                    avgWinBTC: results.metrics.avgWinBTC,
+                    avgLossBTC: results.metrics.avgLossBTC,
+                    profitFactor: results.metrics.profitFactor,
+                    expectancyBTC: results.metrics.expectancyBTC,
+                    expectancyPercent: results.metrics.expectancyPercent,
+                    avgHoldingPeriodHours: results.metrics.avgHoldingPeriodHours,
+                    realizedBTC: results.metrics.realizedBTC,
+                    realizedETH: results.metrics.realizedETH,
+                    openTrades: results.metrics.openTrades,
+                    maxConsecutiveLosses: results.metrics.maxConsecutiveLosses,
+                    signalStrategy: results.metrics.signalStrategy,
+                    executionModel: results.metrics.executionModel,
+                    costBreakdown: results.metrics.costBreakdown,
+                    rejectedTrades: results.metrics.rejectedTrades,
+                    // When orders filled and what they missed (see LookaheadGuard)
+                    executionDelayBars: results.metrics.executionDelayBars,
+                    fillPrice: results.metrics.fillPrice,
+                    signalsIgnoredWhilePending: results.metrics.signalsIgnoredWhilePending,
+                    unfilledOrders: results.metrics.unfilledOrders
+                },
+                trades: results.trades.map(t => ({
+                    timestamp: t.timestamp,
+                    signalTimestamp: t.signalTimestamp,
+                    signalRatio: t.signalRatio,
+                    delayBars: t.delayBars,
+                    action: t.action,
+                    zScore: t.zScore,
+                    ratio: t.ratio,
+                    ethAmount: t.ethAmount,
+                    btcAmount: t.btcAmount,
+                    fees: t.fees,
+                    costs: t.costs,
+                    executionRatio: t.executionRatio,
+                    targetAllocation: t.targetAllocation,
+                    portfolioValueBefore: t.portfolioValueBefore,
+                    portfolioValueAfter: t.portfolioValueAfter
+                })),
+                // Trades paired into cycles; entryIndex / exitIndex point into trades
+                roundTrips: results.roundTrips,
+                portfolioHistory: results.portfolioHistory.map(p => ({
+                    timestamp: p.timestamp,
+                    totalValueBTC: p.totalValueBTC,
+                    btcAmount: p.btcAmount,
+                    ethAmount: p.ethAmount,
+                    ethPercentage: p.ethPercentage,
+                    zScore: p.zScore,
+                    cashFlowBTC: p.cashFlowBTC
+                })),
+                // Deposits and withdrawals as applied (a withdrawal never takes more than is held)
+                cashFlows: results.cashFlows,
+                finalPortfolio: {
+                    totalValueBTC: results.portfolioHistory[results.portfolioHistory.length - 1].totalValueBTC,
+                    btcAmount: results.portfolio.btcAmount,
+                    ethAmount: results.portfolio.ethAmount
+                },
+                // Passive portfolios over the same bars; values line up with portfolioHistory
+                benchmarks: results.benchmarks
+            }
+        };
+    }
+
+    /**
+     * Format a walk-forward analysis
+     * @param {Object} params - Parameters as sent by the client
+     * @param {Object} walkForward - WalkForwardOptimizer.run() result
+     * @returns {Object} Response data ({ type: 'walk-forward', parameters, result })
+     */
+    static walkForward(params, walkForward) {
+        return {
+            type: 'walk-forward',
+            parameters: params,
+            result: {
+                config: walkForward.config,
+                folds: walkForward.folds.map(f => this.walkForwardFold(f)),
+                outOfSample: {
+                    performance: {
+                        btcGrowthPercent: walkForward.outOfSample.metrics.totalReturnPercent,
+                        ...walkForward.outOfSample.metrics
+                    },
+                    equityCurve: walkForward.outOfSample.equityCurve
+                }
+            }
+        };
+    }
+
+    /**
+     * Format one walk-forward fold (also streamed as a partial result by the job queue)
+     * @param {Object} f - Fold from WalkForwardOptimizer.runFold()
+     * @returns {Object} Fold summary with a normalized out-of-sample equity curve
+     */
+    static walkForwardFold(f) {
+        return {
+            fold: f.fold,
+            training: f.training,
+            test: f.test,
+            selectedParameters: f.selectedParameters,
+            inSample: {
+                objectiveScore: f.inSample.objectiveScore,
+                btcGrowthPercent: f.inSample.metrics.totalReturnPercent,
+                tokenAccumulationPercent: f.inSample.metrics.tokenAccumulationPercent,
+                sharpeRatio: f.inSample.metrics.sharpeRatio,
+                totalTrades: f.inSample.metrics.totalTrades
+            },
+            outOfSample: {
+                btcGrowthPercent: f.outOfSample.metrics.totalReturnPercent,
+                tokenAccumulationPercent: f.outOfSample.metrics.tokenAccumulationPercent,
+                sharpeRatio: f.outOfSample.metrics.sharpeRatio,
+                maxDrawdown: f.outOfSample.metrics.maxDrawdown,
+                totalTrades: f.outOfSample.metrics.totalTrades,
+                totalFeesBTC: f.outOfSample.metrics.totalFeesBTC,
+                equityCurve: f.outOfSample.portfolioHistory.map(p => ({
+                    timestamp: p.timestamp,
+                    totalValueBTC: p.totalValueBTC / f.outOfSample.metrics.initialValueBTC
+                }))
+            }
+        };
+    }
+
+    /**
+     * Format a robustness analysis
+     * @param {Object} params - Parameters as sent by the client
+     * @param {Object} analysis - RobustnessAnalyzer.run() result
+     * @returns {Object} Response data ({ type: 'robustness', parameters, result })
+     */
+    static robustness(params, analysis) {
+        return {
+            type: 'robustness',
+            parameters: params,
+            result: {
+                config: analysis.config,
+                pointEstimate: analysis.pointEstimate,
+                intervals: analysis.intervals,
+                probabilityOfLoss: analysis.probabilityOfLoss,
+                samples: analysis.samples
+            }
+        };
+    }
+
+    /**
+     * Format a basket (cross-sectional) backtest
+     * @param {Object} params - Parameters as sent by the client
+     * @param {Object} results - BasketBacktestEngine.runBacktest() result
+     * @returns {Object} Response data ({ type: 'basket', parameters, result })
+     */
+    static basket(params, results) {
+        const { metrics } = results;
+
+        return {
+            type: 'basket',
+            parameters: params,
+            result: {
+                assets: Object.keys(results.portfolio),
+                performance: {
+                    btcGrowthPercent: metrics.totalReturnPercent,
+                    buyAndHoldReturnPercent: metrics.buyAndHoldReturnPercent,
+                    excessReturnPercent: metrics.excessReturnPercent,
+                    totalTrades: metrics.totalTrades,
+                    rebalances: metrics.rebalances,
+                    sharpeRatio: metrics.sharpeRatio,
+                    sortinoRatio: metrics.sortinoRatio,
+                    calmarRatio: metrics.calmarRatio,
+                    maxDrawdown: metrics.maxDrawdown,
+                    riskMetrics: metrics.riskMetrics,
+                    totalFeesBTC: metrics.totalFeesBTC,
+                    executionModel: metrics.executionModel,
+                    costBreakdown: metrics.costBreakdown,
+                    rejectedTrades: metrics.rejectedTrades,
+                    holdingsGrowthPercent: metrics.holdingsGrowthPercent
+                },
+                trades: results.trades.map(t => ({
+                    timestamp: t.timestamp,
+                    action: t.action,
+                    asset: t.asset,
+                    amount: t.amount,
+                    btcAmount: t.btcAmount,
+                    price: t.price,
+                    executionPrice: t.executionPrice,
+                    zScore: t.zScore,
+                    targetWeight: t.targetWeight,
+                    fees: t.fees,
+                    costs: t.costs,
+                    portfolioValueBefore: t.portfolioValueBefore,
+                    portfolioValueAfter: t.portfolioValueAfter
+                })),
+                portfolioHistory: results.portfolioHistory.map(p => ({
+                    timestamp: p.timestamp,
+                    totalValueBTC: p.totalValueBTC,
+                    holdings: p.holdings,
+                    weights: p.weights,
+                    zScores: p.zScores
+                })),
+                finalPortfolio: {
+                    totalValueBTC: results.portfolioHistory[results.portfolioHistory.length - 1].totalValueBTC,
+                    holdings: metrics.finalHoldings
+                }
+            }
+        };
+    }
+
+    /**
+     * Format a parameter search
+     * @param {Object} optimization - ParameterOptimizer.run() result
+     * @returns {Object} Response data ({ type: 'optimization', bestResult, results, ... })
+     */
+    static optimization(optimization) {
+        return {
+            type: 'optimization',
+            strategy: optimization.strategy,
+            objective: optimization.objective,
+            seed: optimization.seed,
+            bounds: optimization.bounds,
+            evaluations: optimization.evaluations,
+            stopReason: optimization.stopReason,
+            converged: optimization.converged,
+            bestResult: this.optimizationEvaluation(optimization.best),
+            results: optimization.history.map(h => this.optimizationEvaluation(h))
+        };
+    }
+
+    /**
+     * Format one optimizer evaluation (also streamed as a partial result by the job queue)
+     * @param {Object} evaluation - Entry of ParameterOptimizer history
+     * @returns {Object} Flat evaluation: iteration, parameters, score and metrics
+     */
+    static optimizationEvaluation(evaluation) {
+        return {
+            iteration: evaluation.iteration,
+            parameters: this.storedParameters(evaluation.parameters),
+            score: evaluation.score,
+            ...evaluation.metrics
+        };
+    }
+
+    /**
+     * Build the algorithm_parameters row for an optimization winner
+     * @param {Object} optimization - ParameterOptimizer.run() result
+     * @param {Object} request - Original request (name, description, backtestPeriod, pair)
+     * @param {number} dataPoints - Number of bars the search ran on
+     * @returns {Object} { parameters, performance, name, description } for saveAlgorithmParameters
+     */
+    static optimizationWinner(optimization, request, dataPoints) {
+        const best = optimization.best;
+
+        return {
+            parameters: this.storedParameters(best.parameters),
+            performance: {
+                ...best.metrics,
+                objective: optimization.objective,
+                objectiveScore: best.score,
+                strategy: optimization.strategy,
+                evaluations: optimization.evaluations,
+                seed: optimization.seed,
+                backtestPeriod: request.backtestPeriod,
+                pair: request.pair || DEFAULT_PAIR,
+                dataPoints
+            },
+            name: request.name || `Optimized (${optimization.strategy}, ${optimization.objective}) ${new Date().toISOString().split('T')[0]}`,
+            description: request.description || `${optimization.strategy} search over ${dataPoints} bars, ${optimization.evaluations} evaluations, seed ${optimization.seed}`
+        };
+    }
+
+    /**
+     * Convert engine parameters to the naming used by algorithm_parameters and the frontend
+     * (lookbackDays is kept as well because SimpleStrategy and the strategy plugins read it)
+     * @param {Object} params - Engine parameters
+     * @returns {Object} Stored parameters
+     */
+    static storedParameters(params) {
+        // Parameters declared by the strategy plugin (rsiPeriod, emaFastPeriod, ...)
+        const strategyParams = Object.fromEntries(
+            Object.keys(StrategyRegistry.get(params.signalStrategy).parameterSchema)
+                .filter(name => params[name] !== undefined)
+                .map(name => [name, params[name]])
+        );
+
+        return {
+            ...strategyParams,
+            signalStrategy: params.signalStrategy,
+            zScoreThreshold: params.zScoreThreshold,
+            rebalancePercent: params.rebalancePercent,
+            transactionCost: params.transactionCost,
+            lookbackWindow: params.lookbackDays,
+            lookbackDays: params.lookbackDays,
+            maxAllocationShift: params.maxAllocationShift,
+            executionModel: params.executionModel
+        };
+    }
+}
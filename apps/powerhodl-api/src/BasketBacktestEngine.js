@@ -0,0 +1,475 @@
+import { ZScoreCalculator } from '../../../packages/shared/src/ZScoreCalculator.js';
+import { PerformanceMetrics } from '../../../packages/shared/src/PerformanceMetrics.js';
+import { ExecutionModel } from './ExecutionModel.js';
+
+/**
+ * BasketBacktestEngine - Cross-sectional mean reversion across N assets
+ *
+ * SimpleBacktestEngine trades ONE ratio (ETH/BTC). This engine holds a basket
+ * (BTC, ETH, SOL, ...) and rotates out of whatever is rich against the rest of the
+ * basket into whatever is cheap, all measured in BTC.
+ *
+ * CRITICAL CONCEPTS:
+ * 1. BTC IS THE NUMERAIRE
+ *    - Every non-BTC asset needs an ASSET/BTC price series (market_snapshots with pair 'SOL/BTC', ...)
+ *    - BTC's own price is 1, so it takes part in the basket like any other asset
+ *    - Performance is BTC growth, same as the pair engine
+ *
+ * 2. CROSS-SECTIONAL Z-SCORE
+ *    - spread_i = ln(price_i) - mean over the basket of ln(price_j)  (distance from the basket's geometric mean)
+ *    - zScore_i = Z-score of spread_i over the last lookbackDays bars
+ *    - High Z = the asset outran the basket (rich), low Z = it lagged (cheap)
+ *
+ * 3. TARGET WEIGHTS
+ *    - Start from the base weights (equal unless params.baseWeights says otherwise)
+ *    - Assets with |Z| > zScoreThreshold are tilted: weight × (1 - weightAdjustmentFactor × Z)
+ *    - Clamped to [minWeight, maxWeight] and renormalized
+ *    - Each rebalance moves at most maxTurnover of the portfolio (fees!) and is skipped below rebalanceTolerance
+ *
+ * 4. EXECUTION
+ *    - Every leg goes through BTC: sells first, then buys paid from the BTC they raised
+ *    - Each leg is filled by the same ExecutionModel as the pair engine (flat / cex / dex)
+ *
+ * 5. ALIGNMENT
+ *    - Snapshots of different pairs are never stamped at exactly the same time
+ *    - A basket bar is emitted as soon as EVERY asset has a new price since the previous bar
+ *      (one bar per market-monitor run), using each asset's latest price
+ */
+export class BasketBacktestEngine {
+    static NUMERAIRE = 'BTC';
+
+    /**
+     * Map request parameters onto basket engine parameters
+     * @param {Object} params - Request parameters ({ assets, zScoreThreshold, ... })
+     * @returns {Object} Engine parameters
+     * @throws {Error} "Invalid ..." message for an unusable basket
+     */
+    static normalizeParameters(params = {}) {
+        const assets = [...new Set((params.assets || ['BTC', 'ETH']).map(asset => String(asset).trim().toUpperCase()))];
+
+        if (assets.length < 2) {
+            throw new Error('Invalid basket: at least 2 assets are required');
+        }
+
+        const baseWeights = this.resolveBaseWeights(assets, params.baseWeights);
+
+        const normalized = {
+            assets,
+            baseWeights,
+            zScoreThreshold: params.zScoreThreshold ?? 1.5,
+            lookbackDays: params.lookbackWindow || params.lookbackDays || 15,
+            weightAdjustmentFactor: params.weightAdjustmentFactor ?? 0.25,
+            minWeight: params.minWeight ?? 0.05,
+            maxWeight: params.maxWeight ?? 0.6,
+            maxTurnover: params.maxTurnover ?? 0.3,
+            rebalanceTolerance: params.rebalanceTolerance ?? 0.02,
+            transactionCost: params.transactionCost || 0.1,
+            executionModel: params.executionModel || 'flat'
+        };
+
+        if (normalized.minWeight * assets.length > 1 || normalized.maxWeight * assets.length < 1) {
+            throw new Error(`Invalid basket weights: minWeight ${normalized.minWeight} / maxWeight ${normalized.maxWeight} can not sum to 100% over ${assets.length} assets`);
+        }
+
+        if (!(normalized.maxTurnover > 0 && normalized.maxTurnover <= 1)) {
+            throw new Error(`Invalid parameter maxTurnover: ${normalized.maxTurnover} (expected 0 < maxTurnover <= 1)`);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Pairs whose history the basket needs (ASSET/BTC for every asset except BTC)
+     * @param {Array<string>} assets - Basket assets
+     * @returns {Array<string>} Pair symbols
+     */
+    static requiredPairs(assets) {
+        return assets.filter(asset => asset !== this.NUMERAIRE).map(asset => `${asset}/${this.NUMERAIRE}`);
+    }
+
+    /**
+     * Join per-asset series into basket bars
+     * @param {Object} seriesByAsset - { ETH: normalizedBars, SOL: normalizedBars } (ethBtcRatio = price in BTC)
+     * @param {Array<string>} assets - Basket assets (BTC may be omitted from seriesByAsset)
+     * @returns {Array<Object>} [{ timestamp, prices: { BTC: 1, ETH, SOL, ... } }]
+     */
+    static alignMarketData(seriesByAsset, assets) {
+        const priced = assets.filter(asset => asset !== this.NUMERAIRE);
+
+        for (const asset of priced) {
+            if (!seriesByAsset[asset]?.length) {
+                throw new Error(`No historical data available for ${asset}/${this.NUMERAIRE}`);
+            }
+        }
+
+        const points = priced
+            .flatMap(asset => seriesByAsset[asset].map(bar => ({ asset, time: new Date(bar.timestamp).getTime(), bar })))
+            .filter(point => !isNaN(point.time) && Number(point.bar.ethBtcRatio) > 0)
+            .sort((a, b) => a.time - b.time);
+
+        const latest = {};
+        const bars = [];
+        let fresh = new Set();
+
+        for (let i = 0; i < points.length; i++) {
+            latest[points[i].asset] = points[i].bar;
+            fresh.add(points[i].asset);
+
+            if (fresh.size < priced.length) {
+                continue;
+            }
+            fresh = new Set();
+
+            bars.push({
+                timestamp: new Date(points[i].time).toISOString(),
+                prices: {
+                    ...(assets.includes(this.NUMERAIRE) ? { [this.NUMERAIRE]: 1 } : {}),
+                    ...Object.fromEntries(priced.map(asset => [asset, Number(latest[asset].ethBtcRatio)]))
+                },
+                sources: Object.fromEntries(priced.map(asset => [asset, latest[asset]]))
+            });
+        }
+
+        return bars;
+    }
+
+    /**
+     * Run the basket backtest
+     * @param {Array<Object>} bars - From alignMarketData()
+     * @param {Object} params - From normalizeParameters()
+     * @returns {Object} { portfolio, portfolioHistory, trades, metrics }
+     */
+    static runBacktest(bars, params) {
+        const { assets, baseWeights, lookbackDays } = params;
+        console.log(`🧺 [BASKET BACKTEST] Starting with ${bars.length} bars, assets: ${assets.join(', ')}`);
+
+        if (bars.length <= lookbackDays) {
+            throw new Error(`Not enough data: ${bars.length} aligned bars for a ${lookbackDays} bar lookback`);
+        }
+
+        const executionModel = ExecutionModel.create(params.executionModel, { transactionCost: params.transactionCost });
+
+        // Start at the base weights, 1 BTC in total
+        const holdings = Object.fromEntries(assets.map(asset => [asset, baseWeights[asset] / bars[0].prices[asset]]));
+        const initialHoldings = { ...holdings };
+
+        const spreadHistory = Object.fromEntries(assets.map(asset => [asset, []]));
+        const portfolioHistory = [];
+        const trades = [];
+        let totalFeesBTC = 0;
+        let rejectedTrades = 0;
+        let rebalances = 0;
+
+        for (let i = 0; i < bars.length; i++) {
+            const bar = bars[i];
+            const spreads = this.basketSpreads(bar.prices, assets);
+            const zScores = {};
+
+            for (const asset of assets) {
+                spreadHistory[asset].push(spreads[asset]);
+                zScores[asset] = ZScoreCalculator.calculate(spreads[asset], spreadHistory[asset], lookbackDays);
+            }
+
+            const before = this.valuation(holdings, bar.prices);
+
+            if (i >= lookbackDays && assets.some(asset => Math.abs(zScores[asset]) > params.zScoreThreshold)) {
+                const target = this.capTurnover(before.weights, this.targetWeights(zScores, params), params.maxTurnover);
+                const turnover = assets.reduce((sum, asset) => sum + Math.abs(target[asset] - before.weights[asset]), 0) / 2;
+
+                if (turnover >= params.rebalanceTolerance) {
+                    const legs = this.rebalance(holdings, target, before, bar, executionModel);
+                    rejectedTrades += legs.rejected;
+
+                    if (legs.trades.length > 0) {
+                        rebalances++;
+                        const after = this.valuation(holdings, bar.prices);
+
+                        for (const trade of legs.trades) {
+                            totalFeesBTC += trade.fees;
+                            trades.push({
+                                ...trade,
+                                zScore: zScores[trade.asset],
+                                targetWeight: target[trade.asset],
+                                portfolioValueBefore: before.totalValueBTC,
+                                portfolioValueAfter: after.totalValueBTC
+                            });
+                        }
+
+                        console.log(`🔄 [BASKET] Bar ${i}: rebalanced ${(turnover * 100).toFixed(1)}% of the basket in ${legs.trades.length} legs`);
+                    }
+                }
+            }
+
+            const { totalValueBTC, valuesBTC, weights } = this.valuation(holdings, bar.prices);
+            portfolioHistory.push({
+                timestamp: bar.timestamp,
+                date: bar.timestamp.split('T')[0],
+                holdings: { ...holdings },
+                valuesBTC,
+                weights,
+                zScores,
+                prices: bar.prices,
+                totalValueBTC
+            });
+        }
+
+        return {
+            portfolio: holdings,
+            portfolioHistory,
+            trades,
+            metrics: this.calculateMetrics(portfolioHistory, trades, {
+                initialHoldings,
+                holdings,
+                bars,
+                totalFeesBTC,
+                rejectedTrades,
+                rebalances,
+                executionModel: executionModel.type
+            })
+        };
+    }
+
+    /**
+     * Each asset's log distance from the basket's geometric mean price
+     * @param {Object} prices - { ASSET: price in BTC }
+     * @param {Array<string>} assets - Basket assets
+     * @returns {Object} { ASSET: spread }
+     */
+    static basketSpreads(prices, assets) {
+        const logs = Object.fromEntries(assets.map(asset => [asset, Math.log(prices[asset])]));
+        const mean = assets.reduce((sum, asset) => sum + logs[asset], 0) / assets.length;
+        return Object.fromEntries(assets.map(asset => [asset, logs[asset] - mean]));
+    }
+
+    /**
+     * Target weights from the current Z-scores
+     * @param {Object} zScores - { ASSET: zScore }
+     * @param {Object} params - Engine parameters
+     * @returns {Object} { ASSET: weight } summing to 1
+     */
+    static targetWeights(zScores, { assets, baseWeights, zScoreThreshold, weightAdjustmentFactor, minWeight, maxWeight }) {
+        const tilted = Object.fromEntries(assets.map(asset => {
+            const z = Math.abs(zScores[asset]) > zScoreThreshold ? zScores[asset] : 0;
+            return [asset, baseWeights[asset] * Math.max(0, 1 - weightAdjustmentFactor * z)];
+        }));
+
+        return this.clampWeights(tilted, assets, minWeight, maxWeight);
+    }
+
+    /**
+     * Normalize weights to 1 while keeping every weight inside [min, max]
+     * @private
+     */
+    static clampWeights(weights, assets, min, max) {
+        let free = [...assets];
+        const result = {};
+        let remaining = 1;
+
+        // Pin assets that fall outside the bounds, then share what is left among the rest
+        while (free.length > 0) {
+            const total = free.reduce((sum, asset) => sum + weights[asset], 0);
+            const scaled = Object.fromEntries(free.map(asset => [
+                asset,
+                total > 0 ? weights[asset] / total * remaining : remaining / free.length
+            ]));
+            const pinned = free.filter(asset => scaled[asset] < min || scaled[asset] > max);
+
+            if (pinned.length === 0) {
+                Object.assign(result, scaled);
+                break;
+            }
+
+            for (const asset of pinned) {
+                result[asset] = scaled[asset] < min ? min : max;
+                remaining -= result[asset];
+            }
+            free = free.filter(asset => !pinned.includes(asset));
+        }
+
+        return result;
+    }
+
+    /**
+     * Move only part of the way to the target when the full move would exceed maxTurnover
+     * @private
+     */
+    static capTurnover(current, target, maxTurnover) {
+        const assets = Object.keys(target);
+        const turnover = assets.reduce((sum, asset) => sum + Math.abs(target[asset] - current[asset]), 0) / 2;
+        const step = turnover > maxTurnover ? maxTurnover / turnover : 1;
+
+        return Object.fromEntries(assets.map(asset => [asset, current[asset] + (target[asset] - current[asset]) * step]));
+    }
+
+    /**
+     * Trade the holdings toward the target weights through BTC (mutates holdings)
+     * @private
+     * @returns {Object} { trades, rejected }
+     */
+    static rebalance(holdings, target, before, bar, executionModel) {
+        const trades = [];
+        let rejected = 0;
+        const numeraire = this.NUMERAIRE;
+        let btcRaised = 0;
+
+        const deltas = Object.keys(target)
+            .filter(asset => asset !== numeraire)
+            .map(asset => ({ asset, valueBTC: (target[asset] - before.weights[asset]) * before.totalValueBTC }));
+
+        const fillLeg = (asset, side, valueBTC) => executionModel.fill({
+            side,
+            valueBTC,
+            ratio: bar.prices[asset],
+            bar: bar.sources?.[asset] || {},
+            timestamp: bar.timestamp
+        });
+
+        // Sells first: they fund the buys
+        for (const { asset, valueBTC } of deltas.filter(d => d.valueBTC < 0)) {
+            const fill = fillLeg(asset, 'SELL_ETH_BUY_BTC', -valueBTC);
+            if (!fill.filled) {
+                rejected++;
+                continue;
+            }
+
+            const amount = -valueBTC / bar.prices[asset];
+            holdings[asset] -= amount;
+            btcRaised += fill.netValueBTC;
+            trades.push(this.tradeRecord(bar, asset, 'SELL', -amount, fill.netValueBTC, -valueBTC, fill));
+        }
+
+        // BTC available for buys: what the sells raised plus BTC the basket is overweight
+        const buys = deltas.filter(d => d.valueBTC > 0);
+        const wanted = buys.reduce((sum, d) => sum + d.valueBTC, 0);
+        const btcHolding = holdings[numeraire] ?? 0;
+        const btcBudget = holdings[numeraire] !== undefined
+            ? Math.max(0, btcHolding + btcRaised - target[numeraire] * before.totalValueBTC)
+            : btcRaised;
+        const scale = wanted > 0 ? Math.min(1, btcBudget / wanted) : 0;
+
+        let btcSpent = 0;
+        for (const { asset, valueBTC } of buys) {
+            const spend = valueBTC * scale;
+            if (spend <= 0) {
+                continue;
+            }
+
+            const fill = fillLeg(asset, 'BUY_ETH_SELL_BTC', spend);
+            if (!fill.filled) {
+                rejected++;
+                continue;
+            }
+
+            const amount = fill.netValueBTC / bar.prices[asset];
+            holdings[asset] += amount;
+            btcSpent += spend;
+            trades.push(this.tradeRecord(bar, asset, 'BUY', amount, -spend, spend, fill));
+        }
+
+        // Proceeds not spent on buys stay as BTC (without BTC in the basket the buys use all of them)
+        if (holdings[numeraire] !== undefined) {
+            holdings[numeraire] += btcRaised - btcSpent;
+        }
+
+        return { trades, rejected };
+    }
+
+    /**
+     * @private
+     */
+    static tradeRecord(bar, asset, side, amount, btcAmount, tradeValueBTC, fill) {
+        return {
+            timestamp: bar.timestamp,
+            asset,
+            action: `${side}_${asset}`,
+            amount,
+            btcAmount,
+            fees: fill.totalCostBTC,
+            costs: fill.costs,
+            executionPrice: fill.effectiveRatio,
+            price: bar.prices[asset],
+            tradeValueBTC
+        };
+    }
+
+    /**
+     * Value of the holdings in BTC
+     * @param {Object} holdings - { ASSET: amount }
+     * @param {Object} prices - { ASSET: price in BTC }
+     * @returns {Object} { totalValueBTC, valuesBTC, weights }
+     */
+    static valuation(holdings, prices) {
+        const valuesBTC = Object.fromEntries(Object.keys(holdings).map(asset => [asset, holdings[asset] * prices[asset]]));
+        const totalValueBTC = Object.values(valuesBTC).reduce((sum, value) => sum + value, 0);
+        const weights = Object.fromEntries(Object.keys(valuesBTC).map(asset => [
+            asset,
+            totalValueBTC > 0 ? valuesBTC[asset] / totalValueBTC : 0
+        ]));
+
+        return { totalValueBTC, valuesBTC, weights };
+    }
+
+    /**
+     * Base weights: equal unless given; given weights are normalized
+     * @private
+     */
+    static resolveBaseWeights(assets, baseWeights) {
+        if (!baseWeights) {
+            return Object.fromEntries(assets.map(asset => [asset, 1 / assets.length]));
+        }
+
+        const raw = assets.map(asset => Number(baseWeights[asset] ?? 0));
+        const total = raw.reduce((sum, weight) => sum + weight, 0);
+
+        if (raw.some(weight => !(weight >= 0)) || !(total > 0)) {
+            throw new Error('Invalid basket baseWeights: expected non-negative weights per asset with a positive total');
+        }
+
+        return Object.fromEntries(assets.map((asset, i) => [asset, raw[i] / total]));
+    }
+
+    /**
+     * @private
+     */
+    static calculateMetrics(portfolioHistory, trades, context) {
+        const { initialHoldings, holdings, bars, totalFeesBTC, rejectedTrades, rebalances, executionModel } = context;
+        const lastPrices = bars[bars.length - 1].prices;
+
+        const initialValueBTC = 1.0;
+        const finalValueBTC = this.valuation(holdings, lastPrices).totalValueBTC;
+        const totalReturnPercent = (finalValueBTC - initialValueBTC) / initialValueBTC * 100;
+
+        // Buy and hold of the starting basket, never rebalanced
+        const holdValueBTC = this.valuation(initialHoldings, lastPrices).totalValueBTC;
+        const buyAndHoldReturnPercent = (holdValueBTC - initialValueBTC) / initialValueBTC * 100;
+
+        const riskMetrics = PerformanceMetrics.compute(portfolioHistory);
+
+        const holdingsGrowthPercent = Object.fromEntries(Object.keys(holdings).map(asset => [
+            asset,
+            initialHoldings[asset] > 0 ? (holdings[asset] - initialHoldings[asset]) / initialHoldings[asset] * 100 : 0
+        ]));
+
+        console.log(`✅ [BASKET BACKTEST] Complete: ${totalReturnPercent.toFixed(2)}% BTC return vs ${buyAndHoldReturnPercent.toFixed(2)}% buy and hold, ${rebalances} rebalances, ${trades.length} legs`);
+
+        return {
+            totalReturnPercent,
+            buyAndHoldReturnPercent,
+            excessReturnPercent: totalReturnPercent - buyAndHoldReturnPercent,
+            maxDrawdown: riskMetrics.maxDrawdownPercent,
+            sharpeRatio: riskMetrics.sharpeRatio,
+            sortinoRatio: riskMetrics.sortinoRatio,
+            calmarRatio: riskMetrics.calmarRatio,
+            riskMetrics,
+            totalTrades: trades.length,
+            rebalances,
+            totalFeesBTC,
+            executionModel,
+            costBreakdown: ExecutionModel.summarizeCosts(trades),
+            rejectedTrades,
+            initialHoldings,
+            finalHoldings: { ...holdings },
+            holdingsGrowthPercent
+        };
+    }
+}
@@ -0,0 +1,215 @@
+import { ExecutionModel } from './ExecutionModel.js';
+import { PerformanceMetrics } from '../../../packages/shared/src/PerformanceMetrics.js';
+
+/**
+ * BenchmarkSuite - Passive portfolios every backtest is measured against
+ *
+ * SimpleBacktestEngine.runBacktest runs these over the same bars, from the same starting
+ * value, so a strategy's return can be read against what it would have made without trading.
+ *
+ * CRITICAL CONCEPTS:
+ * 1. THE BENCHMARKS (valued in the quote asset, like the strategy)
+ *    - hold-50-50: half the starting value in each asset, never traded
+ *    - hold-btc: everything in the quote asset - a flat line, the "sit still" baseline
+ *    - hold-eth: everything in the base asset
+ *    - rebalance-weekly / rebalance-monthly: 50/50, traded back to 50/50 on the first bar of
+ *      each UTC week (from Monday) / month
+ *    - Each starts at its allocation on the strategy's start bar for free; rebalances pay the
+ *      backtest's execution model like the strategy's trades do
+ *
+ * 2. COMPARISON (per bar of the strategy's portfolioHistory, the starting value first)
+ *    - excessReturnPercent: strategy total return - benchmark total return (percentage points)
+ *    - trackingErrorPercent: annualized standard deviation of the per-bar return differences
+ *    - informationRatio: annualized mean return difference / tracking error (0 when both move alike)
+ *    - Annualized with the bars per year of the data (PerformanceMetrics.barsPerYear)
+ */
+export class BenchmarkSuite {
+    static BENCHMARKS = [
+        { id: 'hold-50-50', name: '50/50 buy and hold', ethWeight: 0.5, rebalance: null },
+        { id: 'hold-btc', name: '100% BTC', ethWeight: 0, rebalance: null },
+        { id: 'hold-eth', name: '100% ETH', ethWeight: 1, rebalance: null },
+        { id: 'rebalance-weekly', name: '50/50 rebalanced weekly', ethWeight: 0.5, rebalance: 'weekly' },
+        { id: 'rebalance-monthly', name: '50/50 rebalanced monthly', ethWeight: 0.5, rebalance: 'monthly' }
+    ];
+
+    static MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+    /**
+     * Run every benchmark over a backtest's bars and compare the strategy with it
+     * @param {Array<Object>} marketData - Bars the backtest ran on, oldest first
+     * @param {Object} run - The backtest:
+     *   startIndex - Bar the strategy's starting portfolio was valued at
+     *   initialValueBTC - Starting value
+     *   portfolioHistory - Strategy's portfolioHistory (one entry per bar up to the last)
+     *   params - Engine parameters (execution model of the rebalances)
+     * @returns {Object} { barsPerYear, benchmarks: [{ id, name, rebalance, finalValueBTC, totalReturnPercent,
+     *                   rebalances, totalFeesBTC, excessReturnPercent, trackingErrorPercent, informationRatio,
+     *                   values (aligned with portfolioHistory) }] }
+     */
+    static compare(marketData, { startIndex, initialValueBTC, portfolioHistory, params }) {
+        const barsPerYear = PerformanceMetrics.barsPerYear(marketData);
+        const strategyValues = [initialValueBTC, ...portfolioHistory.map(p => p.totalValueBTC)];
+        const strategyReturn = this.totalReturnPercent(strategyValues);
+        const firstHistoryIndex = marketData.length - portfolioHistory.length;
+
+        const benchmarks = this.BENCHMARKS.map(benchmark => {
+            const run = this.simulate(benchmark, marketData, startIndex, initialValueBTC, params);
+            const values = run.values.slice(firstHistoryIndex - startIndex);
+            const totalReturnPercent = this.totalReturnPercent([initialValueBTC, ...values]);
+
+            return {
+                id: benchmark.id,
+                name: benchmark.name,
+                rebalance: benchmark.rebalance,
+                finalValueBTC: values.length > 0 ? values[values.length - 1] : initialValueBTC,
+                totalReturnPercent,
+                rebalances: run.rebalances,
+                totalFeesBTC: run.totalFeesBTC,
+                excessReturnPercent: strategyReturn - totalReturnPercent,
+                ...this.activeRisk(strategyValues, [initialValueBTC, ...values], barsPerYear),
+                values
+            };
+        });
+
+        return { barsPerYear, benchmarks };
+    }
+
+    /**
+     * Value of one benchmark on every bar from the start bar
+     * @param {Object} benchmark - Entry of BENCHMARKS
+     * @param {Array<Object>} marketData - Bars, oldest first
+     * @param {number} startIndex - Start bar
+     * @param {number} initialValueBTC - Starting value
+     * @param {Object} params - Engine parameters (executionModel, transactionCost)
+     * @returns {Object} { values (from the start bar), rebalances, totalFeesBTC }
+     * @private
+     */
+    static simulate(benchmark, marketData, startIndex, initialValueBTC, params) {
+        const initialRatio = Number(marketData[startIndex].ethBtcRatio);
+        const holdings = {
+            ethAmount: initialValueBTC * benchmark.ethWeight / initialRatio,
+            btcAmount: initialValueBTC * (1 - benchmark.ethWeight)
+        };
+        const executionModel = benchmark.rebalance
+            ? ExecutionModel.create(params.executionModel, { transactionCost: params.transactionCost })
+            : null;
+
+        const values = [];
+        let rebalances = 0;
+        let totalFeesBTC = 0;
+        let period = this.periodKey(marketData[startIndex].timestamp, benchmark.rebalance);
+
+        for (let i = startIndex; i < marketData.length; i++) {
+            const bar = marketData[i];
+            const ratio = Number(bar.ethBtcRatio);
+
+            const barPeriod = this.periodKey(bar.timestamp, benchmark.rebalance);
+            if (executionModel && barPeriod !== period) {
+                const fill = this.rebalance(holdings, ratio, benchmark.ethWeight, bar, executionModel);
+                if (fill?.filled) {
+                    rebalances++;
+                    totalFeesBTC += fill.totalCostBTC;
+                }
+            }
+            period = barPeriod;
+
+            values.push(holdings.btcAmount + holdings.ethAmount * ratio);
+        }
+
+        return { values, rebalances, totalFeesBTC };
+    }
+
+    /**
+     * Trade holdings back to their target ETH weight (same balance arithmetic as runBacktest)
+     * @param {Object} holdings - { ethAmount, btcAmount }, updated in place
+     * @param {number} ratio - Current ratio
+     * @param {number} ethWeight - Target ETH share of the value
+     * @param {Object} bar - Current bar
+     * @param {Object} executionModel - ExecutionModel instance
+     * @returns {Object|null} Fill, or null when already on target
+     * @private
+     */
+    static rebalance(holdings, ratio, ethWeight, bar, executionModel) {
+        const ethValueBTC = holdings.ethAmount * ratio;
+        const excessEthBTC = ethValueBTC - (holdings.btcAmount + ethValueBTC) * ethWeight;
+        if (Math.abs(excessEthBTC) < 1e-12) {
+            return null;
+        }
+
+        const sellingEth = excessEthBTC > 0;
+        const valueBTC = Math.abs(excessEthBTC);
+        const fill = executionModel.fill({
+            side: sellingEth ? 'SELL_ETH_BUY_BTC' : 'BUY_ETH_SELL_BTC',
+            valueBTC,
+            ratio,
+            bar,
+            timestamp: bar.timestamp
+        });
+
+        if (fill.filled) {
+            if (sellingEth) {
+                holdings.ethAmount -= valueBTC / ratio;
+                holdings.btcAmount += fill.netValueBTC;
+            } else {
+                holdings.btcAmount -= valueBTC;
+                holdings.ethAmount += fill.netValueBTC / ratio;
+            }
+        }
+
+        return fill;
+    }
+
+    /**
+     * Calendar period a bar belongs to
+     * @param {string} timestamp - ISO timestamp of the bar
+     * @param {string|null} rebalance - 'weekly' | 'monthly' | null
+     * @returns {number|null} Period number (changes on the first bar of a new period)
+     */
+    static periodKey(timestamp, rebalance) {
+        if (!rebalance) {
+            return null;
+        }
+
+        const date = new Date(timestamp);
+        if (rebalance === 'monthly') {
+            return date.getUTCFullYear() * 12 + date.getUTCMonth();
+        }
+        // 1970-01-01 was a Thursday: shifting by 3 days makes weeks start on Monday
+        return Math.floor((Math.floor(date.getTime() / this.MS_PER_DAY) + 3) / 7);
+    }
+
+    /**
+     * @param {Array<number>} values - Values, starting value first
+     * @returns {number} Total return in percent
+     * @private
+     */
+    static totalReturnPercent(values) {
+        return ((values[values.length - 1] - values[0]) / values[0]) * 100;
+    }
+
+    /**
+     * Tracking error and information ratio of a strategy against a benchmark
+     * @param {Array<number>} strategyValues - Strategy values, starting value first
+     * @param {Array<number>} benchmarkValues - Benchmark values on the same bars
+     * @param {number} barsPerYear - Annualization factor
+     * @returns {Object} { trackingErrorPercent, informationRatio }
+     * @private
+     */
+    static activeRisk(strategyValues, benchmarkValues, barsPerYear) {
+        const active = [];
+        for (let i = 1; i < strategyValues.length; i++) {
+            active.push(strategyValues[i] / strategyValues[i - 1] - benchmarkValues[i] / benchmarkValues[i - 1]);
+        }
+        if (active.length < 2) {
+            return { trackingErrorPercent: 0, informationRatio: 0 };
+        }
+
+        const mean = active.reduce((sum, r) => sum + r, 0) / active.length;
+        const stdDev = Math.sqrt(active.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / active.length);
+
+        return {
+            trackingErrorPercent: stdDev * Math.sqrt(barsPerYear) * 100,
+            informationRatio: stdDev > 1e-12 ? (mean / stdDev) * Math.sqrt(barsPerYear) : 0
+        };
+    }
+}
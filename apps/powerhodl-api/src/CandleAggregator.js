@@ -0,0 +1,98 @@
+import { Timeframe } from '../../../packages/shared/src/Timeframe.js';
+
+/**
+ * CandleAggregator - Builds OHLCV candles from market snapshots
+ *
+ * Pure: snapshots in, candles out. CandleService reads and writes the database.
+ *
+ * CRITICAL CONCEPTS:
+ * 1. BUCKETS
+ *    - A candle covers [open_time, open_time + timeframe) in UTC
+ *    - OHLC of the pair ratio; USD prices are the last snapshot's in the bucket
+ *    - Buckets without snapshots produce no candle (gaps stay visible, nothing is invented)
+ *
+ * 2. VOLUME
+ *    - Snapshots carry a rolling 24h volume, not a per-bar volume
+ *    - The candle keeps the last rolling 24h volume; summing them would count the same trades many times
+ *
+ * 3. PARTIAL CANDLES
+ *    - The newest candle is still filling up; it is rewritten on every refresh (upsert on pair/timeframe/open_time)
+ *
+ * 4. BAR TIMESTAMPS
+ *    - A candle's close is only known at close_time, so bars (toMarketData) are stamped with close_time
+ *    - Stamping them with open_time would let startAt, cash flow dates, walk-forward folds and
+ *      trade times see a price up to one timeframe early (a full day on 1d)
+ *    - open_time stays on the bar as openTime
+ */
+export class CandleAggregator {
+    /**
+     * Aggregate snapshots into candles
+     * @param {Array<Object>} snapshots - market_snapshots rows (any order)
+     * @param {string} timeframe - '5m' | '1h' | '4h' | '1d'
+     * @param {string} pair - Pair of the snapshots
+     * @returns {Array<Object>} candles rows, oldest first
+     */
+    static aggregate(snapshots, timeframe, pair) {
+        const ms = Timeframe.ms(timeframe);
+        const buckets = new Map();
+
+        const points = snapshots
+            .map(row => ({ row, time: new Date(row.collected_at || row.timestamp).getTime(), ratio: parseFloat(row.eth_btc_ratio) }))
+            .filter(point => !isNaN(point.time) && point.ratio > 0)
+            .sort((a, b) => a.time - b.time);
+
+        for (const { row, time, ratio } of points) {
+            const openTime = Timeframe.bucketStart(time, timeframe);
+            const candle = buckets.get(openTime);
+
+            if (!candle) {
+                buckets.set(openTime, {
+                    pair,
+                    timeframe,
+                    open_time: new Date(openTime).toISOString(),
+                    close_time: new Date(openTime + ms).toISOString(),
+                    open: ratio,
+                    high: ratio,
+                    low: ratio,
+                    close: ratio,
+                    base_price_usd: parseFloat(row.eth_price_usd || 0),
+                    quote_price_usd: parseFloat(row.btc_price_usd || 0),
+                    volume_24h: parseFloat(row.eth_btc_volume_24h || row.eth_volume_24h || 0),
+                    snapshot_count: 1
+                });
+                continue;
+            }
+
+            candle.high = Math.max(candle.high, ratio);
+            candle.low = Math.min(candle.low, ratio);
+            candle.close = ratio;
+            candle.base_price_usd = parseFloat(row.eth_price_usd || 0);
+            candle.quote_price_usd = parseFloat(row.btc_price_usd || 0);
+            candle.volume_24h = parseFloat(row.eth_btc_volume_24h || row.eth_volume_24h || 0);
+            candle.snapshot_count++;
+        }
+
+        return [...buckets.values()];
+    }
+
+    /**
+     * Convert candles rows into the normalized bars the engines expect
+     * (same shape as SimpleBacktestEngine.normalizeMarketData, plus openTime/open/high/low)
+     * @param {Array<Object>} candles - candles rows (numbers may be strings from Postgres)
+     * @returns {Array<Object>} Normalized bars stamped with their close time, in input order
+     */
+    static toMarketData(candles) {
+        return candles.map(candle => ({
+            timestamp: new Date(candle.close_time).toISOString(),
+            openTime: new Date(candle.open_time).toISOString(),
+            ethBtcRatio: parseFloat(candle.close),
+            open: parseFloat(candle.open),
+            high: parseFloat(candle.high),
+            low: parseFloat(candle.low),
+            volume: parseFloat(candle.volume_24h || 0),
+            ethPrice: parseFloat(candle.base_price_usd || 0),
+            btcPrice: parseFloat(candle.quote_price_usd || 0),
+            spreadPercent: undefined
+        }));
+    }
+}
@@ -0,0 +1,173 @@
+import { BenchmarkSuite } from './BenchmarkSuite.js';
+
+/**
+ * CashFlowSchedule - Starting balances, deposits and withdrawals of a backtest
+ *
+ * By default a backtest starts with 0.5 BTC + 0.5 BTC worth of ETH and never adds or takes out
+ * money. A treasury does both: this resolves the request's starting balances and its schedule of
+ * deposits (DCA) and withdrawals, and tells SimpleBacktestEngine which of them fall on a bar.
+ *
+ * CRITICAL CONCEPTS:
+ * 1. THE SCHEDULE (request.cashFlows, in the pair's own assets: BTC = quote, ETH = base)
+ *    - { type: 'deposit' | 'withdrawal', asset: 'BTC' | 'ETH', amount, at } happens once, on the
+ *      first bar at or after `at` (flows dated before the first trading bar land on it)
+ *    - { ..., every: 'weekly' | 'monthly', from, to } repeats on the first bar of every UTC week
+ *      (from Monday) / month after the first trading bar, between from and to (both optional)
+ *
+ * 2. APPLIED BEFORE THE BAR TRADES
+ *    - The strategy sees the new balances on the bar the money arrives
+ *    - A withdrawal never takes more than is held of its asset; the record keeps what was requested
+ *    - Each applied flow is valued in BTC at the bar's ratio (cashFlowBTC of portfolioHistory)
+ *
+ * 3. RETURNS STAY HONEST (see PerformanceMetrics)
+ *    - Deposits are not gains: totalReturnPercent becomes the time-weighted return
+ *    - moneyWeightedReturnPercent also weighs how much money was in when the strategy did well or badly
+ */
+export class CashFlowSchedule {
+    static TYPES = ['deposit', 'withdrawal'];
+    static ASSETS = ['BTC', 'ETH'];
+    static FREQUENCIES = ['weekly', 'monthly'];
+    static MAX_CASH_FLOWS = 100;
+
+    /**
+     * Validate and normalize the starting balances and cash flows of a backtest request
+     * @param {Object} request - Request body ({ initialPortfolio, cashFlows }, both optional)
+     * @returns {Object} { initialPortfolio: { btcAmount, ethAmount } | null (engine default), cashFlows: [...] }
+     * @throws {Error} "Invalid ..." message for a malformed request
+     */
+    static resolveOptions(request = {}) {
+        return {
+            initialPortfolio: this.resolveInitialPortfolio(request.initialPortfolio),
+            cashFlows: this.resolveCashFlows(request.cashFlows)
+        };
+    }
+
+    /**
+     * @param {Object} initialPortfolio - { btcAmount, ethAmount }
+     * @returns {Object|null} Balances, or null for the default start
+     * @private
+     */
+    static resolveInitialPortfolio(initialPortfolio) {
+        if (initialPortfolio === undefined || initialPortfolio === null) {
+            return null;
+        }
+
+        const btcAmount = Number(initialPortfolio.btcAmount ?? 0);
+        const ethAmount = Number(initialPortfolio.ethAmount ?? 0);
+        if (!(btcAmount >= 0) || !(ethAmount >= 0) || !Number.isFinite(btcAmount + ethAmount)) {
+            throw new Error('Invalid initialPortfolio: btcAmount and ethAmount must be numbers of at least 0');
+        }
+        if (btcAmount + ethAmount === 0) {
+            throw new Error('Invalid initialPortfolio: start with some BTC or ETH');
+        }
+
+        return { btcAmount, ethAmount };
+    }
+
+    /**
+     * @param {Array<Object>} cashFlows - Schedule entries
+     * @returns {Array<Object>} [{ type, asset, amount, at, every, from, to }] (times in epoch ms)
+     * @private
+     */
+    static resolveCashFlows(cashFlows) {
+        if (cashFlows === undefined || cashFlows === null) {
+            return [];
+        }
+        if (!Array.isArray(cashFlows) || cashFlows.length > this.MAX_CASH_FLOWS) {
+            throw new Error(`Invalid cashFlows: expected a list of at most ${this.MAX_CASH_FLOWS} entries`);
+        }
+
+        return cashFlows.map((flow, i) => {
+            const label = `Invalid cash flow ${i + 1}`;
+            const type = flow?.type || 'deposit';
+            const asset = String(flow?.asset || 'BTC').toUpperCase();
+            const amount = Number(flow?.amount);
+            const time = (name) => {
+                if (flow[name] === undefined || flow[name] === null) {
+                    return null;
+                }
+                const value = new Date(flow[name]).getTime();
+                if (isNaN(value)) {
+                    throw new Error(`${label}: ${name} must be an ISO timestamp`);
+                }
+                return value;
+            };
+
+            if (!this.TYPES.includes(type)) {
+                throw new Error(`${label}: type must be one of ${this.TYPES.join(', ')}`);
+            }
+            if (!this.ASSETS.includes(asset)) {
+                throw new Error(`${label}: asset must be one of ${this.ASSETS.join(', ')}`);
+            }
+            if (!(amount > 0) || !Number.isFinite(amount)) {
+                throw new Error(`${label}: amount must be a positive number`);
+            }
+            if (flow.every !== undefined && !this.FREQUENCIES.includes(flow.every)) {
+                throw new Error(`${label}: every must be one of ${this.FREQUENCIES.join(', ')}`);
+            }
+
+            const resolved = { type, asset, amount, at: time('at'), every: flow.every || null, from: time('from'), to: time('to') };
+            if (!resolved.every && resolved.at === null) {
+                throw new Error(`${label}: give either at (once) or every (recurring)`);
+            }
+            if (resolved.from !== null && resolved.to !== null && resolved.from > resolved.to) {
+                throw new Error(`${label}: from must be before to`);
+            }
+            return resolved;
+        });
+    }
+
+    /**
+     * Cash flows that fall on a bar
+     * @param {Array<Object>} cashFlows - From resolveOptions()
+     * @param {Array<Object>} marketData - Bars, oldest first
+     * @param {number} index - The bar
+     * @param {number} firstIndex - First trading bar (receives every one-off flow dated before it)
+     * @returns {Array<Object>} Schedule entries due on the bar, in schedule order
+     */
+    static due(cashFlows, marketData, index, firstIndex) {
+        if (cashFlows.length === 0) {
+            return [];
+        }
+
+        const time = new Date(marketData[index].timestamp).getTime();
+        const previousTime = index > firstIndex ? new Date(marketData[index - 1].timestamp).getTime() : -Infinity;
+
+        return cashFlows.filter(flow => {
+            if (!flow.every) {
+                return flow.at <= time && flow.at > previousTime;
+            }
+
+            const newPeriod = index > firstIndex
+                && BenchmarkSuite.periodKey(marketData[index].timestamp, flow.every)
+                    !== BenchmarkSuite.periodKey(marketData[index - 1].timestamp, flow.every);
+            return newPeriod && (flow.from === null || time >= flow.from) && (flow.to === null || time <= flow.to);
+        });
+    }
+
+    /**
+     * Add a deposit to / take a withdrawal from the holdings
+     * @param {Object} portfolio - { ethAmount, btcAmount }, updated in place
+     * @param {Object} flow - Schedule entry
+     * @param {number} ratio - The bar's ratio
+     * @param {string} timestamp - The bar's timestamp
+     * @returns {Object} { timestamp, type, asset, requestedAmount, amount, ratio, valueBTC (+ in, - out) }
+     */
+    static apply(portfolio, flow, ratio, timestamp) {
+        const key = flow.asset === 'ETH' ? 'ethAmount' : 'btcAmount';
+        const amount = flow.type === 'withdrawal' ? Math.min(flow.amount, Math.max(0, portfolio[key])) : flow.amount;
+        const signed = flow.type === 'withdrawal' ? -amount : amount;
+
+        portfolio[key] += signed;
+
+        return {
+            timestamp,
+            type: flow.type,
+            asset: flow.asset,
+            requestedAmount: flow.amount,
+            amount,
+            ratio,
+            valueBTC: flow.asset === 'ETH' ? signed * ratio : signed
+        };
+    }
+}
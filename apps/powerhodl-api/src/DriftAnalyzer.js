@@ -0,0 +1,335 @@
+import { SimpleBacktestEngine } from './SimpleBacktestEngine.js';
+
+/**
+ * DriftAnalyzer - Live trading vs. the backtest of the same parameters
+ *
+ * SimpleStrategy loads the active parameters so that live trading uses the same parameters
+ * that were tested. This analyzer checks that it also trades like they were tested: it re-runs
+ * SimpleBacktestEngine over the exact period a parameter set was live, on the real snapshots,
+ * and compares the expected trades with the trades and trading_signals rows of that period.
+ *
+ * CRITICAL CONCEPTS:
+ * 1. SAME START AS LIVE
+ *    - The backtest starts from the live balances at the start of the period (the first trade's
+ *      balances before it, else the portfolio's current balances) and the last live trade's side
+ *    - Snapshots before the period only warm the strategy up, as they did for the live signals
+ *
+ * 2. MATCHING BY BAR
+ *    - An expected trade on a bar matches a live trade of the same side whose signal was created
+ *      within one bar interval after it (matchWindowMinutes overrides the interval)
+ *    - Expected trades without a live trade are MISSED SIGNALS, with the reason read from the
+ *      live signals of that bar: no_signal, different_signal, gated (signal-change / cooldown rules)
+ *      or not_executed (the order failed or was blocked)
+ *    - Live trades without an expected trade are EXTRA TRADES
+ *
+ * 3. SLIPPAGE VS. MODELLED FEE
+ *    - A live trade's real cost is what it paid beyond the signal's mid ratio, from its balances
+ *      before and after (fees, spread and slippage together), as a percentage of its notional
+ *    - The modelled cost is what the execution model charged the matching backtest trade
+ *
+ * 4. CUMULATIVE PERFORMANCE GAP
+ *    - Both runs are valued on every bar of the period from their holdings at that time
+ *    - gapPercent = live return - backtest return, in percentage points
+ */
+export class DriftAnalyzer {
+    static DEFAULTS = {
+        matchWindowMinutes: null, // null = median interval between the period's bars
+        maxPoints: 200            // Points of the performance series in the report
+    };
+
+    // Backtest trade action → live trade_type / signal action
+    static LIVE_ACTIONS = {
+        BUY_ETH_SELL_BTC: 'BUY_ETH',
+        SELL_ETH_BUY_BTC: 'SELL_ETH'
+    };
+
+    /**
+     * Compare a live period with its backtest
+     * @param {Object} input
+     * @param {Array<Object>} input.bars - Normalized bars, oldest first, warm-up bars included
+     * @param {Object} input.params - Engine parameters (SimpleBacktestEngine.normalizeParameters)
+     * @param {Object} input.period - { from, to } ISO timestamps (to = null: until the last bar)
+     * @param {Object} input.portfolio - portfolios row (current balances)
+     * @param {Array<Object>} input.trades - Every trades row of the portfolio, oldest first
+     * @param {Array<Object>} input.signals - trading_signals rows of the portfolio in the period
+     * @param {Object} options - { matchWindowMinutes, maxPoints }
+     * @returns {Object} { period, summary, matched, missed, extra, performance }
+     */
+    static analyze({ bars, params, period, portfolio, trades, signals }, options = {}) {
+        const config = { ...this.DEFAULTS, ...options };
+        const from = new Date(period.from).getTime();
+        const to = period.to ? new Date(period.to).getTime() : Infinity;
+        const periodBars = bars.filter(bar => this.time(bar.timestamp) >= from && this.time(bar.timestamp) <= to);
+
+        if (periodBars.length === 0) {
+            throw new Error(`No market data between ${period.from} and ${period.to || 'now'}`);
+        }
+
+        const start = this.startingState(trades, portfolio, period.from);
+        const liveTrades = trades
+            .filter(trade => this.time(trade.executed_at) >= from && this.time(trade.executed_at) <= to)
+            .map(trade => this.liveTrade(trade));
+
+        console.log(`🔍 [DRIFT] ${periodBars.length} bars, ${liveTrades.length} live trades, ${signals.length} signals since ${period.from}`);
+
+        const backtest = SimpleBacktestEngine.runBacktest(bars.filter(bar => this.time(bar.timestamp) <= to), params, {
+            startAt: periodBars[0].timestamp,
+            initialPortfolio: start.holdings,
+            lastSignal: start.lastSignal
+        });
+        const expectedTrades = backtest.trades.map(trade => this.expectedTrade(trade));
+
+        const windowMs = (config.matchWindowMinutes ?? this.medianIntervalMinutes(periodBars)) * 60 * 1000;
+        const signalTimes = new Map(signals.map(signal => [signal.id, this.time(signal.created_at)]));
+        liveTrades.forEach(trade => {
+            trade.signalTime = signalTimes.get(trade.signalId) ?? this.time(trade.executedAt);
+        });
+
+        // Greedy, in time order: each expected trade takes the first unmatched live trade of its bar
+        const matched = [];
+        const missed = [];
+        const used = new Set();
+        for (const expected of expectedTrades) {
+            const barTime = this.time(expected.timestamp);
+            const live = liveTrades.find(trade => !used.has(trade) && trade.action === expected.action
+                && trade.signalTime >= barTime && trade.signalTime < barTime + windowMs);
+
+            if (live) {
+                used.add(live);
+                matched.push({
+                    timestamp: expected.timestamp,
+                    action: expected.action,
+                    expected: { tradeValueBTC: expected.tradeValueBTC, costPercent: expected.costPercent },
+                    live: this.publicTrade(live),
+                    sizeDiffPercent: (live.tradeValueBTC / expected.tradeValueBTC - 1) * 100,
+                    delayMinutes: (this.time(live.executedAt) - barTime) / 60000,
+                    excessCostPercent: live.costPercent - expected.costPercent
+                });
+            } else {
+                missed.push({
+                    timestamp: expected.timestamp,
+                    action: expected.action,
+                    tradeValueBTC: expected.tradeValueBTC,
+                    ...this.missReason(expected.action, signals.filter(signal =>
+                        this.time(signal.created_at) >= barTime && this.time(signal.created_at) < barTime + windowMs))
+                });
+            }
+        }
+
+        const extra = liveTrades.filter(trade => !used.has(trade)).map(trade => this.publicTrade(trade));
+        const performance = this.performanceSeries(periodBars, start.holdings, liveTrades, expectedTrades);
+        const last = performance.at(-1);
+
+        const average = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        const summary = {
+            bars: periodBars.length,
+            signals: signals.length,
+            tradeSignals: signals.filter(signal => signal.should_trade).length,
+            expectedTrades: expectedTrades.length,
+            liveTrades: liveTrades.length,
+            matchedTrades: matched.length,
+            missedSignals: missed.length,
+            extraTrades: extra.length,
+            modelledCostPercent: average(matched.map(match => match.expected.costPercent)),
+            realizedCostPercent: average(matched.map(match => match.live.costPercent)),
+            excessCostBTC: matched.reduce((sum, match) => sum + match.excessCostPercent / 100 * match.live.tradeValueBTC, 0),
+            liveReturnPercent: last.liveReturnPercent,
+            backtestReturnPercent: last.backtestReturnPercent,
+            performanceGapPercent: last.gapPercent
+        };
+
+        return {
+            period: {
+                from: periodBars[0].timestamp,
+                to: periodBars.at(-1).timestamp,
+                matchWindowMinutes: windowMs / 60000
+            },
+            startingBalances: start.holdings,
+            summary,
+            matched,
+            missed,
+            extra,
+            performance: this.downsample(performance, config.maxPoints)
+        };
+    }
+
+    /**
+     * Live balances at the start of the period and the side of the last trade before it
+     * @param {Array<Object>} trades - Every trades row of the portfolio, oldest first
+     * @param {Object} portfolio - portfolios row (current balances)
+     * @param {string} from - ISO timestamp
+     * @returns {Object} { holdings: { ethAmount, btcAmount }, lastSignal }
+     */
+    static startingState(trades, portfolio, from) {
+        const start = this.time(from);
+        const firstTrade = trades.find(trade => this.time(trade.executed_at) >= start);
+        const lastTrade = trades.filter(trade => this.time(trade.executed_at) < start).at(-1);
+        const backtestActions = Object.fromEntries(Object.entries(this.LIVE_ACTIONS).map(([backtest, live]) => [live, backtest]));
+
+        return {
+            holdings: firstTrade
+                ? { ethAmount: parseFloat(firstTrade.eth_amount_before), btcAmount: parseFloat(firstTrade.btc_amount_before) }
+                : { ethAmount: parseFloat(portfolio.eth_amount), btcAmount: parseFloat(portfolio.btc_amount) },
+            lastSignal: lastTrade ? backtestActions[lastTrade.trade_type] || null : null
+        };
+    }
+
+    /**
+     * Live trade in comparable terms: signed balance changes, notional and real cost
+     * @param {Object} trade - trades row
+     * @returns {Object} Live trade
+     * @private
+     */
+    static liveTrade(trade) {
+        const ethDelta = parseFloat(trade.eth_amount_after) - parseFloat(trade.eth_amount_before);
+        const btcDelta = parseFloat(trade.btc_amount_after) - parseFloat(trade.btc_amount_before);
+        const midRatio = parseFloat(trade.eth_btc_ratio) || parseFloat(trade.exchange_rate);
+        const buying = ethDelta > 0;
+
+        // Notional at the signal's mid ratio, and what the fill cost beyond it (quote asset)
+        const tradeValueBTC = buying ? -btcDelta : -ethDelta * midRatio;
+        const costBTC = buying ? -btcDelta - ethDelta * midRatio : -ethDelta * midRatio - btcDelta;
+
+        return {
+            tradeId: trade.id,
+            signalId: trade.signal_id ?? null,
+            executedAt: new Date(trade.executed_at).toISOString(),
+            action: trade.trade_type,
+            status: trade.status,
+            ethDelta,
+            btcDelta,
+            midRatio,
+            executionRatio: parseFloat(trade.exchange_rate),
+            tradeValueBTC,
+            costPercent: tradeValueBTC > 0 ? costBTC / tradeValueBTC * 100 : 0
+        };
+    }
+
+    /**
+     * @param {Object} trade - SimpleBacktestEngine trade
+     * @returns {Object} Expected trade in live terms
+     * @private
+     */
+    static expectedTrade(trade) {
+        return {
+            timestamp: trade.timestamp,
+            action: this.LIVE_ACTIONS[trade.action] || trade.action,
+            ethDelta: trade.ethAmount,
+            btcDelta: trade.btcAmount,
+            tradeValueBTC: trade.tradeValueBTC,
+            costPercent: trade.tradeValueBTC > 0 ? trade.fees / trade.tradeValueBTC * 100 : 0
+        };
+    }
+
+    /**
+     * @param {Object} trade - Live trade (see liveTrade)
+     * @returns {Object} Live trade fields reported by the API
+     * @private
+     */
+    static publicTrade(trade) {
+        const { tradeId, signalId, executedAt, action, status, midRatio, executionRatio, tradeValueBTC, costPercent } = trade;
+        return { tradeId, signalId, executedAt, action, status, midRatio, executionRatio, tradeValueBTC, costPercent };
+    }
+
+    /**
+     * Why an expected trade has no live trade, from the live signals of its bar
+     * @param {string} action - Expected action (BUY_ETH / SELL_ETH)
+     * @param {Array<Object>} barSignals - Live signals created in the bar's match window
+     * @returns {Object} { reason, detail, signalId }
+     * @private
+     */
+    static missReason(action, barSignals) {
+        if (barSignals.length === 0) {
+            return { reason: 'no_signal', detail: 'No live signal was generated for this bar', signalId: null };
+        }
+
+        const signal = barSignals.find(candidate => candidate.action === action);
+        if (!signal) {
+            return {
+                reason: 'different_signal',
+                detail: `Live signalled ${[...new Set(barSignals.map(candidate => candidate.action))].join(', ')}`,
+                signalId: barSignals[0].id
+            };
+        }
+        if (!signal.should_trade) {
+            return { reason: 'gated', detail: signal.reasoning || 'Signal was not marked for trading', signalId: signal.id };
+        }
+        return { reason: 'not_executed', detail: signal.skip_reason || 'Signal was not executed', signalId: signal.id };
+    }
+
+    /**
+     * Value of both runs on every bar, from their holdings at that time
+     * @param {Array<Object>} bars - Bars of the period
+     * @param {Object} initial - { ethAmount, btcAmount } at the start
+     * @param {Array<Object>} liveTrades - Live trades (ethDelta, btcDelta, executedAt)
+     * @param {Array<Object>} expectedTrades - Backtest trades (ethDelta, btcDelta, timestamp)
+     * @returns {Array<Object>} [{ timestamp, liveValueBTC, backtestValueBTC, liveReturnPercent, backtestReturnPercent, gapPercent }]
+     * @private
+     */
+    static performanceSeries(bars, initial, liveTrades, expectedTrades) {
+        const live = { ...initial, next: 0, trades: liveTrades.map(trade => ({ ...trade, at: this.time(trade.executedAt) })) };
+        const backtest = { ...initial, next: 0, trades: expectedTrades.map(trade => ({ ...trade, at: this.time(trade.timestamp) })) };
+        const applyUntil = (run, time) => {
+            while (run.next < run.trades.length && run.trades[run.next].at <= time) {
+                run.ethAmount += run.trades[run.next].ethDelta;
+                run.btcAmount += run.trades[run.next].btcDelta;
+                run.next++;
+            }
+        };
+        const initialValue = initial.btcAmount + initial.ethAmount * bars[0].ethBtcRatio;
+
+        return bars.map(bar => {
+            const time = this.time(bar.timestamp);
+            applyUntil(live, time);
+            applyUntil(backtest, time);
+
+            const liveValueBTC = live.btcAmount + live.ethAmount * bar.ethBtcRatio;
+            const backtestValueBTC = backtest.btcAmount + backtest.ethAmount * bar.ethBtcRatio;
+            const liveReturnPercent = initialValue > 0 ? (liveValueBTC / initialValue - 1) * 100 : 0;
+            const backtestReturnPercent = initialValue > 0 ? (backtestValueBTC / initialValue - 1) * 100 : 0;
+
+            return {
+                timestamp: bar.timestamp,
+                liveValueBTC,
+                backtestValueBTC,
+                liveReturnPercent,
+                backtestReturnPercent,
+                gapPercent: liveReturnPercent - backtestReturnPercent
+            };
+        });
+    }
+
+    /**
+     * @param {Array<Object>} bars - Bars, oldest first
+     * @returns {number} Median minutes between consecutive bars (1 when there are fewer than 2 bars)
+     * @private
+     */
+    static medianIntervalMinutes(bars) {
+        const intervals = bars.slice(1).map((bar, i) => (this.time(bar.timestamp) - this.time(bars[i].timestamp)) / 60000).sort((a, b) => a - b);
+        return intervals.length > 0 ? intervals[Math.floor(intervals.length / 2)] : 1;
+    }
+
+    /**
+     * Every n-th point, always keeping the last one
+     * @param {Array<Object>} points - Series
+     * @param {number} maxPoints - Upper bound of the result length
+     * @returns {Array<Object>} Series of at most maxPoints points
+     * @private
+     */
+    static downsample(points, maxPoints) {
+        if (points.length <= maxPoints) {
+            return points;
+        }
+        const step = Math.ceil(points.length / (maxPoints - 1));
+        return points.filter((point, i) => i % step === 0 || i === points.length - 1);
+    }
+
+    /**
+     * @param {string|Date} value - Timestamp
+     * @returns {number} Milliseconds since the epoch
+     * @private
+     */
+    static time(value) {
+        return new Date(value).getTime();
+    }
+}
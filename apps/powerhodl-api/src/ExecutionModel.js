@@ -0,0 +1,295 @@
+/**
+ * ExecutionModel - What a backtest trade really costs
+ *
+ * The engine decides WHAT to trade; the execution model decides what the fill looks like.
+ * Every cost is returned in BTC (engine units, 1 BTC starting portfolio) and by component,
+ * so a backtest can show which part of execution eats the returns.
+ *
+ * CRITICAL CONCEPTS:
+ * 1. MODELS ARE PLUGGABLE
+ *    - flat: transactionCost% of notional (the original engine behaviour)
+ *    - cex:  Coinbase Advanced style - half-spread crossing, volume-proportional slippage,
+ *            maker/taker fee tiers on trailing 30-day volume
+ *    - dex:  MetaMask WBTC/WETH swap (see ModernMetaMaskService) - gas, pool fee,
+ *            constant-product price impact, slippage tolerance
+ *    - New models can be added with registerModel(name, factory)
+ *
+ * 2. SCALE MATTERS
+ *    - The engine trades a 1 BTC portfolio; real costs do not scale linearly
+ *    - capitalBTC is the real portfolio size: gas is a fixed cost, impact and slippage grow with size,
+ *      fee tiers depend on USD volume
+ *
+ * 3. COSTS ARE VALUE LOST
+ *    - Selling ETH: BTC received = notional - costs
+ *    - Buying ETH:  ETH received = (notional - costs) / ratio
+ *    - Same accounting on both sides, so BUY and SELL are directly comparable
+ *
+ * 4. A FILL CAN BE REFUSED
+ *    - dex: if price impact exceeds the slippage tolerance the swap is not sent (no gas is paid)
+ *
+ * 5. FILL PRICE (params.fillPrice, for orders filled on a later bar - see LookaheadGuard)
+ *    - close: the fill bar's ratio (the original behaviour, on the signal bar itself)
+ *    - open:  the fill bar's open, or the previous bar's close when the data has no open
+ *    - vwap:  the fill bar's vwap when the data has one, else its typical price (high + low + close) / 3
+ *      (snapshots only carry a rolling 24h volume, so there is no per-bar volume to weight by)
+ */
+export class ExecutionModel {
+    /**
+     * Cost components reported by every model (BTC)
+     */
+    static COMPONENTS = ['fee', 'spread', 'slippage', 'gas', 'priceImpact'];
+
+    /**
+     * Coinbase Advanced Trade fee tiers (percent) by trailing 30-day USD volume
+     */
+    static COINBASE_FEE_TIERS = [
+        { minVolumeUSD: 0, maker: 0.60, taker: 1.20 },
+        { minVolumeUSD: 1000, maker: 0.35, taker: 0.75 },
+        { minVolumeUSD: 10000, maker: 0.25, taker: 0.40 },
+        { minVolumeUSD: 50000, maker: 0.125, taker: 0.25 },
+        { minVolumeUSD: 100000, maker: 0.075, taker: 0.20 },
+        { minVolumeUSD: 1000000, maker: 0.06, taker: 0.18 },
+        { minVolumeUSD: 15000000, maker: 0.03, taker: 0.16 },
+        { minVolumeUSD: 75000000, maker: 0.0, taker: 0.12 },
+        { minVolumeUSD: 250000000, maker: 0.0, taker: 0.08 }
+    ];
+
+    /**
+     * Default configuration per model
+     */
+    static DEFAULTS = {
+        flat: {
+            transactionCost: 0.1 // Percent of notional
+        },
+        cex: {
+            capitalBTC: 1,
+            btcPriceUSD: 60000, // Used when the bar has no BTC price
+            orderType: 'taker', // 'taker' crosses the spread, 'maker' rests on the book
+            spreadPercent: 0.05, // Used when the bar has no spreadPercent
+            slippageFactor: 0.1, // Trading 10% of bar volume costs 1%
+            fallbackSlippagePercent: 0.05, // Used when the bar has no volume
+            maxSlippagePercent: 5,
+            baseMonthlyVolumeUSD: 0, // Volume traded outside this strategy, counts towards the tier
+            feeTiers: null // Defaults to COINBASE_FEE_TIERS
+        },
+        dex: {
+            capitalBTC: 1,
+            gasETH: 0.002, // Same estimate as ModernMetaMaskService.simulateTrade
+            poolFeePercent: 0.3, // Uniswap V3 WBTC/WETH 0.3% pool
+            poolLiquidityBTC: 200, // BTC-side depth of the pool around the current price
+            maxSlippagePercent: 5 // Slippage tolerance of the swap
+        }
+    };
+
+    /**
+     * Prices a delayed order can be filled at
+     */
+    static FILL_PRICES = ['close', 'open', 'vwap'];
+
+    /**
+     * Registered models (name -> factory(config) returning { type, config, fill(order) })
+     */
+    static MODELS = {
+        flat: (config) => ExecutionModel.createFlatModel(config),
+        cex: (config) => ExecutionModel.createCexModel(config),
+        dex: (config) => ExecutionModel.createDexModel(config)
+    };
+
+    /**
+     * Register an additional execution model
+     * @param {string} name - Model name used in executionModel.type
+     * @param {Function} factory - Receives the merged config, returns { type, config, fill(order) }
+     */
+    static registerModel(name, factory) {
+        this.MODELS[name] = factory;
+    }
+
+    /**
+     * Create an execution model for one backtest run
+     * @param {Object|string} config - Model config ({ type, ...options }) or just the type name
+     * @param {Object} defaults - Values used when config does not set them (e.g. transactionCost from params)
+     * @returns {Object} Model with fill(order)
+     */
+    static create(config = {}, defaults = {}) {
+        const options = typeof config === 'string' ? { type: config } : { ...config };
+        const type = options.type || 'flat';
+        const factory = this.MODELS[type];
+
+        if (!factory) {
+            throw new Error(`Invalid execution model: ${type}. Use one of ${Object.keys(this.MODELS).join(', ')}`);
+        }
+
+        return factory({ ...(this.DEFAULTS[type] || {}), ...defaults, ...options, type });
+    }
+
+    /**
+     * Sum per-trade cost breakdowns
+     * @param {Array<Object>} trades - Trades with a costs breakdown
+     * @returns {Object} Totals per component plus total
+     */
+    static summarizeCosts(trades) {
+        const summary = Object.fromEntries(this.COMPONENTS.map(c => [c, 0]));
+        for (const trade of trades) {
+            for (const component of this.COMPONENTS) {
+                summary[component] += trade.costs?.[component] || 0;
+            }
+        }
+        summary.total = this.COMPONENTS.reduce((sum, c) => sum + summary[c], 0);
+        return summary;
+    }
+
+    /**
+     * Ratio an order fills at on a bar
+     * @param {Array<Object>} marketData - Normalized bars, oldest first
+     * @param {number} index - Fill bar
+     * @param {string} fillPrice - One of FILL_PRICES
+     * @returns {number} Mid ratio of the fill, before costs
+     */
+    static fillRatio(marketData, index, fillPrice = 'close') {
+        const bar = marketData[index];
+        const close = Number(bar.ethBtcRatio);
+        const open = bar.open > 0
+            ? Number(bar.open)
+            : index > 0 ? Number(marketData[index - 1].ethBtcRatio) : close;
+
+        if (fillPrice === 'open') {
+            return open;
+        }
+        if (fillPrice === 'vwap') {
+            if (bar.vwap > 0) {
+                return Number(bar.vwap);
+            }
+            return bar.high > 0 && bar.low > 0
+                ? (Number(bar.high) + Number(bar.low) + close) / 3
+                : (open + close) / 2;
+        }
+        return close;
+    }
+
+    /**
+     * Flat percentage fee - the original engine behaviour
+     * @private
+     */
+    static createFlatModel(config) {
+        return {
+            type: 'flat',
+            config,
+            fill: (order) => buildFill(order, { fee: order.valueBTC * (config.transactionCost / 100) })
+        };
+    }
+
+    /**
+     * Centralized exchange: half-spread + volume slippage + maker/taker fee tiers
+     * @private
+     */
+    static createCexModel(config) {
+        const tiers = config.feeTiers || this.COINBASE_FEE_TIERS;
+        const volumeHistory = []; // { time, volumeUSD } of our own fills, for the 30-day tier
+
+        return {
+            type: 'cex',
+            config,
+            fill: (order) => {
+                const bar = order.bar || {};
+                const btcPriceUSD = bar.btcPrice || config.btcPriceUSD;
+                const realValueBTC = order.valueBTC * config.capitalBTC;
+                const notionalUSD = realValueBTC * btcPriceUSD;
+                const time = new Date(order.timestamp).getTime();
+
+                // Fee tier from trailing 30-day volume (before this order)
+                const windowStart = time - 30 * 24 * 60 * 60 * 1000;
+                const trailingVolumeUSD = config.baseMonthlyVolumeUSD + volumeHistory
+                    .filter(v => v.time > windowStart && v.time <= time)
+                    .reduce((sum, v) => sum + v.volumeUSD, 0);
+                const tier = [...tiers].reverse().find(t => trailingVolumeUSD >= t.minVolumeUSD) || tiers[0];
+                const isMaker = config.orderType === 'maker';
+                const feePercent = isMaker ? tier.maker : tier.taker;
+
+                // Makers rest on the book: no spread crossed, no walking the book
+                let spreadPercent = 0;
+                let slippagePercent = 0;
+                if (!isMaker) {
+                    spreadPercent = (bar.spreadPercent ?? config.spreadPercent) / 2;
+
+                    const tradeETH = realValueBTC / order.ratio;
+                    slippagePercent = bar.volume > 0
+                        ? Math.min(config.maxSlippagePercent, config.slippageFactor * (tradeETH / bar.volume) * 100)
+                        : config.fallbackSlippagePercent;
+                }
+
+                volumeHistory.push({ time, volumeUSD: notionalUSD });
+
+                return buildFill(order, {
+                    fee: order.valueBTC * feePercent / 100,
+                    spread: order.valueBTC * spreadPercent / 100,
+                    slippage: order.valueBTC * slippagePercent / 100
+                }, {
+                    feeTier: tier.minVolumeUSD,
+                    feePercent,
+                    trailingVolumeUSD
+                });
+            }
+        };
+    }
+
+    /**
+     * DEX swap of WBTC/WETH through MetaMask: gas + pool fee + constant-product price impact
+     * @private
+     */
+    static createDexModel(config) {
+        return {
+            type: 'dex',
+            config,
+            fill: (order) => {
+                const realValueBTC = order.valueBTC * config.capitalBTC;
+
+                // x*y=k: selling dx into a reserve of x loses dx / (x + dx) of the output
+                const impactFraction = realValueBTC / (config.poolLiquidityBTC + realValueBTC);
+
+                if (impactFraction * 100 > config.maxSlippagePercent) {
+                    return {
+                        filled: false,
+                        reason: `Price impact ${(impactFraction * 100).toFixed(2)}% exceeds slippage tolerance ${config.maxSlippagePercent}%`
+                    };
+                }
+
+                // Gas is paid in ETH; convert to BTC, then to engine units
+                const gasBTC = (config.gasETH * order.ratio) / config.capitalBTC;
+
+                return buildFill(order, {
+                    fee: order.valueBTC * config.poolFeePercent / 100,
+                    priceImpact: order.valueBTC * impactFraction,
+                    gas: gasBTC
+                });
+            }
+        };
+    }
+}
+
+/**
+ * Assemble a fill from cost components (missing components are 0)
+ * @param {Object} order - { side, valueBTC, ratio }
+ * @param {Object} components - Cost per component in BTC
+ * @param {Object} details - Model specific details to pass through
+ * @returns {Object} { filled, costs, totalCostBTC, netValueBTC, effectiveRatio, details }
+ */
+function buildFill(order, components, details = {}) {
+    const costs = Object.fromEntries(ExecutionModel.COMPONENTS.map(c => [c, components[c] || 0]));
+    const totalCostBTC = ExecutionModel.COMPONENTS.reduce((sum, c) => sum + costs[c], 0);
+    const netValueBTC = order.valueBTC - totalCostBTC;
+
+    // Price actually obtained, in BTC per ETH
+    const effectiveRatio = order.side === 'SELL_ETH_BUY_BTC'
+        ? order.ratio * (netValueBTC / order.valueBTC)
+        : order.ratio * (order.valueBTC / netValueBTC);
+
+    return {
+        filled: netValueBTC > 0,
+        reason: netValueBTC > 0 ? null : 'Execution costs exceed trade value',
+        costs,
+        totalCostBTC,
+        netValueBTC,
+        effectiveRatio,
+        details
+    };
+}
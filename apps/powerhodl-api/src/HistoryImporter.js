@@ -0,0 +1,410 @@
+import { TradingPair, DEFAULT_PAIR } from '../../../packages/shared/src/TradingPair.js';
+
+/**
+ * HistoryImporter - Turns OHLCV records from CSV/JSON files into market_snapshots rows
+ *
+ * Pure: receives the parsed file records, returns snapshot rows plus a data quality report.
+ * Reading files and writing to the database is done by scripts/import-history.js.
+ *
+ * CRITICAL CONCEPTS:
+ * 1. COLUMN MAPPING
+ *    - Every field has a list of usual column names (close, ratio, eth_btc_ratio, ...)
+ *    - mapping { close: 'Close Price' } overrides the lookup; names are matched case-insensitively
+ *    - The pair ratio is the CLOSE of the bar; USD prices are optional (stored as 0 when missing)
+ *
+ * 2. TIMEZONES
+ *    - Timestamps with an offset ('Z', '+02:00') are taken as they are
+ *    - Timestamps without one ('2024-09-25', '2024-09-25 14:00') are read in options.timezone:
+ *      'UTC' (default), a fixed offset like '+02:00', or an IANA zone like 'Europe/Berlin'
+ *    - Numbers are epoch seconds or milliseconds (guessed from the magnitude unless timestampUnit is set)
+ *
+ * 3. DE-DUPLICATION
+ *    - One bar per timestamp: the first record wins, later ones are reported as duplicates
+ *      (conflicting when their close differs)
+ *    - Timestamps already stored for the pair are skipped by the caller (see existingTimestamps)
+ *
+ * 4. REPORT, DON'T FIX
+ *    - Gaps (missing bars), outliers (extreme log returns) and broken OHLC bars are reported,
+ *      never interpolated or dropped: the backtest should see the data as the exchange printed it
+ */
+export class HistoryImporter {
+    static FIELD_CANDIDATES = {
+        timestamp: ['timestamp', 'time', 'date', 'datetime', 'open_time', 'opentime', 'collected_at', 'created_at'],
+        open: ['open', 'o'],
+        high: ['high', 'h'],
+        low: ['low', 'l'],
+        close: ['close', 'c', 'ratio', 'eth_btc_ratio', 'ethbtcratio', 'price'],
+        volume: ['volume', 'vol', 'v', 'eth_volume_24h', 'base_volume'],
+        basePriceUsd: ['base_price_usd', 'eth_price_usd', 'ethprice'],
+        quotePriceUsd: ['quote_price_usd', 'btc_price_usd', 'btcprice'],
+        source: ['source', 'exchange']
+    };
+
+    static DEFAULTS = {
+        pair: DEFAULT_PAIR,
+        mapping: {},
+        timezone: 'UTC',
+        timestampUnit: null,         // 's' | 'ms' | null (guess)
+        intervalMs: null,            // Expected bar spacing; null = median spacing of the file
+        outlierThreshold: 8,         // Robust Z-score (MAD) of the log return that counts as an outlier
+        gapTolerance: 1.5,           // A spacing above intervalMs × gapTolerance is a gap
+        source: null                 // Overrides the source column
+    };
+
+    static MAX_REPORTED = 20;
+
+    /**
+     * Merge and validate importer options
+     * @param {Object} options - See DEFAULTS
+     * @returns {Object} Resolved options
+     * @throws {Error} "Invalid ..." message for unusable options
+     */
+    static resolveOptions(options = {}) {
+        const resolved = { ...this.DEFAULTS, ...options };
+        resolved.pair = TradingPair.parse(resolved.pair).symbol;
+
+        for (const field of Object.keys(resolved.mapping)) {
+            if (!this.FIELD_CANDIDATES[field]) {
+                throw new Error(`Invalid column mapping field: ${field}. Use one of ${Object.keys(this.FIELD_CANDIDATES).join(', ')}`);
+            }
+        }
+
+        if (resolved.timestampUnit && !['s', 'ms'].includes(resolved.timestampUnit)) {
+            throw new Error(`Invalid timestamp unit: ${resolved.timestampUnit}. Use 's' or 'ms'`);
+        }
+
+        // Fails early on unknown zone names
+        this.timezoneOffsetMs(resolved.timezone, Date.UTC(2024, 0, 1));
+
+        return resolved;
+    }
+
+    /**
+     * Convert file records into snapshot rows and analyse them
+     * @param {Array<Object>} records - Parsed CSV rows or JSON objects
+     * @param {Object} options - See DEFAULTS
+     * @param {Set<number>} existingTimestamps - Epoch ms already stored for the pair
+     * @returns {Object} { snapshots, report }
+     */
+    static prepare(records, options = {}, existingTimestamps = new Set()) {
+        const opts = this.resolveOptions(options);
+
+        if (records.length === 0) {
+            throw new Error('Invalid file: no records found');
+        }
+
+        const columns = this.resolveColumns(Object.keys(records[0]), opts.mapping);
+        if (!columns.timestamp || !columns.close) {
+            throw new Error(`Invalid file: no ${!columns.timestamp ? 'timestamp' : 'close/ratio'} column (found: ${Object.keys(records[0]).join(', ')}). Pass a column mapping`);
+        }
+
+        const invalid = [];
+        const bars = [];
+
+        records.forEach((record, index) => {
+            try {
+                bars.push(this.parseRecord(record, columns, opts, index));
+            } catch (error) {
+                invalid.push({ row: index + 1, reason: error.message });
+            }
+        });
+
+        bars.sort((a, b) => a.time - b.time);
+
+        // One bar per timestamp (stable sort keeps the first record first)
+        const duplicates = [];
+        const unique = [];
+        for (const bar of bars) {
+            const previous = unique[unique.length - 1];
+            if (previous && previous.time === bar.time) {
+                duplicates.push({
+                    timestamp: new Date(bar.time).toISOString(),
+                    row: bar.row,
+                    conflicting: previous.close !== bar.close
+                });
+            } else {
+                unique.push(bar);
+            }
+        }
+
+        const fresh = unique.filter(bar => !existingTimestamps.has(bar.time));
+        const intervalMs = opts.intervalMs || this.medianSpacing(unique);
+
+        const report = {
+            pair: opts.pair,
+            columns,
+            recordsRead: records.length,
+            validBars: bars.length,
+            invalid: { count: invalid.length, examples: invalid.slice(0, this.MAX_REPORTED) },
+            duplicates: {
+                count: duplicates.length,
+                conflicting: duplicates.filter(d => d.conflicting).length,
+                examples: duplicates.slice(0, this.MAX_REPORTED)
+            },
+            alreadyStored: unique.length - fresh.length,
+            toInsert: fresh.length,
+            range: unique.length > 0
+                ? { from: new Date(unique[0].time).toISOString(), to: new Date(unique[unique.length - 1].time).toISOString() }
+                : null,
+            intervalMs,
+            gaps: this.findGaps(unique, intervalMs, opts.gapTolerance),
+            outliers: this.findOutliers(unique, opts.outlierThreshold),
+            brokenBars: this.findBrokenBars(unique),
+            missingUsdPrices: !columns.basePriceUsd || !columns.quotePriceUsd
+        };
+
+        return {
+            snapshots: fresh.map(bar => this.toSnapshot(bar, opts)),
+            report
+        };
+    }
+
+    /**
+     * Pick the file column for every field
+     * @param {Array<string>} headers - Column names of the file
+     * @param {Object} mapping - { field: columnName } overrides
+     * @returns {Object} { field: columnName | null }
+     */
+    static resolveColumns(headers, mapping = {}) {
+        const byLowerName = new Map(headers.map(header => [header.trim().toLowerCase(), header]));
+
+        return Object.fromEntries(Object.entries(this.FIELD_CANDIDATES).map(([field, candidates]) => {
+            if (mapping[field]) {
+                const column = byLowerName.get(String(mapping[field]).trim().toLowerCase());
+                if (!column) {
+                    throw new Error(`Invalid column mapping: ${field}=${mapping[field]} (no such column; found: ${headers.join(', ')})`);
+                }
+                return [field, column];
+            }
+            return [field, candidates.map(name => byLowerName.get(name)).find(Boolean) || null];
+        }));
+    }
+
+    /**
+     * Parse one record into a bar
+     * @private
+     */
+    static parseRecord(record, columns, opts, index) {
+        const number = (field) => {
+            if (!columns[field] || record[columns[field]] === '' || record[columns[field]] === undefined || record[columns[field]] === null) {
+                return null;
+            }
+            const value = Number(record[columns[field]]);
+            if (!Number.isFinite(value)) {
+                throw new Error(`${field} is not a number: ${record[columns[field]]}`);
+            }
+            return value;
+        };
+
+        const time = this.parseTimestamp(record[columns.timestamp], opts);
+        const close = number('close');
+
+        if (close === null || close <= 0) {
+            throw new Error(`close must be a positive number, got ${record[columns.close]}`);
+        }
+
+        return {
+            row: index + 1,
+            time,
+            open: number('open'),
+            high: number('high'),
+            low: number('low'),
+            close,
+            volume: number('volume') || 0,
+            basePriceUsd: number('basePriceUsd') || 0,
+            quotePriceUsd: number('quotePriceUsd') || 0,
+            source: opts.source || (columns.source ? String(record[columns.source]).replace(/"/g, '') : null) || 'import'
+        };
+    }
+
+    /**
+     * Parse a timestamp into epoch milliseconds
+     * @param {string|number} value - ISO string, date string or epoch number
+     * @param {Object} opts - { timezone, timestampUnit }
+     * @returns {number} Epoch ms
+     */
+    static parseTimestamp(value, { timezone = 'UTC', timestampUnit = null } = {}) {
+        if (value === undefined || value === null || String(value).trim() === '') {
+            throw new Error('missing timestamp');
+        }
+
+        const text = String(value).trim();
+
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            const n = Number(text);
+            // Epoch seconds stay below 1e11 until the year 5138
+            const unit = timestampUnit || (n < 1e11 ? 's' : 'ms');
+            return Math.round(unit === 's' ? n * 1000 : n);
+        }
+
+        const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+        if (!match) {
+            const parsed = new Date(text).getTime();
+            if (isNaN(parsed)) {
+                throw new Error(`unreadable timestamp: ${text}`);
+            }
+            return parsed;
+        }
+
+        const [, y, mo, d, h = '0', mi = '0', s = '0', ms = '0', zone] = match;
+        const wallClock = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s, +ms.padEnd(3, '0'));
+
+        if (zone) {
+            return wallClock - this.timezoneOffsetMs(zone.toUpperCase() === 'Z' ? 'UTC' : zone, wallClock);
+        }
+
+        // Wall clock time in the configured zone; the second pass settles DST transitions
+        const first = wallClock - this.timezoneOffsetMs(timezone, wallClock);
+        return wallClock - this.timezoneOffsetMs(timezone, first);
+    }
+
+    /**
+     * Offset of a timezone from UTC at an instant
+     * @param {string} timezone - 'UTC', '+02:00' / '-0530', or an IANA name
+     * @param {number} instant - Epoch ms
+     * @returns {number} Offset in ms (positive east of UTC)
+     * @throws {Error} "Invalid timezone ..." for unknown zones
+     */
+    static timezoneOffsetMs(timezone, instant) {
+        if (!timezone || timezone.toUpperCase() === 'UTC') {
+            return 0;
+        }
+
+        const fixed = timezone.match(/^([+-])(\d{2}):?(\d{2})$/);
+        if (fixed) {
+            return (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3])) * 60000;
+        }
+
+        let parts;
+        try {
+            parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            }).formatToParts(new Date(instant)).map(p => [p.type, p.value]));
+        } catch {
+            throw new Error(`Invalid timezone: ${timezone} (use UTC, an offset like +02:00, or an IANA name like Europe/Berlin)`);
+        }
+
+        const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+        return asUtc - Math.floor(instant / 1000) * 1000;
+    }
+
+    /**
+     * Median spacing between consecutive bars
+     * @private
+     */
+    static medianSpacing(bars) {
+        const spacings = bars.slice(1).map((bar, i) => bar.time - bars[i].time).sort((a, b) => a - b);
+        return spacings.length > 0 ? spacings[Math.floor(spacings.length / 2)] : null;
+    }
+
+    /**
+     * Spacings larger than intervalMs × tolerance
+     * @returns {Object} { count, missingBars, examples: [{ from, to, missingBars }] }
+     */
+    static findGaps(bars, intervalMs, tolerance) {
+        const gaps = [];
+
+        if (intervalMs) {
+            for (let i = 1; i < bars.length; i++) {
+                const spacing = bars[i].time - bars[i - 1].time;
+                if (spacing > intervalMs * tolerance) {
+                    gaps.push({
+                        from: new Date(bars[i - 1].time).toISOString(),
+                        to: new Date(bars[i].time).toISOString(),
+                        missingBars: Math.round(spacing / intervalMs) - 1
+                    });
+                }
+            }
+        }
+
+        return {
+            count: gaps.length,
+            missingBars: gaps.reduce((sum, gap) => sum + gap.missingBars, 0),
+            examples: gaps.slice(0, this.MAX_REPORTED)
+        };
+    }
+
+    /**
+     * Bars whose close-to-close log return is extreme against the file's own spread
+     * (robust Z-score: median absolute deviation, so the outliers do not hide themselves)
+     * @returns {Object} { count, examples: [{ timestamp, close, previousClose, returnPercent, robustZ }] }
+     */
+    static findOutliers(bars, threshold) {
+        const returns = bars.slice(1).map((bar, i) => Math.log(bar.close / bars[i].close));
+        const outliers = [];
+
+        if (returns.length >= 3) {
+            const median = this.median(returns);
+            const mad = this.median(returns.map(r => Math.abs(r - median))) * 1.4826;
+
+            returns.forEach((r, i) => {
+                const robustZ = mad > 0 ? (r - median) / mad : 0;
+                if (Math.abs(robustZ) > threshold) {
+                    outliers.push({
+                        timestamp: new Date(bars[i + 1].time).toISOString(),
+                        close: bars[i + 1].close,
+                        previousClose: bars[i].close,
+                        returnPercent: (Math.exp(r) - 1) * 100,
+                        robustZ
+                    });
+                }
+            });
+        }
+
+        return { count: outliers.length, examples: outliers.slice(0, this.MAX_REPORTED) };
+    }
+
+    /**
+     * Bars whose high/low do not contain their open/close
+     * @returns {Object} { count, examples: [{ timestamp, open, high, low, close }] }
+     */
+    static findBrokenBars(bars) {
+        const broken = bars.filter(bar => {
+            if (bar.high === null || bar.low === null) {
+                return false;
+            }
+            const prices = [bar.open, bar.close].filter(p => p !== null);
+            return bar.low > bar.high || prices.some(p => p > bar.high || p < bar.low);
+        });
+
+        return {
+            count: broken.length,
+            examples: broken.slice(0, this.MAX_REPORTED).map(bar => ({
+                timestamp: new Date(bar.time).toISOString(),
+                open: bar.open,
+                high: bar.high,
+                low: bar.low,
+                close: bar.close
+            }))
+        };
+    }
+
+    /**
+     * market_snapshots row for a bar (eth_* = base asset, btc_* = quote asset of the pair)
+     * @private
+     */
+    static toSnapshot(bar, opts) {
+        return {
+            pair: opts.pair,
+            eth_price_usd: bar.basePriceUsd,
+            btc_price_usd: bar.quotePriceUsd,
+            eth_btc_ratio: bar.close,
+            eth_volume_24h: bar.volume,
+            eth_btc_volume_24h: bar.volume,
+            source: bar.source,
+            collected_at: new Date(bar.time).toISOString()
+        };
+    }
+
+    /**
+     * @private
+     */
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+}
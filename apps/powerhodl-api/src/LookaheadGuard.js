@@ -0,0 +1,237 @@
+import { ExecutionModel } from './ExecutionModel.js';
+import { resolveParameters } from '../../../packages/shared/src/strategies/StrategyPlugin.js';
+
+/**
+ * LookaheadGuard - Keeps backtests from trading on information they could not have had
+ *
+ * A backtest that peeks at the future looks great and trades terribly. Live, the signal cron
+ * decides on the bar that just closed and the executor fills minutes later; SimpleBacktestEngine
+ * checks two things before it runs so a backtest can be held to the same rules.
+ *
+ * CRITICAL CONCEPTS:
+ * 1. EXECUTION TIMING (params.executionDelayBars, params.fillPrice)
+ *    - A decision is made on a bar's close; the order fills executionDelayBars bars later
+ *    - 0 (default) fills on the signal bar at its close - the original behaviour, and the only
+ *      price of that bar the strategy could still trade at: its open and vwap are rejected
+ *    - 1 with fillPrice 'open' is the closest to live (signal at the close, fill at the next open)
+ *    - Backtest-only: the crons trade a signal on the next trade-executor run at the market
+ *      price, so the signal cron and the cron replay refuse parameters with a delay
+ *
+ * 2. STRATEGY CHECK (changed future)
+ *    - Strategies consume bars one at a time, so the decision on a bar can only depend on the
+ *      bars up to it - changing every later bar must not change it
+ *    - On a few checkpoint bars the strategy is replayed with every later bar mirrored (ratio
+ *      reflected around the checkpoint's, in log space); any difference in action,
+ *      targetAllocation or an indicator on the checkpoint means something read a later bar
+ *    - The mirrored bars are swapped into the caller's own array for the replay (and put back
+ *      after), so a strategy holding on to the array is caught as well
+ *    - Replayed bars are frozen copies: a strategy writing into a bar fails the check too
+ *    - A failed check throws "Invalid strategy ...": the backtest is rejected, not reported
+ *    - Checked once per bars array, strategy and strategy parameter values (its parameterSchema
+ *      keys): a lookahead behind one lookbackDays or emaSlowPeriod is still caught, while
+ *      optimizer candidates differing only in engine parameters (rebalancePercent, costs)
+ *      share the check - the replays cost about twice the backtest itself
+ */
+export class LookaheadGuard {
+    static MAX_EXECUTION_DELAY_BARS = 500;
+
+    /**
+     * Checkpoint bars replayed per backtest
+     */
+    static CHECKPOINTS = 3;
+
+    /**
+     * Relative difference below which two indicator values are the same
+     */
+    static TOLERANCE = 1e-9;
+
+    /**
+     * Bars array -> Map of strategy id and parameter values (see cacheKey) -> checkpoints it passed on
+     */
+    static checked = new WeakMap();
+
+    /**
+     * Validate when and at what price orders fill
+     * @param {Object} params - Parameters ({ executionDelayBars, fillPrice }, both optional)
+     * @returns {Object} { delayBars, fillPrice }
+     * @throws {Error} "Invalid executionDelayBars ..." / "Invalid fillPrice ..." for a bad or lookahead setting
+     */
+    static resolveExecution(params = {}) {
+        const delayBars = Number(params.executionDelayBars ?? 0);
+        const fillPrice = params.fillPrice || 'close';
+
+        if (!Number.isInteger(delayBars) || delayBars < 0 || delayBars > this.MAX_EXECUTION_DELAY_BARS) {
+            throw new Error(`Invalid executionDelayBars: ${params.executionDelayBars} (expected a whole number from 0 to ${this.MAX_EXECUTION_DELAY_BARS})`);
+        }
+        if (!ExecutionModel.FILL_PRICES.includes(fillPrice)) {
+            throw new Error(`Invalid fillPrice: ${fillPrice}. Use one of ${ExecutionModel.FILL_PRICES.join(', ')}`);
+        }
+        if (delayBars === 0 && fillPrice !== 'close') {
+            throw new Error(`Invalid fillPrice: ${fillPrice} needs executionDelayBars of at least 1 (the signal bar's ${fillPrice} was before its close)`);
+        }
+
+        return { delayBars, fillPrice };
+    }
+
+    /**
+     * Check that parameters trade live the way they were backtested
+     * @param {Object} params - Parameters of a live or replayed strategy
+     * @throws {Error} "Invalid executionDelayBars ..." when they ask for a delayed fill
+     */
+    static assertLiveExecution(params = {}) {
+        const { delayBars, fillPrice } = this.resolveExecution(params);
+
+        if (delayBars > 0) {
+            throw new Error(`Invalid executionDelayBars for live trading: ${delayBars} (fill at the ${fillPrice}) is backtest-only - `
+                + 'the crons trade each signal on the next trade-executor run. Use executionDelayBars 0 for live and replayed parameters');
+        }
+    }
+
+    /**
+     * Check that the strategy's decisions only depend on past bars
+     * @param {Object} strategy - Strategy plugin (see packages/shared/src/strategies)
+     * @param {Object} params - Engine parameters
+     * @param {Array<Object>} marketData - Bars, oldest first (briefly changed in place, then restored)
+     * @param {number} fromIndex - First bar whose decision is traded
+     * @returns {Array<number>} Checkpoint bars that were checked
+     * @throws {Error} "Invalid strategy ..." when a decision changes with later bars or a bar is written to
+     */
+    static checkStrategy(strategy, params, marketData, fromIndex) {
+        const passed = this.checked.get(marketData) || new Map();
+        const key = this.cacheKey(strategy, params);
+        if (passed.has(key)) {
+            return passed.get(key);
+        }
+
+        const checkpoints = this.checkpoints(fromIndex, marketData.length - 2);
+        if (checkpoints.length === 0) {
+            return [];
+        }
+
+        const actual = this.replay(strategy, params, marketData, checkpoints[checkpoints.length - 1]);
+
+        for (const index of checkpoints) {
+            const original = marketData.slice(index + 1);
+            let mirrored;
+            try {
+                original.forEach((bar, i) => {
+                    marketData[index + 1 + i] = this.mirror(bar, Number(marketData[index].ethBtcRatio));
+                });
+                mirrored = this.replay(strategy, params, marketData, marketData.length - 1);
+            } finally {
+                original.forEach((bar, i) => {
+                    marketData[index + 1 + i] = bar;
+                });
+            }
+
+            const difference = this.difference(actual[index], mirrored[index]);
+            if (difference) {
+                throw new Error(`Invalid strategy ${strategy.id}: lookahead at bar ${index} (${marketData[index].timestamp}) - `
+                    + `${difference.field} is ${difference.past} but ${difference.future} when the later bars change`);
+            }
+        }
+
+        this.checked.set(marketData, passed.set(key, checkpoints));
+        return checkpoints;
+    }
+
+    /**
+     * Strategy id plus the values of the parameters it declares, as decisions depend on nothing else
+     * @param {Object} strategy - Strategy plugin
+     * @param {Object} params - Engine parameters
+     * @returns {string} Cache key
+     * @private
+     */
+    static cacheKey(strategy, params) {
+        return `${strategy.id}:${JSON.stringify(resolveParameters(strategy.parameterSchema, params))}`;
+    }
+
+    /**
+     * Evenly spread checkpoint bars (each needs at least one later bar)
+     * @param {number} from - First bar
+     * @param {number} to - Last bar
+     * @returns {Array<number>} Bar indexes
+     * @private
+     */
+    static checkpoints(from, to) {
+        if (to < from) {
+            return [];
+        }
+
+        const count = Math.min(this.CHECKPOINTS, to - from + 1);
+        const step = count > 1 ? (to - from) / (count - 1) : 0;
+        return [...new Set(Array.from({ length: count }, (_, i) => Math.round(from + i * step)))];
+    }
+
+    /**
+     * Bar with its ratios reflected around a pivot ratio in log space (pivot² / ratio)
+     * @param {Object} bar - Bar
+     * @param {number} pivot - Ratio to reflect around
+     * @returns {Object} Mirrored copy (high and low swap places)
+     * @private
+     */
+    static mirror(bar, pivot) {
+        const reflect = (value) => value > 0 ? (pivot * pivot) / Number(value) : value;
+        return {
+            ...bar,
+            ethBtcRatio: reflect(bar.ethBtcRatio),
+            open: reflect(bar.open),
+            high: reflect(bar.low),
+            low: reflect(bar.high),
+            vwap: reflect(bar.vwap)
+        };
+    }
+
+    /**
+     * Decisions of a fresh strategy on frozen copies of bars 0..last
+     * @param {Object} strategy - Strategy plugin
+     * @param {Object} params - Engine parameters
+     * @param {Array<Object>} marketData - Bars, oldest first
+     * @param {number} last - Last bar to replay
+     * @returns {Array<Object>} Decision per bar
+     * @private
+     */
+    static replay(strategy, params, marketData, last) {
+        const state = strategy.init(params);
+        const decisions = [];
+
+        for (let i = 0; i <= last; i++) {
+            try {
+                decisions.push(strategy.onBar(Object.freeze({ ...marketData[i] }), state, null));
+            } catch (error) {
+                throw new Error(`Invalid strategy ${strategy.id}: failed on read-only bar ${i} (${error.message})`);
+            }
+        }
+
+        return decisions;
+    }
+
+    /**
+     * First field two decisions disagree on
+     * @param {Object} past - Decision on the actual bars
+     * @param {Object} future - Decision with the later bars changed
+     * @returns {Object|null} { field, past, future }, null when they agree
+     * @private
+     */
+    static difference(past, future) {
+        const fields = [
+            ['action', past.action, future.action],
+            ['targetAllocation', past.targetAllocation, future.targetAllocation],
+            ...[...new Set([...Object.keys(past.indicators || {}), ...Object.keys(future.indicators || {})])]
+                .map(name => [`indicators.${name}`, past.indicators?.[name], future.indicators?.[name]])
+        ];
+
+        const found = fields.find(([, a, b]) => !this.same(a, b));
+        return found ? { field: found[0], past: found[1], future: found[2] } : null;
+    }
+
+    /**
+     * @private
+     */
+    static same(a, b) {
+        if (typeof a === 'number' && typeof b === 'number' && Number.isFinite(a) && Number.isFinite(b)) {
+            return Math.abs(a - b) <= this.TOLERANCE * Math.max(1, Math.abs(a), Math.abs(b));
+        }
+        return Object.is(a, b);
+    }
+}
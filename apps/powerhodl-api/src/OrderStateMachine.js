@@ -0,0 +1,138 @@
+/**
+ * OrderStateMachine - Lifecycle of a live order
+ *
+ * An order is not a trade until the exchange confirms it filled. Every order goes through
+ * the same states, whichever way it is executed (exchange, simulation, replay):
+ *
+ *   pending → submitted → partially_filled → filled
+ *                 │               │
+ *                 └───────────────┴──────→ cancelled / failed
+ *
+ * CRITICAL CONCEPTS:
+ * 1. ONLY CONFIRMED FILLS MOVE BALANCES
+ *    - The filled amount, cost and fee reported by the exchange (ccxt fetchOrder) are the truth
+ *    - fillDeltas() turns them into the portfolio change; the caller applies only what
+ *      was not applied before, so partial fills are picked up one poll at a time
+ *
+ * 2. TERMINAL STATES
+ *    - filled, cancelled and failed never change again
+ *    - A cancelled order can still have filled partly; those fills stay applied
+ *
+ * 3. EXCHANGE STATUS IS NORMALIZED HERE
+ *    - ccxt reports open / closed / canceled / expired / rejected plus filled / remaining;
+ *      fromExchange() maps that to one of our states
+ */
+export class OrderStateMachine {
+    static STATES = ['pending', 'submitted', 'partially_filled', 'filled', 'cancelled', 'failed'];
+
+    static TERMINAL_STATES = ['filled', 'cancelled', 'failed'];
+
+    static OPEN_STATES = ['pending', 'submitted', 'partially_filled'];
+
+    /**
+     * Allowed transitions (staying in partially_filled records another partial fill)
+     */
+    static TRANSITIONS = {
+        pending: ['submitted', 'filled', 'cancelled', 'failed'],
+        submitted: ['partially_filled', 'filled', 'cancelled', 'failed'],
+        partially_filled: ['partially_filled', 'filled', 'cancelled'],
+        filled: [],
+        cancelled: [],
+        failed: []
+    };
+
+    /**
+     * @param {string} status - Order state
+     * @returns {boolean} True when the order can no longer change
+     */
+    static isTerminal(status) {
+        return this.TERMINAL_STATES.includes(status);
+    }
+
+    /**
+     * @param {string} from - Current state
+     * @param {string} to - Next state
+     * @returns {boolean} True when the transition is allowed
+     */
+    static canTransition(from, to) {
+        return (this.TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Throw unless the transition is allowed
+     * @param {string} from - Current state
+     * @param {string} to - Next state
+     */
+    static assertTransition(from, to) {
+        if (!this.STATES.includes(to)) {
+            throw new Error(`Invalid order state: ${to}`);
+        }
+        if (!this.canTransition(from, to)) {
+            throw new Error(`Invalid order transition: ${from} → ${to}`);
+        }
+    }
+
+    /**
+     * Normalize a ccxt order to our state and fill figures
+     * @param {Object} exchangeOrder - ccxt order (createOrder / fetchOrder / cancelOrder)
+     * @returns {Object} { id, status, amount, filled, averagePrice, cost, fee: { cost, currency }, timestamp }
+     */
+    static fromExchange(exchangeOrder) {
+        const amount = Number(exchangeOrder.amount) || 0;
+        const filled = Number(exchangeOrder.filled ?? (exchangeOrder.status === 'closed' ? amount : 0)) || 0;
+        const averagePrice = Number(exchangeOrder.average || exchangeOrder.price) || null;
+        const cost = Number(exchangeOrder.cost ?? (averagePrice ? filled * averagePrice : 0)) || 0;
+
+        let status;
+        switch (exchangeOrder.status) {
+            case 'closed':
+                status = 'filled';
+                break;
+            case 'canceled':
+            case 'cancelled':
+            case 'expired':
+                status = 'cancelled';
+                break;
+            case 'rejected':
+                status = filled > 0 ? 'cancelled' : 'failed';
+                break;
+            default:
+                // open (or not reported yet)
+                status = filled > 0 ? 'partially_filled' : 'submitted';
+        }
+
+        return {
+            id: exchangeOrder.id,
+            status,
+            amount,
+            filled,
+            averagePrice,
+            cost,
+            fee: {
+                cost: Number(exchangeOrder.fee?.cost) || 0,
+                currency: exchangeOrder.fee?.currency || null
+            },
+            timestamp: exchangeOrder.timestamp ? new Date(exchangeOrder.timestamp).toISOString() : null
+        };
+    }
+
+    /**
+     * Portfolio change of everything filled so far
+     * Buys add the base asset and pay cost (+ fee) in the quote asset; sells the reverse.
+     * A fee charged in the base or quote asset comes off that side; fees in other assets
+     * (e.g. an exchange token) are not part of the portfolio.
+     * @param {string} side - 'buy' | 'sell' (of the pair's base asset)
+     * @param {Object} fill - { filled, cost, fee: { cost, currency } } totals
+     * @param {Object} pair - { base, quote } asset names
+     * @returns {Object} { ethDelta, btcDelta } - base / quote change of the portfolio
+     */
+    static fillDeltas(side, fill, pair) {
+        const feeCost = Number(fill.fee?.cost) || 0;
+        const feeBase = fill.fee?.currency === pair.base ? feeCost : 0;
+        const feeQuote = fill.fee?.currency === pair.quote ? feeCost : 0;
+
+        return side === 'buy'
+            ? { ethDelta: fill.filled - feeBase, btcDelta: -(fill.cost + feeQuote) }
+            : { ethDelta: -fill.filled - feeBase, btcDelta: fill.cost - feeQuote };
+    }
+}
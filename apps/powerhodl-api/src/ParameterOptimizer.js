@@ -0,0 +1,470 @@
+import { SimpleBacktestEngine } from './SimpleBacktestEngine.js';
+
+/**
+ * ParameterOptimizer - Server-side parameter search over SimpleBacktestEngine
+ *
+ * Runs the whole search inside the API process: one request, many backtests,
+ * no HTTP round trip per iteration.
+ *
+ * CRITICAL CONCEPTS:
+ * 1. SEARCH STRATEGIES ARE PLUGGABLE
+ *    - grid:             exhaustive sweep, deterministic, expensive in many dimensions
+ *    - random:           uniform samples, stops early when the best score stalls
+ *    - nelder-mead:      derivative-free simplex, good default for noisy backtest surfaces
+ *    - gradient-descent: central finite differences + backtracking line search
+ *    - New strategies can be added with registerStrategy(name, fn)
+ *
+ * 2. UNIT CUBE
+ *    - Strategies work on a vector in [0, 1]^d, never on raw parameter values
+ *    - evaluate() maps it onto the bounds, rounds integer parameters and clamps
+ *    - This keeps step sizes comparable between zScoreThreshold (0.5-3) and lookbackDays (5-60)
+ *
+ * 3. OBJECTIVES - what "best" means (higher is always better)
+ *    - btcGrowth:          total BTC-denominated return
+ *    - tokenAccumulation:  growth of BTC + ETH token count
+ *    - sharpe:             risk-adjusted return
+ *    - feePenalized:       BTC growth minus feePenalty x fees paid, favours low-turnover sets
+ *
+ * 4. DETERMINISM
+ *    - All randomness comes from a seeded generator
+ *    - Same data + same options + same seed = same result, every time
+ *
+ * 5. BUDGET AND EARLY STOPPING
+ *    - maxIterations caps the number of distinct backtests (at most MAX_ITERATIONS, the API is public)
+ *    - A grid with more points than MAX_ITERATIONS is rejected before it is built
+ *    - convergenceThreshold stops a strategy once improvements fall below it
+ */
+export class ParameterOptimizer {
+    /**
+     * Objective functions mapping a runBacktest() result to a score (higher is better)
+     */
+    static OBJECTIVES = {
+        btcGrowth: (result) => result.metrics.totalReturnPercent,
+        tokenAccumulation: (result) => result.metrics.tokenAccumulationPercent,
+        sharpe: (result) => result.metrics.sharpeRatio,
+        feePenalized: (result, options = {}) => {
+            const feePenalty = options.feePenalty ?? 1.0;
+            // Fees are measured against the 1 BTC starting portfolio, in percent
+            return result.metrics.totalReturnPercent - feePenalty * result.metrics.totalFeesBTC * 100;
+        }
+    };
+
+    /**
+     * Default search bounds. rebalancePercent stops at 25 because the engine caps trades there.
+     */
+    static DEFAULT_BOUNDS = {
+        zScoreThreshold: { min: 0.5, max: 3.0 },
+        rebalancePercent: { min: 5, max: 25 },
+        lookbackDays: { min: 5, max: 60, integer: true }
+    };
+
+    /**
+     * Most backtests one search may run (each iteration is a full backtest)
+     */
+    static MAX_ITERATIONS = 5000;
+
+    /**
+     * Registered search strategies (name -> search function)
+     */
+    static STRATEGIES = {
+        grid: (ctx) => ParameterOptimizer.gridSearch(ctx),
+        random: (ctx) => ParameterOptimizer.randomSearch(ctx),
+        'nelder-mead': (ctx) => ParameterOptimizer.nelderMead(ctx),
+        'gradient-descent': (ctx) => ParameterOptimizer.gradientDescent(ctx)
+    };
+
+    /**
+     * Register an additional search strategy
+     * @param {string} name - Strategy name used in requests
+     * @param {Function} searchFn - Receives the search context (see createContext) and returns a stop reason
+     */
+    static registerStrategy(name, searchFn) {
+        this.STRATEGIES[name] = searchFn;
+    }
+
+    /**
+     * Score a backtest result with the given objective
+     * @param {Object} result - SimpleBacktestEngine.runBacktest() result
+     * @param {string} objective - Key of OBJECTIVES
+     * @param {Object} options - Objective options (feePenalty)
+     * @returns {number} Score, higher is better
+     */
+    static score(result, objective = 'btcGrowth', options = {}) {
+        const objectiveFn = this.OBJECTIVES[objective];
+        if (!objectiveFn) {
+            throw new Error(`Invalid objective: ${objective}. Use one of ${Object.keys(this.OBJECTIVES).join(', ')}`);
+        }
+        return objectiveFn(result, options);
+    }
+
+    /**
+     * Run a parameter search
+     * @param {Array<Object>} marketData - Normalized market data
+     * @param {Object} baseParams - Engine parameters; tuned ones are overridden, the rest are kept (and used as the start point)
+     * @param {Object} options - Optimizer configuration
+     * @param {string} options.strategy - grid | random | nelder-mead | gradient-descent
+     * @param {string} options.objective - btcGrowth | tokenAccumulation | sharpe | feePenalized
+     * @param {Object} options.bounds - Map of parameter name to { min, max, integer }
+     * @param {number} options.seed - Seed for the random generator
+     * @param {number} options.maxIterations - Maximum number of distinct backtests (1 to MAX_ITERATIONS)
+     * @param {number} options.convergenceThreshold - Minimum score improvement that counts as progress
+     * @param {number} options.feePenalty - Weight of fees for the feePenalized objective
+     * @param {Function} options.onProgress - Called after every evaluation with { evaluations, maxIterations, best, evaluation }
+     * @returns {Object} Best parameters, full evaluation history and stop reason
+     */
+    static run(marketData, baseParams, options = {}) {
+        const config = this.resolveOptions(options);
+        const search = this.STRATEGIES[config.strategy];
+        const ctx = this.createContext(marketData, baseParams, config);
+
+        console.log(`🎯 [OPTIMIZER] ${config.strategy} search on ${marketData.length} bars, objective=${config.objective}, budget=${config.maxIterations}, seed=${config.seed}`);
+
+        const stopReason = search(ctx) || 'completed';
+        const best = ctx.getBest();
+
+        if (!best) {
+            throw new Error('Optimization produced no evaluations');
+        }
+
+        console.log(`✅ [OPTIMIZER] ${config.strategy} stopped (${stopReason}) after ${ctx.history.length} evaluations, best ${config.objective}=${best.score.toFixed(4)}`);
+
+        return {
+            strategy: config.strategy,
+            objective: config.objective,
+            seed: config.seed,
+            bounds: config.bounds,
+            evaluations: ctx.history.length,
+            stopReason,
+            converged: stopReason === 'converged',
+            best,
+            history: ctx.history
+        };
+    }
+
+    /**
+     * Build the context handed to search strategies
+     * @private
+     */
+    static createContext(marketData, baseParams, config) {
+        const dimensions = Object.entries(config.bounds).map(([name, bound]) => ({
+            name,
+            min: Number(bound.min),
+            max: Number(bound.max),
+            integer: bound.integer === true
+        }));
+        const cache = new Map();
+        const history = [];
+        const random = createSeededRandom(config.seed);
+        let best = null;
+
+        const toParams = (unit) => {
+            const params = { ...baseParams };
+            dimensions.forEach((dim, i) => {
+                const u = Math.min(1, Math.max(0, unit[i]));
+                const value = dim.min + u * (dim.max - dim.min);
+                params[dim.name] = dim.integer ? Math.round(value) : value;
+            });
+            return params;
+        };
+
+        const toUnit = (params) => dimensions.map(dim => {
+            const value = params[dim.name] ?? (dim.min + dim.max) / 2;
+            return dim.max > dim.min ? Math.min(1, Math.max(0, (value - dim.min) / (dim.max - dim.min))) : 0;
+        });
+
+        const evaluate = (unit) => {
+            const params = toParams(unit);
+            const key = dimensions.map(dim => params[dim.name]).join('|');
+
+            if (cache.has(key)) {
+                return cache.get(key);
+            }
+
+            // Out of budget: never run more than maxIterations backtests, whatever step the strategy is in
+            if (history.length >= config.maxIterations) {
+                return -Infinity;
+            }
+
+            const result = SimpleBacktestEngine.runBacktest(marketData, params);
+            const score = this.score(result, config.objective, config);
+            const evaluation = {
+                iteration: history.length + 1,
+                parameters: params,
+                score,
+                metrics: {
+                    btcGrowthPercent: result.metrics.totalReturnPercent,
+                    tokenAccumulationPercent: result.metrics.tokenAccumulationPercent,
+                    sharpeRatio: result.metrics.sharpeRatio,
+                    maxDrawdown: result.metrics.maxDrawdown,
+                    totalTrades: result.metrics.totalTrades,
+                    totalFeesBTC: result.metrics.totalFeesBTC,
+                    winRate: result.metrics.winRate
+                }
+            };
+
+            cache.set(key, score);
+            history.push(evaluation);
+
+            if (best === null || score > best.score) {
+                best = evaluation;
+            }
+
+            if (config.onProgress) {
+                config.onProgress({ evaluations: history.length, maxIterations: config.maxIterations, best, evaluation });
+            }
+
+            return score;
+        };
+
+        return {
+            dimensions,
+            history,
+            random,
+            config,
+            start: toUnit(baseParams),
+            evaluate,
+            hasBudget: () => history.length < config.maxIterations,
+            getBest: () => best
+        };
+    }
+
+    /**
+     * Exhaustive grid over the unit cube. Points per axis are derived from the budget.
+     * @private
+     */
+    static gridSearch(ctx) {
+        const d = ctx.dimensions.length;
+        const pointsPerAxis = this.gridPointsPerAxis(ctx.config, d);
+        const axis = Array.from({ length: pointsPerAxis }, (_, i) => i / (pointsPerAxis - 1));
+
+        let points = [[]];
+        for (let i = 0; i < d; i++) {
+            points = points.flatMap(point => axis.map(u => [...point, u]));
+        }
+
+        for (const point of points) {
+            if (!ctx.hasBudget()) return 'budget';
+            ctx.evaluate(point);
+        }
+
+        return 'completed';
+    }
+
+    /**
+     * Grid points per axis: gridSteps, or as many as the budget allows in d dimensions
+     * @private
+     */
+    static gridPointsPerAxis(config, d) {
+        return config.gridSteps || Math.max(2, Math.floor(Math.pow(config.maxIterations, 1 / d)));
+    }
+
+    /**
+     * Uniform random sampling with early stop when the best score stops improving
+     * @private
+     */
+    static randomSearch(ctx) {
+        const patience = ctx.config.patience || Math.max(20, Math.floor(ctx.config.maxIterations / 2));
+        let bestScore = ctx.evaluate(ctx.start);
+        let sinceImprovement = 0;
+
+        // Bounded by attempts as well as budget: duplicate samples hit the cache and cost nothing
+        for (let attempt = 0; attempt < ctx.config.maxIterations * 10 && ctx.hasBudget(); attempt++) {
+            const score = ctx.evaluate(ctx.dimensions.map(() => ctx.random()));
+
+            if (score > bestScore + ctx.config.convergenceThreshold) {
+                bestScore = score;
+                sinceImprovement = 0;
+            } else if (++sinceImprovement >= patience) {
+                return 'converged';
+            }
+        }
+
+        return ctx.hasBudget() ? 'completed' : 'budget';
+    }
+
+    /**
+     * Nelder-Mead simplex search (maximizing the objective)
+     * @private
+     */
+    static nelderMead(ctx) {
+        const d = ctx.dimensions.length;
+        const initialStep = ctx.config.initialStep || 0.2;
+        const clamp = (x) => x.map(v => Math.min(1, Math.max(0, v)));
+
+        // Initial simplex: start point plus one vertex per axis
+        let simplex = [ctx.start];
+        for (let i = 0; i < d; i++) {
+            const vertex = [...ctx.start];
+            vertex[i] = vertex[i] + initialStep <= 1 ? vertex[i] + initialStep : vertex[i] - initialStep;
+            simplex.push(vertex);
+        }
+        simplex = simplex.map(x => ({ x, score: ctx.evaluate(x) }));
+
+        for (let step = 0; step < ctx.config.maxIterations && ctx.hasBudget(); step++) {
+            simplex.sort((a, b) => b.score - a.score);
+            const bestVertex = simplex[0];
+            const worst = simplex[d];
+
+            if (Math.abs(bestVertex.score - worst.score) < ctx.config.convergenceThreshold) {
+                return 'converged';
+            }
+
+            // Centroid of every vertex except the worst
+            const centroid = Array.from({ length: d }, (_, i) =>
+                simplex.slice(0, d).reduce((sum, v) => sum + v.x[i], 0) / d
+            );
+            const along = (coefficient) => clamp(centroid.map((c, i) => c + coefficient * (worst.x[i] - c)));
+
+            const reflected = along(-1);
+            const reflectedScore = ctx.evaluate(reflected);
+
+            if (reflectedScore > bestVertex.score) {
+                const expanded = along(-2);
+                const expandedScore = ctx.evaluate(expanded);
+                simplex[d] = expandedScore > reflectedScore
+                    ? { x: expanded, score: expandedScore }
+                    : { x: reflected, score: reflectedScore };
+            } else if (reflectedScore > simplex[d - 1].score) {
+                simplex[d] = { x: reflected, score: reflectedScore };
+            } else {
+                const contracted = along(0.5);
+                const contractedScore = ctx.evaluate(contracted);
+
+                if (contractedScore > worst.score) {
+                    simplex[d] = { x: contracted, score: contractedScore };
+                } else {
+                    // Shrink every vertex towards the best one
+                    simplex = simplex.map((v, index) => {
+                        if (index === 0) return v;
+                        const x = clamp(v.x.map((value, i) => bestVertex.x[i] + 0.5 * (value - bestVertex.x[i])));
+                        return { x, score: ctx.evaluate(x) };
+                    });
+                }
+            }
+        }
+
+        return ctx.hasBudget() ? 'completed' : 'budget';
+    }
+
+    /**
+     * Gradient ascent with central finite differences and a backtracking line search
+     * @private
+     */
+    static gradientDescent(ctx) {
+        const minStep = 1e-3;
+        let learningRate = ctx.config.learningRate || 0.1;
+        let x = [...ctx.start];
+        let score = ctx.evaluate(x);
+
+        // Integer parameters need a probe of at least one whole unit or the difference is always zero
+        const probe = ctx.dimensions.map(dim => {
+            const unitStep = dim.integer && dim.max > dim.min ? 1 / (dim.max - dim.min) : 0;
+            return Math.max(ctx.config.probeStep || 0.02, unitStep);
+        });
+
+        for (let step = 0; step < ctx.config.maxIterations && ctx.hasBudget(); step++) {
+            const gradient = x.map((value, i) => {
+                const up = [...x];
+                const down = [...x];
+                up[i] = Math.min(1, value + probe[i]);
+                down[i] = Math.max(0, value - probe[i]);
+                const width = up[i] - down[i];
+                return width > 0 ? (ctx.evaluate(up) - ctx.evaluate(down)) / width : 0;
+            });
+
+            const norm = Math.sqrt(gradient.reduce((sum, g) => sum + g * g, 0));
+            if (norm === 0) {
+                return 'converged';
+            }
+
+            // Backtracking: halve the step until it improves the score or becomes negligible
+            let improved = false;
+            while (learningRate >= minStep && ctx.hasBudget()) {
+                const candidate = x.map((value, i) => Math.min(1, Math.max(0, value + learningRate * gradient[i] / norm)));
+                const candidateScore = ctx.evaluate(candidate);
+
+                if (candidateScore > score) {
+                    const improvement = candidateScore - score;
+                    x = candidate;
+                    score = candidateScore;
+                    improved = true;
+
+                    if (improvement < ctx.config.convergenceThreshold) {
+                        return 'converged';
+                    }
+                    break;
+                }
+                learningRate /= 2;
+            }
+
+            if (!improved) {
+                return ctx.hasBudget() ? 'converged' : 'budget';
+            }
+        }
+
+        return ctx.hasBudget() ? 'completed' : 'budget';
+    }
+
+    /**
+     * Fill in defaults and validate optimizer options
+     * @private
+     */
+    static resolveOptions(options) {
+        const strategy = options.strategy || 'nelder-mead';
+        const objective = options.objective || 'btcGrowth';
+        const bounds = options.bounds || this.DEFAULT_BOUNDS;
+
+        if (!this.STRATEGIES[strategy]) {
+            throw new Error(`Invalid strategy: ${strategy}. Use one of ${Object.keys(this.STRATEGIES).join(', ')}`);
+        }
+
+        if (!this.OBJECTIVES[objective]) {
+            throw new Error(`Invalid objective: ${objective}. Use one of ${Object.keys(this.OBJECTIVES).join(', ')}`);
+        }
+
+        for (const [name, bound] of Object.entries(bounds)) {
+            if (!(Number(bound.max) >= Number(bound.min))) {
+                throw new Error(`Invalid bounds for ${name}: min must not exceed max`);
+            }
+        }
+
+        const maxIterations = parseInt(options.maxIterations) || 100;
+        if (maxIterations < 1 || maxIterations > this.MAX_ITERATIONS) {
+            throw new Error(`Invalid optimizer config: maxIterations must be between 1 and ${this.MAX_ITERATIONS}`);
+        }
+
+        // The grid is built in full before the budget stops it
+        const dimensions = Object.keys(bounds).length;
+        const gridPoints = Math.pow(this.gridPointsPerAxis({ gridSteps: options.gridSteps, maxIterations }, dimensions), dimensions);
+        if (strategy === 'grid' && gridPoints > this.MAX_ITERATIONS) {
+            throw new Error(`Invalid optimizer config: a grid over ${dimensions} parameters has ${gridPoints} points, more than ${this.MAX_ITERATIONS}`);
+        }
+
+        return {
+            ...options,
+            strategy,
+            objective,
+            bounds,
+            seed: Number.isFinite(Number(options.seed)) ? Number(options.seed) : Date.now() % 2147483647,
+            maxIterations,
+            convergenceThreshold: Number(options.convergenceThreshold ?? 0.001)
+        };
+    }
+}
+
+/**
+ * Seeded PRNG (mulberry32) - deterministic random numbers in [0, 1)
+ * Also used by RobustnessAnalyzer so resamples are reproducible from the seed.
+ * @param {number} seed - Integer seed
+ * @returns {Function} Random number generator
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,295 @@
+/**
+ * RiskPolicy - Declarative risk rules of a portfolio
+ *
+ * A policy is a list of rules, each a limit on one measure of the trade about to be made.
+ * Policies are stored per portfolio (risk_policies, migration 011) and edited through
+ * /api/risk/policy; a portfolio without one uses defaultPolicy() built from the env limits.
+ *
+ *   { rules: [{ id: 'trade-size', type: 'maxTradeSize', threshold: 0.1, action: 'shrink', severity: 'high' }] }
+ *
+ * CRITICAL CONCEPTS:
+ * 1. RULE = MEASURE + THRESHOLD + ACTION
+ *    - type picks the measure (RULE_TYPES); 'max' types trigger above the threshold, 'min'
+ *      types below it. Fractions (trade size, drawdown, confidence, volatility) are 0-1
+ *    - action: 'block' stops the trade, 'warn' only reports, 'shrink' scales the trade down -
+ *      maxTradeSize to exactly its threshold, any other type by its shrinkFactor (default 0.5)
+ *    - severity (low / medium / high / critical) ranks triggered rules in the report
+ *
+ * 2. EVERY RULE IS REPORTED
+ *    - evaluate() returns one entry per rule with the measured value, whether it triggered or
+ *      was skipped (its input is missing or the rule is disabled), and the overall decision
+ *    - The signal-generator stores the report with each signal (trading_signals.risk_report);
+ *      the trade executor scales the order by its sizeMultiplier
+ *
+ * 3. DEFAULTS DO NOT CHANGE TRADING
+ *    - The default policy blocks on the daily trade limit and the cooldown, as the trade
+ *      executor always did, and only warns on trade size and drawdown (the kill switch halts
+ *      on drawdown)
+ */
+export class RiskPolicy {
+    static ACTIONS = ['block', 'warn', 'shrink'];
+
+    static SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+    static MAX_RULES = 20;
+
+    static DEFAULT_SHRINK_FACTOR = 0.5;
+
+    /**
+     * Rule types: what each measures, which way its threshold limits it and in what unit
+     */
+    static RULE_TYPES = {
+        maxDailyTrades: { limit: 'max', unit: 'trades', label: 'Trades today (including this one)' },
+        cooldownMinutes: { limit: 'min', unit: 'minutes', label: 'Minutes since the last trade' },
+        maxTradeSize: { limit: 'max', unit: 'fraction', label: 'Trade value / portfolio value' },
+        maxDrawdown: { limit: 'max', unit: 'fraction', label: 'Portfolio value below its peak' },
+        minConfidence: { limit: 'min', unit: 'fraction', label: 'Signal confidence' },
+        maxVolatility: { limit: 'max', unit: 'fraction', label: 'Volatility of recent bar returns' }
+    };
+
+    /**
+     * Policy a portfolio without its own uses
+     * @param {Object} limits - { maxDailyTrades, cooldownPeriod, maxTradeSize, maxDrawdown } (RiskManager)
+     * @returns {Object} Policy
+     */
+    static defaultPolicy(limits) {
+        return {
+            rules: [
+                { id: 'daily-trades', type: 'maxDailyTrades', threshold: limits.maxDailyTrades, action: 'block', severity: 'high', enabled: true },
+                { id: 'cooldown', type: 'cooldownMinutes', threshold: limits.cooldownPeriod, action: 'block', severity: 'medium', enabled: true },
+                { id: 'trade-size', type: 'maxTradeSize', threshold: limits.maxTradeSize, action: 'warn', severity: 'high', enabled: true },
+                { id: 'drawdown', type: 'maxDrawdown', threshold: limits.maxDrawdown, action: 'warn', severity: 'critical', enabled: true }
+            ]
+        };
+    }
+
+    /**
+     * Check and normalize a policy
+     * @param {Object} policy - { rules: [...] }
+     * @returns {Object} Policy with every rule's defaults filled in
+     * @throws {Error} For an invalid policy
+     */
+    static validate(policy) {
+        if (!policy || !Array.isArray(policy.rules)) {
+            throw new Error('Invalid risk policy: rules must be an array');
+        }
+        if (policy.rules.length > this.MAX_RULES) {
+            throw new Error(`Invalid risk policy: at most ${this.MAX_RULES} rules`);
+        }
+
+        const ids = new Set();
+        const rules = policy.rules.map((rule, index) => {
+            const normalized = this.validateRule(rule, index);
+            if (ids.has(normalized.id)) {
+                throw new Error(`Invalid rule ${index + 1}: duplicate id ${normalized.id}`);
+            }
+            ids.add(normalized.id);
+            return normalized;
+        });
+
+        return { rules };
+    }
+
+    /**
+     * Check and normalize one rule
+     * @param {Object} rule - Rule
+     * @param {number} index - Position in the policy (for messages)
+     * @returns {Object} { id, type, threshold, action, severity, enabled, shrinkFactor (shrink only) }
+     * @private
+     */
+    static validateRule(rule, index) {
+        const fail = message => { throw new Error(`Invalid rule ${index + 1}${rule?.id ? ` (${rule.id})` : ''}: ${message}`); };
+
+        if (!rule || typeof rule !== 'object') {
+            fail('must be an object');
+        }
+
+        const definition = this.RULE_TYPES[rule.type];
+        if (!definition) {
+            fail(`unknown type ${rule.type} (expected ${Object.keys(this.RULE_TYPES).join(', ')})`);
+        }
+
+        const id = rule.id ?? rule.type;
+        if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,40}$/.test(id)) {
+            fail('id must be 1-40 letters, digits, - or _');
+        }
+
+        const threshold = Number(rule.threshold);
+        if (rule.threshold === null || rule.threshold === '' || !Number.isFinite(threshold) || threshold < 0) {
+            fail('threshold must be a number of at least 0');
+        }
+        if (definition.unit === 'fraction' && threshold > 1) {
+            fail('threshold is a fraction between 0 and 1');
+        }
+
+        const action = rule.action ?? 'block';
+        if (!this.ACTIONS.includes(action)) {
+            fail(`action must be one of ${this.ACTIONS.join(', ')}`);
+        }
+
+        const severity = rule.severity ?? 'medium';
+        if (!this.SEVERITIES.includes(severity)) {
+            fail(`severity must be one of ${this.SEVERITIES.join(', ')}`);
+        }
+
+        const normalized = { id, type: rule.type, threshold, action, severity, enabled: rule.enabled !== false };
+
+        if (action === 'shrink' && rule.type !== 'maxTradeSize') {
+            const shrinkFactor = Number(rule.shrinkFactor ?? this.DEFAULT_SHRINK_FACTOR);
+            if (!(shrinkFactor > 0 && shrinkFactor < 1)) {
+                fail('shrinkFactor must be between 0 and 1');
+            }
+            normalized.shrinkFactor = shrinkFactor;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Evaluate every rule of a policy
+     * @param {Object} policy - Validated policy
+     * @param {Object} context - What the rules measure; a rule whose input is missing is skipped
+     * @param {number} context.now - Epoch milliseconds
+     * @param {Array<Object>} [context.recentTrades] - Trades counted against the portfolio, newest first
+     * @param {number} [context.tradeValueBTC] - Value of the trade about to be made
+     * @param {number} [context.portfolioValueBTC] - Current portfolio value
+     * @param {number} [context.peakValueBTC] - Highest portfolio value reached
+     * @param {number} [context.confidence] - Signal confidence (0-1)
+     * @param {number} [context.volatility] - Standard deviation of the pair's recent bar returns
+     * @returns {Object} { decision ('allow' | 'block'), reason, severity, sizeMultiplier, blockedBy, warnings,
+     *                   shrunkBy, rules, evaluatedAt }
+     */
+    static evaluate(policy, context) {
+        const rules = policy.rules.map(rule => this.evaluateRule(rule, context));
+        const triggered = action => rules.filter(rule => rule.triggered && rule.action === action);
+
+        const blocking = triggered('block');
+        const shrinking = triggered('shrink');
+        const sizeMultiplier = shrinking.reduce((multiplier, rule) => Math.min(multiplier, rule.sizeMultiplier), 1);
+        const severities = rules.filter(rule => rule.triggered).map(rule => this.SEVERITIES.indexOf(rule.severity));
+
+        return {
+            decision: blocking.length > 0 ? 'block' : 'allow',
+            reason: blocking.length > 0 ? blocking.map(rule => rule.message).join('; ') : null,
+            severity: severities.length > 0 ? this.SEVERITIES[Math.max(...severities)] : null,
+            sizeMultiplier,
+            blockedBy: blocking.map(rule => rule.id),
+            warnings: triggered('warn').map(rule => rule.id),
+            shrunkBy: shrinking.map(rule => rule.id),
+            rules,
+            evaluatedAt: new Date(context.now).toISOString()
+        };
+    }
+
+    /**
+     * Evaluate one rule
+     * @param {Object} rule - Validated rule
+     * @param {Object} context - See evaluate()
+     * @returns {Object} Rule with { value, triggered, skipped (reason or null), message, sizeMultiplier (shrink only) }
+     * @private
+     */
+    static evaluateRule(rule, context) {
+        const definition = this.RULE_TYPES[rule.type];
+        const result = { ...rule, value: null, triggered: false, skipped: null, message: null };
+
+        if (!rule.enabled) {
+            return { ...result, skipped: 'disabled' };
+        }
+
+        const measured = this.measure(rule.type, context);
+        if (measured.skipped) {
+            return { ...result, skipped: measured.skipped };
+        }
+
+        const value = measured.value;
+        const triggered = definition.limit === 'max' ? value > rule.threshold : value < rule.threshold;
+        const comparison = triggered
+            ? `${definition.limit === 'max' ? '>' : '<'}`
+            : `${definition.limit === 'max' ? '≤' : '≥'}`;
+        const evaluated = {
+            ...result,
+            value,
+            triggered,
+            message: `${definition.label} ${this.format(value, definition.unit)} ${comparison} ${this.format(rule.threshold, definition.unit)}`
+        };
+
+        if (triggered && rule.action === 'shrink') {
+            evaluated.sizeMultiplier = rule.type === 'maxTradeSize' ? rule.threshold / value : rule.shrinkFactor;
+        }
+
+        return evaluated;
+    }
+
+    /**
+     * Value a rule type measures
+     * @param {string} type - Rule type
+     * @param {Object} context - See evaluate()
+     * @returns {Object} { value } or { skipped: reason }
+     * @private
+     */
+    static measure(type, context) {
+        const { recentTrades, tradeValueBTC, portfolioValueBTC, peakValueBTC, confidence, volatility } = context;
+        const known = value => value !== null && value !== undefined && Number.isFinite(Number(value));
+        const tradeTime = trade => new Date(trade.executed_at || trade.created_at).getTime();
+
+        switch (type) {
+            case 'maxDailyTrades': {
+                if (!recentTrades) {
+                    return { skipped: 'no trade history' };
+                }
+                const midnight = new Date(context.now);
+                midnight.setHours(0, 0, 0, 0);
+                return { value: recentTrades.filter(trade => tradeTime(trade) >= midnight.getTime()).length + 1 };
+            }
+            case 'cooldownMinutes':
+                if (!recentTrades) {
+                    return { skipped: 'no trade history' };
+                }
+                if (recentTrades.length === 0) {
+                    return { skipped: 'no earlier trade' };
+                }
+                return { value: (context.now - tradeTime(recentTrades[0])) / 60000 };
+            case 'maxTradeSize':
+                if (!known(tradeValueBTC) || !(portfolioValueBTC > 0)) {
+                    return { skipped: 'no trade size' };
+                }
+                return { value: tradeValueBTC / portfolioValueBTC };
+            case 'maxDrawdown': {
+                if (!(portfolioValueBTC > 0) || !known(peakValueBTC)) {
+                    return { skipped: 'no peak value' };
+                }
+                const peak = Math.max(Number(peakValueBTC), portfolioValueBTC);
+                return { value: (peak - portfolioValueBTC) / peak };
+            }
+            case 'minConfidence':
+                return known(confidence) ? { value: Number(confidence) } : { skipped: 'no signal confidence' };
+            case 'maxVolatility':
+                return known(volatility) ? { value: Number(volatility) } : { skipped: 'no volatility' };
+            default:
+                return { skipped: `unknown type ${type}` };
+        }
+    }
+
+    /**
+     * Number of recent trades evaluate() needs to count the daily trades of this policy
+     * @param {Object} policy - Validated policy
+     * @returns {number} Trades to load
+     */
+    static recentTradesNeeded(policy) {
+        const limits = policy.rules.filter(rule => rule.type === 'maxDailyTrades').map(rule => rule.threshold);
+        return Math.max(1, ...limits) + 1;
+    }
+
+    /**
+     * @param {number} value - Measured value or threshold
+     * @param {string} unit - Unit of the rule type
+     * @returns {string} Value for messages
+     * @private
+     */
+    static format(value, unit) {
+        if (unit === 'fraction') {
+            return `${(value * 100).toFixed(1)}%`;
+        }
+        return unit === 'trades' ? `${value}` : `${value.toFixed(1)} min`;
+    }
+}
@@ -0,0 +1,308 @@
+import { SimpleBacktestEngine } from './SimpleBacktestEngine.js';
+import { createSeededRandom } from './ParameterOptimizer.js';
+
+/**
+ * RobustnessAnalyzer - Monte Carlo / bootstrap distribution of backtest outcomes
+ *
+ * One backtest is one path through history. A good result on that path can be luck:
+ * a few well-timed swings that will never repeat in the same order.
+ * This analyzer reruns the same parameters on many resampled ETH/BTC histories and
+ * reports the spread of outcomes instead of a single number.
+ *
+ * CRITICAL CONCEPTS:
+ * 1. RESAMPLE RETURNS, NOT PRICES
+ *    - The series is turned into bar-to-bar log returns (ratio, BTC price, ETH price together)
+ *    - Returns are resampled, then compounded from the real first bar
+ *    - Timestamps stay on the real calendar, so the engine sees an ordinary series
+ *    - Open, high, low and vwap move with their bar: each keeps its distance from the bar's
+ *      close, so delayed fills at the open or vwap (executionDelayBars) see resampled prices too
+ *
+ * 2. TWO RESAMPLING METHODS
+ *    - block-bootstrap: random blocks of blockBars consecutive returns, drawn with replacement
+ *      (blocks keep the short-term autocorrelation the Z-score strategy feeds on)
+ *    - regime-shuffle:  the history is cut into regimes (trend direction x volatility level)
+ *      and the regimes are replayed in random order, each one intact
+ *      (same returns in a different order: the final ratio is unchanged, only the path differs,
+ *      so it isolates how much the result depends on the ORDER of market phases)
+ *
+ * 3. REPORT INTERVALS, NOT AVERAGES
+ *    - Every metric gets a confidence interval (default 90%: 5th to 95th percentile)
+ *    - probabilityOfLoss = share of resamples that ended with less BTC than they started with
+ *    - The point estimate is the backtest on the real series, for comparison
+ *
+ * 4. DETERMINISTIC
+ *    - Same seed + same data + same parameters = same resamples and same intervals
+ */
+export class RobustnessAnalyzer {
+    static METHODS = ['block-bootstrap', 'regime-shuffle'];
+
+    /**
+     * Metrics summarized for every resample (engine metric name -> API name)
+     */
+    static METRICS = {
+        totalReturnPercent: 'btcGrowthPercent',
+        tokenAccumulationPercent: 'tokenAccumulationPercent',
+        maxDrawdown: 'maxDrawdown',
+        totalTrades: 'totalTrades'
+    };
+
+    /**
+     * Run a robustness analysis
+     * @param {Array<Object>} marketData - Normalized market data (see SimpleBacktestEngine.normalizeMarketData)
+     * @param {Object} params - Engine parameters
+     * @param {Object} options - Analysis configuration
+     * @param {string} options.method - 'block-bootstrap' (default) or 'regime-shuffle'
+     * @param {number} options.samples - Number of resampled histories (default 200)
+     * @param {number} options.blockBars - Block length, also the regime detection window (default 20)
+     * @param {number} options.confidence - Confidence level of the intervals (default 0.9)
+     * @param {number} options.seed - Seed for the random generator
+     * @param {Function} options.onProgress - Called after every resample with { samples, totalSamples, sample }
+     * @returns {Object} Config, point estimate, confidence intervals, probability of loss and per-sample metrics
+     */
+    static run(marketData, params, options = {}) {
+        const config = this.resolveOptions(options);
+
+        if (marketData.length <= params.lookbackDays + 1) {
+            throw new Error(`Not enough data for robustness analysis: ${marketData.length} bars, need more than ${params.lookbackDays + 1}`);
+        }
+
+        console.log(`🎲 [ROBUSTNESS] ${config.method} on ${marketData.length} bars, ${config.samples} samples, block=${config.blockBars}, seed=${config.seed}`);
+
+        const random = createSeededRandom(config.seed);
+        const steps = this.buildSteps(marketData);
+        const regimes = config.method === 'regime-shuffle' ? this.detectRegimes(steps, config.blockBars) : null;
+
+        const pointEstimate = this.summarizeRun(SimpleBacktestEngine.runBacktest(marketData, params));
+
+        const samples = [];
+        for (let i = 0; i < config.samples; i++) {
+            const resampledSteps = regimes
+                ? this.shuffleRegimes(regimes, random)
+                : this.blockBootstrap(steps, config.blockBars, random);
+            const series = this.rebuildSeries(marketData, resampledSteps);
+
+            const sample = {
+                sample: i + 1,
+                // The point estimate already checked the strategy for lookahead on the real bars
+                ...this.summarizeRun(SimpleBacktestEngine.runBacktest(series, params, { lookaheadChecked: true }))
+            };
+            samples.push(sample);
+
+            if (options.onProgress) {
+                options.onProgress({ samples: samples.length, totalSamples: config.samples, sample });
+            }
+        }
+
+        const intervals = Object.fromEntries(Object.values(this.METRICS).map(name => [
+            name,
+            this.interval(samples.map(s => s[name]), config.confidence)
+        ]));
+        const probabilityOfLoss = samples.filter(s => s.btcGrowthPercent < 0).length / samples.length;
+
+        console.log(`✅ [ROBUSTNESS] BTC growth ${intervals.btcGrowthPercent.lower.toFixed(2)}% .. ${intervals.btcGrowthPercent.upper.toFixed(2)}% (${config.confidence * 100}%), P(loss)=${(probabilityOfLoss * 100).toFixed(1)}%`);
+
+        return {
+            config: {
+                ...config,
+                bars: marketData.length,
+                regimes: regimes ? regimes.length : null
+            },
+            pointEstimate,
+            intervals,
+            probabilityOfLoss,
+            samples
+        };
+    }
+
+    /**
+     * Bar-to-bar log returns plus the per-bar fields the execution model reads
+     * @private
+     */
+    static buildSteps(marketData) {
+        const logReturn = (from, to) => (from > 0 && to > 0 ? Math.log(to / from) : 0);
+        // Intrabar prices as log distance from the bar's close (undefined when the data has none)
+        const fromClose = (bar, field) => (bar[field] > 0 && bar.ethBtcRatio > 0 ? Math.log(bar[field] / bar.ethBtcRatio) : undefined);
+
+        return marketData.slice(1).map((bar, i) => {
+            const prev = marketData[i];
+            return {
+                ratioReturn: logReturn(prev.ethBtcRatio, bar.ethBtcRatio),
+                btcReturn: logReturn(prev.btcPrice, bar.btcPrice),
+                ethReturn: logReturn(prev.ethPrice, bar.ethPrice),
+                volume: bar.volume,
+                spreadPercent: bar.spreadPercent,
+                intrabar: Object.fromEntries(['open', 'high', 'low', 'vwap'].map(field => [field, fromClose(bar, field)]))
+            };
+        });
+    }
+
+    /**
+     * Compound resampled steps from the real first bar, on the real timestamps
+     * @private
+     */
+    static rebuildSeries(marketData, steps) {
+        const series = [{ ...marketData[0] }];
+
+        steps.forEach((step, i) => {
+            const prev = series[i];
+            const ethBtcRatio = prev.ethBtcRatio * Math.exp(step.ratioReturn);
+            const intrabar = (field) => (step.intrabar[field] === undefined ? undefined : ethBtcRatio * Math.exp(step.intrabar[field]));
+
+            series.push({
+                timestamp: marketData[i + 1].timestamp,
+                ethBtcRatio,
+                btcPrice: prev.btcPrice * Math.exp(step.btcReturn),
+                ethPrice: prev.ethPrice * Math.exp(step.ethReturn),
+                volume: step.volume,
+                spreadPercent: step.spreadPercent,
+                open: intrabar('open'),
+                high: intrabar('high'),
+                low: intrabar('low'),
+                vwap: intrabar('vwap')
+            });
+        });
+
+        return series;
+    }
+
+    /**
+     * Circular block bootstrap: concatenate random blocks until the original length is reached
+     * @private
+     */
+    static blockBootstrap(steps, blockBars, random) {
+        const resampled = [];
+
+        while (resampled.length < steps.length) {
+            const start = Math.floor(random() * steps.length);
+            for (let k = 0; k < blockBars && resampled.length < steps.length; k++) {
+                resampled.push(steps[(start + k) % steps.length]);
+            }
+        }
+
+        return resampled;
+    }
+
+    /**
+     * Cut the history into regimes of constant (trend direction, volatility level)
+     * Both are measured on the trailing windowBars returns of the ETH/BTC ratio.
+     * @private
+     */
+    static detectRegimes(steps, windowBars) {
+        const trends = [];
+        const volatilities = [];
+
+        steps.forEach((_, i) => {
+            const window = steps.slice(Math.max(0, i - windowBars + 1), i + 1).map(s => s.ratioReturn);
+            const mean = window.reduce((sum, r) => sum + r, 0) / window.length;
+            trends.push(mean);
+            volatilities.push(Math.sqrt(window.reduce((sum, r) => sum + (r - mean) ** 2, 0) / window.length));
+        });
+
+        const medianVolatility = this.percentile([...volatilities].sort((a, b) => a - b), 0.5);
+        const regimes = [];
+        let label = null;
+
+        steps.forEach((step, i) => {
+            const current = `${trends[i] >= 0 ? 'up' : 'down'}-${volatilities[i] > medianVolatility ? 'high' : 'low'}`;
+            if (current !== label) {
+                regimes.push([]);
+                label = current;
+            }
+            regimes[regimes.length - 1].push(step);
+        });
+
+        return regimes;
+    }
+
+    /**
+     * Replay the regimes in a random order (Fisher-Yates)
+     * @private
+     */
+    static shuffleRegimes(regimes, random) {
+        const order = [...regimes];
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        return order.flat();
+    }
+
+    /**
+     * Keep only the summarized metrics of a backtest, under their API names
+     * @private
+     */
+    static summarizeRun(result) {
+        return Object.fromEntries(Object.entries(this.METRICS).map(([engineName, name]) => [
+            name,
+            result.metrics[engineName]
+        ]));
+    }
+
+    /**
+     * Confidence interval and spread of one metric across the resamples
+     * @param {Array<number>} values - Metric value per resample
+     * @param {number} confidence - Confidence level, e.g. 0.9
+     * @returns {Object} { lower, median, upper, mean, stdDev }
+     */
+    static interval(values, confidence) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const tail = (1 - confidence) / 2;
+        const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+
+        return {
+            lower: this.percentile(sorted, tail),
+            median: this.percentile(sorted, 0.5),
+            upper: this.percentile(sorted, 1 - tail),
+            mean,
+            stdDev: Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length)
+        };
+    }
+
+    /**
+     * Linear-interpolated percentile of an ascending array
+     * @private
+     */
+    static percentile(sorted, p) {
+        if (sorted.length === 0) return 0;
+        const index = p * (sorted.length - 1);
+        const low = Math.floor(index);
+        const high = Math.ceil(index);
+        return sorted[low] + (sorted[high] - sorted[low]) * (index - low);
+    }
+
+    /**
+     * Fill in defaults and validate robustness options
+     * @param {Object} options - Request options
+     * @returns {Object} Resolved config
+     */
+    static resolveOptions(options = {}) {
+        const method = options.method || 'block-bootstrap';
+        const samples = parseInt(options.samples) || 200;
+        const blockBars = parseInt(options.blockBars) || 20;
+        const confidence = Number(options.confidence ?? 0.9);
+
+        if (!this.METHODS.includes(method)) {
+            throw new Error(`Invalid robustness method: ${method}. Use one of ${this.METHODS.join(', ')}`);
+        }
+
+        if (samples < 1 || samples > 5000) {
+            throw new Error('Invalid robustness config: samples must be between 1 and 5000');
+        }
+
+        if (blockBars < 1) {
+            throw new Error('Invalid robustness config: blockBars must be positive');
+        }
+
+        if (!(confidence > 0 && confidence < 1)) {
+            throw new Error('Invalid robustness config: confidence must be between 0 and 1');
+        }
+
+        return {
+            method,
+            samples,
+            blockBars,
+            confidence,
+            seed: Number.isFinite(Number(options.seed)) ? Number(options.seed) : Date.now() % 2147483647
+        };
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * RoundTripAnalyzer - Pairs backtest trades into round trips and scores them
+ *
+ * A single rebalance always "loses" on its own bar (it only pays costs), so win rate,
+ * profit factor and expectancy are measured over round trips instead: a trade that
+ * swaps one asset for the other, and the later trade(s) that swap it back.
+ *
+ * CRITICAL CONCEPTS:
+ * 1. PAIRING (FIFO)
+ *    - SELL_ETH_BUY_BTC opens a cycle that a later BUY_ETH_SELL_BTC closes, and vice versa
+ *    - Trades in the same direction queue up as open lots; a closing trade uses the oldest first
+ *    - Lots are matched on the asset the opening trade received: the BTC a sell got is what a
+ *      later buy spends. Partial matches split a trade across cycles (fraction)
+ *    - What a closing trade does not use up opens a lot in its own direction
+ *
+ * 2. REALIZED GAIN (net of every execution cost, both legs)
+ *    - Sell-first cycles accumulate ETH: realizedETH = ETH bought back - ETH sold
+ *    - Buy-first cycles accumulate BTC: realizedBTC = BTC sold back for - BTC spent
+ *    - realizedValueBTC values the gain in BTC at the closing ratio; a win is realizedValueBTC > 0
+ *
+ * 3. SCORES (over closed cycles; lots still open at the end are only counted in openTrades)
+ *    - winRate: winning cycles / cycles, in percent
+ *    - profitFactor: gross profit / gross loss (null when there were profits but no losses)
+ *    - expectancyBTC / expectancyPercent: mean realized gain per cycle, in BTC / of its size
+ */
+export class RoundTripAnalyzer {
+    static SELL_ETH = 'SELL_ETH_BUY_BTC';
+    static BUY_ETH = 'BUY_ETH_SELL_BTC';
+
+    // Leftovers smaller than this are rounding, not an open lot
+    static EPSILON = 1e-12;
+
+    static MS_PER_HOUR = 60 * 60 * 1000;
+
+    /**
+     * Pair trades into round trips and score them
+     * @param {Array<Object>} trades - SimpleBacktestEngine trades, oldest first
+     * @returns {Object} { roundTrips: [...], summary: {...} } (see pair() and summarize())
+     */
+    static analyze(trades) {
+        const { roundTrips, openTrades } = this.pair(trades);
+        return { roundTrips, summary: this.summarize(roundTrips, openTrades) };
+    }
+
+    /**
+     * FIFO pairing of opposite trades
+     * @param {Array<Object>} trades - Trades with action, ethAmount, btcAmount (signed), fees, ratio,
+     *                                 zScore, timestamp
+     * @returns {Object} { roundTrips: [{ side, entryIndex, exitIndex, entryTimestamp, exitTimestamp,
+     *                   holdingPeriodHours, entryZScore, exitZScore, entryRatio, exitRatio, fraction,
+     *                   sizeBTC, feesBTC, realizedBTC, realizedETH, realizedValueBTC, returnPercent }],
+     *                   openTrades (trades with an unmatched part left) }
+     */
+    static pair(trades) {
+        const roundTrips = [];
+        const openLots = [];
+
+        trades.forEach((trade, index) => {
+            const leg = this.leg(trade, index);
+            if (!leg) {
+                return;
+            }
+
+            while (openLots.length > 0 && openLots[0].side !== leg.side && leg.remaining > this.EPSILON * leg.given) {
+                const lot = openLots[0];
+                // The lot's received asset is the one the closing trade gives
+                const matched = Math.min(lot.remaining, leg.remaining);
+
+                roundTrips.push(this.roundTrip(lot, leg, matched));
+
+                lot.remaining -= matched;
+                leg.remaining -= matched;
+                if (lot.remaining <= this.EPSILON * lot.received) {
+                    openLots.shift();
+                }
+            }
+
+            // What was not needed to close older lots opens a lot of its own, measured in what it received
+            if (leg.remaining > this.EPSILON * leg.given) {
+                leg.remaining = leg.received * (leg.remaining / leg.given);
+                openLots.push(leg);
+            }
+        });
+
+        return { roundTrips, openTrades: openLots.length };
+    }
+
+    /**
+     * A trade as an exchange of one asset for the other
+     * @param {Object} trade - Backtest trade
+     * @param {number} index - Position in the trades array
+     * @returns {Object|null} { side, index, trade, given, received, remaining } (remaining starts in
+     *                        the given asset: what is left to close older lots with), null for other actions
+     * @private
+     */
+    static leg(trade, index) {
+        let given;
+        let received;
+        if (trade.action === this.SELL_ETH) {
+            given = Math.abs(trade.ethAmount);
+            received = Math.abs(trade.btcAmount);
+        } else if (trade.action === this.BUY_ETH) {
+            given = Math.abs(trade.btcAmount);
+            received = Math.abs(trade.ethAmount);
+        } else {
+            return null;
+        }
+
+        if (!(given > 0) || !(received > 0)) {
+            return null;
+        }
+
+        return { side: trade.action, index, trade, given, received, remaining: given };
+    }
+
+    /**
+     * One round trip from the matched parts of an open lot and a closing trade
+     * @param {Object} lot - Open lot (remaining in the asset it received)
+     * @param {Object} leg - Closing trade (remaining in the asset it gives)
+     * @param {number} matched - Amount of the lot's received asset the closing trade gives back
+     * @returns {Object} Round trip (see pair())
+     * @private
+     */
+    static roundTrip(lot, leg, matched) {
+        const entryFraction = matched / lot.received;
+        const exitFraction = matched / leg.given;
+
+        // Gain in the asset the entry gave up
+        const gained = leg.received * exitFraction - lot.given * entryFraction;
+        const sellFirst = lot.side === this.SELL_ETH;
+        const exitRatio = Number(leg.trade.ratio);
+        const realizedValueBTC = sellFirst ? gained * exitRatio : gained;
+
+        // BTC put into the cycle: what the sell received, or what the buy spent
+        const sizeBTC = sellFirst ? matched : lot.given * entryFraction;
+
+        const entryTime = new Date(lot.trade.timestamp).getTime();
+        const exitTime = new Date(leg.trade.timestamp).getTime();
+
+        return {
+            side: lot.side,
+            entryIndex: lot.index,
+            exitIndex: leg.index,
+            entryTimestamp: lot.trade.timestamp,
+            exitTimestamp: leg.trade.timestamp,
+            holdingPeriodHours: Number.isFinite(exitTime - entryTime) ? (exitTime - entryTime) / this.MS_PER_HOUR : null,
+            entryZScore: lot.trade.zScore ?? null,
+            exitZScore: leg.trade.zScore ?? null,
+            entryRatio: Number(lot.trade.ratio),
+            exitRatio,
+            fraction: entryFraction,
+            sizeBTC,
+            feesBTC: (lot.trade.fees || 0) * entryFraction + (leg.trade.fees || 0) * exitFraction,
+            realizedBTC: sellFirst ? 0 : gained,
+            realizedETH: sellFirst ? gained : 0,
+            realizedValueBTC,
+            returnPercent: sizeBTC > 0 ? (realizedValueBTC / sizeBTC) * 100 : 0
+        };
+    }
+
+    /**
+     * Scores over closed round trips
+     * @param {Array<Object>} roundTrips - From pair()
+     * @param {number} openTrades - Trades with an unmatched part left
+     * @returns {Object} { roundTrips, winningRoundTrips, losingRoundTrips, winRate, grossProfitBTC,
+     *                   grossLossBTC, profitFactor, expectancyBTC, expectancyPercent, avgWinBTC, avgLossBTC,
+     *                   maxConsecutiveLosses, avgHoldingPeriodHours, realizedBTC, realizedETH, openTrades }
+     */
+    static summarize(roundTrips, openTrades = 0) {
+        const wins = roundTrips.filter(r => r.realizedValueBTC > 0);
+        const losses = roundTrips.filter(r => r.realizedValueBTC <= 0);
+        const sum = (rows, key) => rows.reduce((total, r) => total + (r[key] || 0), 0);
+
+        const grossProfitBTC = sum(wins, 'realizedValueBTC');
+        const grossLossBTC = Math.abs(sum(losses, 'realizedValueBTC'));
+
+        let maxConsecutiveLosses = 0;
+        let consecutiveLosses = 0;
+        // Ordered by when the cycle closed
+        roundTrips.forEach(r => {
+            consecutiveLosses = r.realizedValueBTC > 0 ? 0 : consecutiveLosses + 1;
+            maxConsecutiveLosses = Math.max(maxConsecutiveLosses, consecutiveLosses);
+        });
+
+        const held = roundTrips.filter(r => r.holdingPeriodHours !== null);
+
+        return {
+            roundTrips: roundTrips.length,
+            winningRoundTrips: wins.length,
+            losingRoundTrips: losses.length,
+            winRate: roundTrips.length > 0 ? (wins.length / roundTrips.length) * 100 : 0,
+            grossProfitBTC,
+            grossLossBTC,
+            profitFactor: grossLossBTC > 0 ? grossProfitBTC / grossLossBTC : (grossProfitBTC > 0 ? null : 0),
+            expectancyBTC: roundTrips.length > 0 ? sum(roundTrips, 'realizedValueBTC') / roundTrips.length : 0,
+            expectancyPercent: roundTrips.length > 0 ? sum(roundTrips, 'returnPercent') / roundTrips.length : 0,
+            avgWinBTC: wins.length > 0 ? grossProfitBTC / wins.length : 0,
+            avgLossBTC: losses.length > 0 ? -grossLossBTC / losses.length : 0,
+            maxConsecutiveLosses,
+            avgHoldingPeriodHours: held.length > 0 ? sum(held, 'holdingPeriodHours') / held.length : 0,
+            realizedBTC: sum(roundTrips, 'realizedBTC'),
+            realizedETH: sum(roundTrips, 'realizedETH'),
+            openTrades
+        };
+    }
+}
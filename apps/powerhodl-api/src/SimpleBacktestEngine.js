@@ -1,20 +1,25 @@
-import { ZScoreCalculator } from '../../../packages/shared/src/ZScoreCalculator.js';
+import { StrategyRegistry, ACTIONS } from '../../../packages/shared/src/strategies/index.js';
+import { ExecutionModel } from './ExecutionModel.js';
+import { BenchmarkSuite } from './BenchmarkSuite.js';
+import { RoundTripAnalyzer } from './RoundTripAnalyzer.js';
+import { CashFlowSchedule } from './CashFlowSchedule.js';
+import { LookaheadGuard } from './LookaheadGuard.js';
+import { PerformanceMetrics } from '../../../packages/shared/src/PerformanceMetrics.js';
 
 /**
  * SimpleBacktestEngine - The core backtesting engine for PowerHODL
  * 
- * POSITION-AWARE TRADING ALGORITHM:
- * The core innovation is that we consider BOTH market conditions (Z-score) AND current holdings.
- * This prevents the critical flaw of buying when we're already overweight or selling when underweight.
+ * POSITION-AWARE TRADING (signalStrategy 'target-allocation'):
+ * Considers BOTH market conditions (Z-score) AND current holdings.
+ * This prevents buying when we're already overweight or selling when underweight.
  * 
  * Key concepts:
- * - Position Imbalance: How far we are from 50/50 allocation
- * - Position-Signal Alignment: Whether our holdings agree with the market signal
- * - Adjusted Z-Score: Modified signal strength based on position
- * - Dynamic Aggressiveness: Trade size varies with opportunity and position
+ * - Target Allocation: the Z-score maps to an ETH share between minAllocation and maxAllocation
+ *   (neutralZone at Z = 0, positionAdjustmentFactor sets how fast it moves)
+ * - Max Allocation Shift: no single trade moves the allocation further than maxAllocationShift
+ * - Trade Toward Target: the trade size is whatever closes the gap, not a fixed rebalancePercent
  * 
- * The algorithm AMPLIFIES signals when position opposes the market (good setup)
- * and REDUCES signals when position aligns with market (already captured the move).
+ * The other strategies trade a fixed rebalancePercent on each signal change.
  * 
  * CRITICAL CONCEPTS:
  * 1. FEES DESTROY RETURNS - Every trade costs money (transaction fees + slippage)
@@ -40,6 +45,46 @@ import { ZScoreCalculator } from '../../../packages/shared/src/ZScoreCalculator.
  *    - Too aggressive = fees eat profits
  *    - Too conservative = miss opportunities
  *    - Gradient descent finds optimal parameters
+ * 
+ * 6. EXECUTION MODEL - How trades are filled (see ExecutionModel)
+ *    - params.executionModel: 'flat' (default, transactionCost%), 'cex' or 'dex'
+ *    - Costs are broken down by component (fee, spread, slippage, gas, priceImpact)
+ *    - totalFeesBTC is the sum of ALL execution costs, not just exchange fees
+ * 
+ * 7. STRATEGY PLUGIN - What to trade (see packages/shared/src/strategies)
+ *    - params.signalStrategy: 'zscore' (default), 'bollinger', 'rsi-zscore', 'ema-crossover',
+ *      'target-allocation'
+ *    - The plugin sees every bar (warm-up included) and returns BUY_ETH / SELL_ETH / HOLD
+ *    - Position-aware plugins also get the current ETH allocation and are not signal-change gated
+ *    - This loop only sizes, fills and records trades - the same plugin drives live signals
+ * 
+ * 8. BENCHMARKS - What the same bars paid without the strategy (see BenchmarkSuite)
+ *    - 50/50 hold, 100% BTC, 100% ETH, 50/50 rebalanced weekly / monthly, from the same starting value
+ *    - Excess return, tracking error and information ratio of the strategy against each
+ * 
+ * 9. ROUND TRIPS - How trades are scored (see RoundTripAnalyzer)
+ *    - A trade is paired FIFO with the opposite trade(s) that undo it
+ *    - Win rate, profit factor and expectancy come from the realized gain of those cycles,
+ *      never from one trade's before/after value (that only ever shows its costs)
+ * 
+ * 10. RISK METRICS - From the value series, starting value first (see PerformanceMetrics)
+ *    - Annualized with the bars per year of the data (365 for daily bars, 8760 for hourly)
+ *    - Sharpe, Sortino, Calmar, VaR / CVaR, Ulcer index and the drawdown table
+ * 
+ * 11. STARTING BALANCES AND CASH FLOWS (see CashFlowSchedule)
+ *    - options.initialPortfolio: any starting balances instead of 0.5 BTC + 0.5 BTC worth of ETH
+ *    - options.cashFlows: deposits and withdrawals, once or every week / month, before the bar trades
+ *    - With cash flows totalReturnPercent is time-weighted (deposits are not returns), and
+ *      moneyWeightedReturnPercent is the return on the money actually put in
+ * 
+ * 12. EXECUTION DELAY AND LOOKAHEAD (see LookaheadGuard)
+ *    - The strategy decides on a bar's close, which its own Z-score includes
+ *    - params.executionDelayBars: the order fills that many bars later (0 = on the signal bar, the
+ *      original behaviour), at params.fillPrice of the fill bar: 'close', 'open' or 'vwap'
+ *    - One order is pending at a time; signals while it waits are ignored, and it is sized on
+ *      the holdings and price of its fill bar, like the live executor does
+ *    - Before trading, the strategy is replayed with the bars after a few checkpoints changed:
+ *      a decision that changes with them rejects the backtest
  */
 export class SimpleBacktestEngine {
     static normalizeMarketData(data, fieldMappings = {}) {
@@ -78,7 +123,16 @@ export class SimpleBacktestEngine {
                 ethBtcRatio: parseFloat(item.eth_btc_ratio || item.ethBtcRatio || item.ratio || item.close || 0),
                 volume: parseFloat(item.volume || item.eth_volume_24h || 0),
                 ethPrice: parseFloat(item.eth_price_usd || item.ethPrice || 0),
-                btcPrice: parseFloat(item.btc_price_usd || item.btcPrice || 0)
+                btcPrice: parseFloat(item.btc_price_usd || item.btcPrice || 0),
+                // Bid/ask spread in percent, when the source recorded it (used by the execution model)
+                spreadPercent: item.eth_btc_spread !== undefined || item.ethBtcSpread !== undefined
+                    ? parseFloat(item.eth_btc_spread ?? item.ethBtcSpread)
+                    : undefined,
+                // Open / high / low / VWAP, when the source has them (fill prices of delayed orders)
+                open: item.open !== undefined ? parseFloat(item.open) : undefined,
+                high: item.high !== undefined ? parseFloat(item.high) : undefined,
+                low: item.low !== undefined ? parseFloat(item.low) : undefined,
+                vwap: item.vwap !== undefined ? parseFloat(item.vwap) : undefined
             };
             
             // Apply any custom field mappings
@@ -92,213 +146,303 @@ export class SimpleBacktestEngine {
         });
     }
     
-    static runBacktest(marketData, params) {
+    /**
+     * Map client parameter names (historical baggage) onto engine parameter names
+     * @param {Object} params - Parameters as sent by the frontend or stored in algorithm_parameters
+     * @returns {Object} Engine parameters
+     */
+    static normalizeParameters(params = {}) {
+        const strategy = StrategyRegistry.get(params.signalStrategy);
+        
+        // Strategy-specific parameters (rsiPeriod, neutralZone, ...) are passed through untouched,
+        // under their schema name even when sent under an alias (neutral_zone from algorithm_parameters)
+        const strategyParams = Object.fromEntries(
+            Object.entries(strategy.parameterSchema)
+                .map(([name, spec]) => [name, [name, ...(spec.aliases || [])].find(key => params[key] !== undefined)])
+                .filter(([, key]) => key !== undefined)
+                .map(([name, key]) => [name, params[key]])
+        );
+        
+        return {
+            ...strategyParams,
+            signalStrategy: strategy.id,
+            zScoreThreshold: params.zScoreThreshold || 1.5,
+            rebalancePercent: params.rebalancePercent || params.rebalanceThreshold || 10,
+            transactionCost: params.transactionCost || 0.1,
+            lookbackDays: params.lookbackWindow || params.lookbackDays || 15,
+            maxAllocationShift: strategyParams.maxAllocationShift || params.maxAllocationShift || 0.3, // Max 80/20 or 20/80 allocation
+            executionModel: params.executionModel || 'flat',
+            executionDelayBars: params.executionDelayBars ?? 0,
+            fillPrice: params.fillPrice || 'close'
+        };
+    }
+    
+    /**
+     * Cap on rebalancePercent when a trade is sized as a percentage of holdings (safety)
+     */
+    static MAX_REBALANCE_PERCENT = 25;
+    
+    /**
+     * Notional of a trade in BTC (quote asset) at the mid ratio, before costs
+     * Live execution (TradeExecutionService) sizes its trades with this too, so both agree.
+     * @param {string} tradeAction - 'BUY_ETH_SELL_BTC' | 'SELL_ETH_BUY_BTC'
+     * @param {Object} holdings - { ethAmount, btcAmount }
+     * @param {number} ratio - Current ETH/BTC ratio
+     * @param {number|null} targetAllocation - Strategy's target ETH allocation (0-1), null = percentage of holdings
+     * @param {Object} params - Engine parameters (rebalancePercent)
+     * @returns {number} Trade value in BTC (0 when the target allocation is already reached)
+     */
+    static calculateTradeValueBTC(tradeAction, holdings, ratio, targetAllocation, params) {
+        const sellingEth = tradeAction === 'SELL_ETH_BUY_BTC';
+        
+        if (targetAllocation !== null && targetAllocation !== undefined) {
+            const ethValueBTC = holdings.ethAmount * ratio;
+            const totalValueBTC = holdings.btcAmount + ethValueBTC;
+            const ethAllocation = ethValueBTC / totalValueBTC;
+            
+            return Math.max(0, sellingEth
+                ? (ethAllocation - targetAllocation) * totalValueBTC
+                : (targetAllocation - ethAllocation) * totalValueBTC);
+        }
+        
+        const safeRebalancePercent = Math.min(params.rebalancePercent, this.MAX_REBALANCE_PERCENT);
+        return sellingEth
+            ? holdings.ethAmount * safeRebalancePercent / 100 * ratio
+            : holdings.btcAmount * safeRebalancePercent / 100;
+    }
+    
+    /**
+     * Run the strategy over the bars and simulate its trades
+     * @param {Array<Object>} marketData - Normalized bars, oldest first (see normalizeMarketData)
+     * @param {Object} params - Engine parameters (see normalizeParameters)
+     * @param {Object} options - Re-running a live period (DriftAnalyzer) or a treasury (CashFlowSchedule):
+     *   startAt - ISO timestamp; earlier bars only warm the strategy up
+     *   initialPortfolio - { ethAmount, btcAmount } held at startAt (default: 0.5 BTC + 0.5 BTC worth of ETH)
+     *   lastSignal - Last trade action before startAt ('BUY_ETH_SELL_BTC' | 'SELL_ETH_BUY_BTC'), for signal-change gating
+     *   cashFlows - Deposits and withdrawals (CashFlowSchedule.resolveOptions)
+     *   lookaheadChecked - true to skip LookaheadGuard.checkStrategy (resampled copies of bars already checked)
+     * @returns {Object} { portfolio, portfolioHistory, trades, roundTrips (RoundTripAnalyzer.pair), cashFlows
+     *                   (applied, see CashFlowSchedule.apply), metrics, benchmarks (BenchmarkSuite.compare) }
+     */
+    static runBacktest(marketData, params, options = {}) {
         console.log(`🧪 [SIMPLE BACKTEST] Starting with ${marketData.length} data points`);
         
-        // Initialize portfolio (50/50 BTC/ETH in BTC terms)
-        const initialRatio = marketData[0].ethBtcRatio;
-        let portfolio = {
+        // First bar that may trade (bars before it only warm up the strategy)
+        const startIndex = options.startAt
+            ? marketData.findIndex(bar => new Date(bar.timestamp) >= new Date(options.startAt))
+            : 0;
+        if (startIndex < 0) {
+            throw new Error(`No market data at or after ${options.startAt}`);
+        }
+        
+        // Initialize portfolio (50/50 BTC/ETH in BTC terms unless given)
+        const initialRatio = marketData[startIndex].ethBtcRatio;
+        const initialPortfolio = options.initialPortfolio || {
             btcAmount: 0.5,                    // 0.5 BTC
             ethAmount: 0.5 / initialRatio      // 0.5 BTC worth of ETH
         };
+        let portfolio = { ...initialPortfolio };
         
         const portfolioHistory = [];
         const trades = [];
+        const cashFlows = [];
+        const cashFlowSchedule = options.cashFlows || [];
         let totalFeesBTC = 0;
+        let rejectedTrades = 0;
         
-        let lastSignal = 'HOLD'; // Track the last signal to only trade on signal changes
+        // How trades are filled and what they cost (flat transactionCost% unless configured)
+        const executionModel = ExecutionModel.create(params.executionModel, { transactionCost: params.transactionCost });
+        
+        // When and at what price orders fill (same bar at its close unless delayed)
+        const execution = LookaheadGuard.resolveExecution(params);
+        let pendingOrder = null; // { action, decision, zScore, signalIndex, fillIndex } waiting for its fill bar
+        
+        // The strategy plugin decides WHAT to trade (Z-score rule unless params.signalStrategy says otherwise)
+        const strategy = StrategyRegistry.get(params.signalStrategy);
+        const strategyState = strategy.init(params);
+        const firstTradeBar = Math.max(params.lookbackDays, strategy.warmupBars(params), startIndex);
+        
+        // Reject strategies whose decisions change when later bars change
+        const lookaheadCheckpoints = options.lookaheadChecked
+            ? []
+            : LookaheadGuard.checkStrategy(strategy, params, marketData, firstTradeBar);
+        
+        let lastSignal = options.lastSignal || 'HOLD'; // Track the last signal to only trade on signal changes
         
         // Track trading opportunities
         let tradingOpportunities = 0;
         let blockedByNoSignalChange = 0;
+        let blockedByPendingOrder = 0;
         let signalChanges = 0;
         
+        // Fill an order on its bar (the signal bar itself unless params.executionDelayBars is set)
+        const executeTrade = (order, index) => {
+            const bar = marketData[index];
+            const ratio = ExecutionModel.fillRatio(marketData, index, execution.fillPrice);
+            const { action: tradeAction, decision, zScore } = order;
+            const valueBeforeBTC = portfolio.btcAmount + (portfolio.ethAmount * ratio);
+            
+            console.log(`🔄 [TRADE] Day ${index}: ${tradeAction} | Z-Score: ${zScore.toFixed(3)}`);
+            
+            // CRITICAL: Trade a PERCENTAGE of the ASSET WE'RE SELLING, not total portfolio
+            const safeRebalancePercent = Math.min(params.rebalancePercent, this.MAX_REBALANCE_PERCENT);
+            
+            // Notional of the trade at the mid ratio; the execution model decides what it costs
+            const sellingEth = tradeAction === 'SELL_ETH_BUY_BTC';
+            const tradeValueBTC = this.calculateTradeValueBTC(tradeAction, portfolio, ratio, decision.targetAllocation, params);
+            
+            // No fill when the strategy's target allocation is already reached
+            const fill = tradeValueBTC > 0
+                ? executionModel.fill({
+                    side: tradeAction,
+                    valueBTC: tradeValueBTC,
+                    ratio: ratio,
+                    bar: bar,
+                    timestamp: bar.timestamp
+                })
+                : null;
+            
+            if (!fill) {
+                console.log(`   Already at target allocation ${(decision.targetAllocation * 100).toFixed(1)}% ETH`);
+            } else if (!fill.filled) {
+                rejectedTrades++;
+                console.log(`   ⚠️ Trade not filled: ${fill.reason}`);
+            } else {
+                let ethToTrade;
+                let btcToTrade;
+                const sizing = decision.targetAllocation !== null
+                    ? `to ${(decision.targetAllocation * 100).toFixed(1)}% ETH`
+                    : `${safeRebalancePercent}% of ${sellingEth ? 'ETH' : 'BTC'} holdings`;
+                
+                if (sellingEth) {
+                    ethToTrade = -(tradeValueBTC / ratio);
+                    btcToTrade = fill.netValueBTC;
+                    console.log(`   Sold ${Math.abs(ethToTrade).toFixed(4)} ETH (${sizing})`);
+                    console.log(`   Received: ${btcToTrade.toFixed(6)} BTC, Costs: ${fill.totalCostBTC.toFixed(6)} BTC`);
+                } else {
+                    btcToTrade = -tradeValueBTC;
+                    ethToTrade = fill.netValueBTC / ratio;
+                    console.log(`   Sold ${Math.abs(btcToTrade).toFixed(6)} BTC (${sizing})`);
+                    console.log(`   Received: ${ethToTrade.toFixed(4)} ETH, Costs: ${fill.totalCostBTC.toFixed(6)} BTC`);
+                }
+                
+                portfolio.ethAmount += ethToTrade;
+                portfolio.btcAmount += btcToTrade;
+                totalFeesBTC += fill.totalCostBTC;
+                
+                // Record trade
+                trades.push({
+                    timestamp: bar.timestamp,
+                    action: tradeAction,
+                    ethAmount: ethToTrade,
+                    btcAmount: btcToTrade,
+                    fees: fill.totalCostBTC,
+                    costs: fill.costs,
+                    executionRatio: fill.effectiveRatio,
+                    zScore: zScore,
+                    targetAllocation: decision.targetAllocation,
+                    ratio: ratio,
+                    signalTimestamp: marketData[order.signalIndex].timestamp,
+                    signalRatio: Number(marketData[order.signalIndex].ethBtcRatio),
+                    delayBars: index - order.signalIndex,
+                    tradeValueBTC: tradeValueBTC,
+                    portfolioValueBefore: valueBeforeBTC,
+                    portfolioValueAfter: portfolio.btcAmount + (portfolio.ethAmount * ratio)
+                });
+                
+                // Update signal tracking
+                lastSignal = tradeAction;
+            }
+        };
+        
+        // Warm-up: the strategy sees these bars but nothing is traded
+        for (let i = 0; i < firstTradeBar && i < marketData.length; i++) {
+            strategy.onBar(marketData[i], strategyState);
+        }
+        
         // Process all data points but only trade at specified frequency
-        for (let i = params.lookbackDays; i < marketData.length; i++) {
+        for (let i = firstTradeBar; i < marketData.length; i++) {
             const currentData = marketData[i];
             const currentRatio = Number(currentData.ethBtcRatio);  // Ensure it's a number
             
+            // Deposits and withdrawals arrive before the bar trades
+            let cashFlowBTC = 0;
+            for (const flow of CashFlowSchedule.due(cashFlowSchedule, marketData, i, firstTradeBar)) {
+                const applied = CashFlowSchedule.apply(portfolio, flow, currentRatio, currentData.timestamp);
+                cashFlows.push(applied);
+                cashFlowBTC += applied.valueBTC;
+                console.log(`💰 [CASH FLOW] Day ${i}: ${applied.type} ${applied.amount} ${applied.asset} (${applied.valueBTC.toFixed(6)} BTC)`);
+            }
+            
+            // A delayed order fills before this bar's decision
+            if (pendingOrder?.fillIndex === i) {
+                executeTrade(pendingOrder, i);
+                pendingOrder = null;
+            }
+            
             // Calculate current portfolio value in BTC
             const ethValueBTC = portfolio.ethAmount * currentRatio;
             const totalValueBTC = portfolio.btcAmount + ethValueBTC;
             const ethPercentage = (ethValueBTC / totalValueBTC) * 100;
+            const currentEthAllocation = ethValueBTC / totalValueBTC;
             
-            // Calculate Z-Score using centralized calculator
-        const historicalRatios = marketData
-            .slice(0, i + 1)  // Include all data up to current point
-            .map(d => {
-                const ratio = d.ethBtcRatio;
-                if (typeof ratio !== 'number') {
-                    console.log(`⚠️ [DEBUG] Non-numeric ratio found: ${ratio} (type: ${typeof ratio})`);
-                }
-                return Number(ratio);  // Force conversion to number
-            });
-        
-        // Debug: Check if we have valid data
-        if (i === params.lookbackDays || i === params.lookbackDays + 1 || i === 100) {
-            console.log(`📊 [DEBUG] Day ${i}: currentRatio=${currentRatio}, historicalRatios sample:`, historicalRatios.slice(-5));
-            console.log(`📊 [DEBUG] historicalRatios length:`, historicalRatios.length);
-            const mean = ZScoreCalculator.mean(historicalRatios.slice(-params.lookbackDays));
-            const stdDev = ZScoreCalculator.standardDeviation(historicalRatios.slice(-params.lookbackDays));
-            console.log(`📊 [DEBUG] mean=${mean}, stdDev=${stdDev}, lookbackDays=${params.lookbackDays}`);
-        }
-        
-        const zScore = ZScoreCalculator.calculate(currentRatio, historicalRatios, params.lookbackDays);
+            const decision = strategy.onBar(currentData, strategyState, { ethAllocation: currentEthAllocation });
+            const zScore = decision.indicators.zScore ?? 0;
             
             // Trading decision
             let shouldTrade = false;
             let tradeAction = 'HOLD';
             
-            // BALANCED MEAN REVERSION WITH STRATEGIC POSITIONING
-            const zScoreThreshold = params.zScoreThreshold;
-            const currentEthAllocation = ethValueBTC / totalValueBTC;
-            
-            // Define our strategic zones
-            const NEUTRAL_ZONE = params.neutralZone || 0.5;  // Default 50/50 is neutral
-            const MIN_ALLOCATION = params.minAllocation || 0.25; // Default never go below 25%
-            const MAX_ALLOCATION = params.maxAllocation || 0.75; // Default never go above 75%
-            
             /**
              * SIMPLE TRADING LOGIC (PROVEN TO WORK)
              * 
              * Based on the original MegaOptimalStrategy that achieved great returns:
-             * 1. Wait for Z-score to exceed threshold (market is extreme)
-             * 2. Trade a FIXED PERCENTAGE of portfolio value (rebalancePercent)
+             * 1. Wait for the strategy to signal (Z-score strategy: market is extreme)
+             * 2. Trade a FIXED PERCENTAGE of portfolio value (rebalancePercent),
+             *    or move to the strategy's targetAllocation when it returns one
              * 3. This naturally moves portfolio towards 50/50
              * 
              * CRITICAL: rebalancePercent is NOT a deviation threshold!
              * It's the PERCENTAGE OF PORTFOLIO VALUE TO TRADE
              * E.g., 49.79% means trade ~50% of portfolio value, which effectively rebalances to 50/50
              */
-            
-            // Simple Z-score based trading - no complex adjustments
-            if (Math.abs(zScore) > zScoreThreshold) {
+            if (decision.action !== ACTIONS.HOLD) {
                 tradingOpportunities++;
                 
-                if (zScore > zScoreThreshold) {
-                    // ETH is EXPENSIVE relative to BTC - SELL ETH
-                    tradeAction = 'SELL_ETH_BUY_BTC';
-                } else {
-                    // ETH is CHEAP relative to BTC - BUY ETH
-                    tradeAction = 'BUY_ETH_SELL_BTC';
-                }
+                // SELL_ETH: ETH is EXPENSIVE relative to BTC, BUY_ETH: ETH is CHEAP
+                tradeAction = decision.action === ACTIONS.SELL_ETH ? 'SELL_ETH_BUY_BTC' : 'BUY_ETH_SELL_BTC';
                 
                 // CRITICAL: Only trade on signal changes, not on every confirmation
-                if (tradeAction !== lastSignal) {
+                // (position-aware strategies only signal while the allocation is off target;
+                // an order still waiting for its fill bar counts as the last signal)
+                const previousSignal = pendingOrder?.action ?? lastSignal;
+                if (tradeAction !== previousSignal || strategy.positionAware) {
                     shouldTrade = true;
                     signalChanges++;
-                    console.log(`📶 [SIGNAL CHANGE] ${lastSignal} → ${tradeAction} | Z-Score: ${zScore.toFixed(3)}`);
+                    console.log(`📶 [SIGNAL CHANGE] ${previousSignal} → ${tradeAction} | ${decision.reasoning}`);
                 } else {
                     // Same signal as before - don't trade again
                     blockedByNoSignalChange++;
-                    if (i < params.lookbackDays + 10) {
-                        console.log(`🔄 [SAME SIGNAL] ${tradeAction} (no change from ${lastSignal}) | Z-Score: ${zScore.toFixed(3)}`);
+                    if (i < firstTradeBar + 10) {
+                        console.log(`🔄 [SAME SIGNAL] ${tradeAction} (no change from ${previousSignal}) | Z-Score: ${zScore.toFixed(3)}`);
                     }
                 }
-            } else {
-                // No signal - market is neutral
-                tradeAction = 'HOLD';
             }
             
             // Debug logging for trade opportunities
-            if (shouldTrade || i < params.lookbackDays + 5) {
-                console.log(`[DEBUG] Day ${i}: Z-Score=${zScore.toFixed(3)}, Threshold=${zScoreThreshold}, ShouldTrade=${shouldTrade}, Signal=${tradeAction}, LastSignal=${lastSignal}, EthAlloc=${(currentEthAllocation * 100).toFixed(1)}%`);
+            if (shouldTrade || i < firstTradeBar + 5) {
+                console.log(`[DEBUG] Day ${i}: Z-Score=${zScore.toFixed(3)}, Strategy=${strategy.id}, ShouldTrade=${shouldTrade}, Signal=${tradeAction}, LastSignal=${lastSignal}, EthAlloc=${(currentEthAllocation * 100).toFixed(1)}%`);
             }
             
-            // EXECUTE TRADE ON SIGNAL CHANGE ONLY
-            if (shouldTrade) {
-                console.log(`🔄 [TRADE] Day ${i}: ${tradeAction} | Z-Score: ${zScore.toFixed(3)}`);
-                
-                // CRITICAL: Trade a PERCENTAGE of the ASSET WE'RE SELLING, not total portfolio
-                const safeRebalancePercent = Math.min(params.rebalancePercent, 25); // Cap at 25% for safety
-                
-                let ethToTrade = 0;
-                let btcToTrade = 0;
-                let tradeValueBTC = 0;
-                
-                // Execute trade based on signal - trade percentage of the asset we're selling
-                if (tradeAction === 'SELL_ETH_BUY_BTC') {
-                    // Sell a percentage of our ETH holdings
-                    ethToTrade = -(portfolio.ethAmount * safeRebalancePercent / 100);
-                    tradeValueBTC = Math.abs(ethToTrade) * currentRatio; // Convert ETH to BTC value
-                    
-                    // Check if we have enough ETH
-                    if (portfolio.ethAmount >= Math.abs(ethToTrade)) {
-                        const feesBTC = tradeValueBTC * (params.transactionCost / 100);
-                        const netBTCReceived = tradeValueBTC - feesBTC;
-                        
-                        portfolio.ethAmount += ethToTrade; // Subtract ETH (ethToTrade is negative)
-                        portfolio.btcAmount += netBTCReceived; // Add BTC minus fees
-                        btcToTrade = netBTCReceived;
-                        
-                        totalFeesBTC += feesBTC;
-                        console.log(`   Sold ${Math.abs(ethToTrade).toFixed(4)} ETH (${safeRebalancePercent}% of ETH holdings)`);
-                        console.log(`   Received: ${netBTCReceived.toFixed(6)} BTC, Fees: ${feesBTC.toFixed(6)} BTC`);
-                        
-                        // Record trade
-                        trades.push({
-                            timestamp: currentData.timestamp,
-                            action: tradeAction,
-                            ethAmount: ethToTrade,
-                            btcAmount: btcToTrade,
-                            fees: feesBTC,
-                            zScore: zScore,
-                            ratio: currentRatio,
-                            tradeValueBTC: tradeValueBTC,
-                            portfolioValueBefore: totalValueBTC,
-                            portfolioValueAfter: portfolio.btcAmount + (portfolio.ethAmount * currentRatio)
-                        });
-                        
-                        // Update signal tracking
-                        lastSignal = tradeAction;
-                    } else {
-                        console.log(`   ⚠️ Insufficient ETH balance for trade`);
-                        shouldTrade = false;
-                    }
-                    
-                } else if (tradeAction === 'BUY_ETH_SELL_BTC') {
-                    // Sell a percentage of our BTC holdings
-                    btcToTrade = -(portfolio.btcAmount * safeRebalancePercent / 100);
-                    tradeValueBTC = Math.abs(btcToTrade); // BTC value being sold
-                    
-                    // Check if we have enough BTC
-                    if (portfolio.btcAmount >= Math.abs(btcToTrade)) {
-                        const feesBTC = tradeValueBTC * (params.transactionCost / 100);
-                        const netBTCToSell = tradeValueBTC + feesBTC; // Include fees in BTC spent
-                        const ethReceived = (tradeValueBTC - feesBTC) / currentRatio; // ETH received after fees
-                        
-                        portfolio.btcAmount -= netBTCToSell; // Subtract BTC including fees
-                        portfolio.ethAmount += ethReceived; // Add ETH
-                        ethToTrade = ethReceived;
-                        
-                        totalFeesBTC += feesBTC;
-                        console.log(`   Sold ${Math.abs(btcToTrade).toFixed(6)} BTC (${safeRebalancePercent}% of BTC holdings)`);
-                        console.log(`   Received: ${ethReceived.toFixed(4)} ETH, Fees: ${feesBTC.toFixed(6)} BTC`);
-                        
-                        // Record trade
-                        trades.push({
-                            timestamp: currentData.timestamp,
-                            action: tradeAction,
-                            ethAmount: ethToTrade,
-                            btcAmount: btcToTrade,
-                            fees: feesBTC,
-                            zScore: zScore,
-                            ratio: currentRatio,
-                            tradeValueBTC: tradeValueBTC,
-                            portfolioValueBefore: totalValueBTC,
-                            portfolioValueAfter: portfolio.btcAmount + (portfolio.ethAmount * currentRatio)
-                        });
-                        
-                        // Update signal tracking
-                        lastSignal = tradeAction;
-                    } else {
-                        console.log(`   ⚠️ Insufficient BTC balance for trade`);
-                        shouldTrade = false;
-                    }
-                }
-                
-                // Note: Trade recording is now handled inside the individual trade blocks above
-                // since fees are calculated differently for each trade type
+            // EXECUTE TRADE ON SIGNAL CHANGE ONLY (now, or executionDelayBars bars later)
+            if (shouldTrade && execution.delayBars === 0) {
+                executeTrade({ action: tradeAction, decision, zScore, signalIndex: i }, i);
+            } else if (shouldTrade && pendingOrder) {
+                blockedByPendingOrder++;
+                console.log(`⏳ [PENDING] Day ${i}: ${tradeAction} ignored, ${pendingOrder.action} from day ${pendingOrder.signalIndex} fills on day ${pendingOrder.fillIndex}`);
+            } else if (shouldTrade) {
+                pendingOrder = { action: tradeAction, decision, zScore, signalIndex: i, fillIndex: i + execution.delayBars };
+                console.log(`⏳ [ORDER] Day ${i}: ${tradeAction} fills on day ${pendingOrder.fillIndex} at its ${execution.fillPrice}`);
             }
             
             // Record portfolio state
@@ -311,58 +455,59 @@ export class SimpleBacktestEngine {
                 totalValueBTC: portfolio.btcAmount + (portfolio.ethAmount * currentRatio),
                 ethPercentage: ethPercentage,
                 zScore: zScore,
-                ratio: currentRatio
+                ratio: currentRatio,
+                cashFlowBTC: cashFlowBTC
             });
         }
         
+        // An order whose fill bar is past the end of the data never filled
+        if (pendingOrder) {
+            console.log(`⏳ [UNFILLED] ${pendingOrder.action} from day ${pendingOrder.signalIndex} had no bar to fill on`);
+        }
+        
         // Calculate final results
-        const initialValueBTC = 1.0; // Started with 1 BTC total
+        const initialValueBTC = options.initialPortfolio
+            ? initialPortfolio.btcAmount + initialPortfolio.ethAmount * initialRatio
+            : 1.0; // Started with 1 BTC total
         const finalValueBTC = portfolio.btcAmount + (portfolio.ethAmount * marketData[marketData.length - 1].ethBtcRatio);
-        const totalReturnPercent = ((finalValueBTC - initialValueBTC) / initialValueBTC) * 100;
-        
-        // Calculate token accumulation metrics
-        const initialTotalTokens = 0.5 + (0.5 / initialRatio); // Initial BTC + ETH amounts
-        const finalTotalTokens = portfolio.btcAmount + portfolio.ethAmount;
-        const tokenAccumulation = ((finalTotalTokens - initialTotalTokens) / initialTotalTokens) * 100;
         
-        // Calculate metrics
-        const returns = portfolioHistory.map((p, i) => 
-            i === 0 ? 0 : ((p.totalValueBTC - portfolioHistory[0].totalValueBTC) / portfolioHistory[0].totalValueBTC) * 100
-        );
-        
-        const maxDrawdown = this.calculateMaxDrawdown(returns);
-        const sharpeRatio = this.calculateSharpeRatio(returns);
+        // Risk metrics of the value series, from the starting value on (cash flows taken out of its returns)
+        const valueHistory = [{ timestamp: marketData[startIndex].timestamp, totalValueBTC: initialValueBTC }, ...portfolioHistory];
+        const benchmarks = BenchmarkSuite.compare(marketData, {
+            startIndex,
+            initialValueBTC,
+            portfolioHistory: PerformanceMetrics.timeWeightedSeries(valueHistory).slice(1),
+            params
+        });
+        const riskMetrics = PerformanceMetrics.compute(valueHistory, { barsPerYear: benchmarks.barsPerYear });
         
-        // Calculate win rate and other trade metrics
-        const winningTrades = trades.filter(t => t.portfolioValueAfter > t.portfolioValueBefore);
-        const losingTrades = trades.filter(t => t.portfolioValueAfter <= t.portfolioValueBefore);
-        const winRate = trades.length > 0 ? (winningTrades.length / trades.length) * 100 : 0;
+        // Deposits are not returns: with cash flows the total return is time-weighted
+        const totalReturnPercent = cashFlows.length > 0
+            ? riskMetrics.totalReturnPercent
+            : ((finalValueBTC - initialValueBTC) / initialValueBTC) * 100;
         
-        // Calculate average win/loss
-        const avgWin = winningTrades.length > 0 ? 
-            winningTrades.reduce((sum, t) => sum + (t.portfolioValueAfter - t.portfolioValueBefore), 0) / winningTrades.length : 0;
-        const avgLoss = losingTrades.length > 0 ? 
-            losingTrades.reduce((sum, t) => sum + (t.portfolioValueAfter - t.portfolioValueBefore), 0) / losingTrades.length : 0;
-        const profitFactor = avgLoss !== 0 ? Math.abs(avgWin / avgLoss) : 0;
+        // Calculate token accumulation metrics (tokens deposited or withdrawn are not accumulated)
+        // BTC + ETH counts only compare against the default 50/50 start; with custom balances
+        // (e.g. 1 BTC and no ETH) the sum mixes units and the metric is left out (null)
+        const tokensIn = (type) => cashFlows.filter(flow => flow.type === type).reduce((sum, flow) => sum + flow.amount, 0);
+        const initialTotalTokens = initialPortfolio.btcAmount + initialPortfolio.ethAmount; // Initial BTC + ETH amounts
+        const contributedTokens = initialTotalTokens + tokensIn('deposit') - tokensIn('withdrawal');
+        const finalTotalTokens = portfolio.btcAmount + portfolio.ethAmount;
+        const tokenAccumulation = options.initialPortfolio
+            ? null
+            : ((finalTotalTokens - contributedTokens) / (initialTotalTokens + tokensIn('deposit'))) * 100;
+        const flowValueBTC = (type) => cashFlows.filter(flow => flow.type === type).reduce((sum, flow) => sum + Math.abs(flow.valueBTC), 0);
         
-        // Calculate consecutive losses
-        let maxConsecutiveLosses = 0;
-        let currentConsecutiveLosses = 0;
-        trades.forEach(t => {
-            if (t.portfolioValueAfter <= t.portfolioValueBefore) {
-                currentConsecutiveLosses++;
-                maxConsecutiveLosses = Math.max(maxConsecutiveLosses, currentConsecutiveLosses);
-            } else {
-                currentConsecutiveLosses = 0;
-            }
-        });
+        // Win rate and other trade metrics, over round trips (a trade and the trade(s) that undo it)
+        const { roundTrips, summary: roundTripStats } = RoundTripAnalyzer.analyze(trades);
+        const { winRate, profitFactor, maxConsecutiveLosses } = roundTripStats;
         
         // Find max Z-score and deviation for debugging
         const maxZScore = Math.max(...portfolioHistory.map(p => Math.abs(p.zScore || 0)));
         const maxDeviation = Math.max(...portfolioHistory.map(p => Math.abs(p.ethPercentage - 50)));
         
-        console.log(`✅ [SIMPLE BACKTEST] Complete: ${totalReturnPercent.toFixed(2)}% BTC return, ${tokenAccumulation.toFixed(2)}% token accumulation, ${trades.length} trades`);
-        console.log(`📊 [METRICS] Win Rate: ${winRate.toFixed(1)}%, Profit Factor: ${profitFactor.toFixed(2)}, Max Consecutive Losses: ${maxConsecutiveLosses}`);
+        console.log(`✅ [SIMPLE BACKTEST] Complete: ${totalReturnPercent.toFixed(2)}% BTC return, ${tokenAccumulation === null ? 'n/a' : `${tokenAccumulation.toFixed(2)}%`} token accumulation, ${trades.length} trades`);
+        console.log(`📊 [METRICS] ${roundTripStats.roundTrips} round trips, Win Rate: ${winRate.toFixed(1)}%, Profit Factor: ${profitFactor === null ? '∞' : profitFactor.toFixed(2)}, Expectancy: ${roundTripStats.expectancyBTC.toFixed(6)} BTC, Max Consecutive Losses: ${maxConsecutiveLosses}`);
         console.log(`🔧 [DEBUG] Max Z-Score: ${maxZScore.toFixed(3)} (threshold: ${params.zScoreThreshold})`);
         console.log(`🔧 [DEBUG] Max Allocation Shift: ${params.maxAllocationShift || 0.3}`);
         console.log(`📈 [TRADING ANALYSIS]:`);
@@ -370,55 +515,61 @@ export class SimpleBacktestEngine {
         console.log(`   Signal changes detected: ${signalChanges}`);
         console.log(`   Trades executed: ${trades.length}`);
         console.log(`   Trades blocked by no signal change: ${blockedByNoSignalChange}`);
+        console.log(`   Signals ignored while an order was pending: ${blockedByPendingOrder}`);
         console.log(`   Trade execution rate: ${signalChanges > 0 ? ((trades.length / signalChanges) * 100).toFixed(1) : 0}%`);
         
         return {
             portfolio: portfolio,
             portfolioHistory: portfolioHistory,
             trades: trades,
+            roundTrips: roundTrips,
+            cashFlows: cashFlows,
+            benchmarks: benchmarks,
             metrics: {
                 totalReturnPercent: totalReturnPercent,
+                moneyWeightedReturnPercent: riskMetrics.moneyWeightedReturnPercent,
+                moneyWeightedAnnualizedPercent: riskMetrics.moneyWeightedAnnualizedPercent,
+                totalDepositedBTC: flowValueBTC('deposit'),
+                totalWithdrawnBTC: flowValueBTC('withdrawal'),
+                cashFlowCount: cashFlows.length,
                 tokenAccumulationPercent: tokenAccumulation,
-                maxDrawdown: maxDrawdown,
-                sharpeRatio: sharpeRatio,
+                maxDrawdown: riskMetrics.maxDrawdownPercent,
+                sharpeRatio: riskMetrics.sharpeRatio,
+                sortinoRatio: riskMetrics.sortinoRatio,
+                calmarRatio: riskMetrics.calmarRatio,
+                riskMetrics: riskMetrics,
                 totalTrades: trades.length,
                 totalFeesBTC: totalFeesBTC,
                 winRate: winRate,
-                winningTrades: winningTrades.length,
-                losingTrades: losingTrades.length,
-                avgWinBTC: avgWin,
-                avgLossBTC: avgLoss,
+                roundTrips: roundTripStats.roundTrips,
+                winningTrades: roundTripStats.winningRoundTrips,
+                losingTrades: roundTripStats.losingRoundTrips,
+                avgWinBTC: roundTripStats.avgWinBTC,
+                avgLossBTC: roundTripStats.avgLossBTC,
                 profitFactor: profitFactor,
+                expectancyBTC: roundTripStats.expectancyBTC,
+                expectancyPercent: roundTripStats.expectancyPercent,
+                avgHoldingPeriodHours: roundTripStats.avgHoldingPeriodHours,
+                realizedBTC: roundTripStats.realizedBTC,
+                realizedETH: roundTripStats.realizedETH,
+                openTrades: roundTripStats.openTrades,
                 maxConsecutiveLosses: maxConsecutiveLosses,
+                signalStrategy: strategy.id,
+                executionModel: executionModel.type,
+                costBreakdown: ExecutionModel.summarizeCosts(trades),
+                rejectedTrades: rejectedTrades,
+                executionDelayBars: execution.delayBars,
+                fillPrice: execution.fillPrice,
+                signalsIgnoredWhilePending: blockedByPendingOrder,
+                unfilledOrders: pendingOrder ? 1 : 0,
+                lookaheadCheckpoints: lookaheadCheckpoints.length,
                 finalBTC: portfolio.btcAmount,
                 finalETH: portfolio.ethAmount,
-                initialBTC: 0.5,
-                initialETH: 0.5 / initialRatio
+                initialBTC: initialPortfolio.btcAmount,
+                initialETH: initialPortfolio.ethAmount,
+                initialValueBTC: initialValueBTC,
+                finalValueBTC: finalValueBTC
             }
         };
     }
-    
-    static calculateMaxDrawdown(returns) {
-        let maxDrawdown = 0;
-        let peak = -Infinity;
-        
-        for (const ret of returns) {
-            if (ret > peak) peak = ret;
-            const drawdown = (peak - ret) / (100 + peak) * 100;
-            if (drawdown > maxDrawdown) maxDrawdown = drawdown;
-        }
-        
-        return maxDrawdown;
-    }
-    
-    static calculateSharpeRatio(returns, riskFreeRate = 0) {
-        if (returns.length < 2) return 0;
-        
-        const dailyReturns = returns.slice(1).map((ret, i) => ret - returns[i]);
-        const avgReturn = dailyReturns.reduce((sum, r) => sum + r, 0) / dailyReturns.length;
-        const variance = dailyReturns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / dailyReturns.length;
-        const stdDev = Math.sqrt(variance);
-        
-        return stdDev > 0 ? (avgReturn - riskFreeRate) / stdDev * Math.sqrt(252) : 0;
-    }
-}
\ No newline at end of file
+}
@@ -3,15 +3,25 @@
  * 
  * Pure functions for trading signal generation
  * All methods are deterministic with no side effects
+ * 
+ * The trading rule itself is the strategy plugin selected by parameters.signalStrategy
+ * (packages/shared/src/strategies) - the same plugin the backtest engine runs.
  */
 
 import { ZScoreCalculator, DEFAULT_ZSCORE_PARAMS } from '../../../packages/shared/src/ZScoreCalculator.js';
+import { StrategyRegistry, ACTIONS } from '../../../packages/shared/src/strategies/index.js';
 import { DatabaseService } from '../lib/services/DatabaseService.js';
+import { Clock } from '../lib/utils/Clock.js';
 
 export class SimpleStrategy {
-    constructor() {
+    /**
+     * @param {DatabaseService} dbService - Database to load the active parameters from (default: new instance)
+     * @param {number|null} parameterId - Load this parameter set instead of the active one (paper portfolios)
+     */
+    constructor(dbService = null, parameterId = null) {
         // Default parameters - will be overridden by database values
         this.parameters = {
+            signalStrategy: StrategyRegistry.DEFAULT_STRATEGY,
             zScoreThreshold: 1.5,
             rebalancePercent: 10.0,
             transactionCost: 1.66,
@@ -20,11 +30,15 @@ export class SimpleStrategy {
             maxAllocationShift: 0.3,
             neutralZone: 0.5,
             minAllocation: 0.25,
-            maxAllocation: 0.75
+            maxAllocation: 0.75,
+            positionAdjustmentFactor: 0.5
         };
         
         // Load parameters from database on initialization
-        this.loadParametersFromDatabase();
+        // (await parametersLoaded before generating signals that must use them)
+        this.dbService = dbService;
+        this.parameterId = parameterId;
+        this.parametersLoaded = this.loadParametersFromDatabase();
     }
     
     /**
@@ -33,16 +47,23 @@ export class SimpleStrategy {
      */
     async loadParametersFromDatabase() {
         try {
-            const dbService = new DatabaseService();
-            const activeParams = await dbService.getActiveParameters();
+            const dbService = this.dbService || new DatabaseService();
+            const activeParams = this.parameterId
+                ? await dbService.getParameters(this.parameterId)
+                : await dbService.getActiveParameters();
             
             if (activeParams && activeParams.parameters) {
                 // Merge database parameters with defaults
+                // (band columns first, so values in the parameters JSON win)
                 this.parameters = {
                     ...this.parameters,
+                    ...SimpleStrategy.bandParametersFromRow(activeParams),
                     ...activeParams.parameters
                 };
                 
+                // lookbackWindow wins over lookbackDays, as in SimpleBacktestEngine.normalizeParameters
+                this.parameters.lookbackDays = activeParams.parameters.lookbackWindow || this.parameters.lookbackDays;
+                
                 console.log('📊 Loaded active parameters from database:', activeParams.name);
                 console.log('Parameters:', this.parameters);
             } else {
@@ -54,6 +75,27 @@ export class SimpleStrategy {
         }
     }
 
+    /**
+     * PURE FUNCTION: Read the allocation band columns of an algorithm_parameters row
+     * @param {Object} row - algorithm_parameters row
+     * @returns {Object} Band parameters present on the row, as numbers
+     */
+    static bandParametersFromRow(row) {
+        const columns = {
+            neutralZone: row.neutral_zone,
+            minAllocation: row.min_allocation,
+            maxAllocation: row.max_allocation,
+            maxAllocationShift: row.max_allocation_shift,
+            positionAdjustmentFactor: row.position_adjustment_factor
+        };
+        
+        return Object.fromEntries(
+            Object.entries(columns)
+                .filter(([, value]) => value !== undefined && value !== null)
+                .map(([name, value]) => [name, parseFloat(value)])
+        );
+    }
+
     /**
      * PURE FUNCTION: Calculate Z-Score for mean reversion analysis
      * Delegates to centralized ZScoreCalculator for consistency
@@ -66,41 +108,61 @@ export class SimpleStrategy {
         return ZScoreCalculator.calculate(currentRatio, historicalRatios, lookbackDays);
     }
 
+    /**
+     * PURE FUNCTION: Convert market_snapshots rows (newest first, numeric strings) into strategy bars
+     * @param {Array<Object>} marketRows - Rows from DatabaseService.getRecentMarketData()
+     * @returns {Array<Object>} Normalized bars, oldest first
+     */
+    static toBars(marketRows) {
+        return [...marketRows].reverse().map(row => ({
+            timestamp: row.collected_at || row.created_at,
+            ethBtcRatio: parseFloat(row.eth_btc_ratio),
+            ethPrice: parseFloat(row.eth_price_usd),
+            btcPrice: parseFloat(row.btc_price_usd),
+            volume: parseFloat(row.eth_volume_24h || 0)
+        }));
+    }
+
+    /**
+     * Number of recent bars to load so the strategy's decision matches the backtest
+     * @param {Object} parameters - Trading parameters (optional, uses current parameters if not provided)
+     * @returns {number} Bar count (warm-up plus a small margin)
+     */
+    requiredBars(parameters = this.parameters) {
+        return this.warmupBars(parameters) + 5;
+    }
+
+    /**
+     * Bars that only warm the strategy up; like the backtest, the first signal comes on the bar after them
+     * @param {Object} parameters - Trading parameters (optional, uses current parameters if not provided)
+     * @returns {number} Warm-up bar count
+     */
+    warmupBars(parameters = this.parameters) {
+        return Math.max(parameters.lookbackDays, StrategyRegistry.warmupBars(parameters));
+    }
+
     /**
      * PURE FUNCTION: Generate trading signal based on market conditions
-     * @param {number} currentRatio - Current ETH/BTC ratio
-     * @param {Array<number>} historicalRatios - Historical ratios
+     * Replays the bars through the strategy plugin and reports its decision on the last bar.
+     * @param {Array<Object>} bars - Normalized bars, oldest first (see toBars)
      * @param {Object} parameters - Trading parameters (optional, uses defaults if not provided)
+     * @param {Object} position - Current { ethAllocation } (0-1), used by position-aware strategies
      * @returns {Object} Trading signal (without timestamp)
      */
-    generateSignalPure(currentRatio, historicalRatios, parameters = this.parameters) {
-        const zScore = this.calculateZScore(currentRatio, historicalRatios, parameters.lookbackDays);
-        
-        let action = 'HOLD';
-        let shouldTrade = false;
-        let confidence = 0;
-        let reasoning = 'Market conditions within normal range';
-        
-        if (Math.abs(zScore) > parameters.zScoreThreshold) {
-            shouldTrade = true;
-            confidence = Math.min(1.0, Math.abs(zScore) / 3.0); // Cap at 100%
-            
-            if (zScore > parameters.zScoreThreshold) {
-                action = 'SELL_ETH';
-                reasoning = `ETH overvalued (Z-Score: ${zScore.toFixed(2)})`;
-            } else {
-                action = 'BUY_ETH';
-                reasoning = `ETH undervalued (Z-Score: ${zScore.toFixed(2)})`;
-            }
-        }
+    generateSignalPure(bars, parameters = this.parameters, position = null) {
+        const decision = StrategyRegistry.evaluate(bars, parameters, position);
         
+        // Signal API and database use the short action names
         return {
-            action,
-            shouldTrade,
-            confidence,
-            zScore,
-            reasoning,
-            ethBtcRatio: currentRatio,
+            action: decision.action,
+            shouldTrade: decision.action !== ACTIONS.HOLD,
+            confidence: decision.confidence,
+            zScore: decision.indicators.zScore ?? 0,
+            targetAllocation: decision.targetAllocation,
+            indicators: decision.indicators,
+            reasoning: decision.reasoning,
+            strategy: decision.strategy,
+            ethBtcRatio: bars[bars.length - 1].ethBtcRatio,
             parameters: parameters
         };
     }
@@ -109,11 +171,11 @@ export class SimpleStrategy {
      * WRAPPER: Generate signal with timestamp (calls pure function internally)
      * This maintains backward compatibility while keeping core logic pure
      */
-    generateSignal(currentRatio, historicalRatios) {
-        const pureSignal = this.generateSignalPure(currentRatio, historicalRatios);
+    generateSignal(bars, position = null) {
+        const pureSignal = this.generateSignalPure(bars, this.parameters, position);
         return {
             ...pureSignal,
-            timestamp: new Date().toISOString()
+            timestamp: Clock.isoString()
         };
     }
 
@@ -0,0 +1,266 @@
+import { SimpleBacktestEngine } from './SimpleBacktestEngine.js';
+import { ParameterOptimizer } from './ParameterOptimizer.js';
+import { PerformanceMetrics } from '../../../packages/shared/src/PerformanceMetrics.js';
+
+/**
+ * WalkForwardOptimizer - Out-of-sample validation for PowerHODL parameters
+ *
+ * Every parameter set we have was fitted on the same data it was scored on.
+ * Walk-forward analysis answers the only question that matters for live trading:
+ * "Would these parameters have worked on data the optimizer had NOT seen?"
+ *
+ * CRITICAL CONCEPTS:
+ * 1. FOLDS - The history is cut into consecutive (training, test) window pairs
+ *    - Training window: candidates are backtested and the best one is picked
+ *    - Test window: ONLY the picked candidate is run, on the next unseen bars
+ *    - The windows then roll forward by stepBars and the process repeats
+ *
+ * 2. ROLLING vs ANCHORED
+ *    - Rolling: training window has a fixed length and slides forward
+ *    - Anchored: training window always starts at bar 0 and grows
+ *
+ * 3. WARM-UP BARS ARE NOT TRADED
+ *    - The Z-score needs lookbackDays of history before the first trade
+ *    - Test slices are prefixed with lookbackDays bars from the training window
+ *    - Those bars feed the indicator only; trading starts on the first unseen bar
+ *    - Out-of-sample returns are measured from the first unseen bar, not the warm-up
+ *
+ * 4. STITCHED EQUITY CURVE
+ *    - Each fold's out-of-sample curve is chained onto the previous fold's end value
+ *    - The stitched curve is the honest estimate of live performance
+ *    - Compare it against the in-sample numbers: a large gap means overfitting
+ */
+export class WalkForwardOptimizer {
+    /**
+     * Default parameter grid searched on every training window
+     */
+    static DEFAULT_PARAMETER_GRID = {
+        zScoreThreshold: [1.0, 1.25, 1.5, 2.0],
+        rebalancePercent: [10, 25],
+        lookbackDays: [10, 15, 20]
+    };
+
+    /**
+     * Run a walk-forward analysis
+     * @param {Array<Object>} marketData - Normalized market data (see SimpleBacktestEngine.normalizeMarketData)
+     * @param {Object} baseParams - Engine parameters shared by every candidate (transactionCost, etc.)
+     * @param {Object} options - Walk-forward configuration
+     * @param {number} options.trainingBars - Bars in each training window
+     * @param {number} options.testBars - Bars in each out-of-sample window
+     * @param {number} options.stepBars - Bars to roll forward between folds, at least testBars (default: testBars)
+     * @param {boolean} options.anchored - Grow the training window from bar 0 instead of rolling it
+     * @param {string} options.objective - Key of ParameterOptimizer.OBJECTIVES used to pick the best candidate
+     * @param {Object} options.parameterGrid - Map of parameter name to candidate values
+     * @param {Function} options.onProgress - Called after every fold with { folds, totalFolds, fold }
+     * @returns {Object} Per-fold results plus stitched out-of-sample equity curve and metrics
+     */
+    static run(marketData, baseParams, options = {}) {
+        const config = this.resolveOptions(marketData, options);
+        const candidates = this.expandGrid(baseParams, config.parameterGrid);
+        const maxLookback = Math.max(...candidates.map(c => c.lookbackDays));
+
+        if (config.trainingBars <= maxLookback) {
+            throw new Error(`Invalid walk-forward config: trainingBars (${config.trainingBars}) must exceed the largest lookbackDays (${maxLookback})`);
+        }
+
+        console.log(`🚶 [WALK-FORWARD] ${marketData.length} bars, ${candidates.length} candidates, train=${config.trainingBars} test=${config.testBars} step=${config.stepBars} ${config.anchored ? 'anchored' : 'rolling'}`);
+
+        const folds = [];
+        const totalFolds = Math.ceil((marketData.length - config.trainingBars) / config.stepBars);
+        for (let testStart = config.trainingBars; testStart < marketData.length; testStart += config.stepBars) {
+            const testEnd = Math.min(testStart + config.testBars, marketData.length);
+            const trainStart = config.anchored ? 0 : testStart - config.trainingBars;
+
+            const fold = this.runFold(marketData, candidates, config, {
+                index: folds.length,
+                trainStart,
+                trainEnd: testStart,
+                testStart,
+                testEnd
+            });
+            folds.push(fold);
+
+            if (options.onProgress) {
+                options.onProgress({ folds: folds.length, totalFolds, fold });
+            }
+        }
+
+        if (folds.length === 0) {
+            throw new Error(`Not enough data for walk-forward: ${marketData.length} bars, need more than ${config.trainingBars}`);
+        }
+
+        const outOfSample = this.stitchFolds(folds);
+
+        console.log(`✅ [WALK-FORWARD] ${folds.length} folds: in-sample avg ${outOfSample.metrics.avgInSampleReturnPercent.toFixed(2)}%, out-of-sample ${outOfSample.metrics.totalReturnPercent.toFixed(2)}%`);
+
+        return {
+            config: {
+                ...config,
+                candidates: candidates.length
+            },
+            folds,
+            outOfSample
+        };
+    }
+
+    /**
+     * Optimize on one training slice and score the winner on the following test slice
+     * @private
+     */
+    static runFold(marketData, candidates, config, window) {
+        const trainingData = marketData.slice(window.trainStart, window.trainEnd);
+
+        let best = null;
+        for (const candidate of candidates) {
+            const result = SimpleBacktestEngine.runBacktest(trainingData, candidate);
+            const score = ParameterOptimizer.score(result, config.objective, config);
+
+            if (best === null || score > best.score) {
+                best = { params: candidate, score, result };
+            }
+        }
+
+        // Prefix the test slice with warm-up bars so the first unseen bar has a full Z-score window;
+        // startAt prices the 1 BTC start on the first unseen bar, so returns exclude the warm-up drift
+        const warmupStart = window.testStart - best.params.lookbackDays;
+        const testData = marketData.slice(warmupStart, window.testEnd);
+        const testResult = SimpleBacktestEngine.runBacktest(testData, best.params, {
+            startAt: marketData[window.testStart].timestamp
+        });
+
+        console.log(`📐 [WALK-FORWARD] Fold ${window.index}: best ${JSON.stringify(this.describeParams(best.params))} IS=${best.score.toFixed(3)} → OOS ${testResult.metrics.totalReturnPercent.toFixed(2)}%`);
+
+        return {
+            fold: window.index,
+            training: {
+                start: marketData[window.trainStart].timestamp,
+                end: marketData[window.trainEnd - 1].timestamp,
+                bars: window.trainEnd - window.trainStart
+            },
+            test: {
+                start: marketData[window.testStart].timestamp,
+                end: marketData[window.testEnd - 1].timestamp,
+                bars: window.testEnd - window.testStart
+            },
+            selectedParameters: best.params,
+            inSample: {
+                objectiveScore: best.score,
+                metrics: best.result.metrics
+            },
+            outOfSample: {
+                metrics: testResult.metrics,
+                trades: testResult.trades,
+                portfolioHistory: testResult.portfolioHistory
+            }
+        };
+    }
+
+    /**
+     * Chain every fold's out-of-sample curve into one equity curve
+     * @private
+     */
+    static stitchFolds(folds) {
+        const equityCurve = [];
+        let stitchedValue = 1.0;
+
+        for (const fold of folds) {
+            const baseValue = stitchedValue;
+            for (const point of fold.outOfSample.portfolioHistory) {
+                stitchedValue = baseValue * (point.totalValueBTC / fold.outOfSample.metrics.initialValueBTC);
+                equityCurve.push({
+                    timestamp: point.timestamp,
+                    fold: fold.fold,
+                    totalValueBTC: stitchedValue,
+                    ethPercentage: point.ethPercentage,
+                    zScore: point.zScore
+                });
+            }
+        }
+
+        const riskMetrics = PerformanceMetrics.compute(equityCurve);
+        const totalTrades = folds.reduce((sum, f) => sum + f.outOfSample.metrics.totalTrades, 0);
+        const totalFeesBTC = folds.reduce((sum, f) => sum + f.outOfSample.metrics.totalFeesBTC, 0);
+        const avgInSampleReturnPercent = folds.reduce((sum, f) => sum + f.inSample.metrics.totalReturnPercent, 0) / folds.length;
+        const avgOutOfSampleReturnPercent = folds.reduce((sum, f) => sum + f.outOfSample.metrics.totalReturnPercent, 0) / folds.length;
+        const profitableFolds = folds.filter(f => f.outOfSample.metrics.totalReturnPercent > 0).length;
+
+        return {
+            equityCurve,
+            metrics: {
+                totalReturnPercent: (stitchedValue - 1.0) * 100,
+                maxDrawdown: riskMetrics.maxDrawdownPercent,
+                sharpeRatio: riskMetrics.sharpeRatio,
+                sortinoRatio: riskMetrics.sortinoRatio,
+                calmarRatio: riskMetrics.calmarRatio,
+                riskMetrics,
+                totalTrades,
+                totalFeesBTC,
+                folds: folds.length,
+                profitableFolds,
+                avgInSampleReturnPercent,
+                avgOutOfSampleReturnPercent,
+                // Share of in-sample performance that survived out of sample (1.0 = no decay)
+                walkForwardEfficiency: avgInSampleReturnPercent !== 0 ? avgOutOfSampleReturnPercent / avgInSampleReturnPercent : 0
+            }
+        };
+    }
+
+    /**
+     * Fill in defaults and validate walk-forward options
+     * @private
+     */
+    static resolveOptions(marketData, options) {
+        const trainingBars = parseInt(options.trainingBars) || Math.floor(marketData.length * 0.5);
+        const testBars = parseInt(options.testBars) || Math.max(1, Math.floor(trainingBars / 4));
+        const stepBars = parseInt(options.stepBars) || testBars;
+        const objective = options.objective || 'btcGrowth';
+
+        if (!ParameterOptimizer.OBJECTIVES[objective]) {
+            throw new Error(`Invalid objective: ${objective}. Use one of ${Object.keys(ParameterOptimizer.OBJECTIVES).join(', ')}`);
+        }
+
+        if (testBars < 1 || stepBars < 1) {
+            throw new Error('Invalid walk-forward config: testBars and stepBars must be positive');
+        }
+
+        // Overlapping test windows would chain the shared bars into the stitched curve twice
+        if (stepBars < testBars) {
+            throw new Error(`Invalid walk-forward config: stepBars (${stepBars}) must be at least testBars (${testBars})`);
+        }
+
+        return {
+            trainingBars,
+            testBars,
+            stepBars,
+            anchored: options.anchored === true,
+            objective,
+            feePenalty: options.feePenalty,
+            parameterGrid: options.parameterGrid || this.DEFAULT_PARAMETER_GRID
+        };
+    }
+
+    /**
+     * Expand a parameter grid into the full list of candidate parameter sets
+     * @param {Object} baseParams - Parameters shared by every candidate
+     * @param {Object} grid - Map of parameter name to array of values
+     * @returns {Array<Object>} Candidate parameter sets (cartesian product)
+     */
+    static expandGrid(baseParams, grid) {
+        return Object.entries(grid).reduce((candidates, [name, values]) => {
+            const list = Array.isArray(values) ? values : [values];
+            return candidates.flatMap(candidate => list.map(value => ({ ...candidate, [name]: Number(value) })));
+        }, [{ ...baseParams }]);
+    }
+
+    /**
+     * Keep only the tuned parameters for compact logging
+     * @private
+     */
+    static describeParams(params) {
+        return {
+            zScoreThreshold: params.zScoreThreshold,
+            rebalancePercent: params.rebalancePercent,
+            lookbackDays: params.lookbackDays
+        };
+    }
+}
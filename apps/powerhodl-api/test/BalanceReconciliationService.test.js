@@ -0,0 +1,157 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { InMemoryDatabaseService } from '../lib/database/InMemoryDatabaseService.js';
+import { BalanceReconciliationService } from '../lib/services/BalanceReconciliationService.js';
+import { RiskManager } from '../lib/services/RiskManager.js';
+import { TradingPair } from '../../../packages/shared/src/TradingPair.js';
+
+const RATIO = 0.05;
+
+/**
+ * Exchange account holding the given totals
+ */
+function exchangeHolding(ethAmount, btcAmount) {
+    return {
+        tradingMode: 'cex',
+        isSimulationMode: false,
+        getAccountBalance: async () => ({ ETH: { total: ethAmount }, BTC: { total: btcAmount } })
+    };
+}
+
+/**
+ * Reconcile a 1 ETH / 1 BTC portfolio (1.05 BTC at RATIO) against an exchange account
+ * @returns {Promise<Object>} { result, db, portfolio }
+ */
+async function reconcileAgainst(exchange, { autoCorrect = true } = {}) {
+    const db = new InMemoryDatabaseService();
+    const portfolio = await db.createPortfolio({ eth_amount: 1, btc_amount: 1, total_value_btc: 1.05 });
+    await db.insertMarketSnapshot({ eth_btc_ratio: RATIO });
+
+    process.env.RECONCILE_AUTO_CORRECT = String(autoCorrect);
+    const service = new BalanceReconciliationService(db, exchange, new RiskManager());
+    const [result] = await service.reconcileAll();
+
+    return { result, db, portfolio };
+}
+
+describe('BalanceReconciliationService', () => {
+    const env = { ...process.env };
+
+    before(() => {
+        for (const level of ['log', 'info', 'warn', 'error']) {
+            mock.method(console, level, () => {});
+        }
+        // The defaults: corrections up to 0.1% of the portfolio value, halts above 2%
+        delete process.env.RECONCILE_TOLERANCE;
+        delete process.env.MAX_BALANCE_DRIFT;
+    });
+
+    after(() => {
+        process.env = env;
+        mock.restoreAll();
+    });
+
+    describe('thresholds', () => {
+        it('reports agreeing balances as ok without a system event', async () => {
+            const { result, db } = await reconcileAgainst(exchangeHolding(1, 1));
+
+            assert.equal(result.status, 'ok');
+            assert.equal(result.driftBtc, 0);
+            assert.equal(db.tables.system_events.length, 0);
+        });
+
+        it('treats rounding differences as none', async () => {
+            const { result } = await reconcileAgainst(exchangeHolding(1 + 1e-9, 1 - 1e-9));
+
+            assert.equal(result.status, 'ok');
+        });
+
+        it('auto-corrects a drift within the tolerance to the exchange balances', async () => {
+            // 0.01 ETH = 0.0005 BTC, 0.048% of 1.05 BTC
+            const { result, db, portfolio } = await reconcileAgainst(exchangeHolding(1.01, 1));
+
+            assert.equal(result.status, 'corrected');
+            assert.ok(Math.abs(result.driftPct - 0.0005 / 1.05) < 1e-12, `got ${result.driftPct}`);
+            assert.equal(result.message, 'Database balances set to exchange (exchange ETH +0.01000000)');
+
+            const corrected = await db.getPortfolio(portfolio.id);
+            assert.ok(Math.abs(corrected.eth_amount - 1.01) < 1e-12, `eth_amount ${corrected.eth_amount}`);
+            assert.equal(corrected.btc_amount, 1);
+            assert.ok(Math.abs(corrected.total_value_btc - 1.0505) < 1e-12, `total_value_btc ${corrected.total_value_btc}`);
+
+            const [event] = db.tables.system_events;
+            assert.equal(event.event_type, 'balance_drift');
+            assert.equal(event.severity, 'warn');
+        });
+
+        it('only logs a drift within the tolerance when auto-correct is off', async () => {
+            const { result, db, portfolio } = await reconcileAgainst(exchangeHolding(1.01, 1), { autoCorrect: false });
+
+            assert.equal(result.status, 'drift');
+            assert.equal((await db.getPortfolio(portfolio.id)).eth_amount, 1);
+            assert.equal(db.tables.system_events[0].severity, 'warn');
+        });
+
+        it('logs a drift between the tolerance and the halt limit as an error without changing anything', async () => {
+            // 0.0105 BTC, 1% of 1.05 BTC
+            const { result, db, portfolio } = await reconcileAgainst(exchangeHolding(1, 1.0105));
+
+            assert.equal(result.status, 'drift');
+            assert.ok(Math.abs(result.driftPct - 0.01) < 1e-12, `got ${result.driftPct}`);
+            assert.equal(result.message, 'Balance drift 1.0000% (exchange BTC +0.01050000)');
+            assert.equal((await db.getPortfolio(portfolio.id)).btc_amount, 1);
+
+            const [event] = db.tables.system_events;
+            assert.equal(event.event_type, 'balance_drift');
+            assert.equal(event.severity, 'error');
+        });
+
+        it('halts a drift above the limit even with auto-correct on', async () => {
+            // 0.03 BTC, 2.86% of 1.05 BTC
+            const { result, db, portfolio } = await reconcileAgainst(exchangeHolding(1, 0.97));
+
+            assert.equal(result.status, 'halted');
+            assert.equal(result.message, 'Balance drift too high (2.86% > 2.00%) - trading halted (exchange BTC -0.03000000)');
+            assert.equal((await db.getPortfolio(portfolio.id)).btc_amount, 1);
+
+            const [event] = db.tables.system_events;
+            assert.equal(event.event_type, 'trading_halted');
+            assert.equal(event.severity, 'error');
+            assert.equal(event.metadata.reconciliationId, result.reconciliationId);
+            assert.equal((await db.getLatestBalanceReconciliation(portfolio.id)).status, 'halted');
+        });
+
+        it('skips a portfolio with an open order', async () => {
+            const db = new InMemoryDatabaseService();
+            const portfolio = await db.createPortfolio({ eth_amount: 1, btc_amount: 1, total_value_btc: 1.05 });
+            await db.createOrder({ portfolio_id: portfolio.id, pair: 'ETH/BTC', action: 'BUY_ETH', side: 'buy', amount: 1, exchange: 'coinbase' });
+
+            const service = new BalanceReconciliationService(db, exchangeHolding(1, 0.5), new RiskManager());
+            const result = await service.reconcile(portfolio);
+
+            assert.equal(result.status, 'skipped');
+            assert.equal(db.tables.balance_reconciliations.length, 0);
+        });
+    });
+
+    describe('ledgerBalances', () => {
+        const pair = TradingPair.parse('ETH/BTC');
+
+        it('replays the trades from the first balances and flags a missing trade', () => {
+            const ledger = BalanceReconciliationService.ledgerBalances([
+                { id: 1, eth_amount_before: 1, btc_amount_before: 1, from_currency: 'BTC', to_currency: 'ETH', from_amount: 0.05, to_amount: 1 },
+                // Recorded after a trade that was never stored
+                { id: 2, eth_amount_before: 1.5, btc_amount_before: 0.95, from_currency: 'ETH', to_currency: 'BTC', from_amount: 0.5, to_amount: 0.03 }
+            ], pair);
+
+            assert.equal(ledger.ethAmount, 1.5);
+            assert.ok(Math.abs(ledger.btcAmount - 0.98) < 1e-12, `got ${ledger.btcAmount}`);
+            assert.deepEqual(ledger.gaps.map(gap => gap.tradeId), [2]);
+        });
+
+        it('is unavailable for trades recorded without their balances', () => {
+            assert.equal(BalanceReconciliationService.ledgerBalances([{ id: 1, eth_amount_before: null }], pair), null);
+            assert.equal(BalanceReconciliationService.ledgerBalances([], pair), null);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { BasketBacktestEngine } from '../src/BasketBacktestEngine.js';
+import { SimpleBacktestEngine } from '../src/SimpleBacktestEngine.js';
+import { HistoryImporter } from '../src/HistoryImporter.js';
+import { HistoryFileReader } from '../lib/utils/HistoryFileReader.js';
+
+const DATA_FILE = fileURLToPath(new URL('../../../data/eth_btc_data_2025-09-24.csv', import.meta.url));
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: got ${actual}, expected ${expected}`);
+
+describe('BasketBacktestEngine', () => {
+    describe('parameters', () => {
+        it('normalizes the assets and rejects weights that can not sum to 100%', () => {
+            const params = BasketBacktestEngine.normalizeParameters({ assets: ['btc', ' eth', 'ETH', 'sol'] });
+
+            assert.deepEqual(params.assets, ['BTC', 'ETH', 'SOL']);
+            assert.deepEqual(BasketBacktestEngine.requiredPairs(params.assets), ['ETH/BTC', 'SOL/BTC']);
+            assert.throws(() => BasketBacktestEngine.normalizeParameters({ assets: ['BTC'] }), /Invalid basket: at least 2 assets/);
+            assert.throws(() => BasketBacktestEngine.normalizeParameters({ assets: ['BTC', 'ETH'], maxWeight: 0.4 }), /Invalid basket weights/);
+            assert.throws(() => BasketBacktestEngine.normalizeParameters({ baseWeights: { BTC: -1, ETH: 2 } }), /Invalid basket baseWeights/);
+        });
+
+        it('tilts away from a rich asset and pins weights at their bounds', () => {
+            const params = BasketBacktestEngine.normalizeParameters({ assets: ['BTC', 'ETH'] });
+            // ETH: 0.5 × (1 - 0.25 × 2) = 0.25 against BTC's 0.5, so BTC would be 2/3 > maxWeight
+            const target = BasketBacktestEngine.targetWeights({ BTC: -2, ETH: 2 }, { ...params, zScoreThreshold: 3 });
+            const tilted = BasketBacktestEngine.targetWeights({ BTC: 0, ETH: 2 }, params);
+
+            assert.deepEqual(target, { BTC: 0.5, ETH: 0.5 });
+            close(tilted.BTC, 0.6, 'pinned BTC');
+            close(tilted.ETH, 0.4, 'rest to ETH');
+        });
+
+        it('moves at most maxTurnover towards the target', () => {
+            const capped = BasketBacktestEngine.capTurnover({ BTC: 0.5, ETH: 0.5 }, { BTC: 0.9, ETH: 0.1 }, 0.1);
+
+            close(capped.BTC, 0.6, 'BTC');
+            close(capped.ETH, 0.4, 'ETH');
+        });
+    });
+
+    describe('alignMarketData', () => {
+        const bar = (minute, ratio) => ({ timestamp: new Date(Date.UTC(2025, 0, 1, 0, minute)).toISOString(), ethBtcRatio: ratio });
+
+        it('emits a bar once every asset has a new price, at the latest of them', () => {
+            const bars = BasketBacktestEngine.alignMarketData({
+                ETH: [bar(0, 0.04), bar(5, 0.041), bar(6, 0.042)],
+                SOL: [bar(1, 0.002), bar(7, 0.0021)]
+            }, ['BTC', 'ETH', 'SOL']);
+
+            assert.deepEqual(bars.map(b => b.timestamp), ['2025-01-01T00:01:00.000Z', '2025-01-01T00:07:00.000Z']);
+            assert.deepEqual(bars[1].prices, { BTC: 1, ETH: 0.042, SOL: 0.0021 });
+        });
+
+        it('requires a series for every priced asset', () => {
+            assert.throws(() => BasketBacktestEngine.alignMarketData({ ETH: [bar(0, 0.04)] }, ['BTC', 'ETH', 'SOL']), /No historical data available for SOL\/BTC/);
+        });
+    });
+
+    describe('on the sample data', () => {
+        let bars;
+        let result;
+
+        before(async () => {
+            // The engine logs every rebalance
+            mock.method(console, 'log', () => {});
+            const { snapshots } = HistoryImporter.prepare(await HistoryFileReader.read(DATA_FILE));
+            const marketData = SimpleBacktestEngine.normalizeMarketData(snapshots);
+            const params = BasketBacktestEngine.normalizeParameters({ assets: ['BTC', 'ETH'], transactionCost: 1.66 });
+
+            bars = BasketBacktestEngine.alignMarketData({ ETH: marketData }, params.assets);
+            result = BasketBacktestEngine.runBacktest(bars, params);
+        });
+
+        after(() => mock.restoreAll());
+
+        it('keeps the expected metrics of a BTC / ETH basket', () => {
+            const { metrics } = result;
+
+            assert.equal(bars.length, 365);
+            assert.equal(metrics.rebalances, 32);
+            assert.equal(metrics.totalTrades, 32);
+            assert.equal(metrics.rejectedTrades, 0);
+            close(metrics.totalReturnPercent, -8.931704366520066, 'total return');
+            close(metrics.totalFeesBTC, 0.06460986468533422, 'fees');
+        });
+
+        it('compares with holding the starting 50 / 50 basket', () => {
+            const first = bars[0].prices.ETH;
+            const last = bars.at(-1).prices.ETH;
+
+            close(result.metrics.buyAndHoldReturnPercent, (0.5 + 0.5 * last / first - 1) * 100, 'buy and hold');
+            close(result.metrics.excessReturnPercent, result.metrics.totalReturnPercent - result.metrics.buyAndHoldReturnPercent, 'excess');
+        });
+
+        it('loses exactly the fees of each leg and stays within the weight bounds', () => {
+            for (const trade of result.trades) {
+                close(trade.portfolioValueBefore - trade.portfolioValueAfter, trade.fees, `${trade.timestamp} ${trade.action}`);
+            }
+
+            // Weights drift between rebalances, but a rebalance never targets outside [minWeight, maxWeight]
+            assert.ok(result.trades.every(trade => trade.targetWeight >= 0.05 && trade.targetWeight <= 0.6));
+            assert.equal(result.trades[0].action, 'SELL_ETH');
+            assert.equal(result.trades[0].targetWeight, 0.4);
+        });
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { BenchmarkSuite } from '../src/BenchmarkSuite.js';
+import { SimpleBacktestEngine } from '../src/SimpleBacktestEngine.js';
+import { HistoryImporter } from '../src/HistoryImporter.js';
+import { HistoryFileReader } from '../lib/utils/HistoryFileReader.js';
+
+const DATA_FILE = fileURLToPath(new URL('../../../data/eth_btc_data_2025-09-24.csv', import.meta.url));
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: got ${actual}, expected ${expected}`);
+
+describe('BenchmarkSuite', () => {
+    describe('periodKey', () => {
+        it('starts weeks on Monday and months on the 1st, in UTC', () => {
+            const week = timestamp => BenchmarkSuite.periodKey(timestamp, 'weekly');
+            const month = timestamp => BenchmarkSuite.periodKey(timestamp, 'monthly');
+
+            // 2025-01-06 was a Monday
+            assert.notEqual(week('2025-01-05T23:59:59.000Z'), week('2025-01-06T00:00:00.000Z'));
+            assert.equal(week('2025-01-06T00:00:00.000Z'), week('2025-01-12T23:59:59.000Z'));
+            assert.notEqual(month('2025-01-31T23:59:59.000Z'), month('2025-02-01T00:00:00.000Z'));
+            assert.equal(BenchmarkSuite.periodKey('2025-01-06T00:00:00.000Z', null), null);
+        });
+    });
+
+    describe('compare', () => {
+        // Ten daily bars from Thursday 2025-01-02, the ratio doubling on the Monday
+        const marketData = Array.from({ length: 10 }, (_, i) => ({
+            timestamp: new Date(Date.UTC(2025, 0, 2 + i)).toISOString(),
+            ethBtcRatio: i < 4 ? 0.04 : 0.08
+        }));
+        const params = { executionModel: 'flat', transactionCost: 0 };
+        // A strategy that holds 50/50 all along
+        const portfolioHistory = marketData.map(bar => ({ totalValueBTC: 0.5 + 0.5 * bar.ethBtcRatio / 0.04 }));
+
+        it('rebalances on the first bar of a new week', () => {
+            const { benchmarks } = BenchmarkSuite.compare(marketData, { startIndex: 0, initialValueBTC: 1, portfolioHistory, params });
+            const byId = Object.fromEntries(benchmarks.map(b => [b.id, b]));
+
+            close(byId['hold-eth'].totalReturnPercent, 100, 'hold ETH');
+            close(byId['hold-btc'].totalReturnPercent, 0, 'hold BTC');
+            assert.equal(byId['rebalance-weekly'].rebalances, 1);
+            assert.equal(byId['rebalance-monthly'].rebalances, 0);
+            // Rebalanced back to 50/50 on Monday, after the move, so the weekly benchmark ends at 1.5 like the hold
+            close(byId['rebalance-weekly'].finalValueBTC, 1.5, 'weekly');
+        });
+
+        it('reports no active risk for a strategy that moves with the benchmark', () => {
+            const { benchmarks } = BenchmarkSuite.compare(marketData, { startIndex: 0, initialValueBTC: 1, portfolioHistory, params });
+            const hold = benchmarks.find(b => b.id === 'hold-50-50');
+
+            close(hold.excessReturnPercent, 0, 'excess');
+            close(hold.trackingErrorPercent, 0, 'tracking error');
+            assert.equal(hold.informationRatio, 0);
+            assert.equal(hold.values.length, portfolioHistory.length);
+        });
+    });
+
+    describe('on the sample data', () => {
+        let marketData;
+        let result;
+
+        before(async () => {
+            // The engine logs every bar
+            mock.method(console, 'log', () => {});
+            const { snapshots } = HistoryImporter.prepare(await HistoryFileReader.read(DATA_FILE));
+            marketData = SimpleBacktestEngine.normalizeMarketData(snapshots);
+            result = SimpleBacktestEngine.runBacktest(marketData, SimpleBacktestEngine.normalizeParameters({ transactionCost: 1.66 }));
+        });
+
+        after(() => mock.restoreAll());
+
+        it('values the buy and hold benchmarks from the first and last ratio', () => {
+            const { barsPerYear, benchmarks } = result.benchmarks;
+            const byId = Object.fromEntries(benchmarks.map(b => [b.id, b]));
+            const ethReturn = marketData.at(-1).ethBtcRatio / marketData[0].ethBtcRatio - 1;
+
+            assert.equal(barsPerYear, 365);
+            close(byId['hold-eth'].totalReturnPercent, ethReturn * 100, 'hold ETH');
+            close(byId['hold-50-50'].totalReturnPercent, ethReturn * 50, 'hold 50/50');
+            assert.equal(byId['hold-btc'].finalValueBTC, 1);
+            assert.ok(benchmarks.every(b => b.values.length === result.portfolioHistory.length));
+        });
+
+        it('keeps the expected rebalanced benchmarks and excess returns', () => {
+            const byId = Object.fromEntries(result.benchmarks.benchmarks.map(b => [b.id, b]));
+
+            assert.equal(byId['rebalance-weekly'].rebalances, 52);
+            assert.equal(byId['rebalance-monthly'].rebalances, 12);
+            close(byId['rebalance-weekly'].totalReturnPercent, -2.8569752235658274, 'weekly');
+            close(byId['rebalance-monthly'].totalReturnPercent, -1.3279126070413816, 'monthly');
+            close(byId['rebalance-monthly'].totalFeesBTC, 0.006062287068474318, 'monthly fees');
+            close(byId['hold-btc'].excessReturnPercent, result.metrics.totalReturnPercent, 'excess over BTC');
+            close(byId['hold-50-50'].informationRatio, 0.9197776007626456, 'information ratio');
+        });
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CandleAggregator } from '../src/CandleAggregator.js';
+
+// Every 20 minutes from 00:00 to 02:40 UTC, the ratio rising by 0.0001 each time
+const snapshots = Array.from({ length: 9 }, (_, i) => ({
+    collected_at: new Date(Date.UTC(2025, 0, 1, 0, i * 20)).toISOString(),
+    eth_btc_ratio: String(0.035 + i * 0.0001),
+    eth_price_usd: '3300',
+    btc_price_usd: '95000'
+}));
+
+describe('CandleAggregator', () => {
+    it('rolls snapshots into UTC buckets', () => {
+        const candles = CandleAggregator.aggregate([...snapshots].reverse(), '1h', 'ETH/BTC');
+
+        assert.equal(candles.length, 3);
+        assert.equal(candles[0].open_time, '2025-01-01T00:00:00.000Z');
+        assert.equal(candles[0].close_time, '2025-01-01T01:00:00.000Z');
+        assert.equal(candles[0].snapshot_count, 3);
+        assert.ok(Math.abs(candles[0].open - 0.035) < 1e-12);
+        assert.ok(Math.abs(candles[0].close - 0.0352) < 1e-12);
+        assert.ok(Math.abs(candles[2].high - 0.0358) < 1e-12);
+    });
+
+    it('stamps bars with the time their close is known', () => {
+        const bars = CandleAggregator.toMarketData(CandleAggregator.aggregate(snapshots, '1h', 'ETH/BTC'));
+
+        assert.deepEqual(bars.map(bar => bar.timestamp), [
+            '2025-01-01T01:00:00.000Z',
+            '2025-01-01T02:00:00.000Z',
+            '2025-01-01T03:00:00.000Z'
+        ]);
+        assert.equal(bars[0].openTime, '2025-01-01T00:00:00.000Z');
+
+        // No bar carries a ratio from a snapshot taken after its timestamp
+        for (const bar of bars) {
+            const source = snapshots.find(row => Math.abs(parseFloat(row.eth_btc_ratio) - bar.ethBtcRatio) < 1e-12);
+            assert.ok(new Date(source.collected_at) <= new Date(bar.timestamp), `${bar.timestamp} close from ${source.collected_at}`);
+        }
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { EmaCrossoverStrategy } from '../../../packages/shared/src/strategies/EmaCrossoverStrategy.js';
+import { StrategyRegistry } from '../../../packages/shared/src/strategies/index.js';
+import { TechnicalIndicators } from '../../../packages/shared/src/TechnicalIndicators.js';
+import { SimpleBacktestEngine } from '../src/SimpleBacktestEngine.js';
+import { HistoryImporter } from '../src/HistoryImporter.js';
+import { HistoryFileReader } from '../lib/utils/HistoryFileReader.js';
+
+const DATA_FILE = fileURLToPath(new URL('../../../data/eth_btc_data_2025-09-24.csv', import.meta.url));
+
+describe('EmaCrossoverStrategy', () => {
+    const params = { signalStrategy: 'ema-crossover', emaFastPeriod: 5, emaSlowPeriod: 12 };
+    const window = EmaCrossoverStrategy.warmupBars(params);
+    let marketData;
+    let decisions;
+
+    before(async () => {
+        const { snapshots } = HistoryImporter.prepare(await HistoryFileReader.read(DATA_FILE));
+        marketData = SimpleBacktestEngine.normalizeMarketData(snapshots);
+
+        // One state for the whole history, as in the backtest
+        const state = EmaCrossoverStrategy.init(params);
+        decisions = marketData.map(bar => EmaCrossoverStrategy.onBar(bar, state));
+    });
+
+    it('seeds both averages warmupBars bars back on every bar', () => {
+        decisions.forEach((decision, i) => {
+            const ratios = marketData.slice(Math.max(0, i - window + 1), i + 1).map(bar => bar.ethBtcRatio);
+            const fastEma = TechnicalIndicators.exponentialMovingAverage(ratios, 5);
+            const slowEma = TechnicalIndicators.exponentialMovingAverage(ratios, 12);
+
+            assert.ok(Math.abs(decision.indicators.fastEma / fastEma - 1) < 1e-12, `bar ${i} fast`);
+            assert.ok(Math.abs(decision.indicators.slowEma / slowEma - 1) < 1e-12, `bar ${i} slow`);
+        });
+    });
+
+    it('gives a live replay of the warm-up bars the backtest decision', () => {
+        // Live callers replay requiredBars (warmupBars + 5) ending on the current bar
+        const liveBars = window + 5;
+        let crossovers = 0;
+
+        for (let i = liveBars - 1; i < marketData.length; i++) {
+            const live = StrategyRegistry.evaluate(marketData.slice(i - liveBars + 1, i + 1), params);
+
+            assert.equal(live.action, decisions[i].action, `bar ${i}`);
+            assert.ok(Math.abs(live.indicators.fastEma / decisions[i].indicators.fastEma - 1) < 1e-12, `bar ${i}`);
+            crossovers += live.action === 'HOLD' ? 0 : 1;
+        }
+
+        assert.ok(crossovers > 0, 'expected crossovers in the sample data');
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { LookaheadGuard } from '../src/LookaheadGuard.js';
+import { InMemoryDatabaseService } from '../lib/database/InMemoryDatabaseService.js';
+import { CronReplayHarness } from '../lib/replay/CronReplayHarness.js';
+import signalGenerator from '../api/cron/signal-generator.js';
+
+const DELAYED = { zScoreThreshold: 1.5, lookbackWindow: 15, executionDelayBars: 1, fillPrice: 'open' };
+
+describe('LookaheadGuard', () => {
+    before(() => {
+        for (const level of ['log', 'info', 'warn', 'error']) {
+            mock.method(console, level, () => {});
+        }
+    });
+
+    after(() => mock.restoreAll());
+
+    describe('assertLiveExecution', () => {
+        it('accepts fills on the signal bar', () => {
+            LookaheadGuard.assertLiveExecution({});
+            LookaheadGuard.assertLiveExecution({ executionDelayBars: 0, fillPrice: 'close' });
+        });
+
+        it('refuses a delayed fill', () => {
+            assert.throws(() => LookaheadGuard.assertLiveExecution(DELAYED), /Invalid executionDelayBars for live trading: 1/);
+        });
+    });
+
+    describe('checkStrategy', () => {
+        // Reads peekBars bars ahead through the array it closes over (0 = no lookahead)
+        const peekingStrategy = (bars) => ({
+            id: 'peeking',
+            parameterSchema: { peekBars: { type: 'integer', default: 0, min: 0, max: 5 } },
+            init: (params) => ({ params: { peekBars: Number(params.peekBars ?? 0) }, index: 0 }),
+            onBar: (bar, state) => {
+                const ahead = bars[state.index + state.params.peekBars];
+                state.index++;
+                return { action: 'HOLD', targetAllocation: null, indicators: { ratio: Number(ahead?.ethBtcRatio ?? 0) } };
+            },
+            warmupBars: () => 0
+        });
+        const makeBars = () => Array.from({ length: 40 }, (_, i) => ({
+            timestamp: new Date(Date.UTC(2025, 0, 1 + i)).toISOString(),
+            ethBtcRatio: 0.035 + 0.0005 * Math.sin(i)
+        }));
+
+        it('passes a strategy that only reads past bars', () => {
+            const bars = makeBars();
+
+            assert.equal(LookaheadGuard.checkStrategy(peekingStrategy(bars), { peekBars: 0 }, bars, 5).length, 3);
+        });
+
+        it('checks every parameter set the strategy declares, not only the first', () => {
+            const bars = makeBars();
+            const strategy = peekingStrategy(bars);
+
+            LookaheadGuard.checkStrategy(strategy, { peekBars: 0 }, bars, 5);
+            // Engine-only parameters share the check
+            LookaheadGuard.checkStrategy(strategy, { peekBars: 0, rebalancePercent: 25 }, bars, 5);
+            assert.throws(
+                () => LookaheadGuard.checkStrategy(strategy, { peekBars: 2 }, bars, 5),
+                /Invalid strategy peeking: lookahead at bar 5/
+            );
+        });
+    });
+
+    it('stops the signal cron when the active parameters have a delayed fill', async () => {
+        const dbService = new InMemoryDatabaseService({ parameters: DELAYED });
+        const response = {};
+        const res = {
+            status(code) {
+                response.status = code;
+                return this;
+            },
+            json(body) {
+                response.body = body;
+                return this;
+            }
+        };
+
+        await signalGenerator({ method: 'GET', headers: {}, query: {} }, res, { dbService });
+
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /executionDelayBars/);
+        assert.equal(dbService.tables.trading_signals.length, 0);
+    });
+
+    it('refuses to replay the crons with a delayed fill', async () => {
+        const bars = [
+            { timestamp: '2025-01-01T00:00:00.000Z', eth_btc_ratio: 0.035 },
+            { timestamp: '2025-01-02T00:00:00.000Z', eth_btc_ratio: 0.036 }
+        ];
+
+        await assert.rejects(CronReplayHarness.run(bars, { parameters: DELAYED }), /executionDelayBars/);
+    });
+});
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MigrationRunner } from '../lib/database/MigrationRunner.js';
+
+const API_ROOT = fileURLToPath(new URL('../', import.meta.url));
+
+describe('MigrationRunner', () => {
+    it('loads every migration with both directions', () => {
+        const migrations = MigrationRunner.load();
+
+        assert.ok(migrations.length > 0);
+        migrations.forEach((migration, i) => {
+            assert.equal(migration.version, i + 1);
+            assert.ok(migration.up.length > 0 && migration.down.length > 0, `migration ${migration.version}`);
+        });
+    });
+
+    it('ships the migrations directory with every cron on Vercel', () => {
+        const { functions } = JSON.parse(fs.readFileSync(path.join(API_ROOT, 'vercel.json'), 'utf8'));
+        const cronConfig = functions['api/cron/*.js'];
+
+        assert.ok(cronConfig, 'vercel.json has no functions config for the crons');
+        const included = path.resolve(API_ROOT, cronConfig.includeFiles.replace(/\*\*$/, ''));
+        assert.equal(included, path.resolve(MigrationRunner.DIRECTORY));
+    });
+
+    it('explains a missing migrations directory', () => {
+        assert.throws(() => MigrationRunner.load(path.join(API_ROOT, 'no-such-dir')), /Migrations directory not found/);
+    });
+});
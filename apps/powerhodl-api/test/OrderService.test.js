@@ -0,0 +1,62 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { InMemoryDatabaseService } from '../lib/database/InMemoryDatabaseService.js';
+import { OrderService } from '../lib/services/OrderService.js';
+import { OrderStateMachine } from '../src/OrderStateMachine.js';
+
+/**
+ * Exchange that reports a fixed fill for every poll
+ */
+function exchangeReporting(filled) {
+    return {
+        fetchOrder: async () => OrderStateMachine.fromExchange({
+            id: 'exchange-1', status: 'open', amount: 1, filled, average: 0.04, cost: filled * 0.04
+        })
+    };
+}
+
+describe('OrderService', () => {
+    before(() => {
+        for (const level of ['log', 'info', 'warn', 'error']) {
+            mock.method(console, level, () => {});
+        }
+    });
+
+    after(() => mock.restoreAll());
+
+    describe('sync', () => {
+        let db;
+        let portfolio;
+
+        before(async () => {
+            db = new InMemoryDatabaseService();
+            portfolio = await db.createPortfolio({ eth_amount: 1, btc_amount: 1, total_value_btc: 1.04 });
+
+            const order = await db.createOrder({
+                portfolio_id: portfolio.id, pair: 'ETH/BTC', action: 'BUY_ETH', side: 'buy', amount: 1,
+                exchange: 'coinbase', context: { ethBtcRatio: 0.04 }
+            });
+            const submitted = await db.updateOrder(order.id, 'pending', {
+                status: 'submitted', exchange_order_id: 'exchange-1', submitted_at: new Date().toISOString()
+            });
+            await new OrderService(db, exchangeReporting(0.5)).sync(submitted);
+        });
+
+        it('credits a partial fill once when two syncs of it overlap', async () => {
+            const [order] = await db.getOpenOrders();
+            assert.equal(order.status, 'partially_filled');
+
+            const service = new OrderService(db, exchangeReporting(0.8));
+            const results = await Promise.all([service.sync(structuredClone(order)), service.sync(structuredClone(order))]);
+
+            assert.equal(results.filter(Boolean).length, 1, 'exactly one sync applies the fill');
+
+            const after = await db.getPortfolio(portfolio.id);
+            assert.ok(Math.abs(after.eth_amount - 1.8) < 1e-12, `eth_amount ${after.eth_amount}`);
+            assert.ok(Math.abs(after.btc_amount - (1 - 0.8 * 0.04)) < 1e-12, `btc_amount ${after.btc_amount}`);
+
+            const [synced] = await db.getOpenOrders();
+            assert.equal(Number(synced.eth_applied), 0.8);
+        });
+    });
+});
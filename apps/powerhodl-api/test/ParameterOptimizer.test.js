@@ -0,0 +1,84 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { ParameterOptimizer } from '../src/ParameterOptimizer.js';
+import { SimpleBacktestEngine } from '../src/SimpleBacktestEngine.js';
+import { HistoryImporter } from '../src/HistoryImporter.js';
+import { HistoryFileReader } from '../lib/utils/HistoryFileReader.js';
+
+const DATA_FILE = fileURLToPath(new URL('../../../data/eth_btc_data_2025-09-24.csv', import.meta.url));
+
+describe('ParameterOptimizer', () => {
+    const params = SimpleBacktestEngine.normalizeParameters({ transactionCost: 1.66 });
+    const bounds = {
+        zScoreThreshold: { min: 1.0, max: 2.0 },
+        lookbackDays: { min: 10, max: 20, integer: true }
+    };
+    let marketData;
+
+    before(async () => {
+        // The engine logs every bar
+        mock.method(console, 'log', () => {});
+        const { snapshots } = HistoryImporter.prepare(await HistoryFileReader.read(DATA_FILE));
+        marketData = SimpleBacktestEngine.normalizeMarketData(snapshots);
+    });
+
+    after(() => mock.restoreAll());
+
+    it('sweeps the whole grid and keeps the best backtest', () => {
+        const result = ParameterOptimizer.run(marketData, params, { strategy: 'grid', bounds, maxIterations: 9 });
+        const grid = result.history.map(e => [e.parameters.zScoreThreshold, e.parameters.lookbackDays].join('/'));
+
+        assert.deepEqual(grid, ['1/10', '1/15', '1/20', '1.5/10', '1.5/15', '1.5/20', '2/10', '2/15', '2/20']);
+        assert.equal(result.stopReason, 'completed');
+        assert.equal(result.best.score, Math.max(...result.history.map(e => e.score)));
+        assert.equal(result.best.parameters.zScoreThreshold, 2);
+        assert.equal(result.best.parameters.lookbackDays, 10);
+        assert.ok(Math.abs(result.best.score - -2.395812503995509) < 1e-9, `got ${result.best.score}`);
+
+        // Scores are the plain backtest of the same parameters
+        const rerun = SimpleBacktestEngine.runBacktest(marketData, { ...params, ...result.best.parameters });
+        assert.ok(Math.abs(rerun.metrics.totalReturnPercent - result.best.score) < 1e-12);
+    });
+
+    it('returns the same search for the same seed', () => {
+        const options = { strategy: 'random', bounds, maxIterations: 6, seed: 42 };
+        const first = ParameterOptimizer.run(marketData, params, options);
+        const second = ParameterOptimizer.run(marketData, params, options);
+
+        assert.deepEqual(second.history.map(e => e.parameters), first.history.map(e => e.parameters));
+        assert.equal(second.best.score, first.best.score);
+    });
+
+    it('never runs more backtests than maxIterations', () => {
+        for (const strategy of ['nelder-mead', 'gradient-descent']) {
+            const result = ParameterOptimizer.run(marketData, params, { strategy, bounds, maxIterations: 5, seed: 7 });
+            assert.ok(result.evaluations <= 5, `${strategy} ran ${result.evaluations}`);
+        }
+    });
+
+    it('caps the budget of a search', () => {
+        assert.throws(
+            () => ParameterOptimizer.resolveOptions({ maxIterations: 5001 }),
+            /maxIterations must be between 1 and 5000/
+        );
+        assert.throws(
+            () => ParameterOptimizer.resolveOptions({ maxIterations: -1 }),
+            /maxIterations must be between 1 and 5000/
+        );
+        assert.equal(ParameterOptimizer.resolveOptions({ maxIterations: 5000 }).maxIterations, 5000);
+    });
+
+    it('rejects a grid larger than the cap before building it', () => {
+        assert.throws(
+            () => ParameterOptimizer.resolveOptions({ strategy: 'grid', gridSteps: 20, maxIterations: 100 }),
+            /a grid over 3 parameters has 8000 points, more than 5000/
+        );
+
+        const manyBounds = Object.fromEntries(Array.from({ length: 13 }, (_, i) => [`p${i}`, { min: 0, max: 1 }]));
+        assert.throws(
+            () => ParameterOptimizer.resolveOptions({ strategy: 'grid', bounds: manyBounds, maxIterations: 10 }),
+            /a grid over 13 parameters has 8192 points/
+        );
+    });
+});
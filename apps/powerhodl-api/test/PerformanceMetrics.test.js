@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PerformanceMetrics } from '../../../packages/shared/src/PerformanceMetrics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const close = (actual, expected, message, tolerance = 1e-9) => assert.ok(Math.abs(actual - expected) < tolerance, `${message}: got ${actual}, expected ${expected}`);
+
+const series = (values, spacingMs = DAY_MS) => values.map((totalValueBTC, i) => ({
+    timestamp: new Date(Date.UTC(2025, 0, 1) + i * spacingMs).toISOString(),
+    totalValueBTC
+}));
+
+describe('PerformanceMetrics', () => {
+    describe('deposits', () => {
+        // +10% in the first year, then 1 BTC deposited, then -10% in the second year
+        const history = [
+            { timestamp: '2023-01-01T00:00:00.000Z', totalValueBTC: 1.0 },
+            { timestamp: '2024-01-01T00:00:00.000Z', totalValueBTC: 2.1, cashFlowBTC: 1.0 },
+            { timestamp: '2024-12-31T00:00:00.000Z', totalValueBTC: 1.89 }
+        ];
+
+        it('leaves the deposit out of the time-weighted return', () => {
+            const metrics = PerformanceMetrics.compute(history);
+
+            close(metrics.totalReturnPercent, (1.1 * 0.9 - 1) * 100, 'time-weighted');
+            close(metrics.netCashFlowBTC, 1.0, 'net cash flow');
+            close(metrics.maxDrawdownPercent, 10, 'drawdown of the index, not of the deposit');
+            assert.deepEqual(PerformanceMetrics.timeWeightedSeries(history).map(p => p.portfolioValueBTC), [1.0, 2.1, 1.89]);
+        });
+
+        it('weighs the second year more in the money-weighted return', () => {
+            const metrics = PerformanceMetrics.compute(history);
+            // 1 + 1 / x = 1.89 / x² with x = 1 + IRR, one year apart
+            const growth = (-1 + Math.sqrt(1 + 4 * 1.89)) / 2;
+
+            close(metrics.moneyWeightedAnnualizedPercent, (growth - 1) * 100, 'IRR', 1e-6);
+            close(metrics.moneyWeightedReturnPercent, (growth ** 2 - 1) * 100, 'period IRR', 1e-6);
+            assert.ok(metrics.moneyWeightedReturnPercent < metrics.totalReturnPercent);
+        });
+
+        it('equals the plain return without cash flows', () => {
+            const metrics = PerformanceMetrics.compute(series([1.0, 1.05, 1.2]));
+
+            close(metrics.totalReturnPercent, 20, 'total');
+            close(metrics.moneyWeightedReturnPercent, 20, 'money-weighted', 1e-6);
+        });
+    });
+
+    describe('drawdowns', () => {
+        const metrics = PerformanceMetrics.compute(series([100, 120, 90, 100, 130, 117]));
+
+        it('lists episodes from peak to recovery, deepest first', () => {
+            assert.equal(metrics.drawdowns.length, 2);
+            close(metrics.maxDrawdownPercent, 25, 'max drawdown');
+
+            const [deepest, open] = metrics.drawdowns;
+            assert.equal(deepest.start, '2025-01-02T00:00:00.000Z');
+            assert.equal(deepest.trough, '2025-01-03T00:00:00.000Z');
+            assert.equal(deepest.end, '2025-01-05T00:00:00.000Z');
+            close(deepest.durationDays, 3, 'duration');
+            close(deepest.recoveryDays, 2, 'recovery');
+            close(open.depthPercent, 10, 'open depth');
+            assert.equal(open.recovered, false);
+            assert.equal(open.end, null);
+        });
+
+        it('measures time under water and the ulcer index', () => {
+            close(metrics.longestDrawdownDays, 3, 'longest');
+            close(metrics.timeToRecoveryDays, 2, 'time to recovery');
+            close(metrics.ulcerIndex, Math.sqrt((25 ** 2 + (20 / 1.2) ** 2 + 10 ** 2) / 6), 'ulcer index');
+        });
+    });
+
+    describe('ratios', () => {
+        const values = [100, 120, 90, 100, 130, 117];
+        const returns = [0.2, -0.25, 1 / 9, 0.3, -0.1];
+
+        it('annualizes per bar spacing', () => {
+            assert.equal(PerformanceMetrics.barsPerYear(series(values)), 365);
+            assert.equal(PerformanceMetrics.barsPerYear(series(values, DAY_MS / 24)), 8760);
+        });
+
+        it('computes Sharpe, Sortino and tail risk from the per-bar returns', () => {
+            const metrics = PerformanceMetrics.compute(series(values));
+            const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+            const stdDev = Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / returns.length);
+            const downside = Math.sqrt((0.25 ** 2 + 0.1 ** 2) / returns.length);
+
+            close(metrics.sharpeRatio, (mean / stdDev) * Math.sqrt(365), 'sharpe');
+            close(metrics.sortinoRatio, (mean / downside) * Math.sqrt(365), 'sortino');
+            // 95% of 5 returns leaves the single worst one in the tail
+            close(metrics.valueAtRiskPercent, 25, 'VaR');
+            close(metrics.conditionalValueAtRiskPercent, 25, 'CVaR');
+        });
+
+        it('reports 0 instead of dividing by zero for a flat series', () => {
+            const metrics = PerformanceMetrics.compute(series([1, 1, 1]));
+
+            assert.equal(metrics.sharpeRatio, 0);
+            assert.equal(metrics.sortinoRatio, 0);
+            assert.equal(metrics.calmarRatio, 0);
+            assert.equal(metrics.maxDrawdownPercent, 0);
+        });
+    });
+});
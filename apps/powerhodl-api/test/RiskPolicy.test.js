@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RiskPolicy } from '../src/RiskPolicy.js';
+
+// Daily trades count from local midnight: no time zone has its midnight in the 40 minutes before 12:45 UTC
+const NOW = Date.UTC(2025, 5, 15, 12, 45);
+const MINUTE = 60 * 1000;
+
+// Newest first, as the trade executor loads them
+const recentTrades = [
+    { executed_at: new Date(NOW - 30 * MINUTE).toISOString() },
+    { executed_at: new Date(NOW - 40 * MINUTE).toISOString() },
+    { executed_at: new Date(NOW - 3 * 24 * 60 * MINUTE).toISOString() }
+];
+
+const evaluate = (rules, context = {}) => RiskPolicy.evaluate(RiskPolicy.validate({ rules }), { now: NOW, ...context });
+
+describe('RiskPolicy', () => {
+    describe('block', () => {
+        it('blocks above a max and below a min threshold', () => {
+            const report = evaluate([
+                { id: 'daily', type: 'maxDailyTrades', threshold: 2, action: 'block', severity: 'high' },
+                { id: 'cooldown', type: 'cooldownMinutes', threshold: 60, action: 'block', severity: 'critical' }
+            ], { recentTrades });
+
+            assert.equal(report.decision, 'block');
+            assert.deepEqual(report.blockedBy, ['daily', 'cooldown']);
+            assert.equal(report.severity, 'critical');
+            assert.equal(report.rules[0].value, 3); // two earlier trades today plus this one
+            assert.equal(report.rules[1].value, 30);
+            assert.equal(report.reason, 'Trades today (including this one) 3 > 2; Minutes since the last trade 30.0 min < 60.0 min');
+            assert.equal(report.sizeMultiplier, 1);
+        });
+
+        it('allows a trade at the threshold', () => {
+            const report = evaluate([
+                { type: 'maxDailyTrades', threshold: 3, action: 'block' },
+                { type: 'cooldownMinutes', threshold: 30, action: 'block' }
+            ], { recentTrades });
+
+            assert.equal(report.decision, 'allow');
+            assert.deepEqual(report.blockedBy, []);
+            assert.equal(report.severity, null);
+        });
+
+        it('only reports a triggered warn rule', () => {
+            const report = evaluate([{ id: 'drawdown', type: 'maxDrawdown', threshold: 0.1, action: 'warn' }], {
+                portfolioValueBTC: 0.8,
+                peakValueBTC: 1.0
+            });
+
+            assert.equal(report.decision, 'allow');
+            assert.deepEqual(report.warnings, ['drawdown']);
+            assert.ok(Math.abs(report.rules[0].value - 0.2) < 1e-12);
+        });
+    });
+
+    describe('shrink', () => {
+        it('shrinks a trade size rule to exactly its threshold', () => {
+            const report = evaluate([{ id: 'size', type: 'maxTradeSize', threshold: 0.1, action: 'shrink' }], {
+                tradeValueBTC: 0.25,
+                portfolioValueBTC: 1.0
+            });
+
+            assert.equal(report.decision, 'allow');
+            assert.deepEqual(report.shrunkBy, ['size']);
+            assert.ok(Math.abs(report.sizeMultiplier - 0.4) < 1e-12);
+            assert.ok(Math.abs(0.25 * report.sizeMultiplier - 0.1) < 1e-12);
+        });
+
+        it('applies the smallest multiplier of every triggered shrink rule', () => {
+            const report = evaluate([
+                { id: 'size', type: 'maxTradeSize', threshold: 0.1, action: 'shrink' },
+                { id: 'confidence', type: 'minConfidence', threshold: 0.6, action: 'shrink', shrinkFactor: 0.3 },
+                { id: 'volatility', type: 'maxVolatility', threshold: 0.05, action: 'shrink' }
+            ], { tradeValueBTC: 0.25, portfolioValueBTC: 1.0, confidence: 0.5, volatility: 0.01 });
+
+            assert.deepEqual(report.shrunkBy, ['size', 'confidence']);
+            assert.equal(report.sizeMultiplier, 0.3);
+            assert.equal(report.rules[2].triggered, false);
+        });
+
+        it('defaults the shrink factor of other rule types to 0.5', () => {
+            const { rules } = RiskPolicy.validate({ rules: [
+                { type: 'minConfidence', threshold: 0.6, action: 'shrink' },
+                { type: 'maxTradeSize', threshold: 0.1, action: 'shrink' }
+            ] });
+
+            assert.equal(rules[0].shrinkFactor, 0.5);
+            assert.equal('shrinkFactor' in rules[1], false);
+        });
+    });
+
+    describe('skipped rules', () => {
+        it('skips disabled rules and rules without their input', () => {
+            const report = evaluate([
+                { id: 'off', type: 'maxDailyTrades', threshold: 0, action: 'block', enabled: false },
+                { id: 'size', type: 'maxTradeSize', threshold: 0.1, action: 'block' },
+                { id: 'cooldown', type: 'cooldownMinutes', threshold: 60, action: 'block' }
+            ], { recentTrades: [] });
+
+            assert.equal(report.decision, 'allow');
+            assert.deepEqual(report.rules.map(rule => rule.skipped), ['disabled', 'no trade size', 'no earlier trade']);
+        });
+    });
+
+    describe('validate', () => {
+        it('rejects invalid rules with their position', () => {
+            assert.throws(() => RiskPolicy.validate({ rules: [{ type: 'maxTradeSize', threshold: 1.5 }] }), /Invalid rule 1: threshold is a fraction/);
+            assert.throws(() => RiskPolicy.validate({ rules: [{ type: 'nope', threshold: 1 }] }), /Invalid rule 1: unknown type nope/);
+            assert.throws(() => RiskPolicy.validate({ rules: [{ type: 'minConfidence', threshold: 0.5, action: 'shrink', shrinkFactor: 1 }] }), /shrinkFactor must be between 0 and 1/);
+            assert.throws(() => RiskPolicy.validate({ rules: [
+                { id: 'a', type: 'maxDailyTrades', threshold: 1 },
+                { id: 'a', type: 'cooldownMinutes', threshold: 1 }
+            ] }), /Invalid rule 2: duplicate id a/);
+        });
+
+        it('keeps the default policy from blocking on trade size or drawdown', () => {
+            const policy = RiskPolicy.defaultPolicy({ maxDailyTrades: 10, cooldownPeriod: 60, maxTradeSize: 0.1, maxDrawdown: 0.2 });
+            const report = RiskPolicy.evaluate(RiskPolicy.validate(policy), {
+                now: NOW,
+                recentTrades: [],
+                tradeValueBTC: 0.5,
+                portfolioValueBTC: 1.0,
+                peakValueBTC: 2.0
+            });
+
+            assert.equal(report.decision, 'allow');
+            assert.deepEqual(report.warnings, ['trade-size', 'drawdown']);
+            assert.equal(report.sizeMultiplier, 1);
+        });
+    });
+});
@@ -0,0 +1,36 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { RobustnessAnalyzer } from '../src/RobustnessAnalyzer.js';
+import { SimpleBacktestEngine } from '../src/SimpleBacktestEngine.js';
+import { HistoryFileReader } from '../lib/utils/HistoryFileReader.js';
+
+const DATA_FILE = fileURLToPath(new URL('../../../data/eth_btc_data_2025-09-24.csv', import.meta.url));
+
+describe('RobustnessAnalyzer', () => {
+    let marketData;
+
+    before(async () => {
+        // The raw OHLCV rows (snapshots only keep the close)
+        marketData = SimpleBacktestEngine.normalizeMarketData(await HistoryFileReader.read(DATA_FILE));
+    });
+
+    it('rebuilds open, high, low and vwap with each bar', () => {
+        const bars = marketData.slice(0, 30).map(bar => ({ ...bar, vwap: (bar.high + bar.low + bar.ethBtcRatio) / 3 }));
+        const series = RobustnessAnalyzer.rebuildSeries(bars, RobustnessAnalyzer.buildSteps(bars));
+
+        series.slice(1).forEach((bar, i) => {
+            for (const field of ['ethBtcRatio', 'open', 'high', 'low', 'vwap']) {
+                assert.ok(Math.abs(bar[field] / bars[i + 1][field] - 1) < 1e-12, `bar ${i + 1} ${field}`);
+            }
+        });
+    });
+
+    it('leaves intrabar prices out when the data has none', () => {
+        const bars = marketData.slice(0, 5).map(({ open, high, low, vwap, ...bar }) => bar);
+        const series = RobustnessAnalyzer.rebuildSeries(bars, RobustnessAnalyzer.buildSteps(bars));
+
+        assert.equal(series[1].open, undefined);
+        assert.equal(series[1].vwap, undefined);
+    });
+});
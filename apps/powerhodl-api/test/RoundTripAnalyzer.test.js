@@ -0,0 +1,122 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { RoundTripAnalyzer } from '../src/RoundTripAnalyzer.js';
+import { SimpleBacktestEngine } from '../src/SimpleBacktestEngine.js';
+import { HistoryImporter } from '../src/HistoryImporter.js';
+import { HistoryFileReader } from '../lib/utils/HistoryFileReader.js';
+
+const DATA_FILE = fileURLToPath(new URL('../../../data/eth_btc_data_2025-09-24.csv', import.meta.url));
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-12, `${message}: got ${actual}, expected ${expected}`);
+
+const trade = (day, action, ethAmount, btcAmount, ratio, fees = 0) => ({
+    timestamp: new Date(Date.UTC(2025, 0, 1 + day)).toISOString(),
+    action,
+    ethAmount,
+    btcAmount,
+    ratio,
+    fees,
+    zScore: 0
+});
+
+describe('RoundTripAnalyzer', () => {
+    describe('FIFO pairing', () => {
+        const trades = [
+            trade(0, 'SELL_ETH_BUY_BTC', -2, 0.1, 0.05, 0.001),
+            trade(1, 'SELL_ETH_BUY_BTC', -1, 0.06, 0.06),
+            // Spends 0.12 BTC: all of the first lot, a third of the second
+            trade(2, 'BUY_ETH_SELL_BTC', 3, -0.12, 0.04, 0.002),
+            // Spends 0.05 BTC: the last 0.04 of the second lot, 0.01 opens a buy lot
+            trade(3, 'BUY_ETH_SELL_BTC', 0.5, -0.05, 0.1),
+            // Sells the 0.1 ETH the leftover bought
+            trade(4, 'SELL_ETH_BUY_BTC', -0.1, 0.012, 0.12)
+        ];
+        let roundTrips;
+        let openTrades;
+
+        before(() => {
+            ({ roundTrips, openTrades } = RoundTripAnalyzer.pair(trades));
+        });
+
+        it('closes the oldest lot first and splits trades across cycles', () => {
+            assert.deepEqual(roundTrips.map(r => [r.entryIndex, r.exitIndex]), [[0, 2], [1, 2], [1, 3], [3, 4]]);
+            close(roundTrips[0].fraction, 1, 'first lot');
+            close(roundTrips[1].fraction, 1 / 3, 'second lot, first part');
+            close(roundTrips[2].fraction, 2 / 3, 'second lot, rest');
+            close(roundTrips[3].fraction, 0.2, 'buy leftover');
+            assert.equal(openTrades, 0);
+        });
+
+        it('realizes sell-first cycles in ETH and buy-first cycles in BTC', () => {
+            // 2.5 ETH back for 2 ETH sold, valued at the closing ratio
+            close(roundTrips[0].realizedETH, 0.5, 'first ETH');
+            close(roundTrips[0].realizedValueBTC, 0.02, 'first value');
+            close(roundTrips[0].sizeBTC, 0.1, 'first size');
+            close(roundTrips[0].returnPercent, 20, 'first return');
+            close(roundTrips[0].feesBTC, 0.001 + 0.002 * 5 / 6, 'first fees');
+            close(roundTrips[1].realizedETH, 0.5 - 1 / 3, 'second ETH');
+            close(roundTrips[2].realizedETH, 0.4 - 2 / 3, 'third ETH');
+            close(roundTrips[2].realizedValueBTC, (0.4 - 2 / 3) * 0.1, 'third value');
+
+            assert.equal(roundTrips[3].side, 'BUY_ETH_SELL_BTC');
+            close(roundTrips[3].realizedBTC, 0.002, 'fourth BTC');
+            close(roundTrips[3].sizeBTC, 0.01, 'fourth size');
+            assert.equal(roundTrips[3].holdingPeriodHours, 24);
+        });
+
+        it('scores the closed cycles', () => {
+            const summary = RoundTripAnalyzer.summarize(roundTrips, openTrades);
+            const profit = 0.02 + (0.5 - 1 / 3) * 0.04 + 0.002;
+            const loss = (2 / 3 - 0.4) * 0.1;
+
+            assert.equal(summary.roundTrips, 4);
+            assert.equal(summary.winningRoundTrips, 3);
+            assert.equal(summary.winRate, 75);
+            close(summary.grossProfitBTC, profit, 'gross profit');
+            close(summary.grossLossBTC, loss, 'gross loss');
+            close(summary.profitFactor, profit / loss, 'profit factor');
+            close(summary.expectancyBTC, (profit - loss) / 4, 'expectancy');
+            close(summary.realizedETH, 0.5 + (0.5 - 1 / 3) + (0.4 - 2 / 3), 'realized ETH');
+            assert.equal(summary.maxConsecutiveLosses, 1);
+        });
+
+        it('leaves an unmatched lot open', () => {
+            const { roundTrips: closed, openTrades: open } = RoundTripAnalyzer.pair(trades.slice(0, 3));
+
+            assert.equal(closed.length, 2);
+            assert.equal(open, 1);
+            assert.equal(RoundTripAnalyzer.summarize(closed, open).openTrades, 1);
+        });
+
+        it('reports a profit factor of null without losses', () => {
+            const { roundTrips: closed } = RoundTripAnalyzer.pair(trades.slice(0, 3));
+
+            assert.equal(RoundTripAnalyzer.summarize(closed).profitFactor, null);
+        });
+    });
+
+    describe('on the sample data', () => {
+        let result;
+
+        before(async () => {
+            // The engine logs every bar
+            mock.method(console, 'log', () => {});
+            const { snapshots } = HistoryImporter.prepare(await HistoryFileReader.read(DATA_FILE));
+            const marketData = SimpleBacktestEngine.normalizeMarketData(snapshots);
+            result = SimpleBacktestEngine.runBacktest(marketData, SimpleBacktestEngine.normalizeParameters({ transactionCost: 1.66 }));
+        });
+
+        after(() => mock.restoreAll());
+
+        it('keeps the expected round trip metrics of the default backtest', () => {
+            const { metrics } = result;
+
+            // Cycles of the 20 trades in SimpleBacktestEngine.test.js
+            assert.equal(metrics.roundTrips, 18);
+            assert.equal(metrics.winningTrades, 12);
+            assert.equal(metrics.openTrades, 2);
+            assert.ok(Math.abs(metrics.expectancyBTC - 0.0009877990530307316) < 1e-12, `got ${metrics.expectancyBTC}`);
+        });
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { SimpleBacktestEngine } from '../src/SimpleBacktestEngine.js';
+import { HistoryImporter } from '../src/HistoryImporter.js';
+import { HistoryFileReader } from '../lib/utils/HistoryFileReader.js';
+
+const DATA_FILE = fileURLToPath(new URL('../../../data/eth_btc_data_2025-09-24.csv', import.meta.url));
+
+async function loadMarketData() {
+    const { snapshots } = HistoryImporter.prepare(await HistoryFileReader.read(DATA_FILE));
+    return SimpleBacktestEngine.normalizeMarketData(snapshots);
+}
+
+describe('SimpleBacktestEngine', () => {
+    let marketData;
+
+    before(async () => {
+        // The engine logs every bar
+        mock.method(console, 'log', () => {});
+        marketData = await loadMarketData();
+    });
+
+    after(() => mock.restoreAll());
+
+    describe('BUY fee accounting', () => {
+        // Since the execution model, a BUY spends exactly the traded BTC and the fee comes out of the
+        // ETH received. Before, the fee was also added to the BTC spent (charged twice), which made
+        // default results on this file about 0.88 points worse (-3.81% instead of -2.93% at 1.66%).
+        const params = SimpleBacktestEngine.normalizeParameters({ transactionCost: 1.66 });
+
+        it('charges the fee once on a BUY', () => {
+            const result = SimpleBacktestEngine.runBacktest(marketData, params);
+            const buy = result.trades.find(trade => trade.action === 'BUY_ETH_SELL_BTC');
+
+            assert.ok(buy, 'expected a BUY in the sample data');
+            assert.ok(Math.abs(buy.btcAmount + buy.tradeValueBTC) < 1e-12);
+            assert.ok(Math.abs(buy.fees - buy.tradeValueBTC * 0.0166) < 1e-12);
+            assert.ok(Math.abs(buy.ethAmount * buy.ratio - (buy.tradeValueBTC - buy.fees)) < 1e-12);
+            // The portfolio loses the fee, not twice the fee
+            assert.ok(Math.abs(buy.portfolioValueBefore - buy.portfolioValueAfter - buy.fees) < 1e-12);
+        });
+
+        it('keeps the expected default result on the sample data', () => {
+            const { metrics } = SimpleBacktestEngine.runBacktest(marketData, params);
+
+            assert.equal(metrics.totalTrades, 20);
+            assert.ok(Math.abs(metrics.totalReturnPercent - -2.9289016819251557) < 1e-9, `got ${metrics.totalReturnPercent}`);
+            assert.ok(Math.abs(metrics.totalFeesBTC - 0.015672862544306908) < 1e-12, `got ${metrics.totalFeesBTC}`);
+        });
+    });
+
+    describe('token accumulation', () => {
+        const params = SimpleBacktestEngine.normalizeParameters({ transactionCost: 1.66 });
+
+        it('counts BTC + ETH growth from the default start', () => {
+            const { metrics } = SimpleBacktestEngine.runBacktest(marketData, params);
+
+            assert.ok(Math.abs(metrics.tokenAccumulationPercent - 17.68203608872968) < 1e-9, `got ${metrics.tokenAccumulationPercent}`);
+        });
+
+        it('is left out for a lopsided custom start instead of adding BTC and ETH units', () => {
+            const { metrics } = SimpleBacktestEngine.runBacktest(marketData, params, {
+                initialPortfolio: { btcAmount: 1, ethAmount: 0 }
+            });
+
+            assert.equal(metrics.tokenAccumulationPercent, null);
+            assert.ok(metrics.totalTrades > 0);
+            assert.ok(Number.isFinite(metrics.totalReturnPercent));
+        });
+    });
+});
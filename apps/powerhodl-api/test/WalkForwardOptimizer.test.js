@@ -0,0 +1,88 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { WalkForwardOptimizer } from '../src/WalkForwardOptimizer.js';
+import { SimpleBacktestEngine } from '../src/SimpleBacktestEngine.js';
+import { HistoryImporter } from '../src/HistoryImporter.js';
+import { HistoryFileReader } from '../lib/utils/HistoryFileReader.js';
+
+const DATA_FILE = fileURLToPath(new URL('../../../data/eth_btc_data_2025-09-24.csv', import.meta.url));
+
+describe('WalkForwardOptimizer', () => {
+    const params = SimpleBacktestEngine.normalizeParameters({ transactionCost: 1.66 });
+    const options = {
+        trainingBars: 120,
+        testBars: 60,
+        parameterGrid: { zScoreThreshold: [1.0, 1.5], rebalancePercent: [25], lookbackDays: [10, 15] }
+    };
+    let marketData;
+    let result;
+
+    before(async () => {
+        // The engine logs every bar
+        mock.method(console, 'log', () => {});
+        const { snapshots } = HistoryImporter.prepare(await HistoryFileReader.read(DATA_FILE));
+        marketData = SimpleBacktestEngine.normalizeMarketData(snapshots);
+        result = WalkForwardOptimizer.run(marketData, params, options);
+    });
+
+    after(() => mock.restoreAll());
+
+    it('rolls training and test windows forward without gaps or overlap', () => {
+        assert.equal(result.folds.length, Math.ceil((marketData.length - 120) / 60));
+
+        result.folds.forEach((fold, i) => {
+            const testStart = 120 + i * 60;
+            assert.equal(fold.training.start, marketData[testStart - 120].timestamp);
+            assert.equal(fold.training.end, marketData[testStart - 1].timestamp);
+            assert.equal(fold.test.start, marketData[testStart].timestamp);
+            assert.equal(fold.test.bars, Math.min(60, marketData.length - testStart));
+        });
+
+        const timestamps = result.outOfSample.equityCurve.map(point => point.timestamp);
+        assert.equal(timestamps[0], marketData[120].timestamp);
+        assert.equal(new Set(timestamps).size, marketData.length - 120);
+    });
+
+    it('grows the anchored training window from the first bar', () => {
+        const anchored = WalkForwardOptimizer.run(marketData, params, { ...options, anchored: true });
+
+        anchored.folds.forEach((fold, i) => {
+            assert.equal(fold.training.start, marketData[0].timestamp);
+            assert.equal(fold.training.bars, 120 + i * 60);
+        });
+    });
+
+    it('measures out-of-sample returns from the first unseen bar, not the warm-up', () => {
+        for (const fold of result.folds) {
+            const { metrics, portfolioHistory } = fold.outOfSample;
+            const finalValue = portfolioHistory[portfolioHistory.length - 1].totalValueBTC;
+            const firstBarFees = fold.outOfSample.trades
+                .filter(trade => trade.timestamp === fold.test.start)
+                .reduce((sum, trade) => sum + trade.fees, 0);
+
+            assert.equal(portfolioHistory[0].timestamp, fold.test.start);
+            // 1 BTC on the first unseen bar, less what a trade on that bar cost
+            assert.ok(Math.abs(portfolioHistory[0].totalValueBTC + firstBarFees - 1.0) < 1e-9, `fold ${fold.fold}`);
+            assert.equal(portfolioHistory.length, fold.test.bars);
+            assert.equal(metrics.initialValueBTC, 1.0);
+            assert.ok(Math.abs(metrics.totalReturnPercent - (finalValue - 1.0) * 100) < 1e-9, `fold ${fold.fold}`);
+        }
+    });
+
+    it('keeps the expected stitched result on the sample data', () => {
+        const { metrics } = result.outOfSample;
+        const compounded = result.folds.reduce((value, fold) => value * (1 + fold.outOfSample.metrics.totalReturnPercent / 100), 1.0);
+
+        assert.ok(Math.abs(metrics.totalReturnPercent - (compounded - 1.0) * 100) < 1e-9);
+        assert.ok(Math.abs(metrics.totalReturnPercent - 5.8915351885356015) < 1e-9, `got ${metrics.totalReturnPercent}`);
+        assert.equal(metrics.profitableFolds, result.folds.filter(f => f.outOfSample.metrics.totalReturnPercent > 0).length);
+    });
+
+    it('rejects a step shorter than the test window', () => {
+        assert.throws(
+            () => WalkForwardOptimizer.run(marketData, params, { ...options, stepBars: 30 }),
+            /stepBars \(30\) must be at least testBars \(60\)/
+        );
+    });
+});
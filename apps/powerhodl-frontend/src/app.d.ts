@@ -0,0 +1,2 @@
+// Replaced at build time by the `define` in vite.config.js
+declare const __API_URL__: string;
@@ -1,125 +1,90 @@
 /**
  * Signal Service
- * 
+ *
  * Generates trading signals for SvelteKit API routes
- * This is a simplified version for the Svelte app
+ * Runs the same strategy plugin as the backtest engine and the signal cron
+ * (packages/shared/src/strategies), on the same market_snapshots history
  */
 
 import { LoggerService } from './LoggerService.js';
+import { StrategyRegistry } from '../../../../../packages/shared/src/strategies/index.js';
+import { TechnicalIndicators } from '../../../../../packages/shared/src/TechnicalIndicators.js';
+import { TradingPair } from '../../../../../packages/shared/src/TradingPair.js';
 
 export class SignalService {
 	constructor(dbService) {
 		this.dbService = dbService;
 		this.logger = new LoggerService('SignalService');
 	}
-	
+
 	async generateSignal(customParameters = null) {
 		try {
 			this.logger.info('Generating trading signal');
-			
-			// Get current market data (mock for now)
-			const marketData = await this.getCurrentMarketData();
-			
+
 			// Apply parameters
 			const parameters = customParameters || {
+				signalStrategy: StrategyRegistry.DEFAULT_STRATEGY,
 				zScoreThreshold: 1.2,
-				lookbackWindow: 15,
-				volatilityFilter: 0.5
+				lookbackWindow: 15
 			};
-			
-			// Calculate z-score
-			const zScore = this.calculateZScore(marketData, parameters);
-			
+
+			// Enough history for the strategy's warm-up, oldest first
+			const bars = await this.getMarketHistory(parameters);
+			if (bars.length === 0) {
+				throw new Error('No market data available');
+			}
+
+			const decision = StrategyRegistry.evaluate(bars, parameters);
+
 			// Determine signal
-			const signal = this.determineSignal(zScore, marketData, parameters);
-			
-			this.logger.info('Signal generated successfully:', { type: signal.type, zScore });
+			const signal = this.determineSignal(decision, bars, parameters);
+
+			this.logger.info('Signal generated successfully:', { type: signal.type, strategy: decision.strategy, zScore: signal.zScore });
 			return signal;
-			
+
 		} catch (error) {
 			this.logger.error('Signal generation failed:', error);
 			throw error;
 		}
 	}
-	
-	async getCurrentMarketData() {
-		// Mock current market data
-		// In production, this would fetch real data from exchanges
-		
-		const ethPriceUSD = 2650 + (Math.random() - 0.5) * 100; // ±$50 variation
-		const btcPriceUSD = 67200 + (Math.random() - 0.5) * 2000; // ±$1000 variation
-		const ethBtcRatio = ethPriceUSD / btcPriceUSD;
-		
-		// Simulate some volatility and trend
-		const trend = Math.random() > 0.6 ? (Math.random() > 0.5 ? 'bullish' : 'bearish') : 'sideways';
-		const volatility = 0.1 + Math.random() * 0.2; // 10-30% volatility
-		
-		return {
-			ethPriceUSD,
-			btcPriceUSD,
-			ethBtcRatio,
-			trend,
-			volatility,
-			timestamp: new Date().toISOString(),
-			volume24h: Math.random() * 1000000
-		};
-	}
-	
-	calculateZScore(marketData, parameters) {
-		// Mock z-score calculation
-		// In production, this would use historical data and statistical analysis
-		
-		const { lookbackWindow, volatilityFilter } = parameters;
-		const { ethBtcRatio, volatility } = marketData;
-		
-		// Simulate historical mean and std dev
-		const historicalMean = 0.0395; // Mock historical ETH/BTC ratio mean
-		const historicalStdDev = 0.005 * (1 + volatility); // Adjust std dev by current volatility
-		
-		// Apply volatility filter
-		const filteredRatio = volatility > volatilityFilter 
-			? ethBtcRatio * (1 - (volatility - volatilityFilter) * 0.1)
-			: ethBtcRatio;
-		
-		// Calculate z-score
-		const zScore = (filteredRatio - historicalMean) / historicalStdDev;
-		
-		// Add some smoothing based on lookback window
-		const smoothingFactor = Math.min(1, lookbackWindow / 20);
-		const smoothedZScore = zScore * smoothingFactor;
-		
-		return smoothedZScore;
+
+	async getMarketHistory(parameters) {
+		const lookback = parameters.lookbackWindow || parameters.lookbackDays || 15;
+		const limit = Math.max(lookback, StrategyRegistry.warmupBars(parameters)) + 5;
+
+		// market_snapshots rows of the pair (default ETH/BTC), newest first
+		const rows = await this.dbService.getRecentMarketData(limit, TradingPair.parse(parameters.pair).symbol);
+
+		return [...rows].reverse().map(row => ({
+			timestamp: row.collected_at || row.created_at,
+			ethBtcRatio: parseFloat(row.eth_btc_ratio),
+			ethPrice: parseFloat(row.eth_price_usd),
+			btcPrice: parseFloat(row.btc_price_usd),
+			volume: parseFloat(row.eth_volume_24h || 0)
+		}));
 	}
-	
-	determineSignal(zScore, marketData, parameters) {
-		const { zScoreThreshold } = parameters;
-		
-		let signalType = 'HOLD';
-		let confidence = 50;
-		let reasoning = 'Z-Score within normal range';
-		
-		if (zScore > zScoreThreshold) {
-			signalType = 'SELL_ETH';
-			confidence = Math.min(95, 60 + (zScore - zScoreThreshold) * 20);
-			reasoning = `ETH overvalued vs BTC (Z-Score: ${zScore.toFixed(3)})`;
-		} else if (zScore < -zScoreThreshold) {
-			signalType = 'BUY_ETH';
-			confidence = Math.min(95, 60 + (Math.abs(zScore) - zScoreThreshold) * 20);
-			reasoning = `ETH undervalued vs BTC (Z-Score: ${zScore.toFixed(3)})`;
-		}
-		
-		// Adjust confidence based on market conditions
-		if (marketData.trend === 'sideways') confidence *= 0.9;
-		if (marketData.volatility > 0.25) confidence *= 0.8; // High volatility reduces confidence
-		
+
+	determineSignal(decision, bars, parameters) {
+		const ratios = bars.map(bar => bar.ethBtcRatio);
+		const lookback = parameters.lookbackWindow || parameters.lookbackDays || 15;
+
+		// Market context for the UI
+		const change = TechnicalIndicators.rateOfChange(ratios, Math.min(lookback, ratios.length - 1));
+		const trend = change > 1 ? 'bullish' : change < -1 ? 'bearish' : 'sideways';
+		const volatility = TechnicalIndicators.volatility(ratios.slice(-lookback));
+
 		return {
-			type: signalType,
-			confidence: Math.round(confidence),
-			zScore: zScore,
-			ethBtcRatio: marketData.ethBtcRatio,
-			trend: marketData.trend,
-			volatility: marketData.volatility,
-			reasoning: reasoning,
+			type: decision.action,
+			confidence: Math.round(decision.confidence * 100),
+			zScore: decision.indicators.zScore ?? 0,
+			indicators: decision.indicators,
+			targetAllocation: decision.targetAllocation,
+			strategy: decision.strategy,
+			ethBtcRatio: ratios[ratios.length - 1],
+			trend: trend,
+			volatility: volatility,
+			momentum: TechnicalIndicators.momentum(ratios),
+			reasoning: decision.reasoning,
 			timestamp: new Date().toISOString(),
 			parameters: parameters
 		};
@@ -33,7 +33,9 @@
  *    - Confusing gross returns with net returns
  */
 
-import { writable, derived } from 'svelte/store';
+import { writable, derived, get } from 'svelte/store';
+import { StrategyRegistry } from '../../../../../packages/shared/src/strategies/index.js';
+import { DEFAULT_PAIR } from '../../../../../packages/shared/src/TradingPair.js';
 
 // === Backtest State ===
 
@@ -47,12 +49,13 @@ export const selectedBacktestResult = writable(null);
  */
 export const backtestState = writable({
 	isRunning: false,
-	status: 'idle', // 'idle', 'running', 'completed', 'error'
+	status: 'idle', // 'idle', 'running', 'completed', 'cancelled', 'error'
 	progress: 0,
 	currentStep: '',
 	error: null,
 	startTime: null,
-	endTime: null
+	endTime: null,
+	jobId: null
 });
 
 /**
@@ -77,7 +80,23 @@ export const optimizationState = writable({
 	bestResult: null,
 	progress: 0,
 	timeRemaining: null,
-	error: null
+	error: null,
+	jobId: null
+});
+
+// === Robustness State ===
+
+/**
+ * Monte Carlo / bootstrap analysis of a backtest result
+ * resultTimestamp identifies the backtest result the analysis belongs to
+ */
+export const robustnessState = writable({
+	isRunning: false,
+	progress: 0,
+	resultTimestamp: null,
+	analysis: null,
+	error: null,
+	jobId: null
 });
 
 /**
@@ -194,74 +213,93 @@ export const optimizationSummary = derived(
 
 /**
  * Start a single backtest
+ * Runs as a queued job on the API; progress is polled until the worker finishes it
  */
 export async function runSingleBacktest(parameters) {
 	backtestState.set({
 		isRunning: true,
 		status: 'running',
 		progress: 0,
-		currentStep: 'Initializing backtest...',
+		currentStep: 'Submitting backtest job...',
 		error: null,
 		startTime: new Date().toISOString(),
-		endTime: null
+		endTime: null,
+		jobId: null
 	});
 	
 	try {
-		// Update progress
-		backtestState.update(state => ({
-			...state,
-			progress: 25,
-			currentStep: 'Fetching historical data...'
-		}));
-		
-		// Call API
-		const response = await fetch(`${__API_URL__}/api/backtest`, {
-			method: 'POST',
-			headers: { 'Content-Type': 'application/json' },
-			body: JSON.stringify({
-				parameters: {
-					zScoreThreshold: parameters.zScoreThreshold,
-					rebalancePercent: parameters.rebalancePercent || parameters.rebalanceThreshold,
-					transactionCost: parameters.transactionCost,
-					lookbackDays: parameters.lookbackWindow || parameters.lookbackDays,
-					volatilityFilter: parameters.volatilityFilter
-				},
-				useRealData: parameters.useRealData !== false, // Use parameter or default to true
-				backtestPeriod: parameters.backtestPeriod || 'ALL'
-			})
+		const jobId = await submitBacktestJob({
+			type: 'backtest',
+			parameters: {
+				...strategyParameters(parameters),
+				zScoreThreshold: parameters.zScoreThreshold,
+				rebalancePercent: parameters.rebalancePercent || parameters.rebalanceThreshold,
+				transactionCost: parameters.transactionCost,
+				lookbackDays: parameters.lookbackWindow || parameters.lookbackDays,
+				volatilityFilter: parameters.volatilityFilter,
+				executionModel: parameters.executionModel,
+				...executionTiming(parameters)
+			},
+			useRealData: parameters.useRealData !== false, // Use parameter or default to true
+			backtestPeriod: parameters.backtestPeriod || 'ALL',
+			pair: parameters.pair || DEFAULT_PAIR,
+			timeframe: parameters.timeframe || undefined,
+			// Starting balances and deposits / withdrawals (default: 1 BTC at 50/50, no cash flows)
+			initialPortfolio: parameters.initialPortfolio || undefined,
+			cashFlows: parameters.cashFlows?.length ? parameters.cashFlows : undefined
 		});
 		
-		if (!response.ok) {
-			const errorText = await response.text();
-			console.error('Backtest API Error:', response.status, errorText);
-			throw new Error(`Backtest API error: ${response.status} - ${errorText}`);
-		}
-		
-		// Update progress
-		backtestState.update(state => ({
-			...state,
-			progress: 75,
-			currentStep: 'Processing results...'
-		}));
+		backtestState.update(state => ({ ...state, jobId }));
 		
-		const apiResponse = await response.json();
+		const results = await pollBacktestJob(jobId, (job) => {
+			backtestState.update(state => ({
+				...state,
+				progress: job.progress,
+				currentStep: job.status === 'queued' ? 'Waiting for backtest worker...' : job.currentStep
+			}));
+		});
 		
-		if (!apiResponse.success) {
-			throw new Error(apiResponse.message || 'Backtest failed');
+		if (!results) {
+			backtestState.update(state => ({
+				...state,
+				isRunning: false,
+				status: 'cancelled',
+				currentStep: 'Backtest cancelled',
+				endTime: new Date().toISOString()
+			}));
+			return null;
 		}
 		
-		const results = apiResponse.data;
-		
 		// Transform API response to match UI expectations
 		const transformedResult = {
 			// Flatten the nested structure
 			btcGrowthPercent: results.result?.performance?.btcGrowthPercent || results.btcGrowthPercent || 0,
-			tokenAccumulationPercent: results.result?.performance?.tokenAccumulationPercent || 0,
+			moneyWeightedReturnPercent: results.result?.performance?.moneyWeightedReturnPercent ?? null,
+			moneyWeightedAnnualizedPercent: results.result?.performance?.moneyWeightedAnnualizedPercent ?? null,
+			initialValueBTC: results.result?.performance?.initialValueBTC ?? null,
+			totalDepositedBTC: results.result?.performance?.totalDepositedBTC || 0,
+			totalWithdrawnBTC: results.result?.performance?.totalWithdrawnBTC || 0,
+			tokenAccumulationPercent: results.result?.performance?.tokenAccumulationPercent ?? null,
 			totalTrades: results.result?.performance?.totalTrades || results.totalTrades || 0,
 			sharpeRatio: results.result?.performance?.sharpeRatio || results.sharpeRatio || 0,
+			sortinoRatio: results.result?.performance?.sortinoRatio || 0,
+			calmarRatio: results.result?.performance?.calmarRatio || 0,
 			maxDrawdown: Math.abs(results.result?.performance?.maxDrawdown || results.maxDrawdown || 0),
 			winRate: results.result?.performance?.winRate || results.winRate || 0,
+			profitFactor: results.result?.performance?.profitFactor ?? 0,
+			expectancyBTC: results.result?.performance?.expectancyBTC || 0,
+			expectancyPercent: results.result?.performance?.expectancyPercent || 0,
+			avgHoldingPeriodHours: results.result?.performance?.avgHoldingPeriodHours || 0,
 			totalFeesBTC: results.result?.performance?.totalFeesBTC || 0,
+			executionModel: results.result?.performance?.executionModel || 'flat',
+			costBreakdown: results.result?.performance?.costBreakdown || null,
+			rejectedTrades: results.result?.performance?.rejectedTrades || 0,
+			executionDelayBars: results.result?.performance?.executionDelayBars || 0,
+			fillPrice: results.result?.performance?.fillPrice || 'close',
+			signalsIgnoredWhilePending: results.result?.performance?.signalsIgnoredWhilePending || 0,
+			unfilledOrders: results.result?.performance?.unfilledOrders || 0,
+			// VaR / CVaR, Ulcer index, drawdown durations and the deepest drawdowns (PerformanceMetrics)
+			riskMetrics: results.result?.performance?.riskMetrics || null,
 			
 			// Portfolio data
 			portfolioHistory: results.result?.portfolioHistory || results.portfolioHistory || [],
@@ -269,11 +307,21 @@ export async function runSingleBacktest(parameters) {
 				totalValueBTC: results.result?.portfolioHistory?.slice(-1)[0]?.totalValueBTC || 0
 			},
 			
-			// Trade signals
+			// Trade signals, and the round trips they pair into (win rate etc. are over these)
 			trades: results.result?.trades || [],
+			roundTrips: results.result?.roundTrips || [],
+			
+			// Deposits and withdrawals as applied
+			cashFlows: results.result?.cashFlows || [],
+			
+			// Passive portfolios over the same bars (50/50 hold, 100% BTC / ETH, calendar rebalancing)
+			benchmarks: results.result?.benchmarks || null,
 			
 			// Metadata
 			parameters: results.parameters || parameters,
+			backtestPeriod: parameters.backtestPeriod || 'ALL',
+			pair: parameters.pair || DEFAULT_PAIR,
+			timeframe: parameters.timeframe || null,
 			timestamp: new Date().toISOString(),
 			type: results.type || 'single'
 		};
@@ -318,9 +366,13 @@ export async function runSingleBacktest(parameters) {
 }
 
 /**
- * Run gradient descent optimization with multiple iterations
+ * Run parameter optimization as a queued job on the API
+ * Evaluations stream into optimizationResults while the job runs
+ * @param {number} iterations - Maximum number of backtest evaluations
+ * @param {Object} baseParameters - Starting parameters (transactionCost is kept fixed)
+ * @param {Object} options - strategy, objective, convergenceThreshold, seed, bounds
  */
-export async function runOptimization(iterations = 10, baseParameters) {
+export async function runOptimization(iterations = 10, baseParameters, options = {}) {
 	optimizationState.set({
 		isRunning: true,
 		totalIterations: iterations,
@@ -328,70 +380,95 @@ export async function runOptimization(iterations = 10, baseParameters) {
 		bestResult: null,
 		progress: 0,
 		timeRemaining: null,
-		error: null
+		error: null,
+		jobId: null
 	});
 	
 	optimizationResults.set([]);
 	
-	const results = [];
-	const startTime = Date.now();
+	const toResult = (result) => ({
+		...result,
+		parameters: { ...baseParameters, ...result.parameters },
+		timestamp: new Date().toISOString()
+	});
 	
 	try {
-		for (let i = 0; i < iterations; i++) {
-			// Generate parameter variations
-			const params = generateParameterVariation(baseParameters, i);
-			
-			// Update progress
-			const progress = (i / iterations) * 100;
-			const elapsed = Date.now() - startTime;
-			const timeRemaining = i > 0 ? (elapsed / i) * (iterations - i) : null;
-			
-			optimizationState.update(state => ({
-				...state,
-				currentIteration: i + 1,
-				progress,
-				timeRemaining
-			}));
-			
-			// Yield to UI thread before running backtest
-			await new Promise(resolve => setTimeout(resolve, 10));
-			
-			// Run backtest
-			const result = await runSingleBacktest(params);
-			
-			const iterationResult = {
-				iteration: i + 1,
-				parameters: params,
-				btcGrowthPercent: result.cryptoAccumulation?.cryptoOutperformance || 0,
-				totalTrades: result.portfolioEvolution?.trades?.length || 0,
-				timestamp: new Date().toISOString(),
-				...result
-			};
-			
-			results.push(iterationResult);
+		const jobId = await submitBacktestJob({
+			type: 'optimization',
+			parameters: {
+				...strategyParameters(baseParameters),
+				zScoreThreshold: baseParameters.zScoreThreshold,
+				rebalancePercent: baseParameters.rebalancePercent || baseParameters.rebalanceThreshold,
+				transactionCost: baseParameters.transactionCost,
+				lookbackDays: baseParameters.lookbackWindow || baseParameters.lookbackDays,
+				executionModel: baseParameters.executionModel,
+				...executionTiming(baseParameters)
+			},
+			backtestPeriod: baseParameters.backtestPeriod || 'ALL',
+			pair: baseParameters.pair || DEFAULT_PAIR,
+			maxIterations: iterations,
+			strategy: options.strategy || 'nelder-mead',
+			objective: options.objective || 'btcGrowth',
+			convergenceThreshold: options.convergenceThreshold,
+			seed: options.seed,
+			bounds: options.bounds
+		});
+		
+		optimizationState.update(state => ({ ...state, jobId }));
+		
+		const startTime = Date.now();
+		const data = await pollBacktestJob(jobId, (job) => {
+			const streamed = job.partialResults.map(toResult);
+			if (streamed.length > 0) {
+				optimizationResults.update(current => [...current, ...streamed]);
+			}
 			
-			// Update best result
 			optimizationState.update(state => {
-				const isBetter = !state.bestResult || 
-					iterationResult.btcGrowthPercent > state.bestResult.btcGrowthPercent;
+				const bestResult = streamed.reduce(
+					(best, current) => (!best || current.score > best.score ? current : best),
+					state.bestResult
+				);
+				const currentIteration = state.currentIteration + streamed.length;
+				const elapsed = Date.now() - startTime;
 				
 				return {
 					...state,
-					bestResult: isBetter ? iterationResult : state.bestResult
+					currentIteration,
+					bestResult,
+					progress: job.progress,
+					timeRemaining: currentIteration > 0 ? (elapsed / currentIteration) * (iterations - currentIteration) : null
 				};
 			});
-			
-			// Update results
-			optimizationResults.set([...results]);
-			
-			// Yield to UI thread after each iteration
-			await new Promise(resolve => setTimeout(resolve, 50));
+		});
+		
+		if (!data) {
+			optimizationState.update(state => ({
+				...state,
+				isRunning: false,
+				timeRemaining: null,
+				error: 'Optimization cancelled'
+			}));
+			return null;
 		}
 		
+		const results = data.results.map(toResult);
+		
+		const bestResult = {
+			...toResult(data.bestResult),
+			strategy: data.strategy,
+			objective: data.objective,
+			savedParameterId: data.savedParameterId
+		};
+		
+		optimizationResults.set(results);
+		
 		// Complete optimization
 		optimizationState.update(state => ({
 			...state,
 			isRunning: false,
+			totalIterations: data.evaluations,
+			currentIteration: data.evaluations,
+			bestResult,
 			progress: 100,
 			timeRemaining: 0
 		}));
@@ -411,6 +488,91 @@ export async function runOptimization(iterations = 10, baseParameters) {
 	}
 }
 
+/**
+ * Run a robustness analysis (resampled histories) for a backtest result as a queued job
+ * @param {Object} result - Backtest result from backtestResults (parameters, backtestPeriod, pair, timeframe, timestamp)
+ * @param {Object} options - method, samples, blockBars, confidence, seed
+ * @returns {Promise<Object|null>} Analysis (pointEstimate, intervals, probabilityOfLoss), or null if cancelled
+ */
+export async function runRobustnessAnalysis(result, options = {}) {
+	robustnessState.set({
+		isRunning: true,
+		progress: 0,
+		resultTimestamp: result.timestamp,
+		analysis: null,
+		error: null,
+		jobId: null
+	});
+	
+	try {
+		const jobId = await submitBacktestJob({
+			type: 'robustness',
+			parameters: result.parameters,
+			backtestPeriod: result.backtestPeriod || 'ALL',
+			pair: result.pair || DEFAULT_PAIR,
+			timeframe: result.timeframe || undefined,
+			robustness: options
+		});
+		
+		robustnessState.update(state => ({ ...state, jobId }));
+		
+		const data = await pollBacktestJob(jobId, (job) => {
+			robustnessState.update(state => ({ ...state, progress: job.progress }));
+		});
+		
+		robustnessState.update(state => ({
+			...state,
+			isRunning: false,
+			progress: data ? 100 : state.progress,
+			analysis: data?.result || null,
+			error: data ? null : 'Robustness analysis cancelled'
+		}));
+		
+		return data?.result || null;
+		
+	} catch (error) {
+		console.error('Robustness analysis failed:', error);
+		
+		robustnessState.update(state => ({
+			...state,
+			isRunning: false,
+			error: error.message
+		}));
+		
+		throw error;
+	}
+}
+
+/**
+ * Cancel the running backtest job (if any)
+ */
+export async function cancelBacktest() {
+	const { jobId } = get(backtestState);
+	if (jobId) {
+		await cancelBacktestJob(jobId);
+	}
+}
+
+/**
+ * Cancel the running optimization job (if any)
+ */
+export async function cancelOptimization() {
+	const { jobId } = get(optimizationState);
+	if (jobId) {
+		await cancelBacktestJob(jobId);
+	}
+}
+
+/**
+ * Cancel the running robustness job (if any)
+ */
+export async function cancelRobustnessAnalysis() {
+	const { jobId } = get(robustnessState);
+	if (jobId) {
+		await cancelBacktestJob(jobId);
+	}
+}
+
 /**
  * Generate 3D gradient descent surface visualization data
  */
@@ -480,7 +642,8 @@ export function clearBacktestData() {
 		currentStep: '',
 		error: null,
 		startTime: null,
-		endTime: null
+		endTime: null,
+		jobId: null
 	});
 	optimizationState.set({
 		isRunning: false,
@@ -489,33 +652,120 @@ export function clearBacktestData() {
 		bestResult: null,
 		progress: 0,
 		timeRemaining: null,
-		error: null
+		error: null,
+		jobId: null
 	});
 }
 
 // === Utility Functions ===
 
-function generateParameterVariation(baseParams, iteration) {
-	// Generate variations around base parameters
-	const variation = iteration / 100; // Small variations
-	
-	// Handle both parameter naming conventions
-	const baseRebalance = baseParams.rebalancePercent || baseParams.rebalanceThreshold;
+const JOB_POLL_INTERVAL_MS = 1000;
+const JOB_QUEUE_TIMEOUT_MS = 60 * 1000;
+const JOB_MAX_WAIT_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * Selected signal strategy plus the parameters its schema declares (rsiPeriod, emaFastPeriod, ...)
+ */
+function strategyParameters(parameters) {
+	const strategy = StrategyRegistry.get(parameters.signalStrategy);
+	const declared = Object.keys(strategy.parameterSchema).filter(name => parameters[name] !== undefined);
 	
 	return {
-		...baseParams,
-		zScoreThreshold: Math.max(0.5, Math.min(3.0, 
-			baseParams.zScoreThreshold + (Math.random() - 0.5) * variation
-		)),
-		rebalancePercent: Math.max(20, Math.min(80, 
-			baseRebalance + (Math.random() - 0.5) * variation * 20
-		)),
-		transactionCost: Math.max(0.5, Math.min(3.0, 
-			baseParams.transactionCost + (Math.random() - 0.5) * variation
-		))
+		signalStrategy: strategy.id,
+		...Object.fromEntries(declared.map(name => [name, parameters[name]]))
 	};
 }
 
+/**
+ * Execution delay and fill price (a fill price only applies to delayed orders)
+ */
+function executionTiming(parameters) {
+	const delayBars = parseInt(parameters.executionDelayBars, 10) || 0;
+
+	return delayBars > 0
+		? { executionDelayBars: delayBars, fillPrice: parameters.fillPrice || 'open' }
+		: {};
+}
+
+/**
+ * Queue a backtest job on the API
+ * @returns {Promise<number>} Job ID
+ */
+async function submitBacktestJob(body) {
+	const response = await fetch(`${__API_URL__}/api/backtest-jobs`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify(body)
+	});
+	
+	if (!response.ok) {
+		const errorText = await response.text();
+		console.error('Backtest job API Error:', response.status, errorText);
+		throw new Error(`Backtest job API error: ${response.status} - ${errorText}`);
+	}
+	
+	const apiResponse = await response.json();
+	if (!apiResponse.success) {
+		throw new Error(apiResponse.error || 'Failed to submit backtest job');
+	}
+	
+	return apiResponse.data.jobId;
+}
+
+/**
+ * Poll a job until it finishes
+ * onUpdate receives every poll response; partialResults only holds entries not seen before
+ * A job still queued after JOB_QUEUE_TIMEOUT_MS (no worker running) or unfinished after
+ * JOB_MAX_WAIT_MS is cancelled and reported as an error
+ * @returns {Promise<Object|null>} Result data, or null if the job was cancelled
+ */
+async function pollBacktestJob(jobId, onUpdate) {
+	let cursor = 0;
+	const startedAt = Date.now();
+	
+	while (true) {
+		const response = await fetch(`${__API_URL__}/api/backtest-jobs?id=${jobId}&since=${cursor}`);
+		
+		if (!response.ok) {
+			const errorText = await response.text();
+			throw new Error(`Backtest job API error: ${response.status} - ${errorText}`);
+		}
+		
+		const { data: job } = await response.json();
+		cursor = job.nextCursor;
+		onUpdate(job);
+		
+		if (job.status === 'completed') return job.result;
+		if (job.status === 'cancelled') return null;
+		if (job.status === 'failed') throw new Error(job.error || 'Backtest job failed');
+		
+		const waitedMs = Date.now() - startedAt;
+		if (job.status === 'queued' && waitedMs > JOB_QUEUE_TIMEOUT_MS) {
+			await cancelBacktestJob(jobId);
+			throw new Error(`No worker picked up the job within ${JOB_QUEUE_TIMEOUT_MS / 1000}s. Start one with "npm run worker:backtest" and try again`);
+		}
+		if (waitedMs > JOB_MAX_WAIT_MS) {
+			await cancelBacktestJob(jobId);
+			throw new Error(`Backtest job did not finish within ${JOB_MAX_WAIT_MS / 3600000} hours and was cancelled`);
+		}
+		
+		await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+	}
+}
+
+/**
+ * Request cancellation of a job
+ */
+async function cancelBacktestJob(jobId) {
+	const response = await fetch(`${__API_URL__}/api/backtest-jobs?id=${jobId}`, { method: 'DELETE' });
+	
+	// 409 = already finished, nothing to cancel
+	if (!response.ok && response.status !== 409) {
+		const errorText = await response.text();
+		throw new Error(`Failed to cancel job: ${response.status} - ${errorText}`);
+	}
+}
+
 function simulatePerformance(zScore, rebalance, fixedParams) {
 	// Simple performance simulation based on parameters
 	const basePerformance = 10; // 10% base
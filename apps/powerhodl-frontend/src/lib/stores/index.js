@@ -13,6 +13,7 @@ export {
 	marketPrices,
 	
 	// Derived portfolio analytics
+	pairLabels,
 	portfolioMetrics,
 	portfolioGrowth,
 	
@@ -82,6 +83,9 @@ export {
 	backtestHistory,
 	selectedBacktestResult,
 	
+	// Robustness analysis state
+	robustnessState,
+	
 	// Gradient descent optimization state
 	optimizationState,
 	optimizationResults,
@@ -94,6 +98,10 @@ export {
 	// Gradient descent actions
 	runSingleBacktest,
 	runOptimization,
+	cancelBacktest,
+	cancelOptimization,
+	runRobustnessAnalysis,
+	cancelRobustnessAnalysis,
 	generate3DSurface,
 	add3DOptimizationTrail,
 	clearBacktestData
@@ -4,7 +4,8 @@
  * Manages real-time market data, historical data, and technical indicators
  */
 
-import { writable, derived } from 'svelte/store';
+import { writable, derived, get } from 'svelte/store';
+import { portfolio } from './portfolio.js';
 
 // === Current Market Data ===
 
@@ -249,13 +250,13 @@ export function calculateTechnicalIndicators(data) {
 }
 
 /**
- * Fetch fresh market data from API
+ * Fetch fresh market data from API (for the portfolio's pair unless one is given)
  */
-export async function fetchMarketData() {
+export async function fetchMarketData(pair = get(portfolio).pair) {
 	try {
 		updateConnectionStatus('connecting');
 		
-		const response = await fetch(`${__API_URL__}/api/signal`);
+		const response = await fetch(`${__API_URL__}/api/signal?pair=${encodeURIComponent(pair)}`);
 		if (!response.ok) {
 			throw new Error(`API Error: ${response.status}`);
 		}
@@ -281,11 +282,11 @@ export async function fetchMarketData() {
 }
 
 /**
- * Fetch historical data from API
+ * Fetch historical data from API (for the portfolio's pair unless one is given)
  */
-export async function fetchHistoricalData(days = 30) {
+export async function fetchHistoricalData(days = 30, pair = get(portfolio).pair) {
 	try {
-		const response = await fetch(`${__API_URL__}/api/historical?days=${days}`);
+		const response = await fetch(`${__API_URL__}/api/historical?days=${days}&pair=${encodeURIComponent(pair)}`);
 		if (!response.ok) {
 			throw new Error(`API Error: ${response.status}`);
 		}
@@ -5,6 +5,7 @@
  */
 
 import { writable, derived } from 'svelte/store';
+import { TradingPair, DEFAULT_PAIR } from '../../../../../packages/shared/src/TradingPair.js';
 
 // === Core Portfolio State ===
 
@@ -12,6 +13,10 @@ import { writable, derived } from 'svelte/store';
  * Main portfolio data store
  */
 export const portfolio = writable({
+	// Traded pair (btc*/eth* fields hold the quote/base asset of this pair)
+	pair: DEFAULT_PAIR,
+	availablePairs: [DEFAULT_PAIR],
+
 	// Asset amounts
 	btcAmount: 0.500000,
 	ethAmount: 0.500000,
@@ -50,6 +55,14 @@ export const marketPrices = writable({
 
 // === Derived Stores (Automatically Calculated) ===
 
+/**
+ * Display labels for the portfolio's pair ({ symbol, base, quote, ratio })
+ */
+export const pairLabels = derived(
+	portfolio,
+	($portfolio) => TradingPair.label($portfolio.pair || DEFAULT_PAIR)
+);
+
 /**
  * Portfolio metrics calculated from current state
  */
@@ -216,6 +229,8 @@ export function setPortfolioError(error) {
  */
 export function resetPortfolio() {
 	portfolio.set({
+		pair: DEFAULT_PAIR,
+		availablePairs: [DEFAULT_PAIR],
 		btcAmount: 0.500000,
 		ethAmount: 0.500000,
 		ethValueBTC: 0.0,
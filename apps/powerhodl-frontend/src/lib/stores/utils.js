@@ -131,6 +131,7 @@ async function initializePortfolio() {
 			
 			const { updatePortfolio } = await import('./portfolio.js');
 			updatePortfolio({
+				...(data.pair ? { pair: data.pair, availablePairs: data.availablePairs || [data.pair] } : {}),
 				btcAmount: currentPortfolio.btcAmount || 0.1,
 				ethAmount: currentPortfolio.ethAmount || 2.0,
 				ethValueBTC: currentPortfolio.ethValueBTC || 0.0,
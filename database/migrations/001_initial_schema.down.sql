@@ -0,0 +1,11 @@
+-- 001 Initial schema (revert)
+-- Drops every table of the initial schema and the data in it
+
+DROP TABLE IF EXISTS parameter_history;
+DROP TABLE IF EXISTS algorithm_parameters;
+DROP TABLE IF EXISTS performance_snapshots;
+DROP TABLE IF EXISTS system_events;
+DROP TABLE IF EXISTS trades;
+DROP TABLE IF EXISTS portfolios;
+DROP TABLE IF EXISTS trading_signals;
+DROP TABLE IF EXISTS market_snapshots;
@@ -1,5 +1,8 @@
--- ETH/BTC Trading System Database Schema for Neon Postgres
--- This file contains all the database tables and indexes needed for the trading system
+-- 001 Initial schema
+-- Core tables of the trading system: market data, signals, portfolios, trades, events,
+-- performance snapshots and algorithm parameters.
+-- Written with IF NOT EXISTS so databases created from the old schema.sql (or by the former
+-- scripts/update-algorithm-params-schema.js) can be brought under migrations as they are.
 
 -- Market Snapshots Table
 -- Stores historical market data and technical indicators
@@ -160,7 +163,12 @@ CREATE INDEX IF NOT EXISTS idx_algorithm_parameters_created_at ON algorithm_para
 CREATE INDEX IF NOT EXISTS idx_parameter_history_parameter_id ON parameter_history(parameter_id);
 CREATE INDEX IF NOT EXISTS idx_parameter_history_created_at ON parameter_history(created_at);
 
--- Insert default parameters
+-- Columns added to algorithm_parameters after the former scripts/update-algorithm-params-schema.js created it
+ALTER TABLE algorithm_parameters ADD COLUMN IF NOT EXISTS position_adjustment_factor DECIMAL(10,6) DEFAULT 0.5;
+ALTER TABLE algorithm_parameters ADD COLUMN IF NOT EXISTS profit_take_threshold DECIMAL(10,6) DEFAULT 0.15;
+ALTER TABLE algorithm_parameters ADD COLUMN IF NOT EXISTS rebalance_aggressiveness DECIMAL(10,6) DEFAULT 0.3;
+
+-- Default parameters (only into a database that has none yet)
 INSERT INTO algorithm_parameters (
     name,
     description,
@@ -174,7 +182,8 @@ INSERT INTO algorithm_parameters (
     is_active,
     is_default,
     created_by
-) VALUES (
+)
+SELECT
     'System Default',
     'Conservative default parameters for safe trading',
     '{
@@ -197,7 +206,7 @@ INSERT INTO algorithm_parameters (
     TRUE,
     TRUE,
     'system'
-) ON CONFLICT DO NOTHING;
+WHERE NOT EXISTS (SELECT 1 FROM algorithm_parameters WHERE is_default);
 
 -- NOTE: No initial portfolio data inserted
 -- Portfolio balances should come from real wallet/exchange, not database
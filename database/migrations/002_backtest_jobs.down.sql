@@ -0,0 +1,3 @@
+-- 002 Backtest jobs (revert)
+
+DROP TABLE IF EXISTS backtest_jobs;
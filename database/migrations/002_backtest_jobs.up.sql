@@ -0,0 +1,22 @@
+-- 002 Backtest jobs
+-- Queue for long backtests/optimizations, drained by scripts/backtest-worker.js
+
+CREATE TABLE IF NOT EXISTS backtest_jobs (
+    id SERIAL PRIMARY KEY,
+    job_type VARCHAR(20) NOT NULL, -- backtest, walk-forward, optimization
+    status VARCHAR(20) NOT NULL DEFAULT 'queued', -- queued, running, completed, failed, cancelled
+    request JSONB NOT NULL, -- Same body as the synchronous endpoint
+    progress DECIMAL(5,2) DEFAULT 0, -- 0-100
+    current_step TEXT,
+    partial_results JSONB DEFAULT '[]', -- Folds / evaluations streamed while running
+    result JSONB, -- Final response data once completed
+    error TEXT,
+    cancel_requested BOOLEAN DEFAULT FALSE,
+    worker_id VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_backtest_jobs_status_created_at ON backtest_jobs(status, created_at);
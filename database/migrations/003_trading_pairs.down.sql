@@ -0,0 +1,11 @@
+-- 003 Trading pairs (revert)
+-- Rows of other pairs stay but can no longer be told apart from ETH/BTC
+
+DROP INDEX IF EXISTS idx_portfolios_pair;
+DROP INDEX IF EXISTS idx_trading_signals_pair_created_at;
+DROP INDEX IF EXISTS idx_market_snapshots_pair_collected_at;
+
+ALTER TABLE trades DROP COLUMN IF EXISTS pair;
+ALTER TABLE portfolios DROP COLUMN IF EXISTS pair;
+ALTER TABLE trading_signals DROP COLUMN IF EXISTS pair;
+ALTER TABLE market_snapshots DROP COLUMN IF EXISTS pair;
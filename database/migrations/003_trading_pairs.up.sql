@@ -0,0 +1,14 @@
+-- 003 Trading pairs
+-- market_snapshots, trading_signals, portfolios and trades carry a pair column
+-- ('ETH/BTC', 'SOL/ETH', ...). The eth_* / btc_* columns keep their original names and hold
+-- the BASE / QUOTE asset of that pair (see packages/shared/src/TradingPair.js).
+-- Existing rows become ETH/BTC through the column default.
+
+ALTER TABLE market_snapshots ADD COLUMN IF NOT EXISTS pair VARCHAR(20) NOT NULL DEFAULT 'ETH/BTC';
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS pair VARCHAR(20) NOT NULL DEFAULT 'ETH/BTC';
+ALTER TABLE portfolios ADD COLUMN IF NOT EXISTS pair VARCHAR(20) NOT NULL DEFAULT 'ETH/BTC';
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS pair VARCHAR(20) NOT NULL DEFAULT 'ETH/BTC';
+
+CREATE INDEX IF NOT EXISTS idx_market_snapshots_pair_collected_at ON market_snapshots(pair, collected_at);
+CREATE INDEX IF NOT EXISTS idx_trading_signals_pair_created_at ON trading_signals(pair, created_at);
+CREATE INDEX IF NOT EXISTS idx_portfolios_pair ON portfolios(pair);
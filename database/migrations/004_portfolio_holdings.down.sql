@@ -0,0 +1,5 @@
+-- 004 Portfolio holdings (revert)
+-- Basket portfolios lose their holdings; pair portfolios keep eth_amount/btc_amount
+
+DROP TABLE IF EXISTS portfolio_holdings;
+ALTER TABLE portfolios DROP COLUMN IF EXISTS kind;
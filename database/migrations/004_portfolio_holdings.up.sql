@@ -0,0 +1,28 @@
+-- 004 Portfolio holdings
+-- One row per asset held, so a portfolio is not limited to two assets.
+-- Portfolios with kind = 'basket' hold any number of assets in portfolio_holdings;
+-- pair portfolios mirror their eth_amount/btc_amount here (under the real asset names).
+
+-- 'pair' (eth/btc columns) or 'basket' (portfolio_holdings)
+ALTER TABLE portfolios ADD COLUMN IF NOT EXISTS kind VARCHAR(20) NOT NULL DEFAULT 'pair';
+
+CREATE TABLE IF NOT EXISTS portfolio_holdings (
+    id SERIAL PRIMARY KEY,
+    portfolio_id INTEGER NOT NULL REFERENCES portfolios(id) ON DELETE CASCADE,
+    asset VARCHAR(10) NOT NULL, -- 'BTC', 'ETH', 'SOL', ...
+    amount DECIMAL(28,12) NOT NULL DEFAULT 0,
+    target_weight DECIMAL(6,5), -- Base weight in a basket (NULL = equal weight)
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (portfolio_id, asset)
+);
+
+CREATE INDEX IF NOT EXISTS idx_portfolio_holdings_portfolio_id ON portfolio_holdings(portfolio_id);
+
+-- Holdings of the pair portfolios that already exist
+INSERT INTO portfolio_holdings (portfolio_id, asset, amount)
+SELECT id, split_part(pair, '/', 1), eth_amount FROM portfolios WHERE kind = 'pair'
+ON CONFLICT (portfolio_id, asset) DO NOTHING;
+
+INSERT INTO portfolio_holdings (portfolio_id, asset, amount)
+SELECT id, split_part(pair, '/', 2), btc_amount FROM portfolios WHERE kind = 'pair'
+ON CONFLICT (portfolio_id, asset) DO NOTHING;
@@ -0,0 +1,4 @@
+-- 005 Candles (revert)
+-- Candles are derived data; the market-monitor cron rebuilds them after re-applying
+
+DROP TABLE IF EXISTS candles;
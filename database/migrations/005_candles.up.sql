@@ -0,0 +1,22 @@
+-- 005 Candles
+-- OHLC of the pair ratio per timeframe, aggregated from market_snapshots (see CandleAggregator)
+
+CREATE TABLE IF NOT EXISTS candles (
+    id SERIAL PRIMARY KEY,
+    pair VARCHAR(20) NOT NULL DEFAULT 'ETH/BTC',
+    timeframe VARCHAR(5) NOT NULL, -- 5m, 1h, 4h, 1d
+    open_time TIMESTAMP WITH TIME ZONE NOT NULL, -- UTC bucket start
+    close_time TIMESTAMP WITH TIME ZONE NOT NULL, -- open_time + timeframe
+    open DECIMAL(15,10) NOT NULL,
+    high DECIMAL(15,10) NOT NULL,
+    low DECIMAL(15,10) NOT NULL,
+    close DECIMAL(15,10) NOT NULL,
+    base_price_usd DECIMAL(15,6) DEFAULT 0, -- Last snapshot in the bucket
+    quote_price_usd DECIMAL(15,6) DEFAULT 0,
+    volume_24h DECIMAL(20,6) DEFAULT 0, -- Last rolling 24h volume in the bucket (not a per-bar sum)
+    snapshot_count INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (pair, timeframe, open_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_candles_pair_timeframe_open_time ON candles(pair, timeframe, open_time);
@@ -0,0 +1,20 @@
+-- 006 Trade execution details (revert)
+
+DROP INDEX IF EXISTS idx_trades_portfolio_id;
+
+ALTER TABLE trading_signals DROP COLUMN IF EXISTS skip_reason;
+ALTER TABLE trading_signals DROP COLUMN IF EXISTS trade_id;
+
+ALTER TABLE trades DROP COLUMN IF EXISTS execution_time_ms;
+ALTER TABLE trades DROP COLUMN IF EXISTS exchange_order_id;
+ALTER TABLE trades DROP COLUMN IF EXISTS fees_usd;
+ALTER TABLE trades DROP COLUMN IF EXISTS btc_amount_after;
+ALTER TABLE trades DROP COLUMN IF EXISTS eth_amount_after;
+ALTER TABLE trades DROP COLUMN IF EXISTS btc_amount_before;
+ALTER TABLE trades DROP COLUMN IF EXISTS eth_amount_before;
+ALTER TABLE trades DROP COLUMN IF EXISTS signal_strength;
+ALTER TABLE trades DROP COLUMN IF EXISTS z_score;
+ALTER TABLE trades DROP COLUMN IF EXISTS eth_btc_ratio;
+ALTER TABLE trades DROP COLUMN IF EXISTS btc_price_usd;
+ALTER TABLE trades DROP COLUMN IF EXISTS eth_price_usd;
+ALTER TABLE trades DROP COLUMN IF EXISTS portfolio_id;
@@ -0,0 +1,22 @@
+-- 006 Trade execution details
+-- Columns the trade-executor cron records with every trade (and the signal it marks executed)
+-- that the trades / trading_signals tables did not define
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS portfolio_id INTEGER REFERENCES portfolios(id);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS eth_price_usd DECIMAL(15,6); -- Base asset price
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS btc_price_usd DECIMAL(15,6); -- Quote asset price
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS eth_btc_ratio DECIMAL(15,10); -- Ratio of the signal
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS z_score DECIMAL(10,6);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS signal_strength DECIMAL(5,4);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS eth_amount_before DECIMAL(20,10); -- Portfolio balances around the fill
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS btc_amount_before DECIMAL(20,10);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS eth_amount_after DECIMAL(20,10);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS btc_amount_after DECIMAL(20,10);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS fees_usd DECIMAL(15,6) DEFAULT 0;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS exchange_order_id VARCHAR(100);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS execution_time_ms INTEGER;
+
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS trade_id INTEGER REFERENCES trades(id);
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS skip_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_trades_portfolio_id ON trades(portfolio_id);
@@ -0,0 +1,7 @@
+-- 007 Order lifecycle (revert)
+
+ALTER TABLE trades ALTER COLUMN status SET DEFAULT 'completed';
+ALTER TABLE trades DROP COLUMN IF EXISTS order_id;
+
+DROP TABLE IF EXISTS order_events;
+DROP TABLE IF EXISTS orders;
@@ -0,0 +1,55 @@
+-- 007 Order lifecycle
+-- Live orders and every state change they go through (see src/OrderStateMachine.js).
+-- Portfolio balances move only by the fills the exchange confirms; a trades row is written
+-- once an order is done and has filled.
+
+CREATE TABLE IF NOT EXISTS orders (
+    id SERIAL PRIMARY KEY,
+    portfolio_id INTEGER NOT NULL REFERENCES portfolios(id),
+    signal_id INTEGER REFERENCES trading_signals(id),
+    pair VARCHAR(20) NOT NULL DEFAULT 'ETH/BTC',
+    action VARCHAR(20) NOT NULL, -- BUY_ETH, SELL_ETH (the pair's base asset)
+    side VARCHAR(4) NOT NULL, -- buy, sell
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'submitted', 'partially_filled', 'filled', 'cancelled', 'failed')),
+    amount DECIMAL(28,12) NOT NULL, -- Requested, base asset
+    filled_amount DECIMAL(28,12) NOT NULL DEFAULT 0, -- Confirmed by the exchange, base asset
+    average_price DECIMAL(15,10), -- Quote per base
+    cost DECIMAL(28,12) NOT NULL DEFAULT 0, -- Quote asset
+    fee_cost DECIMAL(28,12) NOT NULL DEFAULT 0,
+    fee_currency VARCHAR(10),
+    eth_applied DECIMAL(28,12) NOT NULL DEFAULT 0, -- Base / quote change already applied to the portfolio
+    btc_applied DECIMAL(28,12) NOT NULL DEFAULT 0,
+    exchange VARCHAR(50) NOT NULL, -- Exchange id or 'simulation'
+    exchange_order_id VARCHAR(100),
+    context JSONB DEFAULT '{}', -- Market data and balances when the order was placed
+    error TEXT,
+    trade_id INTEGER REFERENCES trades(id),
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    last_checked_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+CREATE INDEX IF NOT EXISTS idx_orders_portfolio_id ON orders(portfolio_id);
+
+-- One row per transition (and per additional partial fill)
+CREATE TABLE IF NOT EXISTS order_events (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(20), -- NULL when the order is created
+    to_status VARCHAR(20) NOT NULL,
+    filled_amount DECIMAL(28,12) NOT NULL DEFAULT 0, -- Total filled after the event
+    message TEXT,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_events_order_id ON order_events(order_id);
+
+-- Trades point at the order they were filled by; status is the order's final state
+-- ('filled', or 'cancelled' for an order that filled only partly before it ended)
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS order_id INTEGER REFERENCES orders(id);
+ALTER TABLE trades ALTER COLUMN status SET DEFAULT 'filled';
@@ -0,0 +1,3 @@
+-- 008 Balance reconciliations (revert)
+
+DROP TABLE IF EXISTS balance_reconciliations;
@@ -0,0 +1,26 @@
+-- 008 Balance reconciliations
+-- One row per portfolio per run of the balance-reconciler cron: the portfolio's balances in
+-- the database, on the exchange / wallet and as the sum of its trades, and what was done about
+-- a difference. The trade-executor refuses to trade a portfolio whose latest row is 'halted'.
+
+CREATE TABLE IF NOT EXISTS balance_reconciliations (
+    id SERIAL PRIMARY KEY,
+    portfolio_id INTEGER NOT NULL REFERENCES portfolios(id),
+    pair VARCHAR(20) NOT NULL DEFAULT 'ETH/BTC',
+    status VARCHAR(20) NOT NULL
+        CHECK (status IN ('ok', 'drift', 'corrected', 'halted')),
+    source VARCHAR(20), -- exchange, metamask; NULL when there are no external balances (simulation)
+    db_eth_amount DECIMAL(28,12) NOT NULL, -- Base / quote asset
+    db_btc_amount DECIMAL(28,12) NOT NULL,
+    external_eth_amount DECIMAL(28,12),
+    external_btc_amount DECIMAL(28,12),
+    ledger_eth_amount DECIMAL(28,12), -- First trade's balances before + every trade since
+    ledger_btc_amount DECIMAL(28,12),
+    drift_btc DECIMAL(28,12) NOT NULL DEFAULT 0, -- Largest difference, valued in the quote asset
+    drift_pct DECIMAL(20,10) NOT NULL DEFAULT 0, -- drift_btc / portfolio value
+    message TEXT,
+    details JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_balance_reconciliations_portfolio ON balance_reconciliations(portfolio_id, created_at DESC);
@@ -0,0 +1,11 @@
+-- 009 Paper accounts (revert)
+-- Paper portfolios become ordinary live portfolios; deactivate or delete them first.
+
+DROP INDEX IF EXISTS idx_trading_signals_portfolio_id;
+DROP INDEX IF EXISTS idx_portfolios_mode;
+
+ALTER TABLE trading_signals DROP COLUMN IF EXISTS portfolio_id;
+ALTER TABLE portfolios DROP COLUMN IF EXISTS name;
+ALTER TABLE portfolios DROP COLUMN IF EXISTS parameter_id;
+ALTER TABLE portfolios DROP CONSTRAINT IF EXISTS portfolios_mode_check;
+ALTER TABLE portfolios DROP COLUMN IF EXISTS mode;
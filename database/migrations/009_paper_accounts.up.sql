@@ -0,0 +1,17 @@
+-- 009 Paper accounts
+-- A paper portfolio is a virtual account: the crons signal and trade it like a live portfolio,
+-- but its orders are always filled by the backtest execution model at the latest snapshot and
+-- only its own balances and trades change. Each can forward-test its own parameter set.
+
+ALTER TABLE portfolios ADD COLUMN IF NOT EXISTS mode VARCHAR(10) NOT NULL DEFAULT 'live';
+ALTER TABLE portfolios DROP CONSTRAINT IF EXISTS portfolios_mode_check;
+ALTER TABLE portfolios ADD CONSTRAINT portfolios_mode_check CHECK (mode IN ('live', 'paper'));
+-- Parameter set a paper portfolio signals with (NULL = the active parameters)
+ALTER TABLE portfolios ADD COLUMN IF NOT EXISTS parameter_id INTEGER REFERENCES algorithm_parameters(id);
+ALTER TABLE portfolios ADD COLUMN IF NOT EXISTS name VARCHAR(100);
+
+-- Signals belong to the portfolio they were generated for
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS portfolio_id INTEGER REFERENCES portfolios(id);
+
+CREATE INDEX IF NOT EXISTS idx_portfolios_mode ON portfolios(mode, is_active);
+CREATE INDEX IF NOT EXISTS idx_trading_signals_portfolio_id ON trading_signals(portfolio_id);
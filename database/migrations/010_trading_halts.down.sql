@@ -0,0 +1,7 @@
+-- 010 Trading halts (revert)
+-- Drops the kill switch history; only EMERGENCY_STOP halts trading afterwards.
+
+ALTER TABLE portfolios DROP COLUMN IF EXISTS peak_value_btc;
+
+DROP INDEX IF EXISTS idx_trading_halts_created_at;
+DROP TABLE IF EXISTS trading_halts;
@@ -0,0 +1,25 @@
+-- 010 Trading halts
+-- The kill switch: one row per halt or resume, the latest row is the current state (no rows =
+-- trading). Set from POST /api/risk/halt or by the crons on a drawdown or balance
+-- reconciliation breach; every cron reads it, the trade-executor places no live order while
+-- it is halted. EMERGENCY_STOP=true still halts on top of it without a row.
+
+CREATE TABLE IF NOT EXISTS trading_halts (
+    id SERIAL PRIMARY KEY,
+    halted BOOLEAN NOT NULL,
+    reason TEXT NOT NULL,
+    actor VARCHAR(100) NOT NULL, -- Who: the name given to the API, or the cron that tripped it
+    source VARCHAR(20) NOT NULL
+        CHECK (source IN ('manual', 'drawdown', 'reconciliation')),
+    details JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trading_halts_created_at ON trading_halts(created_at DESC);
+
+-- Highest value a portfolio reached (quote asset), for the drawdown auto-halt
+-- (NULL = restart from the next value seen, e.g. after a resume)
+ALTER TABLE portfolios ADD COLUMN IF NOT EXISTS peak_value_btc DECIMAL(20,10);
+UPDATE portfolios
+SET peak_value_btc = GREATEST(COALESCE(initial_value_btc, 0), COALESCE(total_value_btc, 0))
+WHERE peak_value_btc IS NULL;
@@ -0,0 +1,7 @@
+-- 011 Risk policies (revert)
+-- Drops the stored policies and signal reports; every portfolio uses the env limits again.
+
+ALTER TABLE trading_signals DROP COLUMN IF EXISTS risk_report;
+
+DROP INDEX IF EXISTS idx_risk_policies_portfolio;
+DROP TABLE IF EXISTS risk_policies;
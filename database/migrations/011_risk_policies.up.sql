@@ -0,0 +1,18 @@
+-- 011 Risk policies
+-- The declarative risk rules of each portfolio (src/RiskPolicy.js): one row per edit, the
+-- latest row of a portfolio is its policy (no rows, or rules NULL after a reset = the default
+-- policy from the MAX_* env limits). Edited through PUT /api/risk/policy.
+
+CREATE TABLE IF NOT EXISTS risk_policies (
+    id SERIAL PRIMARY KEY,
+    portfolio_id INTEGER NOT NULL REFERENCES portfolios(id) ON DELETE CASCADE,
+    rules JSONB, -- [{ id, type, threshold, action, severity, enabled, shrinkFactor }], NULL = default
+    updated_by VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_risk_policies_portfolio ON risk_policies(portfolio_id, created_at DESC);
+
+-- Per-rule evaluation of the portfolio's policy when the signal was generated
+-- (decision, sizeMultiplier the trade executor applies, one entry per rule)
+ALTER TABLE trading_signals ADD COLUMN IF NOT EXISTS risk_report JSONB;
@@ -0,0 +1,16 @@
+-- 012 Performance snapshot metrics (revert)
+-- Keeps the 001 columns and their rows; only the extended metrics are dropped.
+
+DROP INDEX IF EXISTS idx_performance_snapshots_portfolio;
+
+ALTER TABLE performance_snapshots DROP COLUMN IF EXISTS metrics;
+ALTER TABLE performance_snapshots DROP COLUMN IF EXISTS bars_per_year;
+ALTER TABLE performance_snapshots DROP COLUMN IF EXISTS time_to_recovery_days;
+ALTER TABLE performance_snapshots DROP COLUMN IF EXISTS longest_drawdown_days;
+ALTER TABLE performance_snapshots DROP COLUMN IF EXISTS ulcer_index;
+ALTER TABLE performance_snapshots DROP COLUMN IF EXISTS cvar_pct;
+ALTER TABLE performance_snapshots DROP COLUMN IF EXISTS var_pct;
+ALTER TABLE performance_snapshots DROP COLUMN IF EXISTS calmar_ratio;
+ALTER TABLE performance_snapshots DROP COLUMN IF EXISTS sortino_ratio;
+ALTER TABLE performance_snapshots DROP COLUMN IF EXISTS volatility_pct;
+ALTER TABLE performance_snapshots DROP COLUMN IF EXISTS annualized_return_pct;
@@ -0,0 +1,19 @@
+-- 012 Performance snapshot metrics
+-- performance_snapshots (001) is written daily by the performance-snapshot cron, one row per
+-- active portfolio, from packages/shared/src/PerformanceMetrics.js over the portfolio's life.
+-- win_rate stays a fraction (0-1) as declared in 001.
+
+ALTER TABLE performance_snapshots ADD COLUMN IF NOT EXISTS annualized_return_pct DECIMAL(12,6) DEFAULT 0;
+ALTER TABLE performance_snapshots ADD COLUMN IF NOT EXISTS volatility_pct DECIMAL(12,6) DEFAULT 0;
+ALTER TABLE performance_snapshots ADD COLUMN IF NOT EXISTS sortino_ratio DECIMAL(10,6) DEFAULT 0;
+ALTER TABLE performance_snapshots ADD COLUMN IF NOT EXISTS calmar_ratio DECIMAL(10,6) DEFAULT 0;
+ALTER TABLE performance_snapshots ADD COLUMN IF NOT EXISTS var_pct DECIMAL(10,6) DEFAULT 0;
+ALTER TABLE performance_snapshots ADD COLUMN IF NOT EXISTS cvar_pct DECIMAL(10,6) DEFAULT 0;
+ALTER TABLE performance_snapshots ADD COLUMN IF NOT EXISTS ulcer_index DECIMAL(10,6) DEFAULT 0;
+ALTER TABLE performance_snapshots ADD COLUMN IF NOT EXISTS longest_drawdown_days DECIMAL(10,3) DEFAULT 0;
+ALTER TABLE performance_snapshots ADD COLUMN IF NOT EXISTS time_to_recovery_days DECIMAL(10,3); -- NULL = max drawdown not recovered
+ALTER TABLE performance_snapshots ADD COLUMN IF NOT EXISTS bars_per_year DECIMAL(12,3);
+-- Full PerformanceMetrics.compute() result, drawdown table included
+ALTER TABLE performance_snapshots ADD COLUMN IF NOT EXISTS metrics JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_performance_snapshots_portfolio ON performance_snapshots(portfolio_id, created_at DESC);
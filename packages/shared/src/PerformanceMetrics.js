@@ -0,0 +1,347 @@
+/**
+ * Performance Metrics
+ *
+ * SINGLE DEFINITION of the return and risk statistics of a value series: backtests
+ * (portfolioHistory), performance_snapshots of live and paper portfolios, and the analytics view
+ * all compute them here.
+ *
+ * CRITICAL CONCEPTS:
+ *
+ * 1. INPUT
+ *    - A series of { timestamp, totalValueBTC } points, oldest first (a portfolioHistory)
+ *    - Returns are simple per-bar returns between consecutive points
+ *    - Values are in the quote asset (BTC), so "risk" is the risk of losing BTC, not USD
+ *
+ * 2. DEPOSITS AND WITHDRAWALS (point.cashFlowBTC: money added (+) or taken out (-) on that bar)
+ *    - A deposit is not a return: a bar's return is (value - cashFlowBTC) / previous value - 1
+ *    - Every other metric runs on the time-weighted index those returns chain into
+ *      (timeWeightedSeries), so totalReturnPercent is the time-weighted return
+ *    - moneyWeightedReturnPercent is the internal rate of return of the money actually put in:
+ *      it rewards having more invested when the strategy does well
+ *    - Without cash flows both equal the plain return
+ *
+ * 3. ANNUALIZATION PER TIMEFRAME
+ *    - barsPerYear comes from the median spacing of the timestamps over a 365-day year
+ *      (crypto trades every day): 365 for daily bars, 8760 for hourly, 105120 for 5-minute
+ *    - Volatility, Sharpe and Sortino scale with √barsPerYear; the annualized return compounds
+ *      the total return over the years the series covers
+ *
+ * 4. RATIOS (0 when undefined: no variation, no downside, no drawdown)
+ *    - sharpeRatio: mean excess return / standard deviation
+ *    - sortinoRatio: mean excess return / downside deviation (only returns below the risk-free rate count)
+ *    - calmarRatio: annualized return / max drawdown
+ *
+ * 5. TAIL AND PAIN (per bar, not annualized)
+ *    - valueAtRiskPercent: historical VaR - the loss of the worst (1 - confidence) of bars
+ *    - conditionalValueAtRiskPercent: mean loss of the bars at or beyond the VaR (expected shortfall)
+ *    - ulcerIndex: root mean square of the drawdown from the running peak, in percent
+ *
+ * 6. DRAWDOWNS (from a peak until the value is back at that peak)
+ *    - drawdowns: the deepest episodes - start (peak), trough, end (recovery, null while still under water)
+ *    - longestDrawdownDays: longest time under water, including an unrecovered drawdown up to the last point
+ *    - timeToRecoveryDays: trough to recovery of the max drawdown (null while it has not recovered)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class PerformanceMetrics {
+    static DEFAULTS = {
+        riskFreeRate: 0,     // Annual, as a fraction (0.02 = 2% a year in BTC terms)
+        confidence: 0.95,    // VaR / CVaR confidence level
+        maxDrawdowns: 5,     // Rows of the drawdown table
+        barsPerYear: null    // null = from the timestamps
+    };
+
+    /**
+     * Every metric of a value series
+     * @param {Array<Object>} history - [{ timestamp, totalValueBTC, cashFlowBTC (optional) }], oldest first
+     * @param {Object} options - { riskFreeRate, confidence, maxDrawdowns, barsPerYear } (see DEFAULTS)
+     * @returns {Object} { barsPerYear, bars, periodDays, totalReturnPercent (time-weighted), annualizedReturnPercent,
+     *                   moneyWeightedReturnPercent, moneyWeightedAnnualizedPercent, netCashFlowBTC,
+     *                   volatilityPercent, sharpeRatio, sortinoRatio, calmarRatio, maxDrawdownPercent,
+     *                   valueAtRiskPercent, conditionalValueAtRiskPercent, confidence, ulcerIndex,
+     *                   longestDrawdownDays, timeToRecoveryDays, drawdowns }
+     */
+    static compute(history, options = {}) {
+        const config = { ...this.DEFAULTS, ...options };
+        const valid = (history || []).filter(point => Number.isFinite(Number(point.totalValueBTC)));
+        const points = this.timeWeightedSeries(valid).filter(point => point.totalValueBTC > 0);
+        const values = points.map(point => Number(point.totalValueBTC));
+        const barsPerYear = config.barsPerYear || this.barsPerYear(points);
+        const returns = this.returns(values);
+
+        const periodDays = points.length > 1
+            ? (this.time(points[points.length - 1].timestamp) - this.time(points[0].timestamp)) / DAY_MS
+            : 0;
+        const totalReturn = values.length > 1 ? values[values.length - 1] / values[0] - 1 : 0;
+        // Calendar time, so gaps in the data do not inflate the annualized return
+        const years = periodDays > 0 ? periodDays / 365 : returns.length / barsPerYear;
+        const annualizedReturn = years > 0 && totalReturn > -1 ? Math.pow(1 + totalReturn, 1 / years) - 1 : 0;
+
+        const riskFreePerBar = config.riskFreeRate / barsPerYear;
+        const excess = returns.map(r => r - riskFreePerBar);
+        const meanExcess = this.mean(excess);
+        const stdDev = this.standardDeviation(returns);
+        const downsideDeviation = Math.sqrt(this.mean(excess.map(r => Math.min(0, r) ** 2)));
+
+        const drawdown = this.drawdownAnalysis(points, values, config.maxDrawdowns);
+        const tail = this.valueAtRisk(returns, config.confidence);
+        const moneyWeighted = this.moneyWeightedReturn(valid);
+
+        return {
+            barsPerYear,
+            bars: points.length,
+            periodDays,
+            totalReturnPercent: totalReturn * 100,
+            annualizedReturnPercent: annualizedReturn * 100,
+            moneyWeightedReturnPercent: moneyWeighted.periodReturn * 100,
+            moneyWeightedAnnualizedPercent: moneyWeighted.annualizedReturn * 100,
+            netCashFlowBTC: valid.slice(1).reduce((sum, point) => sum + this.cashFlow(point), 0),
+            volatilityPercent: stdDev * Math.sqrt(barsPerYear) * 100,
+            sharpeRatio: stdDev > 1e-12 ? (meanExcess / stdDev) * Math.sqrt(barsPerYear) : 0,
+            sortinoRatio: downsideDeviation > 1e-12 ? (meanExcess / downsideDeviation) * Math.sqrt(barsPerYear) : 0,
+            calmarRatio: drawdown.maxDrawdownPercent > 1e-9 ? (annualizedReturn * 100) / drawdown.maxDrawdownPercent : 0,
+            maxDrawdownPercent: drawdown.maxDrawdownPercent,
+            valueAtRiskPercent: tail.valueAtRisk * 100,
+            conditionalValueAtRiskPercent: tail.conditionalValueAtRisk * 100,
+            confidence: config.confidence,
+            ulcerIndex: drawdown.ulcerIndex,
+            longestDrawdownDays: drawdown.longestDrawdownDays,
+            timeToRecoveryDays: drawdown.timeToRecoveryDays,
+            drawdowns: drawdown.drawdowns
+        };
+    }
+
+    /**
+     * The series with deposits and withdrawals taken out of its returns
+     * @param {Array<Object>} points - [{ timestamp, totalValueBTC, cashFlowBTC }], oldest first
+     * @returns {Array<Object>} The same points (unchanged without cash flows); with cash flows, totalValueBTC
+     *                          is a time-weighted index starting at the first value and portfolioValueBTC the
+     *                          actual value
+     */
+    static timeWeightedSeries(points) {
+        if (!points.slice(1).some(point => this.cashFlow(point) !== 0)) {
+            return points;
+        }
+
+        let index = Number(points[0]?.totalValueBTC);
+        return points.map((point, i) => {
+            const value = Number(point.totalValueBTC);
+            if (i > 0) {
+                const previous = Number(points[i - 1].totalValueBTC);
+                // An emptied portfolio has no return until money comes back
+                index *= previous > 0 ? (value - this.cashFlow(point)) / previous : 1;
+            }
+            return { ...point, totalValueBTC: index, portfolioValueBTC: value };
+        });
+    }
+
+    /**
+     * Money-weighted return: the rate at which the starting value and every later cash flow grow into
+     * the final value (internal rate of return)
+     * Solved as a rate per whole period and annualized afterwards, so a short series with a large
+     * return (an annual rate beyond any search bound) still has one
+     * @param {Array<Object>} points - [{ timestamp, totalValueBTC, cashFlowBTC }], oldest first
+     * @returns {Object} { periodReturn, annualizedReturn } as fractions (0 when it can not be solved)
+     */
+    static moneyWeightedReturn(points) {
+        if (points.length < 2) {
+            return { periodReturn: 0, annualizedReturn: 0 };
+        }
+
+        const start = this.time(points[0].timestamp);
+        const last = points[points.length - 1];
+        const periodMs = this.time(last.timestamp) - start;
+        if (!(periodMs > 0)) {
+            return { periodReturn: 0, annualizedReturn: 0 };
+        }
+        // Share of the period elapsed at a point (0 at the start, 1 at the end)
+        const elapsed = point => (this.time(point.timestamp) - start) / periodMs;
+
+        // Money in is negative, the final value comes back out
+        const flows = [
+            { amount: -Number(points[0].totalValueBTC), elapsed: 0 },
+            ...points.slice(1).filter(point => this.cashFlow(point) !== 0)
+                .map(point => ({ amount: -this.cashFlow(point), elapsed: elapsed(point) })),
+            { amount: Number(last.totalValueBTC), elapsed: 1 }
+        ];
+        const netPresentValue = rate => flows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.elapsed), 0);
+
+        // Bisection: the value is positive for rates near -100% and negative for very high ones
+        let low = -0.999999;
+        let high = 1e6;
+        if (netPresentValue(low) * netPresentValue(high) > 0) {
+            return { periodReturn: 0, annualizedReturn: 0 };
+        }
+        for (let i = 0; i < 200; i++) {
+            const mid = (low + high) / 2;
+            if (netPresentValue(mid) * netPresentValue(low) > 0) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        const periodReturn = (low + high) / 2;
+        return { periodReturn, annualizedReturn: Math.pow(1 + periodReturn, (365 * DAY_MS) / periodMs) - 1 };
+    }
+
+    /**
+     * @param {Object} point - Series point
+     * @returns {number} Its cash flow (0 without one)
+     */
+    static cashFlow(point) {
+        return Number(point.cashFlowBTC) || 0;
+    }
+
+    /**
+     * Bars per year of a series (from the median spacing between its timestamps)
+     * @param {Array<Object>} points - Anything with a timestamp, oldest first
+     * @returns {number} Bars per 365-day year (365 without usable timestamps)
+     */
+    static barsPerYear(points) {
+        const spacings = [];
+        for (let i = 1; i < (points || []).length; i++) {
+            const spacing = this.time(points[i].timestamp) - this.time(points[i - 1].timestamp);
+            if (spacing > 0) {
+                spacings.push(spacing);
+            }
+        }
+        if (spacings.length === 0) {
+            return 365;
+        }
+
+        spacings.sort((a, b) => a - b);
+        return (365 * DAY_MS) / spacings[Math.floor(spacings.length / 2)];
+    }
+
+    /**
+     * @param {Array<number>} values - Values, oldest first
+     * @returns {Array<number>} Simple returns between consecutive values
+     */
+    static returns(values) {
+        const returns = [];
+        for (let i = 1; i < values.length; i++) {
+            returns.push(values[i] / values[i - 1] - 1);
+        }
+        return returns;
+    }
+
+    /**
+     * Historical value at risk and expected shortfall
+     * @param {Array<number>} returns - Per-bar returns
+     * @param {number} confidence - e.g. 0.95
+     * @returns {Object} { valueAtRisk, conditionalValueAtRisk } as positive loss fractions (0 = no loss)
+     */
+    static valueAtRisk(returns, confidence) {
+        if (returns.length === 0) {
+            return { valueAtRisk: 0, conditionalValueAtRisk: 0 };
+        }
+
+        const sorted = [...returns].sort((a, b) => a - b);
+        // The worst (1 - confidence) share of bars, at least one
+        const tailSize = Math.max(1, Math.floor(sorted.length * (1 - confidence)));
+        const tail = sorted.slice(0, tailSize);
+
+        return {
+            valueAtRisk: Math.max(0, -tail[tail.length - 1]),
+            conditionalValueAtRisk: Math.max(0, -this.mean(tail))
+        };
+    }
+
+    /**
+     * Drawdown episodes, ulcer index and durations
+     * @param {Array<Object>} points - Points with timestamp
+     * @param {Array<number>} values - Their values
+     * @param {number} maxDrawdowns - Rows of the drawdown table
+     * @returns {Object} { maxDrawdownPercent, ulcerIndex, longestDrawdownDays, timeToRecoveryDays,
+     *                   drawdowns: [{ start, trough, end, depthPercent, durationDays, recoveryDays, recovered }] }
+     */
+    static drawdownAnalysis(points, values, maxDrawdowns) {
+        const episodes = [];
+        let peakIndex = 0;
+        let episode = null;
+        let squaredDrawdowns = 0;
+
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] >= values[peakIndex]) {
+                if (episode) {
+                    episode.endIndex = i;
+                    episodes.push(episode);
+                    episode = null;
+                }
+                peakIndex = i;
+                continue;
+            }
+
+            const depth = (values[peakIndex] - values[i]) / values[peakIndex];
+            squaredDrawdowns += (depth * 100) ** 2;
+
+            if (!episode) {
+                episode = { startIndex: peakIndex, troughIndex: i, endIndex: null, depth };
+            } else if (depth > episode.depth) {
+                episode.troughIndex = i;
+                episode.depth = depth;
+            }
+        }
+        if (episode) {
+            episodes.push(episode);
+        }
+
+        const lastTime = values.length > 0 ? this.time(points[values.length - 1].timestamp) : 0;
+        const days = (from, to) => (to - from) / DAY_MS;
+        const rows = episodes.map(e => {
+            const start = this.time(points[e.startIndex].timestamp);
+            const trough = this.time(points[e.troughIndex].timestamp);
+            const end = e.endIndex !== null ? this.time(points[e.endIndex].timestamp) : null;
+
+            return {
+                start: points[e.startIndex].timestamp,
+                trough: points[e.troughIndex].timestamp,
+                end: e.endIndex !== null ? points[e.endIndex].timestamp : null,
+                depthPercent: e.depth * 100,
+                durationDays: days(start, end ?? lastTime),
+                recoveryDays: end !== null ? days(trough, end) : null,
+                recovered: end !== null
+            };
+        });
+
+        const deepest = [...rows].sort((a, b) => b.depthPercent - a.depthPercent);
+
+        return {
+            maxDrawdownPercent: deepest.length > 0 ? deepest[0].depthPercent : 0,
+            ulcerIndex: values.length > 0 ? Math.sqrt(squaredDrawdowns / values.length) : 0,
+            longestDrawdownDays: rows.reduce((longest, row) => Math.max(longest, row.durationDays), 0),
+            timeToRecoveryDays: deepest.length > 0 ? deepest[0].recoveryDays : null,
+            drawdowns: deepest.slice(0, maxDrawdowns)
+        };
+    }
+
+    /**
+     * @param {Array<number>} values - Numbers
+     * @returns {number} Mean (0 for none)
+     */
+    static mean(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    }
+
+    /**
+     * @param {Array<number>} values - Numbers
+     * @returns {number} Population standard deviation (0 for fewer than 2)
+     */
+    static standardDeviation(values) {
+        if (values.length < 2) {
+            return 0;
+        }
+        const mean = this.mean(values);
+        return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+    }
+
+    /**
+     * @param {string|number|Date} value - Timestamp
+     * @returns {number} Milliseconds since the epoch
+     */
+    static time(value) {
+        return new Date(value).getTime();
+    }
+}
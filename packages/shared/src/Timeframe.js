@@ -0,0 +1,130 @@
+/**
+ * Timeframe
+ *
+ * SINGLE DEFINITION of the candle timeframes (5m, 1h, 4h, 1d) and of how a lookback
+ * written in real time ('15d', '36h') becomes a number of bars
+ *
+ * CRITICAL CONCEPTS:
+ *
+ * 1. RAW SNAPSHOTS vs CANDLES
+ *    - market-monitor stores one snapshot every 5 minutes; backtests used to treat every row as a day
+ *    - Candles aggregate snapshots into fixed UTC buckets, so one bar always spans the same time
+ *    - No timeframe = raw snapshots, as before (one bar per stored row)
+ *
+ * 2. LOOKBACK IN TIME UNITS
+ *    - lookbackDays / lookbackWindow are DAYS when a timeframe is given; 'lookback' also accepts '36h', '90m', '2w'
+ *    - 15 days on 1h candles = 360 bars, on 1d candles = 15 bars
+ *    - Engines and strategies keep counting bars; only the request is converted (toBarParameters)
+ */
+
+export const TIMEFRAMES = {
+    '5m': 5 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+
+const DURATION_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+const DAY_MS = DURATION_UNITS.d;
+
+export class Timeframe {
+    /**
+     * Validate a timeframe
+     * @param {string} timeframe - '5m' | '1h' | '4h' | '1d'
+     * @returns {string} The timeframe
+     * @throws {Error} "Invalid timeframe ..." for anything else
+     */
+    static parse(timeframe) {
+        if (!TIMEFRAMES[timeframe]) {
+            throw new Error(`Invalid timeframe: ${timeframe}. Use one of ${Object.keys(TIMEFRAMES).join(', ')}`);
+        }
+        return timeframe;
+    }
+
+    /**
+     * Length of one bar
+     * @param {string} timeframe - Timeframe
+     * @returns {number} Milliseconds
+     */
+    static ms(timeframe) {
+        return TIMEFRAMES[this.parse(timeframe)];
+    }
+
+    /**
+     * Start of the (UTC) bucket containing an instant
+     * @param {number|string|Date} time - Instant
+     * @param {string} timeframe - Timeframe
+     * @returns {number} Bucket start in epoch ms
+     */
+    static bucketStart(time, timeframe) {
+        const ms = this.ms(timeframe);
+        return Math.floor(new Date(time).getTime() / ms) * ms;
+    }
+
+    /**
+     * Parse a duration
+     * @param {string|number} duration - '15d', '36h', '90m', '2w', or a number of days
+     * @returns {number} Milliseconds
+     * @throws {Error} "Invalid lookback ..." for unreadable durations
+     */
+    static durationMs(duration) {
+        if (typeof duration === 'number' || /^\d+(\.\d+)?$/.test(String(duration))) {
+            return Number(duration) * DAY_MS;
+        }
+
+        const match = String(duration).trim().match(/^(\d+(?:\.\d+)?)\s*([mhdw])$/i);
+        if (!match) {
+            throw new Error(`Invalid lookback: ${duration} (use e.g. 15d, 36h, 90m or a number of days)`);
+        }
+        return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+    }
+
+    /**
+     * Number of bars covering a duration (at least 2, so a Z-score has a window)
+     * @param {string|number} duration - See durationMs()
+     * @param {string} timeframe - Timeframe
+     * @returns {number} Bars
+     */
+    static barsFor(duration, timeframe) {
+        return Math.max(2, Math.round(this.durationMs(duration) / this.ms(timeframe)));
+    }
+
+    /**
+     * Rewrite request parameters so their lookback counts bars of the timeframe
+     * @param {Object} params - Client parameters (lookback, lookbackWindow or lookbackDays in days)
+     * @param {string|null} timeframe - Timeframe; null leaves the parameters untouched (raw snapshots)
+     * @returns {Object} Parameters with lookbackDays / lookbackWindow in bars
+     */
+    static toBarParameters(params, timeframe) {
+        if (!timeframe) {
+            return params;
+        }
+
+        const lookback = params.lookback ?? params.lookbackWindow ?? params.lookbackDays ?? 15;
+        const bars = this.barsFor(lookback, timeframe);
+
+        return { ...params, lookbackDays: bars, lookbackWindow: bars };
+    }
+
+    /**
+     * Rewrite the lookback candidates of a parameter grid (walk-forward) from days into bars
+     * @param {Object} grid - Map of parameter name to candidate values
+     * @param {string|null} timeframe - Timeframe; null leaves the grid untouched
+     * @returns {Object} Grid with lookbackDays candidates in bars
+     */
+    static toBarGrid(grid, timeframe) {
+        const lookbacks = grid.lookbackDays || grid.lookbackWindow;
+        if (!timeframe || !lookbacks) {
+            return grid;
+        }
+
+        const { lookbackWindow, ...rest } = grid;
+        return { ...rest, lookbackDays: [...new Set(lookbacks.map(days => this.barsFor(days, timeframe)))] };
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * Trading Pair
+ *
+ * SINGLE DEFINITION of the ratio pair a portfolio trades (ETH/BTC, SOL/ETH, BNB/BTC, ...)
+ * Used by market collection, storage, signals, backtests, portfolios and the dashboard
+ *
+ * CRITICAL CONCEPTS:
+ *
+ * 1. BASE / QUOTE
+ *    - 'SOL/ETH': SOL is the BASE asset, ETH is the QUOTE asset
+ *    - The ratio is the base price in quote units (how many ETH one SOL costs)
+ *    - Portfolio value is measured in the QUOTE asset (BTC for ETH/BTC)
+ *
+ * 2. HISTORICAL NAMES
+ *    - The mean reversion logic was written for ETH/BTC, so columns, fields and actions
+ *      still carry those names: eth_* = base, btc_* = quote, eth_btc_ratio = pair ratio
+ *    - BUY_ETH means "buy the base asset", SELL_ETH means "sell the base asset"
+ *    - Rows are told apart by their pair column (default 'ETH/BTC')
+ *    - Use label()/describeAction() for anything a person reads
+ *
+ * 3. PRICES IN USD
+ *    - Each pair is collected as three tickers: BASE/QUOTE, BASE/USD and QUOTE/USD
+ */
+
+export const DEFAULT_PAIR = 'ETH/BTC';
+
+// Offered in pair pickers; any BASE/QUOTE symbol the exchange lists can be used
+export const COMMON_PAIRS = ['ETH/BTC', 'SOL/ETH', 'SOL/BTC', 'BNB/BTC'];
+
+const SYMBOL_PATTERN = /^([A-Z0-9]{2,10})\/([A-Z0-9]{2,10})$/;
+
+export class TradingPair {
+    /**
+     * Parse and validate a pair symbol
+     * @param {string} symbol - 'BASE/QUOTE' (case-insensitive, '-' accepted as separator)
+     * @returns {Object} { symbol, base, quote }
+     * @throws {Error} "Invalid trading pair ..." for malformed symbols
+     */
+    static parse(symbol = DEFAULT_PAIR) {
+        const normalized = String(symbol || DEFAULT_PAIR).trim().toUpperCase().replace('-', '/');
+        const match = normalized.match(SYMBOL_PATTERN);
+
+        if (!match || match[1] === match[2]) {
+            throw new Error(`Invalid trading pair: ${symbol} (expected BASE/QUOTE, e.g. SOL/ETH)`);
+        }
+
+        return { symbol: normalized, base: match[1], quote: match[2] };
+    }
+
+    /**
+     * Pair of a stored row (portfolio, snapshot, signal); rows from before pairs existed are ETH/BTC
+     * @param {Object} row - Database row
+     * @returns {Object} { symbol, base, quote }
+     */
+    static fromRow(row) {
+        return this.parse(row?.pair || DEFAULT_PAIR);
+    }
+
+    /**
+     * Exchange tickers needed to collect one snapshot of the pair
+     * @param {string} symbol - Pair symbol
+     * @returns {Object} { pair, baseUsd, quoteUsd }
+     */
+    static tickers(symbol) {
+        const { symbol: pair, base, quote } = this.parse(symbol);
+        return { pair, baseUsd: `${base}/USD`, quoteUsd: `${quote}/USD` };
+    }
+
+    /**
+     * Assets given up and received by an action
+     * @param {string} action - BUY_ETH | SELL_ETH (also the backtest's BUY_ETH_SELL_BTC / SELL_ETH_BUY_BTC)
+     * @param {string} symbol - Pair symbol
+     * @returns {Object} { from, to }
+     */
+    static sides(action, symbol) {
+        const { base, quote } = this.parse(symbol);
+        return String(action).startsWith('SELL_ETH')
+            ? { from: base, to: quote }
+            : { from: quote, to: base };
+    }
+
+    /**
+     * Human readable action ("BUY SOL", "SELL SOL", "HOLD")
+     * @param {string} action - Stored action
+     * @param {string} symbol - Pair symbol
+     * @returns {string} Label
+     */
+    static describeAction(action, symbol) {
+        if (!action || action === 'HOLD') {
+            return 'HOLD';
+        }
+
+        const { base } = this.parse(symbol);
+        return `${String(action).startsWith('SELL_ETH') ? 'SELL' : 'BUY'} ${base}`;
+    }
+
+    /**
+     * Labels for displaying a pair
+     * @param {string} symbol - Pair symbol
+     * @returns {Object} { symbol, base, quote, ratio }
+     */
+    static label(symbol) {
+        const { symbol: pair, base, quote } = this.parse(symbol);
+        return { symbol: pair, base, quote, ratio: `${base}/${quote} Ratio` };
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * Bollinger Band Reversal Strategy
+ *
+ * - Bands: SMA(bollingerPeriod) ± bollingerMultiplier standard deviations of the ETH/BTC ratio
+ * - With confirmReentry (default) the trade waits for the ratio to close back INSIDE the band
+ *   after a break-out, so it does not sell into a ratio that keeps running away
+ * - Without it, the break-out bar itself is the signal (same as the Z-score rule)
+ */
+
+import { TechnicalIndicators } from '../TechnicalIndicators.js';
+import { ACTIONS, createDecision, resolveParameters } from './StrategyPlugin.js';
+
+export class BollingerStrategy {
+    static id = 'bollinger';
+
+    static description = 'Mean reversion: trade when the ETH/BTC ratio re-enters its Bollinger bands';
+
+    static parameterSchema = {
+        bollingerPeriod: { type: 'integer', default: 20, min: 2, max: 1000, description: 'Bars in the moving average' },
+        bollingerMultiplier: { type: 'number', default: 2, min: 0.1, max: 10, description: 'Band width in standard deviations' },
+        confirmReentry: { type: 'boolean', default: true, description: 'Wait for the ratio to close back inside the band' }
+    };
+
+    static init(params) {
+        return {
+            params: resolveParameters(this.parameterSchema, params),
+            ratios: [],
+            outside: null // 'above' | 'below' | null - where the previous bar closed
+        };
+    }
+
+    static warmupBars(params) {
+        return resolveParameters(this.parameterSchema, params).bollingerPeriod;
+    }
+
+    static onBar(bar, state) {
+        const { bollingerPeriod, bollingerMultiplier, confirmReentry } = state.params;
+        const ratio = Number(bar.ethBtcRatio);
+        state.ratios.push(ratio);
+
+        if (state.ratios.length < bollingerPeriod) {
+            return createDecision(ACTIONS.HOLD, { reasoning: 'Not enough history for the bands' });
+        }
+
+        const bands = TechnicalIndicators.bollingerBands(state.ratios.slice(-bollingerPeriod), bollingerPeriod, bollingerMultiplier);
+        const halfWidth = bands.upper - bands.middle;
+        const zScore = halfWidth > 0 ? ((ratio - bands.middle) / halfWidth) * bollingerMultiplier : 0;
+        const indicators = { zScore, upperBand: bands.upper, middleBand: bands.middle, lowerBand: bands.lower };
+
+        const position = ratio > bands.upper ? 'above' : ratio < bands.lower ? 'below' : null;
+        const previous = state.outside;
+        state.outside = position;
+
+        // Sell when the ratio is (or, with confirmation, was) above the upper band
+        const sell = confirmReentry ? previous === 'above' && position !== 'above' : position === 'above';
+        const buy = confirmReentry ? previous === 'below' && position !== 'below' : position === 'below';
+
+        if (!sell && !buy) {
+            return createDecision(ACTIONS.HOLD, { indicators });
+        }
+
+        return createDecision(sell ? ACTIONS.SELL_ETH : ACTIONS.BUY_ETH, {
+            confidence: Math.min(1.0, Math.abs(zScore) / 3.0),
+            indicators,
+            reasoning: sell
+                ? `ETH/BTC ${confirmReentry ? 'fell back below' : 'broke above'} the upper band (${bands.upper.toFixed(5)})`
+                : `ETH/BTC ${confirmReentry ? 'rose back above' : 'broke below'} the lower band (${bands.lower.toFixed(5)})`
+        });
+    }
+}
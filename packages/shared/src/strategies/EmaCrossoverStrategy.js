@@ -0,0 +1,105 @@
+/**
+ * EMA Crossover Strategy (trend following)
+ *
+ * - Fast and slow exponential moving averages of the ETH/BTC ratio
+ * - Fast crosses ABOVE slow: ETH gaining on BTC → BUY_ETH
+ * - Fast crosses BELOW slow: ETH losing to BTC → SELL_ETH
+ * - Only the crossover bar is a signal; between crossovers the strategy holds
+ * - The opposite of the mean reversion strategies: useful to compare regimes,
+ *   not to combine with them
+ */
+
+import { ZScoreCalculator } from '../ZScoreCalculator.js';
+import { ACTIONS, createDecision, resolveParameters } from './StrategyPlugin.js';
+
+export class EmaCrossoverStrategy {
+    static id = 'ema-crossover';
+
+    static description = 'Trend following: trade when the fast EMA of ETH/BTC crosses the slow EMA';
+
+    static parameterSchema = {
+        emaFastPeriod: { type: 'integer', default: 9, min: 1, max: 500, description: 'Bars in the fast EMA' },
+        emaSlowPeriod: { type: 'integer', default: 26, min: 2, max: 1000, description: 'Bars in the slow EMA' },
+        lookbackDays: { type: 'integer', default: 15, min: 2, max: 20000, aliases: ['lookbackWindow'], description: 'Bars in the reported Z-score' }
+    };
+
+    static init(params) {
+        const resolved = resolveParameters(this.parameterSchema, params);
+
+        if (resolved.emaFastPeriod >= resolved.emaSlowPeriod) {
+            throw new Error(`Invalid parameter emaFastPeriod: ${resolved.emaFastPeriod} must be below emaSlowPeriod (${resolved.emaSlowPeriod})`);
+        }
+
+        return {
+            params: resolved,
+            ratios: [],
+            fastSums: [], // running unseeded fast EMA after each bar (see movingAverage)
+            slowSums: [],
+            previousSpread: null // fast EMA - slow EMA on the previous bar
+        };
+    }
+
+    /**
+     * Both EMAs are seeded on the ratio warmupBars bars back (3x the slow period), which is
+     * exactly the history live callers replay, so live and backtest see the same averages
+     */
+    static warmupBars(params) {
+        return resolveParameters(this.parameterSchema, params).emaSlowPeriod * 3;
+    }
+
+    /**
+     * EMA of the ratios seeded on the first bar of the trailing window, in O(1) per bar
+     *
+     * sums[t] = alpha * ratio[t] + (1 - alpha) * sums[t - 1] is the EMA without a seed.
+     * Seeded on bar s, the EMA on bar t is sums[t] + (1 - alpha)^(t - s + 1) * (ratio[s] - sums[s - 1]),
+     * the same value TechnicalIndicators.exponentialMovingAverage returns for ratios s..t.
+     * @param {Array<number>} ratios - Ratios so far, the current bar last
+     * @param {Array<number>} sums - Running unseeded EMA per bar; the current bar's value is appended
+     * @param {number} period - EMA period
+     * @param {number} window - Bars from the seed to the current bar
+     * @returns {number} EMA on the current bar
+     */
+    static movingAverage(ratios, sums, period, window) {
+        const alpha = 2 / (period + 1);
+        const t = ratios.length - 1;
+        sums.push(alpha * ratios[t] + (1 - alpha) * (t > 0 ? sums[t - 1] : 0));
+
+        const seed = Math.max(0, t - window + 1);
+        const beforeSeed = seed > 0 ? sums[seed - 1] : 0;
+        return sums[t] + Math.pow(1 - alpha, t - seed + 1) * (ratios[seed] - beforeSeed);
+    }
+
+    static onBar(bar, state) {
+        const { emaFastPeriod, emaSlowPeriod, lookbackDays } = state.params;
+        const ratio = Number(bar.ethBtcRatio);
+        state.ratios.push(ratio);
+
+        const window = emaSlowPeriod * 3;
+        const fastEma = this.movingAverage(state.ratios, state.fastSums, emaFastPeriod, window);
+        const slowEma = this.movingAverage(state.ratios, state.slowSums, emaSlowPeriod, window);
+        const spread = fastEma - slowEma;
+        const zScore = ZScoreCalculator.calculate(ratio, state.ratios, lookbackDays);
+        const indicators = { zScore, fastEma, slowEma };
+
+        const previousSpread = state.previousSpread;
+        state.previousSpread = spread;
+
+        if (state.ratios.length < emaSlowPeriod || previousSpread === null) {
+            return createDecision(ACTIONS.HOLD, { indicators, reasoning: 'Not enough history for the slow EMA' });
+        }
+
+        const crossedUp = previousSpread <= 0 && spread > 0;
+        const crossedDown = previousSpread >= 0 && spread < 0;
+
+        if (!crossedUp && !crossedDown) {
+            return createDecision(ACTIONS.HOLD, { indicators, reasoning: `No crossover (fast ${spread >= 0 ? 'above' : 'below'} slow)` });
+        }
+
+        return createDecision(crossedUp ? ACTIONS.BUY_ETH : ACTIONS.SELL_ETH, {
+            // Wider separation relative to the slow EMA = stronger trend
+            confidence: Math.min(1.0, Math.abs(spread / slowEma) * 100),
+            indicators,
+            reasoning: `Fast EMA(${emaFastPeriod}) crossed ${crossedUp ? 'above' : 'below'} slow EMA(${emaSlowPeriod})`
+        });
+    }
+}
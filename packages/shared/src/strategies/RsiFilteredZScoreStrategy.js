@@ -0,0 +1,68 @@
+/**
+ * RSI-Filtered Z-Score Strategy
+ *
+ * - Same threshold rule as ZScoreStrategy
+ * - A SELL_ETH signal is only taken when RSI confirms the ratio is overbought,
+ *   a BUY_ETH signal only when RSI confirms it is oversold
+ * - Filters out Z-score extremes caused by a single spike rather than a sustained move
+ */
+
+import { ZScoreCalculator } from '../ZScoreCalculator.js';
+import { TechnicalIndicators } from '../TechnicalIndicators.js';
+import { ACTIONS, createDecision, resolveParameters } from './StrategyPlugin.js';
+import { ZScoreStrategy } from './ZScoreStrategy.js';
+
+export class RsiFilteredZScoreStrategy {
+    static id = 'rsi-zscore';
+
+    static description = 'Z-score mean reversion, only when RSI confirms overbought/oversold';
+
+    static parameterSchema = {
+        ...ZScoreStrategy.parameterSchema,
+        rsiPeriod: { type: 'integer', default: 14, min: 2, max: 200, description: 'Bars in the RSI window' },
+        rsiOverbought: { type: 'number', default: 65, min: 50, max: 100, description: 'RSI needed to confirm a SELL_ETH' },
+        rsiOversold: { type: 'number', default: 35, min: 0, max: 50, description: 'RSI needed to confirm a BUY_ETH' }
+    };
+
+    static init(params) {
+        return {
+            params: resolveParameters(this.parameterSchema, params),
+            ratios: []
+        };
+    }
+
+    static warmupBars(params) {
+        const { lookbackDays, rsiPeriod } = resolveParameters(this.parameterSchema, params);
+        return Math.max(lookbackDays, rsiPeriod + 1);
+    }
+
+    static onBar(bar, state) {
+        const { zScoreThreshold, lookbackDays, rsiPeriod, rsiOverbought, rsiOversold } = state.params;
+        const ratio = Number(bar.ethBtcRatio);
+        state.ratios.push(ratio);
+
+        const zScore = ZScoreCalculator.calculate(ratio, state.ratios, lookbackDays);
+        const rsi = TechnicalIndicators.rsi(state.ratios.slice(-(rsiPeriod + 1)), rsiPeriod);
+        const decision = ZScoreStrategy.decide(zScore, zScoreThreshold, { rsi });
+
+        if (decision.action === ACTIONS.SELL_ETH && rsi < rsiOverbought) {
+            return createDecision(ACTIONS.HOLD, {
+                indicators: decision.indicators,
+                reasoning: `Z-Score ${zScore.toFixed(2)} not confirmed by RSI ${rsi.toFixed(1)} (< ${rsiOverbought})`
+            });
+        }
+
+        if (decision.action === ACTIONS.BUY_ETH && rsi > rsiOversold) {
+            return createDecision(ACTIONS.HOLD, {
+                indicators: decision.indicators,
+                reasoning: `Z-Score ${zScore.toFixed(2)} not confirmed by RSI ${rsi.toFixed(1)} (> ${rsiOversold})`
+            });
+        }
+
+        if (decision.action !== ACTIONS.HOLD) {
+            decision.reasoning += `, RSI ${rsi.toFixed(1)}`;
+        }
+
+        return decision;
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * Strategy Plugin Contract
+ *
+ * SINGLE DEFINITION of what a trading strategy is, shared by the backtest engine,
+ * the signal-generator cron and the frontend signal service.
+ *
+ * CRITICAL CONCEPTS:
+ *
+ * 1. A STRATEGY IS A STATIC CLASS WITH THIS SHAPE
+ *    - id:              registry key, stored as parameters.signalStrategy
+ *    - description:     one line for the UI
+ *    - parameterSchema: { name: { type, default, min, max, aliases, description } }
+ *    - init(params):    returns the strategy state (resolved parameters + indicator history)
+ *    - onBar(bar, state, position): consumes ONE bar (oldest first) and returns a decision
+ *    - warmupBars(params): bars needed before decisions are meaningful
+ *    - positionAware (optional): true when decisions depend on the current holdings
+ *
+ * 2. DECISIONS, NOT TRADES
+ *    - onBar returns { action, targetAllocation, confidence, indicators, reasoning }
+ *    - action: BUY_ETH | SELL_ETH | HOLD
+ *    - targetAllocation: ETH share of the portfolio (0-1) to move to, or null to let the
+ *      caller size the trade (rebalancePercent)
+ *    - The caller decides whether and how to execute (signal-change gating, fees, risk checks)
+ *
+ * 3. POSITION-AWARE STRATEGIES
+ *    - Callers holding a portfolio pass position = { ethAllocation } (0-1) as the third onBar argument
+ *    - Strategies that ignore holdings simply ignore it
+ *    - A positionAware strategy only returns BUY/SELL while there is still a move to make,
+ *      so callers skip signal-change gating for it and trade toward targetAllocation every time
+ *
+ * 4. SAME BARS = SAME DECISIONS
+ *    - Strategies are deterministic; the only memory is the state returned by init()
+ *    - Live callers replay the recent history through onBar, exactly like the backtest does
+ *
+ * 5. BARS ARE NORMALIZED
+ *    - { timestamp, ethBtcRatio, ethPrice, btcPrice, volume } (numbers, not strings)
+ */
+
+/**
+ * @typedef {Object} StrategyPlugin
+ * @property {string} id - Registry key
+ * @property {string} description - One line for the UI
+ * @property {Object} parameterSchema - { name: { type, default, min, max, aliases, description } }
+ * @property {function(Object): Object} init - Strategy state for the parameters
+ * @property {function(Object, Object, Object|null): StrategyDecision} onBar - Decision on one bar
+ * @property {function(Object): number} warmupBars - Bars needed before decisions are meaningful
+ * @property {boolean} [positionAware] - True when decisions depend on the current holdings
+ */
+
+/**
+ * @typedef {Object} StrategyDecision
+ * @property {string} action - One of ACTIONS
+ * @property {number|null} targetAllocation - ETH share (0-1) to move to, or null to let the caller size the trade
+ * @property {number} confidence - 0-1
+ * @property {Object} indicators - Indicator values on the bar
+ * @property {string} reasoning - Human-readable explanation
+ */
+
+/**
+ * Actions a strategy can return
+ */
+export const ACTIONS = {
+    BUY_ETH: 'BUY_ETH',
+    SELL_ETH: 'SELL_ETH',
+    HOLD: 'HOLD'
+};
+
+/**
+ * Resolve strategy parameters against a schema: defaults, aliases, coercion, range checks
+ * @param {Object} schema - Strategy parameterSchema
+ * @param {Object} params - Parameters as stored/sent (may contain unrelated keys)
+ * @returns {Object} Parameters declared by the schema, all set
+ * @throws {Error} "Invalid parameter ..." when a value is not a number or out of range
+ */
+export function resolveParameters(schema, params = {}) {
+    const resolved = {};
+
+    for (const [name, spec] of Object.entries(schema)) {
+        const key = [name, ...(spec.aliases || [])].find(k => params[k] !== undefined && params[k] !== null);
+        let value = key !== undefined ? params[key] : spec.default;
+
+        if (spec.type === 'boolean') {
+            resolved[name] = value === true || value === 'true';
+            continue;
+        }
+
+        value = Number(value);
+        if (spec.type === 'integer') {
+            value = Math.round(value);
+        }
+
+        if (!Number.isFinite(value)) {
+            throw new Error(`Invalid parameter ${name}: ${params[key]} is not a number`);
+        }
+
+        if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+            throw new Error(`Invalid parameter ${name}: ${value} (expected ${spec.min} to ${spec.max})`);
+        }
+
+        resolved[name] = value;
+    }
+
+    return resolved;
+}
+
+/**
+ * Build a decision with defaults for the optional fields
+ * @param {string} action - One of ACTIONS
+ * @param {Object} fields - confidence, targetAllocation, indicators, reasoning
+ * @returns {StrategyDecision} Decision
+ */
+export function createDecision(action, fields = {}) {
+    return {
+        action,
+        targetAllocation: fields.targetAllocation ?? null,
+        confidence: fields.confidence ?? 0,
+        indicators: fields.indicators || {},
+        reasoning: fields.reasoning || 'Market conditions within normal range'
+    };
+}
+
+/**
+ * Check that an object implements the strategy contract
+ * @param {Object} strategy - Strategy class
+ * @throws {Error} When a required member is missing
+ */
+export function validateStrategy(strategy) {
+    const missing = ['id', 'parameterSchema', 'init', 'onBar', 'warmupBars']
+        .filter(member => strategy?.[member] === undefined);
+
+    if (missing.length > 0) {
+        throw new Error(`Strategy ${strategy?.id || '(unnamed)'} is missing: ${missing.join(', ')}`);
+    }
+}
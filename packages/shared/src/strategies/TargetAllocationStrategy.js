@@ -0,0 +1,108 @@
+/**
+ * Target Allocation (Band) Strategy - position-aware Z-score rebalancing
+ *
+ * - The Z-score picks a TARGET ETH allocation instead of a fixed trade size:
+ *     target = neutralZone - zScore × positionAdjustmentFactor × (maxAllocation - minAllocation) / 2
+ *   then clamped to [minAllocation, maxAllocation]
+ *   (defaults: Z = +1 → 37.5% ETH, Z = +2 or more → 25% ETH, Z = -2 or less → 75% ETH)
+ * - A target is only acted on when |Z| exceeds zScoreThreshold
+ * - With the current allocation (onBar's position argument) each move is capped at
+ *   maxAllocationShift, and moves smaller than rebalanceTolerance are skipped (fees)
+ * - Without a position the strategy assumes the portfolio sits at neutralZone
+ */
+
+import { ZScoreCalculator } from '../ZScoreCalculator.js';
+import { ACTIONS, createDecision, resolveParameters } from './StrategyPlugin.js';
+
+export class TargetAllocationStrategy {
+    static id = 'target-allocation';
+
+    static description = 'Position-aware: move the ETH allocation toward a Z-score target inside the min/max bands';
+
+    // Callers pass the current allocation and trade whenever the decision is not HOLD
+    static positionAware = true;
+
+    static parameterSchema = {
+        zScoreThreshold: { type: 'number', default: 1.5, min: 0, max: 10, description: 'Rebalance when |Z| exceeds this' },
+        lookbackDays: { type: 'integer', default: 15, min: 2, max: 20000, aliases: ['lookbackWindow'], description: 'Bars in the Z-score window' },
+        neutralZone: { type: 'number', default: 0.5, min: 0, max: 1, aliases: ['neutral_zone'], description: 'ETH allocation at Z = 0' },
+        minAllocation: { type: 'number', default: 0.25, min: 0, max: 1, aliases: ['min_allocation'], description: 'Lowest ETH allocation' },
+        maxAllocation: { type: 'number', default: 0.75, min: 0, max: 1, aliases: ['max_allocation'], description: 'Highest ETH allocation' },
+        maxAllocationShift: { type: 'number', default: 0.3, min: 0.01, max: 1, aliases: ['max_allocation_shift'], description: 'Largest allocation change per trade' },
+        positionAdjustmentFactor: { type: 'number', default: 0.5, min: 0, max: 10, aliases: ['position_adjustment_factor'], description: 'Share of the half band moved per unit of Z' },
+        rebalanceTolerance: { type: 'number', default: 0.02, min: 0, max: 0.5, description: 'Skip moves smaller than this allocation change' }
+    };
+
+    static init(params) {
+        const resolved = resolveParameters(this.parameterSchema, params);
+
+        if (resolved.minAllocation >= resolved.maxAllocation) {
+            throw new Error(`Invalid parameter minAllocation: ${resolved.minAllocation} must be below maxAllocation (${resolved.maxAllocation})`);
+        }
+
+        if (resolved.neutralZone < resolved.minAllocation || resolved.neutralZone > resolved.maxAllocation) {
+            throw new Error(`Invalid parameter neutralZone: ${resolved.neutralZone} must be between minAllocation and maxAllocation`);
+        }
+
+        return {
+            params: resolved,
+            ratios: []
+        };
+    }
+
+    static warmupBars(params) {
+        return resolveParameters(this.parameterSchema, params).lookbackDays;
+    }
+
+    /**
+     * @param {Object} bar - Normalized bar
+     * @param {Object} state - From init()
+     * @param {Object} position - { ethAllocation } (0-1) when the caller holds a portfolio
+     */
+    static onBar(bar, state, position = null) {
+        const { zScoreThreshold, lookbackDays, neutralZone, maxAllocationShift, rebalanceTolerance } = state.params;
+        const ratio = Number(bar.ethBtcRatio);
+        state.ratios.push(ratio);
+
+        const zScore = ZScoreCalculator.calculate(ratio, state.ratios, lookbackDays);
+        const bandTarget = this.targetAllocation(zScore, state.params);
+        const current = position?.ethAllocation ?? neutralZone;
+        const indicators = { zScore, bandTarget, ethAllocation: current };
+
+        if (Math.abs(zScore) <= zScoreThreshold) {
+            return createDecision(ACTIONS.HOLD, { indicators });
+        }
+
+        // Never move further than maxAllocationShift in one trade
+        const target = Math.min(current + maxAllocationShift, Math.max(current - maxAllocationShift, bandTarget));
+        const shift = target - current;
+
+        if (Math.abs(shift) < rebalanceTolerance) {
+            return createDecision(ACTIONS.HOLD, {
+                indicators,
+                reasoning: `ETH allocation ${(current * 100).toFixed(1)}% already near target ${(bandTarget * 100).toFixed(1)}% (Z-Score: ${zScore.toFixed(2)})`
+            });
+        }
+
+        return createDecision(shift < 0 ? ACTIONS.SELL_ETH : ACTIONS.BUY_ETH, {
+            targetAllocation: target,
+            confidence: Math.min(1.0, Math.abs(zScore) / 3.0),
+            indicators,
+            reasoning: `ETH ${shift < 0 ? 'overvalued' : 'undervalued'} (Z-Score: ${zScore.toFixed(2)}), `
+                + `moving ETH allocation ${(current * 100).toFixed(1)}% → ${(target * 100).toFixed(1)}%`
+                + (target !== bandTarget ? ` (capped, band target ${(bandTarget * 100).toFixed(1)}%)` : '')
+        });
+    }
+
+    /**
+     * Map a Z-score to an ETH allocation inside the bands
+     * @param {number} zScore - Current Z-score
+     * @param {Object} params - Resolved parameters
+     * @returns {number} Target ETH allocation (0-1)
+     */
+    static targetAllocation(zScore, { neutralZone, minAllocation, maxAllocation, positionAdjustmentFactor }) {
+        const halfBand = (maxAllocation - minAllocation) / 2;
+        const target = neutralZone - zScore * positionAdjustmentFactor * halfBand;
+        return Math.min(maxAllocation, Math.max(minAllocation, target));
+    }
+}
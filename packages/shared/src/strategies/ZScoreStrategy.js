@@ -0,0 +1,62 @@
+/**
+ * Z-Score Mean Reversion Strategy (the original PowerHODL rule)
+ *
+ * - Z-score of the ETH/BTC ratio over lookbackDays bars
+ * - Z > +threshold: ETH expensive relative to BTC → SELL_ETH
+ * - Z < -threshold: ETH cheap relative to BTC → BUY_ETH
+ * - Confidence grows with |Z| and is capped at |Z| = 3
+ */
+
+import { ZScoreCalculator } from '../ZScoreCalculator.js';
+import { ACTIONS, createDecision, resolveParameters } from './StrategyPlugin.js';
+
+export class ZScoreStrategy {
+    static id = 'zscore';
+
+    static description = 'Mean reversion: trade when the ETH/BTC Z-score exceeds the threshold';
+
+    static parameterSchema = {
+        zScoreThreshold: { type: 'number', default: 1.5, min: 0, max: 10, description: 'Trade when |Z| exceeds this' },
+        lookbackDays: { type: 'integer', default: 15, min: 2, max: 20000, aliases: ['lookbackWindow'], description: 'Bars in the Z-score window' }
+    };
+
+    static init(params) {
+        return {
+            params: resolveParameters(this.parameterSchema, params),
+            ratios: []
+        };
+    }
+
+    static warmupBars(params) {
+        return resolveParameters(this.parameterSchema, params).lookbackDays;
+    }
+
+    static onBar(bar, state) {
+        const { zScoreThreshold, lookbackDays } = state.params;
+        const ratio = Number(bar.ethBtcRatio);
+        state.ratios.push(ratio);
+
+        const zScore = ZScoreCalculator.calculate(ratio, state.ratios, lookbackDays);
+        return this.decide(zScore, zScoreThreshold);
+    }
+
+    /**
+     * Threshold rule shared with strategies that filter the Z-score signal
+     * @param {number} zScore - Current Z-score
+     * @param {number} threshold - zScoreThreshold
+     * @param {Object} indicators - Extra indicators to report
+     * @returns {Object} Decision
+     */
+    static decide(zScore, threshold, indicators = {}) {
+        if (Math.abs(zScore) <= threshold) {
+            return createDecision(ACTIONS.HOLD, { indicators: { zScore, ...indicators } });
+        }
+
+        const overvalued = zScore > threshold;
+        return createDecision(overvalued ? ACTIONS.SELL_ETH : ACTIONS.BUY_ETH, {
+            confidence: Math.min(1.0, Math.abs(zScore) / 3.0),
+            indicators: { zScore, ...indicators },
+            reasoning: `ETH ${overvalued ? 'overvalued' : 'undervalued'} (Z-Score: ${zScore.toFixed(2)})`
+        });
+    }
+}
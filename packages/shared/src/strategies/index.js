@@ -0,0 +1,105 @@
+/**
+ * Strategy Registry
+ *
+ * Looks strategies up by the id stored in parameters.signalStrategy.
+ * Every caller (backtest engine, signal cron, frontend) goes through here, so a
+ * strategy registered once is available everywhere.
+ */
+
+import { validateStrategy } from './StrategyPlugin.js';
+import { ZScoreStrategy } from './ZScoreStrategy.js';
+import { BollingerStrategy } from './BollingerStrategy.js';
+import { RsiFilteredZScoreStrategy } from './RsiFilteredZScoreStrategy.js';
+import { EmaCrossoverStrategy } from './EmaCrossoverStrategy.js';
+import { TargetAllocationStrategy } from './TargetAllocationStrategy.js';
+
+/** @typedef {import('./StrategyPlugin.js').StrategyPlugin} StrategyPlugin */
+/** @typedef {import('./StrategyPlugin.js').StrategyDecision} StrategyDecision */
+
+export { ACTIONS, resolveParameters, createDecision, validateStrategy } from './StrategyPlugin.js';
+export { ZScoreStrategy, BollingerStrategy, RsiFilteredZScoreStrategy, EmaCrossoverStrategy, TargetAllocationStrategy };
+
+export class StrategyRegistry {
+    static DEFAULT_STRATEGY = ZScoreStrategy.id;
+
+    /** @type {Object<string, StrategyPlugin>} */
+    static STRATEGIES = {
+        [ZScoreStrategy.id]: ZScoreStrategy,
+        [BollingerStrategy.id]: BollingerStrategy,
+        [RsiFilteredZScoreStrategy.id]: RsiFilteredZScoreStrategy,
+        [EmaCrossoverStrategy.id]: EmaCrossoverStrategy,
+        [TargetAllocationStrategy.id]: TargetAllocationStrategy
+    };
+
+    /**
+     * Register an additional strategy
+     * @param {Object} strategy - Static class implementing the contract in StrategyPlugin.js
+     */
+    static register(strategy) {
+        validateStrategy(strategy);
+        this.STRATEGIES[strategy.id] = strategy;
+    }
+
+    /**
+     * Get a strategy by id
+     * @param {string} id - Strategy id (defaults to the Z-score strategy)
+     * @returns {Object} Strategy class
+     * @throws {Error} "Invalid signal strategy ..." for unknown ids
+     */
+    static get(id = this.DEFAULT_STRATEGY) {
+        const strategy = this.STRATEGIES[id || this.DEFAULT_STRATEGY];
+
+        if (!strategy) {
+            throw new Error(`Invalid signal strategy: ${id}. Use one of ${Object.keys(this.STRATEGIES).join(', ')}`);
+        }
+
+        return strategy;
+    }
+
+    /**
+     * Describe all strategies (for parameter forms)
+     * @returns {Array<Object>} { id, description, positionAware, parameterSchema }
+     */
+    static list() {
+        return Object.values(this.STRATEGIES).map(s => ({
+            id: s.id,
+            description: s.description,
+            positionAware: s.positionAware === true,
+            parameterSchema: s.parameterSchema
+        }));
+    }
+
+    /**
+     * Bars a live caller must load for the strategy selected in params
+     * @param {Object} params - Parameters including signalStrategy
+     * @returns {number} Bar count
+     */
+    static warmupBars(params = {}) {
+        return this.get(params.signalStrategy).warmupBars(params);
+    }
+
+    /**
+     * Replay bars through the strategy selected in params and return the decision on the last bar
+     * This is how live callers get the same answer the backtest got on the same bar.
+     * @param {Array<Object>} bars - Normalized bars, oldest first
+     * @param {Object} params - Parameters including signalStrategy
+     * @param {Object} position - Current { ethAllocation }, applied to the last bar only
+     * @returns {Object} Decision for the last bar, plus strategy id
+     */
+    static evaluate(bars, params = {}, position = null) {
+        const strategy = this.get(params.signalStrategy);
+        const state = strategy.init(params);
+        /** @type {StrategyDecision|null} */
+        let decision = null;
+
+        for (let i = 0; i < bars.length; i++) {
+            decision = strategy.onBar(bars[i], state, i === bars.length - 1 ? position : null);
+        }
+
+        if (!decision) {
+            throw new Error('No bars to evaluate');
+        }
+
+        return { ...decision, strategy: strategy.id };
+    }
+}
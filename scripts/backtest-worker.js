@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Backtest Job Worker
+ *
+ * Drains the backtest_jobs queue filled by POST /api/backtest-jobs.
+ * Run one process per CPU core you want to dedicate to backtests.
+ *
+ * Usage: node scripts/backtest-worker.js
+ */
+
+import { BacktestJobWorker } from '../apps/powerhodl-api/lib/services/BacktestJobWorker.js';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+dotenv.config({ path: path.resolve(__dirname, '../.env.local') });
+
+console.log('⚙️  Starting backtest job worker...\n');
+
+const worker = new BacktestJobWorker();
+
+// Finish the current job before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        console.log(`\n🛑 ${signal} received, stopping after the current job...`);
+        worker.stop();
+    });
+}
+
+worker.start()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('❌ Backtest worker crashed:', error);
+        process.exit(1);
+    });
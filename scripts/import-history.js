@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * Import Historical OHLCV Data into market_snapshots
+ *
+ * Loads real bars from CSV or JSON files (e.g. data/eth_btc_data_2025-09-24.csv) so backtests
+ * run on exchange history instead of seeded data. Prints a report of gaps, outliers and
+ * duplicate bars; see apps/powerhodl-api/src/HistoryImporter.js for the rules. Candles of the
+ * imported range are rebuilt afterwards.
+ *
+ * Usage: node scripts/import-history.js <file> [options]
+ *
+ *   --pair ETH/BTC            Pair the bars belong to (default ETH/BTC)
+ *   --format csv|json         File format (default: from the extension)
+ *   --map field=column,...    Column mapping, e.g. timestamp=Date,close=Close,volume="Volume ETH"
+ *                             fields: timestamp, open, high, low, close, volume, basePriceUsd, quotePriceUsd, source
+ *   --timezone UTC            Zone of timestamps without an offset: UTC, +02:00 or Europe/Berlin
+ *   --timestamp-unit s|ms     Unit of numeric timestamps (default: guessed)
+ *   --interval 1d             Expected bar spacing for gap detection: 5m, 1h, 4h, 1d (default: median spacing)
+ *   --outlier-threshold 8     Robust Z-score of a bar's return that is reported as an outlier
+ *   --source binance          Source stored with every row (default: source/exchange column or 'import')
+ *   --dry-run                 Parse and report only, no database access
+ *   --json                    Print the report as JSON
+ */
+
+import { HistoryImporter } from '../apps/powerhodl-api/src/HistoryImporter.js';
+import { DatabaseService } from '../apps/powerhodl-api/lib/services/DatabaseService.js';
+import { CandleService } from '../apps/powerhodl-api/lib/services/CandleService.js';
+import { HistoryFileReader } from '../apps/powerhodl-api/lib/utils/HistoryFileReader.js';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+dotenv.config({ path: path.resolve(__dirname, '../.env.local') });
+
+const INTERVAL_UNITS = { m: 60000, h: 3600000, d: 86400000 };
+
+function parseArgs(argv) {
+    const args = { flags: {}, files: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            args.files.push(argv[i]);
+        } else if (['--dry-run', '--json'].includes(argv[i])) {
+            args.flags[argv[i].slice(2)] = true;
+        } else {
+            args.flags[argv[i].slice(2)] = argv[++i];
+        }
+    }
+
+    return args;
+}
+
+function parseMapping(text) {
+    if (!text) {
+        return {};
+    }
+
+    return Object.fromEntries(text.split(',').map(entry => {
+        const [field, ...column] = entry.split('=');
+        if (!field || column.length === 0) {
+            throw new Error(`Invalid column mapping entry: ${entry} (expected field=column)`);
+        }
+        return [field.trim(), column.join('=').trim().replace(/^"|"$/g, '')];
+    }));
+}
+
+function parseInterval(text) {
+    if (!text) {
+        return null;
+    }
+
+    const match = String(text).match(/^(\d+)([mhd])$/);
+    if (!match) {
+        throw new Error(`Invalid interval: ${text} (use e.g. 5m, 1h, 4h, 1d)`);
+    }
+    return Number(match[1]) * INTERVAL_UNITS[match[2]];
+}
+
+function printReport(report, inserted, dryRun) {
+    const minutes = report.intervalMs ? report.intervalMs / 60000 : null;
+
+    console.log(`\n📊 Import report for ${report.pair}`);
+    console.log(`   Records read:     ${report.recordsRead}`);
+    console.log(`   Valid bars:       ${report.validBars}`);
+    console.log(`   Range:            ${report.range ? `${report.range.from} → ${report.range.to}` : 'n/a'}`);
+    console.log(`   Bar spacing:      ${minutes ? `${minutes} min` : 'n/a'}`);
+    console.log(`   Columns:          ${Object.entries(report.columns).filter(([, c]) => c).map(([f, c]) => `${f}=${c}`).join(', ')}`);
+
+    const sections = [
+        ['❌ Invalid rows', report.invalid, e => `row ${e.row}: ${e.reason}`],
+        ['🔁 Duplicate bars', report.duplicates, e => `${e.timestamp} (row ${e.row})${e.conflicting ? ' - CONFLICTING close' : ''}`],
+        ['🕳️  Gaps', report.gaps, e => `${e.from} → ${e.to} (${e.missingBars} missing)`],
+        ['⚡ Outliers', report.outliers, e => `${e.timestamp}: ${e.previousClose} → ${e.close} (${e.returnPercent.toFixed(2)}%, robust Z ${e.robustZ.toFixed(1)})`],
+        ['🧱 Broken OHLC bars', report.brokenBars, e => `${e.timestamp}: O ${e.open} H ${e.high} L ${e.low} C ${e.close}`]
+    ];
+
+    for (const [title, section, describe] of sections) {
+        const extra = section.missingBars !== undefined ? `, ${section.missingBars} bars missing` : '';
+        const conflicting = section.conflicting ? `, ${section.conflicting} conflicting` : '';
+        console.log(`\n${title}: ${section.count}${extra}${conflicting}`);
+        section.examples.forEach(e => console.log(`   - ${describe(e)}`));
+        if (section.count > section.examples.length) {
+            console.log(`   ... and ${section.count - section.examples.length} more`);
+        }
+    }
+
+    if (report.missingUsdPrices) {
+        console.log('\n⚠️  No USD price columns: eth_price_usd / btc_price_usd are stored as 0');
+    }
+
+    console.log(`\n💾 Already stored: ${report.alreadyStored}, ${dryRun ? 'would insert' : 'inserted'}: ${dryRun ? report.toInsert : inserted}`);
+}
+
+async function main() {
+    const { flags, files } = parseArgs(process.argv.slice(2));
+
+    if (files.length !== 1) {
+        console.error('Usage: node scripts/import-history.js <file.csv|file.json> [--pair ETH/BTC] [--map timestamp=Date,close=Close] [--timezone UTC] [--dry-run]');
+        process.exit(1);
+    }
+
+    const file = path.resolve(files[0]);
+    const format = flags.format || HistoryFileReader.formatOf(file);
+    const options = {
+        pair: flags.pair,
+        mapping: parseMapping(flags.map),
+        timezone: flags.timezone,
+        timestampUnit: flags['timestamp-unit'],
+        intervalMs: parseInterval(flags.interval),
+        outlierThreshold: flags['outlier-threshold'] !== undefined ? Number(flags['outlier-threshold']) : undefined,
+        source: flags.source
+    };
+
+    // Unset options fall back to HistoryImporter.DEFAULTS
+    Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+
+    if (!flags.json) {
+        console.log(`📥 Importing ${path.basename(file)} (${format})...`);
+    }
+
+    const records = await HistoryFileReader.read(file, format);
+    let { snapshots, report } = HistoryImporter.prepare(records, options);
+    let inserted = 0;
+
+    if (!flags['dry-run'] && report.range) {
+        const dbService = new DatabaseService();
+        const existing = await dbService.getSnapshotTimestamps(report.pair, report.range.from, report.range.to);
+
+        ({ snapshots, report } = HistoryImporter.prepare(records, options, existing));
+        inserted = await dbService.insertMarketSnapshots(snapshots);
+
+        // Rebuild the candles covering the imported range
+        if (inserted > 0) {
+            await new CandleService(dbService).refresh(report.pair, undefined, report.range.from);
+        }
+    }
+
+    if (flags.json) {
+        console.log(JSON.stringify({ ...report, inserted, dryRun: Boolean(flags['dry-run']) }, null, 2));
+    } else {
+        printReport(report, inserted, Boolean(flags['dry-run']));
+        console.log('\n🎉 Import completed');
+    }
+}
+
+main().catch((error) => {
+    console.error('\n❌ Import failed:', error.message);
+    process.exit(1);
+});
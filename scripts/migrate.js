@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Database Schema Migrations
+ *
+ * Applies, reverts and lists the numbered migrations in database/migrations against the
+ * database of DATABASE_BACKEND / DATABASE_URL. The crons refuse to run while migrations
+ * are pending, so run `npm run migrate` after every deploy that adds one.
+ * See apps/powerhodl-api/lib/database/MigrationRunner.js.
+ *
+ * Usage: node scripts/migrate.js [command] [options]
+ *
+ *   up                        Apply pending migrations (default command)
+ *     --to 4                  Stop after this version
+ *   down                      Revert the last applied migration
+ *     --steps 2               Revert this many migrations
+ *     --to 3                  Revert everything after this version (0 = all)
+ *   status                    List applied and pending migrations
+ *   create <name>             Add empty NNN_<name>.up.sql / .down.sql files
+ *   --json                    Print the result as JSON
+ *
+ * Databases created from the old database/schema.sql need no special handling: migration 001
+ * and the ones after it only create what is missing.
+ */
+
+import { MigrationRunner } from '../apps/powerhodl-api/lib/database/MigrationRunner.js';
+import { DatabaseService } from '../apps/powerhodl-api/lib/services/DatabaseService.js';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+dotenv.config({ path: path.resolve(__dirname, '../.env.local') });
+
+const COMMANDS = ['up', 'down', 'status', 'create'];
+
+function parseArgs(argv) {
+    const args = { flags: {}, positional: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            args.positional.push(argv[i]);
+        } else if (argv[i] === '--json') {
+            args.flags.json = true;
+        } else {
+            args.flags[argv[i].slice(2)] = argv[++i];
+        }
+    }
+
+    return args;
+}
+
+function parseVersion(value, flag) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`Invalid --${flag}: ${value}`);
+    }
+    return number;
+}
+
+function printStatus(status) {
+    console.log(`\n🗄️  Schema at migration ${status.version} of ${status.latest}`);
+    status.applied.forEach(m => {
+        const appliedAt = m.appliedAt ? ` (${new Date(m.appliedAt).toISOString()})` : '';
+        console.log(`   ✅ ${String(m.version).padStart(3, '0')} ${m.name}${appliedAt}`);
+    });
+    status.pending.forEach(m => {
+        console.log(`   ⏳ ${String(m.version).padStart(3, '0')} ${m.name}`);
+    });
+    if (status.unknown.length > 0) {
+        console.log(`   ⚠️  Applied but not in this checkout: ${status.unknown.join(', ')}`);
+    }
+    console.log(status.current ? '\n✅ Schema is up to date' : `\n⏳ ${status.pending.length} pending migration(s) - run npm run migrate`);
+}
+
+function printMigrations(title, migrations) {
+    if (migrations.length === 0) {
+        console.log(`\nℹ️  Nothing to ${title === 'Applied' ? 'apply' : 'revert'}`);
+        return;
+    }
+
+    console.log(`\n✅ ${title} ${migrations.length} migration(s):`);
+    migrations.forEach(m => console.log(`   ${String(m.version).padStart(3, '0')} ${m.name}`));
+}
+
+async function main() {
+    const { flags, positional } = parseArgs(process.argv.slice(2));
+    const command = positional[0] || 'up';
+
+    if (!COMMANDS.includes(command)) {
+        console.error(`Usage: node scripts/migrate.js [${COMMANDS.join('|')}] [--to N] [--steps N] [--json]`);
+        process.exit(1);
+    }
+
+    if (command === 'create') {
+        const files = MigrationRunner.create(positional[1]);
+        files.forEach(file => console.log(`📝 Created ${path.relative(process.cwd(), file)}`));
+        return;
+    }
+
+    const dbService = new DatabaseService();
+    let result;
+
+    if (command === 'status') {
+        result = await MigrationRunner.status(dbService);
+    } else if (command === 'up') {
+        result = await MigrationRunner.up(dbService, { to: parseVersion(flags.to, 'to') });
+    } else {
+        result = await MigrationRunner.down(dbService, {
+            to: parseVersion(flags.to, 'to'),
+            steps: parseVersion(flags.steps, 'steps')
+        });
+    }
+
+    if (flags.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else if (command === 'status') {
+        printStatus(result);
+    } else {
+        printMigrations(command === 'up' ? 'Applied' : 'Reverted', result);
+    }
+}
+
+main().catch((error) => {
+    console.error('\n❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Paper Trading Accounts
+ *
+ * Creates, lists and closes paper portfolios: virtual accounts the crons signal and trade like
+ * a live portfolio, filled in simulation at the latest snapshot by the backtest execution model.
+ * Give one a saved parameter set to forward-test it for weeks before activating it for live
+ * trading. Paper portfolios appear on the dashboard next to the live one.
+ *
+ * Usage: node scripts/paper-account.js <command> [options]
+ *
+ *   create                    Open a paper portfolio
+ *     --pair ETH/BTC          Pair it trades (default ETH/BTC)
+ *     --value 1               Starting value in the quote asset, split 50/50 at the latest snapshot
+ *                             (the backtest's starting point; default 1)
+ *     --eth 10 --btc 0.5      Exact starting amounts instead of --value
+ *     --parameters 12         algorithm_parameters id to signal with (default: the active parameters)
+ *     --name "Aggressive Q3"  Display name
+ *   list                      Active paper portfolios with their value and return
+ *   close <id>                Stop trading a paper portfolio (its trades are kept)
+ *   --json                    Print the result as JSON
+ */
+
+import { DatabaseService } from '../apps/powerhodl-api/lib/services/DatabaseService.js';
+import { TradingPair } from '../packages/shared/src/TradingPair.js';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+dotenv.config({ path: path.resolve(__dirname, '../.env.local') });
+
+const COMMANDS = ['create', 'list', 'close'];
+
+function parseArgs(argv) {
+    const args = { flags: {}, positional: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            args.positional.push(argv[i]);
+        } else if (argv[i] === '--json') {
+            args.flags.json = true;
+        } else {
+            args.flags[argv[i].slice(2)] = argv[++i];
+        }
+    }
+
+    return args;
+}
+
+function parsePositive(value, flag) {
+    const number = Number(value);
+    if (!(number > 0)) {
+        throw new Error(`Invalid --${flag}: ${value}`);
+    }
+    return number;
+}
+
+async function latestRatio(dbService, pair) {
+    const [latest] = await dbService.getRecentMarketData(1, pair.symbol);
+    if (!latest) {
+        throw new Error(`No ${pair.symbol} market data yet - run market-monitor or npm run import-history first`);
+    }
+    return parseFloat(latest.eth_btc_ratio);
+}
+
+async function create(dbService, flags) {
+    const pair = TradingPair.parse(flags.pair || 'ETH/BTC');
+    const ratio = await latestRatio(dbService, pair);
+
+    let ethAmount;
+    let btcAmount;
+    if (flags.eth !== undefined || flags.btc !== undefined) {
+        ethAmount = flags.eth !== undefined ? Number(flags.eth) : 0;
+        btcAmount = flags.btc !== undefined ? Number(flags.btc) : 0;
+        if (!(ethAmount >= 0 && btcAmount >= 0 && ethAmount + btcAmount > 0)) {
+            throw new Error('--eth and --btc must be non-negative and not both zero');
+        }
+    } else {
+        const value = flags.value !== undefined ? parsePositive(flags.value, 'value') : 1;
+        btcAmount = value / 2;
+        ethAmount = value / 2 / ratio;
+    }
+
+    let parameterId = null;
+    if (flags.parameters !== undefined) {
+        parameterId = parsePositive(flags.parameters, 'parameters');
+        const parameters = await dbService.getParameters(parameterId);
+        if (!parameters) {
+            throw new Error(`Parameter set ${parameterId} not found`);
+        }
+    }
+
+    return dbService.createPortfolio({
+        pair: pair.symbol,
+        name: flags.name || `Paper ${pair.symbol}`,
+        mode: 'paper',
+        parameter_id: parameterId,
+        eth_amount: ethAmount,
+        btc_amount: btcAmount,
+        total_value_btc: btcAmount + ethAmount * ratio
+    });
+}
+
+async function list(dbService) {
+    const portfolios = await dbService.getActivePortfolios('pair', 'paper');
+    const rows = [];
+
+    for (const portfolio of portfolios) {
+        const pair = TradingPair.fromRow(portfolio);
+        const ratio = await latestRatio(dbService, pair).catch(() => null);
+        const ethAmount = parseFloat(portfolio.eth_amount);
+        const btcAmount = parseFloat(portfolio.btc_amount);
+        const value = ratio !== null ? btcAmount + ethAmount * ratio : parseFloat(portfolio.total_value_btc);
+        const initial = parseFloat(portfolio.initial_value_btc);
+        const trades = await dbService.getRecentTrades(1000, pair.symbol, portfolio.id);
+
+        rows.push({
+            id: portfolio.id,
+            name: portfolio.name,
+            pair: pair.symbol,
+            parameterId: portfolio.parameter_id,
+            ethAmount,
+            btcAmount,
+            valueBTC: value,
+            returnPct: initial > 0 ? (value / initial - 1) * 100 : null,
+            trades: trades.length,
+            createdAt: portfolio.created_at
+        });
+    }
+
+    return rows;
+}
+
+function printList(rows) {
+    if (rows.length === 0) {
+        console.log('\nℹ️  No active paper portfolios - create one with: npm run paper -- create');
+        return;
+    }
+
+    console.log(`\n📝 ${rows.length} paper portfolio(s):`);
+    rows.forEach(row => {
+        const [base, quote] = row.pair.split('/');
+        const returnText = row.returnPct !== null ? `${row.returnPct >= 0 ? '+' : ''}${row.returnPct.toFixed(2)}%` : 'n/a';
+        console.log(`   #${row.id} ${row.name} (${row.pair}, parameters ${row.parameterId ?? 'active'})`);
+        console.log(`       ${row.ethAmount.toFixed(6)} ${base} + ${row.btcAmount.toFixed(8)} ${quote} = ${row.valueBTC.toFixed(8)} ${quote} (${returnText}, ${row.trades} trades)`);
+    });
+}
+
+async function main() {
+    const { flags, positional } = parseArgs(process.argv.slice(2));
+    const command = positional[0];
+
+    if (!COMMANDS.includes(command)) {
+        console.error(`Usage: node scripts/paper-account.js [${COMMANDS.join('|')}] [options] [--json]`);
+        process.exit(1);
+    }
+
+    const dbService = new DatabaseService();
+    let result;
+
+    if (command === 'create') {
+        result = await create(dbService, flags);
+        if (!flags.json) {
+            console.log(`\n✅ Paper portfolio #${result.id} "${result.name}" opened on ${result.pair}`);
+            console.log('   The crons signal and fill it from their next run on; see it with: npm run paper -- list');
+        }
+    } else if (command === 'list') {
+        result = await list(dbService);
+        if (!flags.json) {
+            printList(result);
+        }
+    } else {
+        const portfolioId = parsePositive(positional[1], 'id');
+        const portfolio = await dbService.getPortfolio(portfolioId);
+        if (!portfolio || portfolio.mode !== 'paper') {
+            throw new Error(`Portfolio ${portfolioId} is not a paper portfolio`);
+        }
+        result = await dbService.deactivatePortfolio(portfolioId);
+        if (!flags.json) {
+            console.log(`\n✅ Paper portfolio #${portfolioId} closed`);
+        }
+    }
+
+    if (flags.json) {
+        console.log(JSON.stringify(result, null, 2));
+    }
+}
+
+main().catch((error) => {
+    console.error('\n❌ Paper account command failed:', error.message);
+    process.exit(1);
+});
@@ -2,6 +2,7 @@
  * Seed Database with Historical ETH/BTC Market Data
  * 
  * Simple script to populate the database with realistic historical data
+ * (synthetic - use scripts/import-history.js to load real exchange history)
  */
 
 import { DatabaseService } from '../apps/powerhodl-api/lib/services/DatabaseService.js';
@@ -78,58 +79,30 @@ async function main() {
         console.log(`✅ Generated ${data.length} days of data`);
         console.log(`📅 Date range: ${data[0].date.split('T')[0]} to ${data[data.length - 1].date.split('T')[0]}\n`);
         
-        // Insert into database
+        // Insert into database (days that are already stored are skipped)
         console.log('💾 Inserting data into database...');
-        let inserted = 0;
-        const batchSize = 50;
+        const existing = await dbService.getSnapshotTimestamps('ETH/BTC', data[0].date, data[data.length - 1].date);
+        const snapshots = data
+            .filter(record => !existing.has(new Date(record.date).getTime()))
+            .map(record => ({
+                pair: 'ETH/BTC',
+                eth_btc_ratio: record.ratio,
+                eth_price_usd: record.ethPrice,
+                btc_price_usd: record.btcPrice,
+                eth_volume_24h: record.volume,
+                source: 'historical_seed',
+                collected_at: record.date
+            }));
+        const inserted = await dbService.insertMarketSnapshots(snapshots);
         
-        for (let i = 0; i < data.length; i += batchSize) {
-            const batch = data.slice(i, i + batchSize);
-            
-            for (const record of batch) {
-                try {
-                    await dbService.sql`
-                        INSERT INTO market_snapshots 
-                        (created_at, eth_btc_ratio, eth_price_usd, btc_price_usd, eth_volume_24h, source, z_score)
-                        VALUES (
-                            ${record.date}::timestamptz, 
-                            ${record.ratio}, 
-                            ${record.ethPrice}, 
-                            ${record.btcPrice}, 
-                            ${record.volume}, 
-                            'historical_seed',
-                            0
-                        )
-                    `;
-                    inserted++;
-                } catch (err) {
-                    // Skip duplicates silently
-                    if (!err.message.includes('duplicate')) {
-                        console.error(`Error at ${record.date}:`, err.message);
-                    }
-                }
-            }
-            
-            process.stdout.write(`\r⏳ Progress: ${Math.round((i + batch.length) / data.length * 100)}% (${inserted}/${data.length})`);
-        }
-        
-        console.log(`\n\n✅ Successfully inserted ${inserted} records`);
+        console.log(`\n✅ Successfully inserted ${inserted} records (${data.length - snapshots.length} already stored)`);
         
         // Verify
-        const result = await dbService.sql`
-            SELECT 
-                COUNT(*) as count,
-                MIN(created_at) as min_date,
-                MAX(created_at) as max_date,
-                AVG(eth_btc_ratio) as avg_ratio
-            FROM market_snapshots
-        `;
-        
-        const stats = result[0];
+        const stats = await dbService.getMarketDataStats('ETH/BTC');
         console.log('\n📊 Database Statistics:');
         console.log(`   Total records: ${stats.count}`);
-        console.log(`   Date range: ${new Date(stats.min_date).toLocaleDateString()} to ${new Date(stats.max_date).toLocaleDateString()}`);
-        console.log(`   Average ETH/BTC ratio: ${parseFloat(stats.avg_ratio).toFixed(4)}`);
+        console.log(`   Date range: ${new Date(stats.from).toLocaleDateString()} to ${new Date(stats.to).toLocaleDateString()}`);
+        console.log(`   Average ETH/BTC ratio: ${stats.averageRatio.toFixed(4)}`);
         
         console.log('\n🎉 Historical data seeding completed!');
         console.log('📈 You can now view 4 years of market data in your charts');